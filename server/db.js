@@ -0,0 +1,23 @@
+const path = require('path');
+const { createClient } = require('@libsql/client');
+
+// ==========================================
+// DATABASE CONNECTION (Turso / libSQL)
+// ==========================================
+// For local development: uses a local SQLite file (no env vars needed)
+// For production (Render): uses TURSO_DATABASE_URL + TURSO_AUTH_TOKEN env vars
+// Shared by the server and the migrate command.
+
+const db = createClient(
+    process.env.TURSO_DATABASE_URL
+        ? {
+            url: process.env.TURSO_DATABASE_URL,
+            authToken: process.env.TURSO_AUTH_TOKEN
+        }
+        : {
+            // Local fallback: file-based SQLite (same behaviour as before)
+            url: `file:${path.join(__dirname, 'kaziconnect.db')}`
+        }
+);
+
+module.exports = db;
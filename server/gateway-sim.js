@@ -0,0 +1,129 @@
+/**
+ * Plays a feature phone against the SMS/USSD webhooks, so the phone channel
+ * can be tried without an Africa's Talking account.
+ *
+ *   npm run gateway-sim -- --phone 0712345678 [--server http://localhost:3000] [--code *384*2020#]
+ *
+ * At the prompt, `dial` starts a USSD session: answer each menu with a
+ * choice (or text) until it ends. `sms <message>` sends an SMS to the
+ * service; replies are read from the server's SMS outbox, so run the server
+ * with SMS_PROVIDER=file (and the same SMS_OUTBOX_FILE, if set).
+ * GATEWAY_SECRET is passed along if it's set.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { normalizePhone } = require('./lib/phone');
+
+function parseArgs(argv) {
+    const options = { server: 'http://localhost:3000', code: '*384*2020#' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--phone') options.phone = normalizePhone(argv[++i]);
+        else if (arg === '--server') options.server = argv[++i];
+        else if (arg === '--code') options.code = argv[++i];
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    if (!options.phone) throw new Error('--phone must be a Kenyan mobile number');
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, 'sms-outbox.log');
+
+function gatewayUrl(route) {
+    const url = new URL(`/api/gateway/${route}`, options.server);
+    if (process.env.GATEWAY_SECRET) url.searchParams.set('secret', process.env.GATEWAY_SECRET);
+    return url;
+}
+
+async function post(route, fields) {
+    const response = await fetch(gatewayUrl(route), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields)
+    });
+    const text = await response.text();
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${text}`);
+    return text;
+}
+
+// SMS the server has sent this phone since `offset` bytes into the outbox
+function readReplies(offset) {
+    if (!fs.existsSync(outbox)) return [];
+    return fs.readFileSync(outbox).subarray(offset).toString()
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(message => message.to === options.phone);
+}
+
+function outboxSize() {
+    return fs.existsSync(outbox) ? fs.statSync(outbox).size : 0;
+}
+
+function printReplies(offset) {
+    readReplies(offset).forEach(message => console.log(`\n[SMS to you]\n${message.message}\n`));
+}
+
+// Africa's Talking sends the whole session's input so far, joined with "*"
+let session = null;
+
+async function ussd(input) {
+    if (input !== undefined) session.inputs.push(input);
+    const before = outboxSize();
+    const response = await post('ussd', {
+        sessionId: session.id,
+        serviceCode: options.code,
+        phoneNumber: options.phone,
+        networkCode: '63902',
+        text: session.inputs.join('*')
+    });
+    console.log(`\n${response.replace(/^(CON|END) /, '')}\n`);
+    if (response.startsWith('END')) {
+        session = null;
+        // Give any SMS the menu triggered a moment to be written
+        await new Promise(resolve => setTimeout(resolve, 300));
+        printReplies(before);
+    }
+}
+
+async function handle(line) {
+    const input = line.trim();
+    if (session) return ussd(input);
+    if (input === 'dial') {
+        session = { id: `SIM_${crypto.randomUUID()}`, inputs: [] };
+        console.log(`Dialling ${options.code}...`);
+        return ussd();
+    }
+    if (input.startsWith('sms ')) {
+        const before = outboxSize();
+        await post('sms', {
+            from: options.phone,
+            to: options.code.replace(/\D/g, '').slice(0, 5),
+            text: input.slice(4),
+            date: new Date().toISOString(),
+            id: crypto.randomUUID()
+        });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const replies = readReplies(before);
+        if (replies.length === 0) console.log(`(No reply in ${outbox}: is the server running with SMS_PROVIDER=file?)`);
+        return printReplies(before);
+    }
+    if (input) console.log('Type `dial` for the USSD menu, `sms <message>` to text the service, or Ctrl+D to quit.');
+}
+
+console.log(`Phone ${options.phone} -> ${options.server}. Type \`dial\` or \`sms <message>\`.`);
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+
+// One line at a time, in order, even when input is piped in
+let queue = Promise.resolve();
+rl.on('line', line => {
+    queue = queue
+        .then(() => handle(line))
+        .catch(err => console.error(`Request failed: ${err.message}`))
+        .then(() => rl.prompt());
+});
+rl.on('close', () => queue.then(() => process.exit(0)));
+rl.prompt();
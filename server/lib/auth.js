@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/**
+ * Phone-number login: one-time codes sent by SMS, exchanged for a session token.
+ * Only hashes of codes and tokens are stored, so a leaked database can't be
+ * used to sign in.
+ */
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const ROLES = ['seeker', 'moderator', 'admin'];
+
+function generateOtp() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+function generateSessionToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSecret(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Codes are short, so salt them with the phone number they were sent to
+function hashOtp(phone, code) {
+    return hashSecret(`${phone}:${code}`);
+}
+
+function codesMatch(expectedHash, phone, code) {
+    const actual = Buffer.from(hashOtp(phone, code), 'hex');
+    const expected = Buffer.from(expectedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Phones listed in ADMIN_PHONES become admins when they sign in, so a new
+// deployment has someone who can hand out roles
+function isBootstrapAdmin(phone) {
+    return (process.env.ADMIN_PHONES || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .includes(phone);
+}
+
+function publicUser(row) {
+    return { id: row.id, phone: row.phone, name: row.name, role: row.role };
+}
+
+/**
+ * Express middleware backed by the sessions table.
+ * `authenticate` attaches req.user when a valid Bearer token is sent and
+ * otherwise lets the request through anonymously; `requireAuth` rejects
+ * requests without a signed-in user; `requireRole(...roles)` additionally
+ * rejects signed-in users whose role isn't listed.
+ */
+function createAuthMiddleware(db) {
+    async function authenticate(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer (.+)$/);
+        if (!match) return next();
+
+        try {
+            const { rows } = await db.execute({
+                sql: `SELECT users.* FROM sessions JOIN users ON users.id = sessions.userId
+                      WHERE sessions.tokenHash = ? AND sessions.expiresAt > ?`,
+                args: [hashSecret(match[1]), Date.now()]
+            });
+            if (rows[0]) req.user = publicUser(rows[0]);
+            next();
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    function requireAuth(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Sign in required' });
+        }
+        next();
+    }
+
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Sign in required' });
+            }
+            if (!roles.includes(req.user.role)) {
+                return res.status(403).json({ error: 'You do not have permission to do that' });
+            }
+            next();
+        };
+    }
+
+    return { authenticate, requireAuth, requireRole };
+}
+
+module.exports = {
+    OTP_TTL_MS,
+    OTP_RESEND_INTERVAL_MS,
+    OTP_MAX_ATTEMPTS,
+    SESSION_TTL_MS,
+    ROLES,
+    generateOtp,
+    generateSessionToken,
+    hashSecret,
+    hashOtp,
+    codesMatch,
+    isBootstrapAdmin,
+    publicUser,
+    createAuthMiddleware
+};
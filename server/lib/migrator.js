@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in server/migrations is named `<version>-<name>.js` and exports
+ * `up(tx)` and optionally `down(tx)`. Migrations run in version order, each
+ * inside its own write transaction together with its schema_migrations row,
+ * so a migration is either fully applied and recorded or not at all.
+ * A dry run does the same work in a single transaction and rolls it back.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: Number(version),
+            name,
+            ...require(path.join(dir, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await db.execute(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function appliedVersions(db) {
+    const { rows } = await db.execute("SELECT version FROM schema_migrations ORDER BY version");
+    return rows.map(row => row.version);
+}
+
+// Applies or reverts one migration and its schema_migrations row inside tx.
+// Another server instance may have done it while we waited for the write
+// lock, so check again first. Resolves false if there was nothing to do.
+async function applyStep(tx, migration, direction) {
+    const { rows } = await tx.execute({
+        sql: "SELECT 1 FROM schema_migrations WHERE version = ?",
+        args: [migration.version]
+    });
+    const isApplied = rows.length > 0;
+    if (isApplied !== (direction === 'down')) return false;
+
+    try {
+        if (direction === 'up') {
+            await migration.up(tx);
+            await tx.execute({
+                sql: "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+                args: [migration.version, migration.name]
+            });
+        } else {
+            await migration.down(tx);
+            await tx.execute({ sql: "DELETE FROM schema_migrations WHERE version = ?", args: [migration.version] });
+        }
+    } catch (err) {
+        err.message = `Migration ${migration.version}-${migration.name} (${direction}) failed: ${err.message}`;
+        throw err;
+    }
+    return true;
+}
+
+// Each migration commits in its own transaction. A dry run puts them all in
+// one transaction (later steps need the earlier ones' effects) and rolls it back.
+async function runSteps(db, migrations, direction, { dryRun, log }) {
+    const verb = direction === 'up' ? ['Applied', 'Would apply'] : ['Reverted', 'Would revert'];
+    const done = [];
+    let tx = null;
+
+    try {
+        for (const migration of migrations) {
+            if (!tx) tx = await db.transaction('write');
+            if (!(await applyStep(tx, migration, direction))) continue;
+            if (!dryRun) {
+                await tx.commit();
+                tx.close();
+                tx = null;
+            }
+            done.push(migration);
+            log(`${dryRun ? `[dry run] ${verb[1]}` : verb[0]} migration ${migration.version}-${migration.name}`);
+        }
+    } finally {
+        if (tx) {
+            if (!tx.closed) await tx.rollback();
+            tx.close();
+        }
+    }
+    return done;
+}
+
+/**
+ * Applies pending migrations up to and including `to` (default: all).
+ * Resolves with the migrations that were (or, in a dry run, would be) applied.
+ */
+async function migrateUp(db, { to = Infinity, dryRun = false, log = console.log, dir } = {}) {
+    await ensureMigrationsTable(db);
+    const applied = new Set(await appliedVersions(db));
+    const pending = loadMigrations(dir).filter(m => !applied.has(m.version) && m.version <= to);
+    return runSteps(db, pending, 'up', { dryRun, log });
+}
+
+/**
+ * Reverts the most recent `steps` applied migrations (default 1), newest first.
+ * Fails before changing anything if one of them has no `down`.
+ */
+async function migrateDown(db, { steps = 1, dryRun = false, log = console.log, dir } = {}) {
+    await ensureMigrationsTable(db);
+    const byVersion = new Map(loadMigrations(dir).map(m => [m.version, m]));
+    const targets = (await appliedVersions(db)).reverse().slice(0, steps).map(version => {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is applied but its file is missing`);
+        }
+        if (typeof migration.down !== 'function') {
+            throw new Error(`Migration ${version}-${migration.name} cannot be reverted`);
+        }
+        return migration;
+    });
+    return runSteps(db, targets, 'down', { dryRun, log });
+}
+
+// Every known migration and whether it has been applied
+async function migrationStatus(db, { dir } = {}) {
+    await ensureMigrationsTable(db);
+    const { rows } = await db.execute("SELECT version, appliedAt FROM schema_migrations");
+    const appliedAt = new Map(rows.map(row => [row.version, row.appliedAt]));
+    return loadMigrations(dir).map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: appliedAt.get(m.version) || null
+    }));
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so check the table first
+async function addColumnIfMissing(db, table, column, definition) {
+    const { rows } = await db.execute(`PRAGMA table_info(${table})`);
+    if (!rows.some(row => row.name === column)) {
+        await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus, addColumnIfMissing };
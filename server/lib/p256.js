@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+/**
+ * P-256 key pairs as base64url text, the form browsers use: the public key
+ * is the 65-byte uncompressed point, the private key the 32-byte scalar.
+ * Shared by the Web Push sender and the job signer.
+ */
+
+function generateKeyPair() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+}
+
+function pointCoordinates(publicKey) {
+    const point = Buffer.from(publicKey, 'base64url');
+    return {
+        x: point.subarray(1, 33).toString('base64url'),
+        y: point.subarray(33, 65).toString('base64url')
+    };
+}
+
+function publicKeyObject(publicKey) {
+    return crypto.createPublicKey({ key: { kty: 'EC', crv: 'P-256', ...pointCoordinates(publicKey) }, format: 'jwk' });
+}
+
+function privateKeyObject(privateKey, publicKey) {
+    // JWK wants exactly 32 bytes; a raw key with leading zeros can be shorter
+    const d = Buffer.alloc(32);
+    const raw = Buffer.from(privateKey, 'base64url');
+    raw.copy(d, 32 - raw.length);
+    return crypto.createPrivateKey({
+        key: { kty: 'EC', crv: 'P-256', d: d.toString('base64url'), ...pointCoordinates(publicKey) },
+        format: 'jwk'
+    });
+}
+
+/**
+ * Key pair from the given environment variables, or a temporary one with a
+ * warning (fine for development; `consequence` says what breaks on restart).
+ * In production a missing pair stops the server.
+ */
+function keyPairFromEnv(publicVar, privateVar, consequence) {
+    const keys = { publicKey: process.env[publicVar], privateKey: process.env[privateVar] };
+    if (keys.publicKey && keys.privateKey) return keys;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${publicVar}/${privateVar} must be set in production. ${consequence}`);
+    }
+    console.warn(`${publicVar}/${privateVar} not set: using a temporary key pair. ${consequence}`);
+    return generateKeyPair();
+}
+
+module.exports = { generateKeyPair, publicKeyObject, privateKeyObject, keyPairFromEnv };
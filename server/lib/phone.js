@@ -0,0 +1,28 @@
+/**
+ * Kenyan phone number helpers.
+ * Phone numbers are how our users identify themselves, so every number is
+ * stored in one canonical form: +254 followed by the 9-digit subscriber number.
+ */
+
+// Mobile numbers start with 7 (Safaricom, Airtel, Telkom) or 1 (newer ranges)
+const SUBSCRIBER_PATTERN = /^[17]\d{8}$/;
+
+/**
+ * Normalizes the ways people write Kenyan mobile numbers
+ * ("0712 345 678", "712345678", "254712345678", "+254-712-345-678")
+ * to "+254712345678". Returns null if the input isn't a Kenyan mobile number.
+ */
+function normalizePhone(input) {
+    if (typeof input !== 'string') return null;
+
+    let digits = input.replace(/[\s\-().]/g, '');
+    if (digits.startsWith('+')) digits = digits.slice(1);
+    if (!/^\d+$/.test(digits)) return null;
+
+    if (digits.startsWith('254')) digits = digits.slice(3);
+    else if (digits.startsWith('0')) digits = digits.slice(1);
+
+    return SUBSCRIBER_PATTERN.test(digits) ? `+254${digits}` : null;
+}
+
+module.exports = { normalizePhone };
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { generateKeyPair, privateKeyObject, keyPairFromEnv } = require('./p256');
+
+/**
+ * Web Push sender (VAPID, RFC 8292) with payload encryption (aes128gcm, RFC 8291),
+ * built on node's crypto so no push library is needed.
+ *
+ * The server's identity is a P-256 key pair given as base64url in
+ * VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (create one with `npm run vapid-keys`).
+ * Browsers tie subscriptions to the public key, so it must stay the same
+ * across restarts. Without it a temporary pair is generated and subscriptions
+ * stop working when the server restarts; in production the server won't start.
+ *
+ * Endpoints come from devices, so they are only pushed to when they are
+ * public https URLs. Loopback and private network addresses would let anyone
+ * make the server call into its own network; a local push service stand-in
+ * is allowed with PUSH_ALLOW_LOCAL_ENDPOINTS=1 (development and tests only).
+ */
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+// This machine, private networks, link-local and other non-public ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address underneath
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function localEndpointsAllowed() {
+    return process.env.PUSH_ALLOW_LOCAL_ENDPOINTS === '1';
+}
+
+/**
+ * Why a device's push endpoint can't be used, or null if it can. Host names
+ * are checked again when they are resolved, at send time.
+ */
+function pushEndpointProblem(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return 'Must be a push service URL';
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const local = host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) !== 0 && !isPublicAddress(host));
+    if (local && localEndpointsAllowed() && ['http:', 'https:'].includes(url.protocol)) return null;
+    if (url.protocol !== 'https:') return 'Must be an https push service URL';
+    return local ? 'Must be a public push service URL' : null;
+}
+
+// Whether the endpoint's host resolves only to public addresses
+async function resolvesPublicly(endpoint) {
+    if (localEndpointsAllowed()) return true;
+    const addresses = await dns.lookup(new URL(endpoint).hostname.replace(/^\[|\]$/g, ''), { all: true });
+    return addresses.every(({ address }) => isPublicAddress(address));
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Content encryption key and nonce for one message (RFC 8291 section 3.4),
+ * shared by the sender and by anything that decrypts, such as the local
+ * push service stand-in.
+ */
+function deriveContentKeys({ sharedSecret, authSecret, uaPublic, asPublic, salt }) {
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic, Buffer.from([1])]);
+    const ikm = hmac(hmac(authSecret, sharedSecret), keyInfo);
+    const prk = hmac(salt, ikm);
+    return {
+        key: hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16),
+        nonce: hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12)
+    };
+}
+
+// Encrypts a payload for one subscription as a single aes128gcm record
+function encryptPayload(subscription, payload) {
+    const uaPublic = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const asPublic = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(uaPublic);
+    const salt = crypto.randomBytes(16);
+    const { key, nonce } = deriveContentKeys({ sharedSecret, authSecret, uaPublic, asPublic, salt });
+
+    // 0x02 marks the last (only) record
+    const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+    return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+        sub: subject
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+        key: privateKeyObject(privateKey, publicKey),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${publicKey}`;
+}
+
+/**
+ * Creates a sender from the VAPID_* environment variables.
+ * `send(subscription, payload)` resolves with { ok, gone, status }: `gone`
+ * means the push service no longer knows the subscription (or its endpoint
+ * isn't one that may be pushed to) and it should be deleted. Network
+ * failures reject.
+ */
+function createPushSender(options = {}) {
+    const keys = options.publicKey && options.privateKey
+        ? { publicKey: options.publicKey, privateKey: options.privateKey }
+        : keyPairFromEnv('VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY', 'Push subscriptions would stop working on every restart.');
+    const vapid = { ...keys, subject: options.subject || process.env.VAPID_SUBJECT || 'mailto:admin@kaziconnect.app' };
+
+    return {
+        publicKey: vapid.publicKey,
+
+        async send(subscription, payload, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) {
+            if (pushEndpointProblem(subscription.endpoint) || !(await resolvesPublicly(subscription.endpoint))) {
+                return { ok: false, gone: true, status: null };
+            }
+            const response = await fetch(subscription.endpoint, {
+                method: 'POST',
+                // A redirect could point anywhere; push services don't send them
+                redirect: 'manual',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Encoding': 'aes128gcm',
+                    TTL: String(ttl),
+                    Urgency: urgency,
+                    Authorization: vapidAuthorization(subscription.endpoint, vapid)
+                },
+                body: encryptPayload(subscription, JSON.stringify(payload))
+            });
+            return {
+                ok: response.ok,
+                gone: response.status === 404 || response.status === 410,
+                status: response.status
+            };
+        }
+    };
+}
+
+module.exports = { createPushSender, pushEndpointProblem, deriveContentKeys, encryptPayload };
+
+// `npm run vapid-keys` prints a new pair for .env
+if (require.main === module) {
+    const { publicKey, privateKey } = generateKeyPair();
+    console.log(`VAPID_PUBLIC_KEY=${publicKey}\nVAPID_PRIVATE_KEY=${privateKey}`);
+}
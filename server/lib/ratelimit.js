@@ -0,0 +1,83 @@
+/**
+ * Rate limits on public endpoints, counted in the database so every server
+ * instance shares them. Each limit allows `max` requests per key (an IP
+ * address or a phone number) in a fixed window of `windowMs`.
+ *
+ * Kenyan mobile networks put many subscribers behind one IP address, so the
+ * per-IP limits are generous and the tighter ones are per phone number.
+ */
+
+const RATE_LIMITS = {
+    jobPostsPerIp: { max: 20, windowMs: 60 * 60 * 1000 },
+    jobPostsPerPhone: { max: 5, windowMs: 24 * 60 * 60 * 1000 },
+    applicationsPerIp: { max: 60, windowMs: 60 * 60 * 1000 },
+    applicationsPerPhone: { max: 10, windowMs: 60 * 60 * 1000 },
+    reportsPerIp: { max: 10, windowMs: 60 * 60 * 1000 },
+    // Sign-in codes each cost an SMS
+    otpPerIp: { max: 20, windowMs: 60 * 60 * 1000 },
+    otpPerPhone: { max: 10, windowMs: 24 * 60 * 60 * 1000 },
+    // SMS/USSD gateway, by the sender's number. A USSD session is a request
+    // per screen; every SMS command is answered with a paid SMS.
+    ussdPerPhone: { max: 120, windowMs: 60 * 60 * 1000 },
+    smsPerPhone: { max: 20, windowMs: 60 * 60 * 1000 },
+    // Uploads starting; their chunks aren't counted
+    attachmentsPerIp: { max: 30, windowMs: 60 * 60 * 1000 }
+};
+
+const LONGEST_WINDOW_MS = Math.max(...Object.values(RATE_LIMITS).map(limit => limit.windowMs));
+
+function retryMessage(retryAfter) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return minutes >= 120
+        ? `Too many requests. Please try again in ${Math.ceil(minutes / 60)} hours.`
+        : `Too many requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
+
+/**
+ * `rateLimit(name, keyOf)` is Express middleware counting a request against
+ * RATE_LIMITS[name] under the key `keyOf(req)` returns (no key: not counted).
+ * Over the limit it answers 429 with Retry-After in seconds.
+ * `prune()` forgets windows that have ended.
+ */
+function createRateLimiter(db) {
+    // Counts one request and resolves with the seconds until the window
+    // resets if that took it over the limit, or 0
+    async function hit(name, key, now = Date.now()) {
+        const { max, windowMs } = RATE_LIMITS[name];
+        const { rows: [bucket] } = await db.execute({
+            sql: `INSERT INTO rate_limits (name, key, windowStart, count) VALUES (?, ?, ?, 1)
+                  ON CONFLICT(name, key) DO UPDATE SET
+                      count = CASE WHEN windowStart <= ? THEN 1 ELSE count + 1 END,
+                      windowStart = CASE WHEN windowStart <= ? THEN excluded.windowStart ELSE windowStart END
+                  RETURNING windowStart, count`,
+            args: [name, key, now, now - windowMs, now - windowMs]
+        });
+        return bucket.count > max ? Math.ceil((bucket.windowStart + windowMs - now) / 1000) : 0;
+    }
+
+    function rateLimit(name, keyOf) {
+        return async (req, res, next) => {
+            const key = keyOf(req);
+            if (!key) return next();
+
+            try {
+                const retryAfter = await hit(name, key);
+                if (retryAfter > 0) {
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({ error: retryMessage(retryAfter) });
+                }
+                next();
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+
+    async function prune(now = Date.now()) {
+        await db.execute({ sql: "DELETE FROM rate_limits WHERE windowStart <= ?", args: [now - LONGEST_WINDOW_MS] });
+    }
+
+    return { rateLimit, prune };
+}
+
+module.exports = { RATE_LIMITS, createRateLimiter };
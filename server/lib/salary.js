@@ -0,0 +1,31 @@
+/**
+ * Pulls a numeric pay range out of free-text salaries such as
+ * "KES 25,000", "Ksh 20k - 30k" or "1,500 per day".
+ * Returns { min, max } in whole shillings, or nulls when no amount is found.
+ */
+function parseSalaryRange(text) {
+    if (typeof text !== 'string') return { min: null, max: null };
+
+    const amounts = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/gi)]
+        .map(([, number, thousands]) => {
+            const value = Number(number.replace(/,/g, ''));
+            return thousands ? value * 1000 : value;
+        })
+        .filter(value => Number.isFinite(value) && value > 0);
+
+    if (amounts.length === 0) return { min: null, max: null };
+    return { min: Math.min(...amounts), max: Math.max(...amounts) };
+}
+
+/**
+ * Pay period implied by a free-text salary: 'daily' for "1,500 per day",
+ * 'per-task' for piece rates, 'monthly' otherwise.
+ */
+function parseSalaryPeriod(text) {
+    if (typeof text !== 'string') return 'monthly';
+    if (/\b(per|a|kwa)\s*(day|siku)\b|\bdaily\b|\/\s*day\b/i.test(text)) return 'daily';
+    if (/\bper\s*(task|piece|job|item)\b|\bpiece\s*rate\b|\/\s*task\b/i.test(text)) return 'per-task';
+    return 'monthly';
+}
+
+module.exports = { parseSalaryRange, parseSalaryPeriod };
@@ -0,0 +1,67 @@
+/**
+ * Scam signals in job listings. The common fraud on Kenyan job boards is a
+ * listing that asks for a "registration fee" (paid to an M-Pesa till) and can
+ * only be answered on WhatsApp. Each signal found adds its weight to a
+ * listing's score; a listing scoring SCAM_HOLD_SCORE or more is held for a
+ * moderator with the reasons attached.
+ */
+
+const SCAM_HOLD_SCORE = 3;
+
+const SCAM_SIGNALS = [
+    {
+        reason: 'Asks applicants to pay a fee',
+        weight: 3,
+        pattern: new RegExp([
+            '\\b(registration|application|processing|training|medical|interview|placement|agency|uniform|commitment|booking)\\s+fees?\\b',
+            '\\bfees?\\s+of\\s+(kshs?|kes|sh)\\.?\\s*\\d',
+            '\\bpay\\s+(kshs?|kes|sh)\\.?\\s*\\d',
+            '\\bpay\\s+(a\\s+)?(small\\s+)?fee\\b',
+            // Swahili: "registration / application / training fee"
+            '\\bada\\s+ya\\s+(usajili|maombi|mafunzo)\\b'
+        ].join('|'), 'i')
+    },
+    {
+        reason: 'Asks for money by M-Pesa (till, paybill or "send money")',
+        weight: 3,
+        pattern: /\b(till|pay\s*bill|buy\s*goods)(\s*(no|number|#))?\.?\s*:?\s*\d{5,7}\b|\blipa\s+na\s+m-?pesa\b|\bsend\s+(money|cash|kshs?|kes)\b|\btuma\s+pesa\b/i
+    },
+    {
+        reason: 'Can only be contacted on WhatsApp',
+        weight: 2,
+        pattern: /\bwhats\s*app\s+only\b|\bonly\s+(on|via|through)\s+whats\s*app\b|\b(contact|text|inbox|message|reach)\s+(us|me)?\s*(on|via|through)\s+whats\s*app\b/i
+    },
+    {
+        reason: 'Gives a personal phone number to contact',
+        weight: 1,
+        pattern: /(\+?254|\b0)\s?[17]\d{2}[\s-]?\d{3}[\s-]?\d{3}\b/
+    },
+    {
+        reason: 'Promises a job without an interview',
+        weight: 1,
+        pattern: /\bno\s+interview\b|\bguaranteed\s+(job|employment|placement)\b/i
+    }
+];
+
+/**
+ * The scam signals in a listing: { score, reasons }.
+ */
+function assessJob({ title, company, location, salary, description }) {
+    const text = [title, company, location, salary, description].filter(Boolean).join('\n');
+    const found = SCAM_SIGNALS.filter(signal => signal.pattern.test(text));
+    return {
+        score: found.reduce((total, signal) => total + signal.weight, 0),
+        reasons: found.map(signal => signal.reason)
+    };
+}
+
+/**
+ * Why a listing should be held for a moderator, or null if nothing suggests
+ * it's a scam.
+ */
+function holdReasons(listing) {
+    const { score, reasons } = assessJob(listing);
+    return score >= SCAM_HOLD_SCORE ? reasons : null;
+}
+
+module.exports = { SCAM_HOLD_SCORE, SCAM_SIGNALS, assessJob, holdReasons };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { generateKeyPair, privateKeyObject, keyPairFromEnv } = require('./p256');
+const { canonicalJob } = require('../../src/js/jobpack');
+
+/**
+ * Signs approved listings so devices can pass them on in job packs, and the
+ * device receiving one can tell they came from this server unchanged.
+ *
+ * ECDSA P-256 over KaziJobPack.canonicalJob(job), with the key pair in
+ * JOB_SIGNING_PUBLIC_KEY / JOB_SIGNING_PRIVATE_KEY (create one with
+ * `npm run signing-keys`; required in production). Devices fetch the public
+ * key, and when it changes they download new signatures for the jobs they
+ * have cached (POST /api/jobs/signatures), not the jobs again.
+ */
+function createJobSigner() {
+    const keys = keyPairFromEnv('JOB_SIGNING_PUBLIC_KEY', 'JOB_SIGNING_PRIVATE_KEY',
+        'Every device would have to download new signatures after each restart.');
+    const privateKey = privateKeyObject(keys.privateKey, keys.publicKey);
+
+    return {
+        publicKey: keys.publicKey,
+
+        // base64url IEEE P1363 signature, the format WebCrypto verifies
+        sign(job) {
+            return crypto.sign('sha256', Buffer.from(canonicalJob(job)), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+                .toString('base64url');
+        }
+    };
+}
+
+module.exports = { createJobSigner };
+
+// `npm run signing-keys` prints a new pair for .env
+if (require.main === module) {
+    const { publicKey, privateKey } = generateKeyPair();
+    console.log(`JOB_SIGNING_PUBLIC_KEY=${publicKey}\nJOB_SIGNING_PRIVATE_KEY=${privateKey}`);
+}
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable SMS delivery.
+ * Choose a provider with SMS_PROVIDER; each one exposes `send(to, message)`
+ * which resolves once the message has been handed off.
+ *
+ *   console (default) - prints messages to the server log
+ *   file              - appends one JSON line per message to SMS_OUTBOX_FILE
+ *   africastalking    - sends through Africa's Talking (AT_USERNAME, AT_API_KEY,
+ *                       and AT_SENDER_ID for a sender ID or short code)
+ */
+
+const providers = {
+    console: () => ({
+        name: 'console',
+        async send(to, message) {
+            console.log(`[SMS -> ${to}] ${message}`);
+        }
+    }),
+
+    file: () => {
+        const file = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'sms-outbox.log');
+        return {
+            name: 'file',
+            async send(to, message) {
+                const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+                await fs.promises.appendFile(file, line + '\n');
+            }
+        };
+    },
+
+    africastalking: () => {
+        const { AT_USERNAME: username, AT_API_KEY: apiKey, AT_SENDER_ID: senderId } = process.env;
+        if (!username || !apiKey) {
+            throw new Error('SMS_PROVIDER=africastalking needs AT_USERNAME and AT_API_KEY');
+        }
+        const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+        return {
+            name: 'africastalking',
+            async send(to, message) {
+                const body = new URLSearchParams({ username, to, message });
+                if (senderId) body.set('from', senderId);
+                const response = await fetch(`https://${host}/version1/messaging`, {
+                    method: 'POST',
+                    headers: { apiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body
+                });
+                if (!response.ok) {
+                    throw new Error(`Africa's Talking refused the SMS (HTTP ${response.status}): ${await response.text()}`);
+                }
+            }
+        };
+    }
+};
+
+function registerSmsProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function createSmsProvider(name = process.env.SMS_PROVIDER || 'console') {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS_PROVIDER "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = { createSmsProvider, registerSmsProvider };
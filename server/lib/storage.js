@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable storage for uploaded files (CVs and certificates).
+ * Choose a backend with FILE_STORAGE; each one exposes
+ *   write(key, offset, data)  stores a chunk at a byte offset (resending the
+ *                             same chunk is harmless, so uploads can resume)
+ *   read(key)                 resolves with a readable stream of the file,
+ *                             or null if it isn't stored (any more)
+ *   remove(key)               deletes the file, if there is one
+ * Keys are made by the server, never taken from a request.
+ *
+ *   local (default) - files in UPLOAD_DIR (default server/uploads). Only as
+ *                     lasting as that disk: on hosts whose file system is
+ *                     wiped on restart or redeploy (Render's free plan),
+ *                     the files go with it.
+ */
+
+const providers = {
+    local: () => {
+        const dir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+        const file = key => path.join(dir, key);
+        return {
+            name: 'local',
+            async write(key, offset, data) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                // The first chunk starts the file afresh
+                const handle = await fs.promises.open(file(key), offset === 0 ? 'w' : 'r+');
+                try {
+                    await handle.write(data, 0, data.length, offset);
+                } finally {
+                    await handle.close();
+                }
+            },
+            async read(key) {
+                try {
+                    await fs.promises.access(file(key));
+                } catch {
+                    return null;
+                }
+                return fs.createReadStream(file(key));
+            },
+            async remove(key) {
+                await fs.promises.rm(file(key), { force: true });
+            }
+        };
+    }
+};
+
+function registerFileStorage(name, factory) {
+    providers[name] = factory;
+}
+
+function createFileStorage(name = process.env.FILE_STORAGE || 'local') {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown FILE_STORAGE "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = { createFileStorage, registerFileStorage };
@@ -0,0 +1,190 @@
+const { normalizePhone } = require('./phone');
+const taxonomy = require('../../src/js/taxonomy');
+
+/**
+ * Declarative request validation.
+ *
+ * A schema maps field names to rules made with the builders below, plus an
+ * optional check for rules that span fields. Validating a request part
+ * (body, query or params) collects one message per bad field and returns the
+ * normalised values (trimmed plain-text strings, numbers, +254 phone numbers,
+ * canonical county names). Fields the schema doesn't know are dropped.
+ *
+ * Failures are answered as
+ *   400 { error: 'Please correct the highlighted fields', fields: { applicantPhone: '...' } }
+ * so the page can show each message next to its input.
+ */
+
+const VALIDATION_ERROR = 'Please correct the highlighted fields';
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+const HTML_TAG = /<\/?[a-z!][^<>]*>/gi;
+// Control characters other than tab and newline (and newlines too, unless multiline)
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000b-\u001f\u007f]/g;
+
+/**
+ * Text as it is stored: no HTML tags or control characters. Line breaks
+ * are kept (as \n) only for `multiline` text such as a job description;
+ * anywhere else they become spaces.
+ */
+function sanitizeText(text, { multiline = false } = {}) {
+    const plain = String(text).replace(/\r\n?/g, '\n').replace(HTML_TAG, '');
+    return (multiline ? plain : plain.replace(/\s*\n\s*/g, ' ')).replace(CONTROL_CHARACTERS, '');
+}
+
+// A rule turns a non-blank raw value into { value } or { error }
+function rule(parse, { required = false } = {}) {
+    return { parse, required };
+}
+
+function string({ required, max, min = 0, pattern, message, multiline } = {}) {
+    return rule(raw => {
+        if (typeof raw !== 'string') return { error: 'Must be text' };
+        const value = sanitizeText(raw, { multiline }).trim();
+        if (value.length === 0 && raw.trim().length > 0) return { error: 'Must be plain text' };
+        if (value.length < min) return { error: `Must be at least ${min} characters` };
+        if (max && value.length > max) return { error: `Must be ${max} characters or fewer` };
+        if (pattern && !pattern.test(value)) return { error: message || 'Invalid format' };
+        return { value };
+    }, { required });
+}
+
+// Accepts numbers or numeric strings (query strings are always text)
+function integer({ required, min, max } = {}) {
+    return rule(raw => {
+        const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+        if (typeof value !== 'number' || !Number.isInteger(value)) return { error: 'Must be a whole number' };
+        if (min !== undefined && value < min) return { error: `Must be ${min} or more` };
+        if (max !== undefined && value > max) return { error: `Must be ${max} or less` };
+        return { value };
+    }, { required });
+}
+
+function oneOf(values, { required, message } = {}) {
+    return rule(raw => (values.includes(raw)
+        ? { value: raw }
+        : { error: message || `Must be one of: ${values.join(', ')}` }), { required });
+}
+
+function phone({ required } = {}) {
+    return rule(raw => {
+        const value = normalizePhone(raw);
+        return value ? { value } : { error: 'Enter a valid Kenyan mobile number, e.g. 0712 345 678' };
+    }, { required });
+}
+
+// Calendar date as YYYY-MM-DD that actually exists (no 2025-02-30)
+function date({ required, notPast = false } = {}) {
+    return rule(raw => {
+        if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) return { error: 'Must be a date (YYYY-MM-DD)' };
+        const parsed = new Date(`${raw}T00:00:00Z`);
+        if (Number.isNaN(parsed.getTime()) || !parsed.toISOString().startsWith(raw)) return { error: 'Not a real date' };
+        if (notPast && raw < new Date().toISOString().slice(0, 10)) return { error: 'Cannot be in the past' };
+        return { value: raw };
+    }, { required });
+}
+
+function county({ required } = {}) {
+    return rule(raw => {
+        const value = typeof raw === 'string' ? taxonomy.normalizeCounty(raw) : null;
+        return value ? { value } : { error: 'Must be one of the 47 Kenyan counties' };
+    }, { required });
+}
+
+function array(itemRule, { required, min = 0, max } = {}) {
+    return rule(raw => {
+        if (!Array.isArray(raw)) return { error: 'Must be a list' };
+        if (raw.length < min) return { error: `Must have at least ${min} item(s)` };
+        if (max && raw.length > max) return { error: `Must have at most ${max} items` };
+        const value = [];
+        for (const item of raw) {
+            const result = isBlank(item) ? { error: 'Must not contain blanks' } : itemRule.parse(item);
+            if (result.error) return { error: `Contains an invalid item: ${result.error}` };
+            value.push(result.value);
+        }
+        return { value };
+    }, { required });
+}
+
+// A nested object, validated against its own schema (e.g. items of an array)
+function object(itemSchema, { required } = {}) {
+    return rule(raw => {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Must be an object' };
+        const { value, errors } = validate(itemSchema, raw);
+        if (errors) {
+            const [field, message] = Object.entries(errors)[0];
+            return { error: `${field}: ${message}` };
+        }
+        return { value };
+    }, { required });
+}
+
+function schema(fields, check = null) {
+    return { fields, check, partial: false };
+}
+
+// The same rules for an update: nothing is required, but a required field
+// that is sent can't be blanked out. Blank optional fields come back as null.
+function partial({ fields, check }) {
+    return { fields, check, partial: true };
+}
+
+/**
+ * Validates input against a schema. Returns { value, errors } where errors
+ * is null or an object of field -> message.
+ */
+function validate({ fields, check, partial: isPartial }, input = {}) {
+    const value = {};
+    const errors = {};
+
+    Object.entries(fields).forEach(([field, fieldRule]) => {
+        const raw = input[field];
+        if (isBlank(raw)) {
+            if (fieldRule.required && (!isPartial || raw !== undefined)) errors[field] = 'Required';
+            else if (isPartial && raw !== undefined) value[field] = null;
+            return;
+        }
+        const result = fieldRule.parse(raw);
+        if (result.error) errors[field] = result.error;
+        else value[field] = result.value;
+    });
+
+    if (check && Object.keys(errors).length === 0) {
+        Object.assign(errors, check(value) || {});
+    }
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+function sendFieldErrors(res, fields, status = 400, error = VALIDATION_ERROR) {
+    return res.status(status).json({ error, fields });
+}
+
+/**
+ * Express middleware validating any of req.body, req.query and req.params.
+ * On success they are replaced by their normalised values.
+ */
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        const fieldErrors = {};
+        const values = {};
+        Object.entries(schemas).forEach(([part, partSchema]) => {
+            const { value, errors } = validate(partSchema, req[part] || {});
+            values[part] = value;
+            Object.assign(fieldErrors, errors);
+        });
+
+        if (Object.keys(fieldErrors).length > 0) {
+            return sendFieldErrors(res, fieldErrors);
+        }
+        Object.assign(req, values);
+        next();
+    };
+}
+
+module.exports = {
+    string, integer, oneOf, phone, date, county, array, object,
+    schema, partial, validate, validateRequest, sendFieldErrors, sanitizeText
+};
@@ -0,0 +1,64 @@
+/**
+ * Schema migrations from the command line, against the same database the
+ * server uses (TURSO_DATABASE_URL, or the local kaziconnect.db file).
+ *
+ *   npm run migrate                      apply all pending migrations
+ *   npm run migrate -- up --to 2         apply pending migrations up to version 2
+ *   npm run migrate -- down --steps 2    revert the two most recent migrations
+ *   npm run migrate -- status            list migrations and when they were applied
+ *
+ * Add --dry-run to up or down to run the migrations and roll them back,
+ * which checks they succeed against the real data without changing it.
+ */
+const db = require('./db');
+const { migrateUp, migrateDown, migrationStatus } = require('./lib/migrator');
+
+function parseArgs(argv) {
+    const options = { command: 'up', dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--to') options.to = Number(argv[++i]);
+        else if (arg === '--steps') options.steps = Number(argv[++i]);
+        else if (!arg.startsWith('--')) options.command = arg;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    if (options.to !== undefined && !Number.isInteger(options.to)) {
+        throw new Error('--to must be a migration version number');
+    }
+    if (options.steps !== undefined && !(Number.isInteger(options.steps) && options.steps > 0)) {
+        throw new Error('--steps must be a positive whole number');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    switch (options.command) {
+        case 'up': {
+            const applied = await migrateUp(db, { to: options.to, dryRun: options.dryRun });
+            if (applied.length === 0) console.log('Database is up to date.');
+            break;
+        }
+        case 'down': {
+            const reverted = await migrateDown(db, { steps: options.steps, dryRun: options.dryRun });
+            if (reverted.length === 0) console.log('Nothing to revert.');
+            break;
+        }
+        case 'status':
+            (await migrationStatus(db)).forEach(m => {
+                console.log(`${m.appliedAt ? `applied ${m.appliedAt}` : 'pending'.padEnd(27)}  ${m.version}-${m.name}`);
+            });
+            break;
+        default:
+            throw new Error(`Unknown command: ${options.command} (expected up, down or status)`);
+    }
+}
+
+main()
+    .then(() => db.close())
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
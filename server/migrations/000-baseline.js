@@ -0,0 +1,158 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+const { parseSalaryRange } = require('../lib/salary');
+
+/**
+ * The schema as it stood before versioned migrations. Every statement is
+ * idempotent so databases created by the old initDb() adopt it unchanged,
+ * and the one-off backfills from that era only act on rows that need them.
+ * There is no down: reverting it would mean dropping all data.
+ */
+module.exports = {
+    async up(tx) {
+        // Jobs table with status for moderation
+        await tx.execute(`CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            company TEXT NOT NULL,
+            location TEXT NOT NULL,
+            type TEXT NOT NULL,
+            salary TEXT,
+            description TEXT,
+            status TEXT NOT NULL DEFAULT 'approved'
+        )`);
+
+        // Applications table
+        await tx.execute(`CREATE TABLE IF NOT EXISTS applications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            jobId INTEGER,
+            jobTitle TEXT,
+            applicantName TEXT,
+            applicantPhone TEXT,
+            applicantNotes TEXT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(jobId) REFERENCES jobs(id)
+        )`);
+
+        // Client-generated idempotency keys so retried submissions aren't duplicated
+        await addColumnIfMissing(tx, 'jobs', 'submissionKey', 'TEXT');
+        await addColumnIfMissing(tx, 'applications', 'submissionKey', 'TEXT');
+        // Moderation outcome the employer can look up: why a job was rejected or sent back
+        await addColumnIfMissing(tx, 'jobs', 'moderationReason', 'TEXT');
+        await addColumnIfMissing(tx, 'jobs', 'moderatedAt', 'DATETIME');
+
+        await tx.execute("CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_submission_key ON jobs(submissionKey)");
+        await tx.execute("CREATE UNIQUE INDEX IF NOT EXISTS idx_applications_submission_key ON applications(submissionKey)");
+
+        // Applicant accounts: phone number is the identity, verified by SMS code
+        await tx.execute(`CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            phone TEXT NOT NULL UNIQUE,
+            name TEXT,
+            role TEXT NOT NULL DEFAULT 'seeker',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // At most one outstanding code per phone; times are epoch milliseconds
+        await tx.execute(`CREATE TABLE IF NOT EXISTS otp_codes (
+            phone TEXT PRIMARY KEY,
+            codeHash TEXT NOT NULL,
+            sentAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0
+        )`);
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS sessions (
+            tokenHash TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(userId) REFERENCES users(id)
+        )`);
+
+        await addColumnIfMissing(tx, 'applications', 'userId', 'INTEGER REFERENCES users(id)');
+
+        // Employer-owned jobs and the applicant review pipeline
+        await addColumnIfMissing(tx, 'jobs', 'ownerId', 'INTEGER REFERENCES users(id)');
+        await addColumnIfMissing(tx, 'applications', 'status', "TEXT NOT NULL DEFAULT 'new'");
+        await addColumnIfMissing(tx, 'applications', 'statusUpdatedAt', 'DATETIME');
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_applications_job ON applications(jobId)");
+
+        // Numeric pay range parsed from the free-text salary, for salary filters
+        await addColumnIfMissing(tx, 'jobs', 'salaryMin', 'INTEGER');
+        await addColumnIfMissing(tx, 'jobs', 'salaryMax', 'INTEGER');
+
+        // Full-text index over the searchable job fields, kept in step by triggers
+        const { rows: ftsTables } = await tx.execute("SELECT name FROM sqlite_master WHERE name = 'jobs_fts'");
+        await tx.execute(`CREATE VIRTUAL TABLE IF NOT EXISTS jobs_fts USING fts5(
+            title, company, description, location,
+            content='jobs', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+        )`);
+        await tx.execute(`CREATE TRIGGER IF NOT EXISTS jobs_fts_insert AFTER INSERT ON jobs BEGIN
+            INSERT INTO jobs_fts (rowid, title, company, description, location)
+            VALUES (new.id, new.title, new.company, new.description, new.location);
+        END`);
+        await tx.execute(`CREATE TRIGGER IF NOT EXISTS jobs_fts_delete AFTER DELETE ON jobs BEGIN
+            INSERT INTO jobs_fts (jobs_fts, rowid, title, company, description, location)
+            VALUES ('delete', old.id, old.title, old.company, old.description, old.location);
+        END`);
+        await tx.execute(`CREATE TRIGGER IF NOT EXISTS jobs_fts_update AFTER UPDATE OF title, company, description, location ON jobs BEGIN
+            INSERT INTO jobs_fts (jobs_fts, rowid, title, company, description, location)
+            VALUES ('delete', old.id, old.title, old.company, old.description, old.location);
+            INSERT INTO jobs_fts (rowid, title, company, description, location)
+            VALUES (new.id, new.title, new.company, new.description, new.location);
+        END`);
+        if (ftsTables.length === 0) {
+            // Index the jobs that existed before the search table did
+            await tx.execute("INSERT INTO jobs_fts (jobs_fts) VALUES ('rebuild')");
+        }
+
+        // Application status feed: one row per status an application enters.
+        // `seq` is the cursor seekers' devices poll with.
+        await tx.execute(`CREATE TABLE IF NOT EXISTS application_changes (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            applicationId INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            changedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Who did what to which record, for moderation accountability
+        await tx.execute(`CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actorId INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            entityType TEXT NOT NULL,
+            entityId INTEGER NOT NULL,
+            details TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(actorId) REFERENCES users(id)
+        )`);
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entityType, entityId)");
+
+        // Job change feed: one row per change to a job's public visibility.
+        // `seq` is the cursor clients pass back to /api/jobs/changes.
+        await tx.execute(`CREATE TABLE IF NOT EXISTS job_changes (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            jobId INTEGER NOT NULL,
+            changedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Backfill the change feeds for databases created before they existed
+        const changes = await tx.execute("SELECT COUNT(*) as count FROM job_changes");
+        if (changes.rows[0].count === 0) {
+            await tx.execute("INSERT INTO job_changes (jobId) SELECT id FROM jobs WHERE status = 'approved' ORDER BY id");
+        }
+        const { rows: unparsedSalaries } = await tx.execute("SELECT id, salary FROM jobs WHERE salaryMin IS NULL AND salary != ''");
+        for (const job of unparsedSalaries) {
+            const range = parseSalaryRange(job.salary);
+            if (range.min === null) continue;
+            await tx.execute({
+                sql: "UPDATE jobs SET salaryMin = ?, salaryMax = ? WHERE id = ?",
+                args: [range.min, range.max, job.id]
+            });
+        }
+        const applicationChanges = await tx.execute("SELECT COUNT(*) as count FROM application_changes");
+        if (applicationChanges.rows[0].count === 0) {
+            await tx.execute("INSERT INTO application_changes (applicationId, status) SELECT id, status FROM applications ORDER BY id");
+        }
+    }
+};
@@ -0,0 +1,44 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+const { parseSalaryPeriod } = require('../lib/salary');
+const taxonomy = require('../../src/js/taxonomy');
+
+/**
+ * Pay period, category, closing date and county on jobs, derived for
+ * existing rows from their free-text salary, title/description and location.
+ * Change feed entries send the filled-in jobs to devices.
+ */
+module.exports = {
+    async up(tx) {
+        await addColumnIfMissing(tx, 'jobs', 'salaryPeriod', 'TEXT');
+        await addColumnIfMissing(tx, 'jobs', 'category', 'TEXT');
+        await addColumnIfMissing(tx, 'jobs', 'closingDate', 'TEXT');
+        await addColumnIfMissing(tx, 'jobs', 'county', 'TEXT');
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_jobs_category ON jobs(category)");
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_jobs_county ON jobs(county)");
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_jobs_closing_date ON jobs(closingDate)");
+
+        const { rows } = await tx.execute("SELECT id, title, description, location, salary, salaryMin FROM jobs");
+        for (const job of rows) {
+            await tx.execute({
+                sql: "UPDATE jobs SET salaryPeriod = ?, category = ?, county = ? WHERE id = ?",
+                args: [
+                    job.salaryMin === null ? null : parseSalaryPeriod(job.salary),
+                    taxonomy.inferCategory(job),
+                    taxonomy.normalizeCounty(job.location),
+                    job.id
+                ]
+            });
+        }
+        await tx.execute("INSERT INTO job_changes (jobId) SELECT id FROM jobs WHERE status = 'approved' ORDER BY id");
+    },
+
+    async down(tx) {
+        // Indexed columns can't be dropped
+        await tx.execute("DROP INDEX IF EXISTS idx_jobs_category");
+        await tx.execute("DROP INDEX IF EXISTS idx_jobs_county");
+        await tx.execute("DROP INDEX IF EXISTS idx_jobs_closing_date");
+        for (const column of ['salaryPeriod', 'category', 'closingDate', 'county']) {
+            await tx.execute(`ALTER TABLE jobs DROP COLUMN ${column}`);
+        }
+    }
+};
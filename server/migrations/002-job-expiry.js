@@ -0,0 +1,30 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+
+// Same default as the server's JOB_LISTING_DAYS at the time this was written
+const LISTING_DAYS = Number(process.env.JOB_LISTING_DAYS) || 30;
+
+/**
+ * expiresAt and closedAt on jobs. Listings already live get a full listing
+ * period from today; change feed entries send devices their expiry dates.
+ */
+module.exports = {
+    async up(tx) {
+        await addColumnIfMissing(tx, 'jobs', 'expiresAt', 'DATETIME');
+        await addColumnIfMissing(tx, 'jobs', 'closedAt', 'DATETIME');
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_jobs_expires_at ON jobs(expiresAt)");
+
+        await tx.execute({
+            sql: `UPDATE jobs SET expiresAt = COALESCE(datetime(closingDate, '+1 day'), datetime('now', ?))
+                  WHERE status = 'approved' AND expiresAt IS NULL`,
+            args: [`+${LISTING_DAYS} days`]
+        });
+        await tx.execute("INSERT INTO job_changes (jobId) SELECT id FROM jobs WHERE status = 'approved' ORDER BY id");
+    },
+
+    // Expired and filled jobs keep their status and stay hidden
+    async down(tx) {
+        await tx.execute("DROP INDEX IF EXISTS idx_jobs_expires_at");
+        await tx.execute("ALTER TABLE jobs DROP COLUMN expiresAt");
+        await tx.execute("ALTER TABLE jobs DROP COLUMN closedAt");
+    }
+};
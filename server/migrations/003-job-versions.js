@@ -0,0 +1,16 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+
+/**
+ * A version number on jobs, bumped by every edit to the listing's content.
+ * Employers' edits name the version they started from, so an edit made
+ * against an older copy is refused instead of overwriting a moderator's fix.
+ */
+module.exports = {
+    async up(tx) {
+        await addColumnIfMissing(tx, 'jobs', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    },
+
+    async down(tx) {
+        await tx.execute("ALTER TABLE jobs DROP COLUMN version");
+    }
+};
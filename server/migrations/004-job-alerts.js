@@ -0,0 +1,48 @@
+/**
+ * Job alerts: the browser push subscriptions devices register, the saved
+ * searches each device wants alerts for, and which alerts were already sent
+ * so a job is never announced to the same device twice.
+ */
+module.exports = {
+    async up(tx) {
+        await tx.execute(`CREATE TABLE IF NOT EXISTS push_subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            endpoint TEXT NOT NULL UNIQUE,
+            p256dh TEXT NOT NULL,
+            auth TEXT NOT NULL,
+            userId INTEGER REFERENCES users(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // clientKey is the device's own id for the search. ftsQuery is q as
+        // GET /api/jobs would search it, so alerts match what the search shows.
+        await tx.execute(`CREATE TABLE IF NOT EXISTS saved_searches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subscriptionId INTEGER NOT NULL REFERENCES push_subscriptions(id),
+            clientKey TEXT NOT NULL,
+            name TEXT,
+            q TEXT,
+            ftsQuery TEXT,
+            type TEXT,
+            category TEXT,
+            county TEXT,
+            location TEXT,
+            minSalary INTEGER,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(subscriptionId, clientKey)
+        )`);
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS job_alerts_sent (
+            jobId INTEGER NOT NULL,
+            subscriptionId INTEGER NOT NULL,
+            sentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (jobId, subscriptionId)
+        )`);
+    },
+
+    async down(tx) {
+        await tx.execute("DROP TABLE IF EXISTS job_alerts_sent");
+        await tx.execute("DROP TABLE IF EXISTS saved_searches");
+        await tx.execute("DROP TABLE IF EXISTS push_subscriptions");
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * SMS job alerts for feature phones, subscribed to over USSD or SMS.
+ * One subscription per phone number (subscribing again replaces it);
+ * a NULL county or type means any.
+ */
+module.exports = {
+    async up(tx) {
+        await tx.execute(`CREATE TABLE IF NOT EXISTS sms_subscriptions (
+            phone TEXT PRIMARY KEY,
+            county TEXT,
+            type TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS sms_alerts_sent (
+            jobId INTEGER NOT NULL,
+            phone TEXT NOT NULL,
+            sentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (jobId, phone)
+        )`);
+    },
+
+    async down(tx) {
+        await tx.execute("DROP TABLE IF EXISTS sms_alerts_sent");
+        await tx.execute("DROP TABLE IF EXISTS sms_subscriptions");
+    }
+};
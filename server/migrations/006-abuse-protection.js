@@ -0,0 +1,39 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+
+/**
+ * Spam and scam protection: request counts for rate limiting, the reasons
+ * a job was held for a moderator (JSON list), and seekers' reports of
+ * suspicious jobs. `reporter` is who reported (a user or an IP address),
+ * so one person's reports count once.
+ */
+module.exports = {
+    async up(tx) {
+        await addColumnIfMissing(tx, 'jobs', 'holdReasons', 'TEXT');
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS rate_limits (
+            name TEXT NOT NULL,
+            key TEXT NOT NULL,
+            windowStart INTEGER NOT NULL,
+            count INTEGER NOT NULL,
+            PRIMARY KEY (name, key)
+        )`);
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS job_reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            jobId INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+            reason TEXT NOT NULL,
+            details TEXT,
+            reporter TEXT NOT NULL,
+            submissionKey TEXT UNIQUE,
+            userId INTEGER REFERENCES users(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_job_reports_job ON job_reports(jobId)");
+    },
+
+    async down(tx) {
+        await tx.execute("DROP TABLE IF EXISTS job_reports");
+        await tx.execute("DROP TABLE IF EXISTS rate_limits");
+        await tx.execute("ALTER TABLE jobs DROP COLUMN holdReasons");
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Files attached to applications (a CV, certificates), uploaded in chunks
+ * before the application itself is sent. The random id is what lets a device
+ * add chunks to its upload; `received` is how far it has got. `encoding` is
+ * 'gzip' for files the device compressed that way. An attachment gets its
+ * applicationId when the application naming it arrives.
+ */
+module.exports = {
+    async up(tx) {
+        await tx.execute(`CREATE TABLE IF NOT EXISTS attachments (
+            id TEXT PRIMARY KEY,
+            submissionKey TEXT UNIQUE,
+            fileName TEXT NOT NULL,
+            mimeType TEXT NOT NULL,
+            encoding TEXT,
+            size INTEGER NOT NULL,
+            received INTEGER NOT NULL DEFAULT 0,
+            completedAt DATETIME,
+            applicationId INTEGER REFERENCES applications(id),
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await tx.execute("CREATE INDEX IF NOT EXISTS idx_attachments_application ON attachments(applicationId)");
+    },
+
+    async down(tx) {
+        await tx.execute("DROP TABLE IF EXISTS attachments");
+    }
+};
@@ -0,0 +1,25 @@
+const { addColumnIfMissing } = require('../lib/migrator');
+
+/**
+ * Seekers' reusable profiles. A signed-in seeker's profile is kept with their
+ * account (JSON in `data`) so it follows them to another phone; `updatedAt`
+ * is the device's clock when it was last edited, and the newer copy wins.
+ * Applications carry a snapshot of the profile (skills, education, county,
+ * languages) for the employer, as JSON in `profile`.
+ */
+module.exports = {
+    async up(tx) {
+        await addColumnIfMissing(tx, 'applications', 'profile', 'TEXT');
+
+        await tx.execute(`CREATE TABLE IF NOT EXISTS profiles (
+            userId INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            data TEXT NOT NULL,
+            updatedAt INTEGER NOT NULL
+        )`);
+    },
+
+    async down(tx) {
+        await tx.execute("DROP TABLE IF EXISTS profiles");
+        await tx.execute("ALTER TABLE applications DROP COLUMN profile");
+    }
+};
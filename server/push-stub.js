@@ -0,0 +1,141 @@
+/**
+ * A stand-in for a browser push service, for trying job alerts without a
+ * browser. It plays one subscribed device: registers a saved search with the
+ * server, then checks the VAPID signature on every push it receives,
+ * decrypts it and prints the notification.
+ *
+ *   npm run push-stub -- --server http://localhost:3000 --q driver --county Mombasa
+ *
+ * Search options: --q, --type, --category, --county, --location, --minSalary.
+ * --gone answers pushes with 410, as a push service does for a subscription
+ * the browser dropped, so the server should forget the device.
+ * Listens on PUSH_STUB_PORT (default 4001). The server only pushes to a
+ * local address like this one when started with PUSH_ALLOW_LOCAL_ENDPOINTS=1.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { deriveContentKeys } = require('./lib/push');
+const { publicKeyObject } = require('./lib/p256');
+
+const PORT = Number(process.env.PUSH_STUB_PORT) || 4001;
+const SEARCH_OPTIONS = ['q', 'type', 'category', 'county', 'location', 'minSalary'];
+
+function parseArgs(argv) {
+    const options = { gone: false, search: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const name = arg.replace(/^--/, '');
+        if (arg === '--gone') options.gone = true;
+        else if (arg === '--server') options.server = argv[++i];
+        else if (SEARCH_OPTIONS.includes(name)) options.search[name] = argv[++i];
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+// The "browser" side of the subscription
+const device = crypto.createECDH('prime256v1');
+const deviceKeys = {
+    p256dh: device.generateKeys().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url')
+};
+const origin = `http://localhost:${PORT}`;
+const endpoint = `${origin}/push/device-1`;
+
+// Checks `Authorization: vapid t=<jwt>, k=<public key>` (RFC 8292)
+function verifyVapid(header) {
+    const match = /^vapid t=([\w-]+\.[\w-]+\.[\w-]+), k=([\w-]+)$/.exec(header || '');
+    if (!match) throw new Error('Missing or malformed VAPID Authorization header');
+    const [, token, publicKey] = match;
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+
+    const valid = crypto.verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), {
+        key: publicKeyObject(publicKey),
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(signature, 'base64url'));
+    if (!valid) throw new Error('VAPID signature does not verify');
+
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString());
+    if (claims.aud !== origin) throw new Error(`VAPID audience is ${claims.aud}, expected ${origin}`);
+    if (!(claims.exp > Date.now() / 1000)) throw new Error('VAPID token has expired');
+    return claims;
+}
+
+// Reverses lib/push.js encryptPayload (single-record aes128gcm)
+function decrypt(body) {
+    const salt = body.subarray(0, 16);
+    const keyIdLength = body.readUInt8(20);
+    const asPublic = body.subarray(21, 21 + keyIdLength);
+    const record = body.subarray(21 + keyIdLength);
+
+    const { key, nonce } = deriveContentKeys({
+        sharedSecret: device.computeSecret(asPublic),
+        authSecret: Buffer.from(deviceKeys.auth, 'base64url'),
+        uaPublic: device.getPublicKey(),
+        asPublic,
+        salt
+    });
+    const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const plaintext = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+    // Drop the padding: zeros after the 0x02 last-record delimiter
+    const delimiter = plaintext.lastIndexOf(2);
+    if (delimiter === -1) throw new Error('Record has no delimiter');
+    return JSON.parse(plaintext.subarray(0, delimiter).toString());
+}
+
+async function register(server, search) {
+    const response = await fetch(`${server}/api/alerts`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            endpoint,
+            ...deviceKeys,
+            searches: [{ key: 'push-stub', name: 'Push stub search', ...search }]
+        })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(`${data.error} ${JSON.stringify(data.fields || {})}`);
+    console.log(`Registered saved search ${JSON.stringify(search)} with ${server}`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        if (req.method !== 'POST' || req.url !== '/push/device-1') {
+            res.writeHead(404).end();
+            return;
+        }
+        if (options.gone) {
+            console.log('Push received; answering 410 Gone');
+            res.writeHead(410).end();
+            return;
+        }
+        try {
+            const claims = verifyVapid(req.headers.authorization);
+            const notification = decrypt(Buffer.concat(chunks));
+            console.log(`Push from ${claims.sub} (TTL ${req.headers.ttl}, urgency ${req.headers.urgency}):`);
+            console.log(JSON.stringify(notification, null, 2));
+            res.writeHead(201).end();
+        } catch (err) {
+            console.error('Rejected push:', err.message);
+            res.writeHead(400).end(err.message);
+        }
+    });
+}).listen(PORT, async () => {
+    console.log(`Push service stand-in listening on ${endpoint}`);
+    if (!options.server) {
+        console.log(`Subscription: ${JSON.stringify({ endpoint, keys: deviceKeys })}`);
+        return;
+    }
+    try {
+        await register(options.server, options.search);
+    } catch (err) {
+        console.error('Could not register the saved search:', err.message);
+        process.exit(1);
+    }
+});
@@ -2,113 +2,519 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const { createClient } = require('@libsql/client');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { parseSalaryRange, parseSalaryPeriod } = require('./lib/salary');
+const { createSmsProvider } = require('./lib/sms');
+const { createPushSender, pushEndpointProblem } = require('./lib/push');
+const { createJobSigner } = require('./lib/signing');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { createFileStorage } = require('./lib/storage');
+const { holdReasons } = require('./lib/scam');
+const auth = require('./lib/auth');
+const { normalizePhone } = require('./lib/phone');
+const {
+    string, integer, oneOf, phone, date, county, array, object,
+    schema, partial, validateRequest, sendFieldErrors, sanitizeText
+} = require('./lib/validation');
+const { migrateUp } = require('./lib/migrator');
+const db = require('./db');
+const taxonomy = require('../src/js/taxonomy');
+const KaziRecommend = require('../src/js/recommend');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer (as on Render), TRUST_PROXY=1 makes req.ip the
+// client's address rather than the proxy's, for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 app.use(cors());
 app.use(bodyParser.json());
 
-// Serve static files from the root directory (where index.html is)
+// Pages may only run the app's own scripts (and the CDN libraries it loads),
+// so markup that slips into a listing can't run anything
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self' https://unpkg.com",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data: blob: https://images.unsplash.com",
+    // The service worker fetches the CDN files to cache them
+    "connect-src 'self' https://unpkg.com https://fonts.googleapis.com https://fonts.gstatic.com https://images.unsplash.com",
+    "media-src 'self' blob:",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+app.use((req, res, next) => {
+    res.set('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+    next();
+});
+
+// Serve static files from the root directory (where index.html is), but
+// not the server's own files: its database and uploaded attachments
+app.use('/server', (req, res) => res.status(404).end());
 app.use(express.static(path.join(__dirname, '..')));
 
-// ==========================================
-// DATABASE SETUP (Turso / libSQL)
-// ==========================================
-// For local development: uses a local SQLite file (no env vars needed)
-// For production (Render): uses TURSO_DATABASE_URL + TURSO_AUTH_TOKEN env vars
-
-const db = createClient(
-    process.env.TURSO_DATABASE_URL
-        ? {
-            url: process.env.TURSO_DATABASE_URL,
-            authToken: process.env.TURSO_AUTH_TOKEN
-        }
-        : {
-            // Local fallback: file-based SQLite (same behaviour as before)
-            url: `file:${path.join(__dirname, 'kaziconnect.db')}`
-        }
-);
-
-async function initDb() {
-    // Jobs table with status for moderation
-    await db.execute(`CREATE TABLE IF NOT EXISTS jobs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        company TEXT NOT NULL,
-        location TEXT NOT NULL,
-        type TEXT NOT NULL,
-        salary TEXT,
-        description TEXT,
-        status TEXT NOT NULL DEFAULT 'approved'
-    )`);
-
-    // Applications table
-    await db.execute(`CREATE TABLE IF NOT EXISTS applications (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        jobId INTEGER,
-        jobTitle TEXT,
-        applicantName TEXT,
-        applicantPhone TEXT,
-        applicantNotes TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY(jobId) REFERENCES jobs(id)
-    )`);
-
-    // Seed initial data if empty
+const sms = createSmsProvider();
+const signer = createJobSigner();
+const storage = createFileStorage();
+const { authenticate, requireAuth, requireRole } = auth.createAuthMiddleware(db);
+const { rateLimit, prune: pruneRateLimits } = createRateLimiter(db);
+
+// Every API route can see who is signed in; public routes don't require it
+app.use('/api', authenticate);
+
+// Demo listings for a brand-new database, filled in the way POST /api/jobs
+// would and published straight away
+async function seedDb() {
     const { rows } = await db.execute("SELECT COUNT(*) as count FROM jobs");
-    if (rows[0].count === 0) {
-        const seedJobs = [
-            ['Agri-Tech Field Officer', 'Siaya Farmers Coop', 'Siaya County', 'rural', 'KES 25,000', 'Help smallholder farmers improve yields using modern techniques. Requires travel within the county.', 'approved'],
-            ['Matatu Fleet Manager', 'Nairobi Express', 'Nairobi', 'urban', 'KES 45,000', 'Manage route scheduling and driver performance. Must be familiar with Nairobi routes.', 'approved'],
-            ['Remote Data Entry', 'SkillHub Kenya', 'Remote', 'remote', 'KES 15,000', 'Register new graduates into the skills database. Flexible hours, works fully online.', 'approved'],
-            ['Pharmacy Assistant', 'MediCare Kayole', 'Kayole, Nairobi', 'urban', 'KES 30,000', 'Assist pharmacists in dispensing medicine and managing inventory.', 'approved'],
-            ['Community Educator', 'Bondo NGO', 'Bondo', 'rural', 'KES 20,000', 'Conduct workshops for youth on financial literacy and health.', 'approved'],
-            ['Delivery Rider', 'Haraka Logistics', 'Mombasa', 'urban', 'KES 28,000', 'Fast delivery across Mombasa island. Motorcycle license required.', 'approved']
-        ];
-
-        for (const job of seedJobs) {
-            await db.execute({
-                sql: "INSERT INTO jobs (title, company, location, type, salary, description, status) VALUES (?, ?, ?, ?, ?, ?, ?)",
-                args: job
-            });
+    if (rows[0].count > 0) return;
+
+    const seedJobs = [
+        ['Agri-Tech Field Officer', 'Siaya Farmers Coop', 'Siaya County', 'rural', 'KES 25,000', 'Help smallholder farmers improve yields using modern techniques. Requires travel within the county.', 'approved'],
+        ['Matatu Fleet Manager', 'Nairobi Express', 'Nairobi', 'urban', 'KES 45,000', 'Manage route scheduling and driver performance. Must be familiar with Nairobi routes.', 'approved'],
+        ['Remote Data Entry', 'SkillHub Kenya', 'Remote', 'remote', 'KES 15,000', 'Register new graduates into the skills database. Flexible hours, works fully online.', 'approved'],
+        ['Pharmacy Assistant', 'MediCare Kayole', 'Kayole, Nairobi', 'urban', 'KES 30,000', 'Assist pharmacists in dispensing medicine and managing inventory.', 'approved'],
+        ['Community Educator', 'Bondo NGO', 'Bondo', 'rural', 'KES 20,000', 'Conduct workshops for youth on financial literacy and health.', 'approved'],
+        ['Delivery Rider', 'Haraka Logistics', 'Mombasa', 'urban', 'KES 28,000', 'Fast delivery across Mombasa island. Motorcycle license required.', 'approved']
+    ];
+
+    for (const [title, company, location, type, salary, description, status] of seedJobs) {
+        const range = parseSalaryRange(salary);
+        const result = await db.execute({
+            sql: `INSERT INTO jobs (title, company, location, type, salary, salaryMin, salaryMax, salaryPeriod, description,
+                      category, county, status, moderatedAt)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            args: [title, company, location, type, salary, range.min, range.max, parseSalaryPeriod(salary), description,
+                taxonomy.inferCategory({ title, description }), taxonomy.normalizeCounty(location), status]
+        });
+        const id = Number(result.lastInsertRowid);
+        await db.batch([expiryStatement(id), jobChangeStatement(id)], 'write');
+    }
+    console.log('Database seeded with initial jobs.');
+}
+
+// Statement that appends a change-feed entry for a job if it is publicly
+// visible. Batch it with the statement that changes the job so both commit
+// together: after an approve or edit, before a delete or anything that hides it.
+function jobChangeStatement(jobId) {
+    return {
+        sql: "INSERT INTO job_changes (jobId) SELECT id FROM jobs WHERE id = ? AND status = 'approved'",
+        args: [jobId]
+    };
+}
+
+// ==========================================
+// LISTING EXPIRY
+// ==========================================
+// Approved listings run until the end of their closing date, or for
+// JOB_LISTING_DAYS after approval when they have none. A periodic sweep
+// moves them to 'expired' and tombstones them in the change feed so
+// devices drop them.
+
+const JOB_LISTING_DAYS = Number(process.env.JOB_LISTING_DAYS) || 30;
+const JOB_EXPIRY_SWEEP_MS = 60 * 60 * 1000;
+
+// SQLite DATETIME text (UTC), comparable with expiresAt
+function sqlTimestamp(date = new Date()) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Statement that (re)computes an approved job's expiry from its closing date
+// and approval time. Batch it after the statement that approves or edits it.
+function expiryStatement(jobId) {
+    return {
+        sql: `UPDATE jobs SET expiresAt = COALESCE(datetime(closingDate, '+1 day'), datetime(moderatedAt, ?))
+              WHERE id = ? AND status = 'approved'`,
+        args: [`+${JOB_LISTING_DAYS} days`, jobId]
+    };
+}
+
+async function expireJobs() {
+    // One timestamp for both statements, so every job expired is also tombstoned
+    const now = sqlTimestamp();
+    const [, result] = await db.batch([
+        {
+            sql: "INSERT INTO job_changes (jobId) SELECT id FROM jobs WHERE status = 'approved' AND expiresAt <= ?",
+            args: [now]
+        },
+        {
+            sql: "UPDATE jobs SET status = 'expired', closedAt = ? WHERE status = 'approved' AND expiresAt <= ?",
+            args: [now, now]
         }
-        console.log('Database seeded with initial jobs.');
+    ], 'write');
+    if (result.rowsAffected > 0) {
+        console.log(`Expired ${result.rowsAffected} job listing(s).`);
+    }
+}
+
+// Statement that records a moderation action in the audit log, if the target exists.
+// Batch it with the change itself.
+function auditStatement(actor, action, entityType, entityId, details = null) {
+    const table = entityType === 'job' ? 'jobs' : 'users';
+    return {
+        sql: `INSERT INTO audit_log (actorId, action, entityType, entityId, details)
+              SELECT ?, ?, ?, id, ? FROM ${table} WHERE id = ?`,
+        args: [actor.id, action, entityType, details ? JSON.stringify(details) : null, entityId]
+    };
+}
+
+const MAX_STATUS_LOOKUP_KEYS = 100;
+
+const JOB_SEARCH_DEFAULT_LIMIT = 20;
+const JOB_SEARCH_MAX_LIMIT = 50;
+
+// Turns user input into an FTS5 query: every word must match, as a prefix.
+// Quoting each token keeps FTS operators in the input from being interpreted.
+function toFtsQuery(text) {
+    const tokens = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.map(token => `"${token}"*`).join(' ');
+}
+
+// Search cursors are opaque to clients: the id to continue after when
+// browsing newest-first, or the offset into a ranked keyword search.
+function encodeSearchCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return position && typeof position === 'object' ? position : null;
+    } catch (err) {
+        return null;
     }
+}
+
+// Applicant review pipeline: new → shortlisted → interviewed → hired, or declined at any step
+const APPLICATION_STATUSES = ['new', 'shortlisted', 'interviewed', 'hired', 'declined'];
+const APPLICATION_TRANSITIONS = {
+    new: ['shortlisted', 'declined'],
+    shortlisted: ['interviewed', 'declined'],
+    interviewed: ['hired', 'declined'],
+    hired: [],
+    declined: []
+};
+
+const JOB_TYPES = ['urban', 'rural', 'remote'];
+
+// Columns safe to publish. submissionKey is proof of ownership and must
+// never leave the server in a public response.
+const PUBLIC_JOB_COLUMNS = ['id', 'title', 'company', 'location', 'type', 'salary', 'salaryMin', 'salaryMax', 'description', 'status',
+    'salaryPeriod', 'category', 'county', 'closingDate', 'expiresAt'];
+const PUBLIC_JOB_SELECT = PUBLIC_JOB_COLUMNS.map(column => `jobs.${column}`).join(', ');
+
+// Data saver: `fields=summary` leaves descriptions out of job lists; devices
+// fetch one from GET /api/jobs/:id when the job is opened
+const JOB_FIELD_SETS = ['full', 'summary'];
+
+const JOB_CHANGES_PAGE_SIZE = 200;
+const APPLICATION_CHANGES_PAGE_SIZE = 200;
+
+// ==========================================
+// REQUEST SCHEMAS shared by several routes
+// ==========================================
+
+const submissionKeyField = string({ max: 64 });
+const submissionKeyList = ({ required = false } = {}) =>
+    array(submissionKeyField, { required, min: required ? 1 : 0, max: MAX_STATUS_LOOKUP_KEYS });
+const idParams = schema({ id: integer({ required: true, min: 1 }) });
+
+// A job listing as employers post it and moderators edit it
+const jobSchema = schema({
+    title: string({ required: true, max: 120 }),
+    company: string({ required: true, max: 120 }),
+    location: string({ required: true, max: 100 }),
+    type: oneOf(JOB_TYPES, { required: true }),
+    salary: string({ max: 60 }),
+    salaryMin: integer({ min: 0 }),
+    salaryMax: integer({ min: 0 }),
+    salaryPeriod: oneOf(Object.keys(taxonomy.SALARY_PERIODS)),
+    category: oneOf(taxonomy.JOB_CATEGORIES.map(category => category.id)),
+    county: county(),
+    closingDate: date(),
+    description: string({ max: 5000, multiline: true })
+}, job => (job.salaryMin != null && job.salaryMax != null && job.salaryMin > job.salaryMax
+    ? { salaryMax: 'Cannot be less than the minimum' }
+    : null));
+
+// Looks up the row an earlier attempt with the same submission key created
+async function findBySubmissionKey(table, submissionKey) {
+    const { rows } = await db.execute({
+        sql: `SELECT * FROM ${table} WHERE submissionKey = ?`,
+        args: [submissionKey]
+    });
+    return rows[0] || null;
+}
+
+// Adds an application and its first status-feed entry, whichever channel it
+// came in by. Resolves with the new id, or null if the submission key shows
+// the server already has it.
+async function insertApplication({ jobId, jobTitle, applicantName, applicantPhone, applicantNotes, submissionKey, userId, profile }) {
+    const result = await db.execute({
+        sql: `INSERT INTO applications (jobId, jobTitle, applicantName, applicantPhone, applicantNotes, submissionKey, userId, profile)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT(submissionKey) DO NOTHING`,
+        args: [jobId, jobTitle ?? null, applicantName, applicantPhone, applicantNotes ?? '', submissionKey || null, userId ?? null,
+            profile ? JSON.stringify(profile) : null]
+    });
+    if (result.rowsAffected === 0) return null;
 
-    console.log('Database initialized successfully.');
+    await db.execute({
+        sql: "INSERT INTO application_changes (applicationId, status) VALUES (?, 'new')",
+        args: [result.lastInsertRowid]
+    });
+    return Number(result.lastInsertRowid);
 }
 
 // ==========================================
 // PUBLIC API ENDPOINTS
 // ==========================================
 
-// Get all APPROVED jobs
-app.get('/api/jobs', async (req, res) => {
+// Search APPROVED jobs, a page at a time.
+// Query params: q (keywords over title/company/description/location), type,
+// category, county, location, minSalary, maxSalary, limit, cursor (nextCursor
+// from the previous page).
+const jobSearchQuery = schema({
+    q: string({ max: 200 }),
+    type: oneOf(JOB_TYPES),
+    category: jobSchema.fields.category,
+    county: county(),
+    location: string({ max: 100 }),
+    minSalary: integer({ min: 0 }),
+    maxSalary: integer({ min: 0 }),
+    limit: integer({ min: 1, max: JOB_SEARCH_MAX_LIMIT }),
+    cursor: string({ max: 200 }),
+    fields: oneOf(JOB_FIELD_SETS)
+});
+
+function summarizeJobs(jobs, fields) {
+    if (fields !== 'summary') return jobs;
+    return jobs.map(({ description, ...job }) => job);
+}
+
+// A listing as devices cache it, signed so it can go into job packs.
+// The signature covers the description even when it's left out.
+function publishedJob(job, fields) {
+    const [published] = summarizeJobs([{ ...job, signature: signer.sign(job) }], fields);
+    return published;
+}
+
+app.get('/api/jobs', validateRequest({ query: jobSearchQuery }), async (req, res) => {
+    const { type, category, county, location } = req.query;
+    const ftsQuery = req.query.q ? toFtsQuery(req.query.q) : '';
+    const minSalary = req.query.minSalary ?? null;
+    const maxSalary = req.query.maxSalary ?? null;
+    const limit = req.query.limit ?? JOB_SEARCH_DEFAULT_LIMIT;
+    const cursor = req.query.cursor ? decodeSearchCursor(req.query.cursor) : {};
+
+    if (!cursor) {
+        return sendFieldErrors(res, { cursor: 'Invalid cursor' });
+    }
+
+    // Past-expiry listings stay hidden even before the sweep gets to them
+    const where = ["jobs.status = 'approved'", "(jobs.expiresAt IS NULL OR jobs.expiresAt > ?)"];
+    const args = [sqlTimestamp()];
+    if (ftsQuery) { where.push('jobs_fts MATCH ?'); args.push(ftsQuery); }
+    if (type) { where.push('jobs.type = ?'); args.push(type); }
+    if (category) { where.push('jobs.category = ?'); args.push(category); }
+    if (county) { where.push('jobs.county = ?'); args.push(county); }
+    if (location) { where.push('jobs.location LIKE ?'); args.push(`%${location}%`); }
+    // Jobs overlap the requested range; jobs without a parsed salary are left out
+    if (minSalary !== null) { where.push('jobs.salaryMax >= ?'); args.push(minSalary); }
+    if (maxSalary !== null) { where.push('jobs.salaryMin <= ?'); args.push(maxSalary); }
+
+    let sql;
+    if (ftsQuery) {
+        // Ranked by relevance, title matches weighing most
+        const offset = Number.isInteger(cursor.offset) && cursor.offset > 0 ? cursor.offset : 0;
+        sql = `SELECT ${PUBLIC_JOB_SELECT} FROM jobs_fts JOIN jobs ON jobs.id = jobs_fts.rowid
+               WHERE ${where.join(' AND ')}
+               ORDER BY bm25(jobs_fts, 10.0, 5.0, 1.0, 2.0), jobs.id DESC LIMIT ? OFFSET ?`;
+        args.push(limit + 1, offset);
+    } else {
+        if (Number.isInteger(cursor.afterId)) { where.push('jobs.id < ?'); args.push(cursor.afterId); }
+        sql = `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE ${where.join(' AND ')} ORDER BY jobs.id DESC LIMIT ?`;
+        args.push(limit + 1);
+    }
+
     try {
-        const { rows } = await db.execute("SELECT * FROM jobs WHERE status = 'approved' ORDER BY id DESC");
-        res.json(rows);
+        // One extra row tells us whether there is another page
+        const { rows } = await db.execute({ sql, args });
+        const jobs = rows.slice(0, limit);
+
+        let nextCursor = null;
+        if (rows.length > limit) {
+            nextCursor = encodeSearchCursor(ftsQuery
+                ? { offset: (cursor.offset || 0) + limit }
+                : { afterId: jobs[jobs.length - 1].id });
+        }
+
+        res.json({ jobs: summarizeJobs(jobs, req.query.fields), nextCursor });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Submit a new job (goes into 'pending' for moderation)
-app.post('/api/jobs', async (req, res) => {
-    const { title, company, location, type, salary, description } = req.body;
+// The key job signatures verify with, for checking job packs offline
+app.get('/api/jobs/signing-key', (req, res) => {
+    res.json({ publicKey: signer.publicKey });
+});
+
+// Fresh signatures for jobs a device already has, for when the signing key
+// changes. Jobs that are no longer up are left out.
+const jobSignaturesBody = schema({
+    ids: array(integer({ min: 1 }), { required: true, min: 1, max: JOB_CHANGES_PAGE_SIZE })
+});
+
+app.post('/api/jobs/signatures', validateRequest({ body: jobSignaturesBody }), async (req, res) => {
+    const { ids } = req.body;
+
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE status = 'approved' AND id IN (${ids.map(() => '?').join(', ')})`,
+            args: ids
+        });
+        res.json({ publicKey: signer.publicKey, signatures: rows.map(job => ({ id: job.id, signature: signer.sign(job) })) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delta feed of approved jobs since a cursor.
+// Returns upserts for jobs that are publicly visible and tombstones (`deleted`)
+// for jobs that were removed or are no longer approved. `reset` is true when
+// the client sent no cursor and should replace its local copy entirely.
+const changesQuery = schema({ since: integer({ min: 0 }), fields: oneOf(JOB_FIELD_SETS) });
+
+app.get('/api/jobs/changes', validateRequest({ query: changesQuery }), async (req, res) => {
+    const since = req.query.since ?? 0;
+
+    try {
+        const { rows: changed } = await db.execute({
+            sql: "SELECT jobId, MAX(seq) as seq FROM job_changes WHERE seq > ? GROUP BY jobId ORDER BY seq LIMIT ?",
+            args: [since, JOB_CHANGES_PAGE_SIZE]
+        });
+
+        if (changed.length === 0) {
+            return res.json({ cursor: since, hasMore: false, reset: since === 0, upserts: [], deleted: [] });
+        }
+
+        const ids = changed.map(row => row.jobId);
+        const { rows: upserts } = await db.execute({
+            sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE status = 'approved' AND id IN (${ids.map(() => '?').join(', ')})`,
+            args: ids
+        });
+        const visible = new Set(upserts.map(job => job.id));
+
+        res.json({
+            cursor: changed[changed.length - 1].seq,
+            hasMore: changed.length === JOB_CHANGES_PAGE_SIZE,
+            reset: since === 0,
+            upserts: upserts.map(job => publishedJob(job, req.query.fields)),
+            // A fresh client has nothing to delete
+            deleted: since === 0 ? [] : ids.filter(id => !visible.has(id))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    if (!title || !company || !location || !type) {
-        return res.status(400).json({ error: 'Missing required fields: title, company, location, type' });
+// One open listing in full, for a job opened on a device that cached it
+// without its description
+app.get('/api/jobs/:id', validateRequest({ params: idParams }), async (req, res) => {
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE id = ? AND status = 'approved' AND (expiresAt IS NULL OR expiresAt > ?)`,
+            args: [req.params.id, sqlTimestamp()]
+        });
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(publishedJob(rows[0]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
+
+// Column values for a listing as an employer wrote it, with the gaps filled
+// in: salary range and period from the free text (older clients only send
+// that) or the text from the range, category and county guessed when blank.
+function listingColumns(fields) {
+    const { title, company, location, type, salary, description } = fields;
+    const structured = fields.salaryMin != null || fields.salaryMax != null;
+    const salaryRange = structured
+        ? { min: fields.salaryMin ?? fields.salaryMax, max: fields.salaryMax ?? fields.salaryMin }
+        : parseSalaryRange(salary);
+    const salaryPeriod = salaryRange.min === null ? null : (fields.salaryPeriod || parseSalaryPeriod(salary));
+    const salaryText = salary || (structured
+        ? taxonomy.formatSalary({ salaryMin: salaryRange.min, salaryMax: salaryRange.max, salaryPeriod })
+        : '');
+
+    return {
+        title, company, location, type,
+        salary: salaryText,
+        salaryMin: salaryRange.min,
+        salaryMax: salaryRange.max,
+        salaryPeriod,
+        description: description || '',
+        category: fields.category || taxonomy.inferCategory({ title, description }),
+        county: fields.county || taxonomy.normalizeCounty(location),
+        closingDate: fields.closingDate || null
+    };
+}
+
+// Submit a new job (goes into 'pending' for moderation)
+const newJobSchema = schema({
+    ...jobSchema.fields,
+    closingDate: date({ notPast: true }),
+    submissionKey: submissionKeyField
+}, jobSchema.check);
+
+// Why a listing is held for a moderator, as stored: scam signals found in
+// it (see lib/scam.js), or null. The employer isn't told.
+function holdReasonsColumn(columns) {
+    const reasons = holdReasons(columns);
+    return reasons ? JSON.stringify(reasons) : null;
+}
+
+// Per device network and per verified phone number. Posting needs a
+// signed-in employer, so the per-phone limit can't be dodged by leaving it out.
+const jobPostLimits = [
+    rateLimit('jobPostsPerIp', req => req.ip),
+    rateLimit('jobPostsPerPhone', req => req.user.phone)
+];
+
+app.post('/api/jobs', requireAuth, validateRequest({ body: newJobSchema }), jobPostLimits, async (req, res) => {
+    const { submissionKey } = req.body;
+    const columns = listingColumns(req.body);
 
     try {
+        // A replayed submission key inserts nothing; answer with the original row
         const result = await db.execute({
-            sql: "INSERT INTO jobs (title, company, location, type, salary, description, status) VALUES (?, ?, ?, ?, ?, ?, 'pending')",
-            args: [title, company, location, type, salary || '', description || '']
+            sql: `INSERT INTO jobs (${Object.keys(columns).join(', ')}, status, holdReasons, submissionKey, ownerId)
+                  VALUES (${Object.keys(columns).map(() => '?').join(', ')}, 'pending', ?, ?, ?)
+                  ON CONFLICT(submissionKey) DO NOTHING`,
+            args: [...Object.values(columns), holdReasonsColumn(columns), submissionKey || null, req.user.id]
         });
+        if (result.rowsAffected === 0) {
+            const original = await findBySubmissionKey('jobs', submissionKey);
+            return res.status(200).json({
+                id: original.id,
+                version: original.version,
+                replayed: true,
+                message: 'Job already submitted. It will appear publicly once approved.'
+            });
+        }
         res.status(201).json({
             id: Number(result.lastInsertRowid),
+            version: 1,
             message: 'Job submitted for review. It will appear publicly once approved.'
         });
     } catch (err) {
@@ -116,29 +522,155 @@ app.post('/api/jobs', async (req, res) => {
     }
 });
 
-// Submit application
-app.post('/api/applications', async (req, res) => {
-    const { jobId, jobTitle, applicantName, applicantPhone, applicantNotes } = req.body;
+// Statuses in which the employer can still edit their listing
+const OWNER_EDITABLE_JOB_STATUSES = ['pending', 'changes_requested'];
+
+// Why an owner's edit made from baseVersion can't be applied to the job as
+// it is now, as a 409 body with the server's copy; null if it can
+function ownerEditConflict(job, baseVersion) {
+    const current = {};
+    [...PUBLIC_JOB_COLUMNS, 'version', 'moderationReason'].forEach(column => { current[column] = job[column]; });
+
+    if (!OWNER_EDITABLE_JOB_STATUSES.includes(job.status)) {
+        return { error: `A ${job.status} job can't be edited`, job: current };
+    }
+    if (job.version !== baseVersion) {
+        return { error: 'This job was changed since you edited it', conflict: true, job: current };
+    }
+    return null;
+}
+
+// An employer's edit of a job still waiting for review. The whole listing is
+// sent, along with the version it was edited from. Ownership is proven by
+// the device's submission key or by being signed in as the owner.
+// If the job has been edited since (e.g. by a moderator), nothing is saved:
+// 409 with conflict: true and the server's copy, so the employer can choose.
+const ownerJobEditSchema = schema({
+    ...newJobSchema.fields,
+    baseVersion: integer({ required: true, min: 1 })
+}, jobSchema.check);
+
+app.patch('/api/jobs/:id', validateRequest({ params: idParams, body: ownerJobEditSchema }), async (req, res) => {
+    const { id } = req.params;
+    const { baseVersion, submissionKey } = req.body;
+    const columns = listingColumns(req.body);
+
+    try {
+        const { rows } = await db.execute({ sql: "SELECT * FROM jobs WHERE id = ?", args: [id] });
+        const job = rows[0];
+        const isOwner = job && ((submissionKey && job.submissionKey === submissionKey) ||
+            (req.user && job.ownerId === req.user.id));
+        if (!isOwner) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        const conflict = ownerEditConflict(job, baseVersion);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
 
-    if (!jobId || !applicantName || !applicantPhone) {
-        return res.status(400).json({ error: 'Missing required fields' });
+        // The checks are repeated in the update in case a moderator got there first.
+        // An edit answers a request for changes, so the job goes back for review.
+        const result = await db.execute({
+            sql: `UPDATE jobs SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')},
+                      version = version + 1, status = 'pending', moderationReason = NULL, holdReasons = ?
+                  WHERE id = ? AND version = ? AND status IN (${OWNER_EDITABLE_JOB_STATUSES.map(() => '?').join(', ')})`,
+            args: [...Object.values(columns), holdReasonsColumn(columns), id, baseVersion, ...OWNER_EDITABLE_JOB_STATUSES]
+        });
+        if (result.rowsAffected === 0) {
+            const { rows: [current] } = await db.execute({ sql: "SELECT * FROM jobs WHERE id = ?", args: [id] });
+            return current
+                ? res.status(409).json(ownerEditConflict(current, baseVersion))
+                : res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({
+            id,
+            version: baseVersion + 1,
+            status: 'pending',
+            message: 'Changes saved. The job will appear publicly once approved.'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
+
+// A seeker's report of a suspicious job. Reports from JOB_REPORT_HOLD_COUNT
+// different people since the job was last moderated take it off the board
+// until a moderator has looked at it. Reports are sent through the device's
+// outbox, so the submission key makes a resend harmless.
+const JOB_REPORT_HOLD_COUNT = 3;
+
+const jobReportBody = schema({
+    reason: oneOf(Object.keys(taxonomy.JOB_REPORT_REASONS), { required: true }),
+    details: string({ max: 1000, multiline: true }),
+    submissionKey: submissionKeyField
+});
+
+// Holds an approved job once enough people have reported it
+async function holdReportedJob(id) {
+    const { rows: [reports] } = await db.execute({
+        sql: `SELECT COUNT(DISTINCT job_reports.reporter) as reporters, GROUP_CONCAT(DISTINCT job_reports.reason) as reasons
+              FROM job_reports JOIN jobs ON jobs.id = job_reports.jobId
+              WHERE job_reports.jobId = ? AND job_reports.createdAt > COALESCE(jobs.moderatedAt, '')`,
+        args: [id]
+    });
+    if (reports.reporters < JOB_REPORT_HOLD_COUNT) return false;
+
+    const reasons = reports.reasons.split(',').map(reason => taxonomy.JOB_REPORT_REASONS[reason]);
+    const [, result] = await db.batch([
+        jobChangeStatement(id),
+        {
+            sql: "UPDATE jobs SET status = 'pending', holdReasons = ? WHERE id = ? AND status = 'approved'",
+            args: [JSON.stringify([`Reported by ${reports.reporters} people: ${reasons.join('; ')}`]), id]
+        }
+    ], 'write');
+    return result.rowsAffected > 0;
+}
+
+app.post('/api/jobs/:id/reports', validateRequest({ params: idParams, body: jobReportBody }), rateLimit('reportsPerIp', req => req.ip), async (req, res) => {
+    const { id } = req.params;
+    const { reason, details, submissionKey } = req.body;
+    // One person's reports count once; IP addresses aren't kept as they are
+    const reporter = req.user ? `user:${req.user.id}` : auth.hashSecret(`ip:${req.ip}`);
+    const message = 'Thank you. A moderator will check this job.';
 
     try {
+        const { rows: [job] } = await db.execute({ sql: "SELECT id, status FROM jobs WHERE id = ?", args: [id] });
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
         const result = await db.execute({
-            sql: "INSERT INTO applications (jobId, jobTitle, applicantName, applicantPhone, applicantNotes) VALUES (?, ?, ?, ?, ?)",
-            args: [jobId, jobTitle, applicantName, applicantPhone, applicantNotes]
+            sql: `INSERT INTO job_reports (jobId, reason, details, reporter, submissionKey, userId) VALUES (?, ?, ?, ?, ?, ?)
+                  ON CONFLICT(submissionKey) DO NOTHING`,
+            args: [id, reason, details || null, reporter, submissionKey || null, req.user ? req.user.id : null]
         });
-        res.status(201).json({ id: Number(result.lastInsertRowid), message: 'Application submitted successfully' });
+        if (result.rowsAffected === 0) {
+            const original = await findBySubmissionKey('job_reports', submissionKey);
+            return res.status(200).json({ id: original.id, replayed: true, message });
+        }
+
+        if (job.status === 'approved' && await holdReportedJob(id)) {
+            console.log(`Job ${id} held for moderation after reports.`);
+        }
+        res.status(201).json({ id: Number(result.lastInsertRowid), message });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Get applications (for admin/testing)
-app.get('/api/applications', async (req, res) => {
+// Moderation status of an employer's own submissions.
+// The submission keys their device generated act as proof of ownership.
+const submissionKeysBody = schema({ submissionKeys: submissionKeyList({ required: true }) });
+
+app.post('/api/jobs/submission-status', validateRequest({ body: submissionKeysBody }), async (req, res) => {
+    const { submissionKeys } = req.body;
+
     try {
-        const { rows } = await db.execute("SELECT * FROM applications ORDER BY timestamp DESC");
+        const { rows } = await db.execute({
+            sql: `SELECT id, submissionKey, status, moderationReason, moderatedAt FROM jobs
+                  WHERE submissionKey IN (${submissionKeys.map(() => '?').join(', ')})`,
+            args: submissionKeys
+        });
         res.json(rows);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -146,61 +678,1550 @@ app.get('/api/applications', async (req, res) => {
 });
 
 // ==========================================
-// ADMIN API ENDPOINTS (No auth for MVP)
+// ATTACHMENTS (CVs and certificates on applications)
 // ==========================================
+// A device uploads each file in chunks before sending the application, so a
+// dropped connection only costs the chunk in flight:
+//   POST /api/attachments              -> { id, received: 0, chunkSize }
+//   PUT  /api/attachments/:id?offset=N    one chunk (application/octet-stream)
+//   GET  /api/attachments/:id           -> { received, complete } to resume
+// The application then names the finished uploads in `attachments`.
+
+const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+const ATTACHMENT_CHUNK_MAX = 256 * 1024;
+const MAX_ATTACHMENTS = 3;
+// Uploads no application has claimed by then are deleted
+const ATTACHMENT_UNCLAIMED_HOURS = 72;
+
+// The file types a file's first bytes say it is
+const FILE_SIGNATURES = [
+    { type: 'application/pdf', matches: head => head.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { type: 'image/jpeg', matches: head => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+    { type: 'image/png', matches: head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/webp', matches: head => head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// The stored file as the employer gets it (decompressed if the device gzipped
+// it), or null if storage no longer has it
+async function readAttachment(attachment) {
+    const stream = await storage.read(attachment.id);
+    if (!stream) return null;
+    return attachment.encoding === 'gzip' ? stream.pipe(zlib.createGunzip()) : stream;
+}
 
-// Get ALL jobs including pending (admin view)
-app.get('/api/admin/jobs', async (req, res) => {
+// Whether a finished upload really is the type it claims, and not too big
+// once decompressed. Resolves with the problem, or null.
+async function attachmentProblem(attachment) {
+    const chunks = [];
+    let bytes = 0;
     try {
-        const { rows } = await db.execute("SELECT * FROM jobs ORDER BY id DESC");
-        res.json(rows);
+        const file = await readAttachment(attachment);
+        if (!file) return 'This file was lost. Please choose it again.';
+        for await (const chunk of file) {
+            bytes += chunk.length;
+            if (bytes > ATTACHMENT_MAX_BYTES * 2) return 'This file is too big';
+            if (chunks.length < 2) chunks.push(chunk);
+        }
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        return 'This file is damaged. Please choose it again.';
     }
+    const head = Buffer.concat(chunks).subarray(0, 12);
+    const signature = FILE_SIGNATURES.find(candidate => candidate.matches(head));
+    return signature && signature.type === attachment.mimeType ? null : 'This file is not a PDF or a photo';
+}
+
+async function pruneAttachments() {
+    const { rows } = await db.execute({
+        sql: "SELECT id FROM attachments WHERE applicationId IS NULL AND createdAt < datetime('now', ?)",
+        args: [`-${ATTACHMENT_UNCLAIMED_HOURS} hours`]
+    });
+    for (const { id } of rows) {
+        await storage.remove(id);
+        await db.execute({ sql: "DELETE FROM attachments WHERE id = ?", args: [id] });
+    }
+}
+
+const attachmentParams = schema({ id: string({ required: true, pattern: /^[\w-]{22}$/, message: 'Not an attachment id' }) });
+
+function uploadProgress(attachment) {
+    return { id: attachment.id, size: attachment.size, received: attachment.received, complete: Boolean(attachment.completedAt) };
+}
+
+// Start an upload. Resending the same submission key picks up the same upload.
+const newAttachmentBody = schema({
+    fileName: string({ required: true, max: 200 }),
+    mimeType: oneOf(ATTACHMENT_TYPES, { required: true, message: 'Attach a PDF or a photo' }),
+    encoding: oneOf(['gzip']),
+    size: integer({ required: true, min: 1, max: ATTACHMENT_MAX_BYTES }),
+    submissionKey: submissionKeyField
 });
 
-// Approve a pending job
-app.patch('/api/admin/jobs/:id/approve', async (req, res) => {
-    const { id } = req.params;
+app.post('/api/attachments', validateRequest({ body: newAttachmentBody }), rateLimit('attachmentsPerIp', req => req.ip), async (req, res) => {
+    const { fileName, mimeType, encoding, size, submissionKey } = req.body;
+    const id = crypto.randomBytes(16).toString('base64url');
+
     try {
         const result = await db.execute({
-            sql: "UPDATE jobs SET status = 'approved' WHERE id = ?",
-            args: [id]
+            sql: `INSERT INTO attachments (id, submissionKey, fileName, mimeType, encoding, size) VALUES (?, ?, ?, ?, ?, ?)
+                  ON CONFLICT(submissionKey) DO NOTHING`,
+            args: [id, submissionKey || null, fileName, mimeType, encoding || null, size]
         });
         if (result.rowsAffected === 0) {
-            return res.status(404).json({ error: 'Job not found' });
+            const original = await findBySubmissionKey('attachments', submissionKey);
+            return res.status(200).json({ ...uploadProgress(original), chunkSize: ATTACHMENT_CHUNK_MAX, replayed: true });
         }
-        res.json({ message: `Job ${id} approved successfully.` });
+        res.status(201).json({ id, size, received: 0, complete: false, chunkSize: ATTACHMENT_CHUNK_MAX });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// How much of an upload the server has
+app.get('/api/attachments/:id', validateRequest({ params: attachmentParams }), async (req, res) => {
+    try {
+        const { rows } = await db.execute({ sql: "SELECT * FROM attachments WHERE id = ?", args: [req.params.id] });
+        if (!rows[0]) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json(uploadProgress(rows[0]));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Reject/remove a job
-app.delete('/api/admin/jobs/:id', async (req, res) => {
+// One chunk, at the offset the server is expecting. Any other offset is
+// answered 409 with `received`, so the device carries on from there.
+const chunkQuery = schema({ offset: integer({ required: true, min: 0 }) });
+const chunkBody = express.raw({ type: 'application/octet-stream', limit: ATTACHMENT_CHUNK_MAX });
+
+app.put('/api/attachments/:id', chunkBody, validateRequest({ params: attachmentParams, query: chunkQuery }), async (req, res) => {
     const { id } = req.params;
+    const { offset } = req.query;
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
     try {
+        const { rows: [attachment] } = await db.execute({ sql: "SELECT * FROM attachments WHERE id = ?", args: [id] });
+        if (!attachment) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (attachment.completedAt || offset !== attachment.received) {
+            return res.status(409).json({ error: 'The upload is at a different point', ...uploadProgress(attachment) });
+        }
+        if (chunk.length === 0 || offset + chunk.length > attachment.size) {
+            return res.status(400).json({ error: `Send the next part of the file as application/octet-stream, up to ${attachment.size - offset} bytes` });
+        }
+
+        await storage.write(id, offset, chunk);
+        const received = offset + chunk.length;
         const result = await db.execute({
-            sql: "DELETE FROM jobs WHERE id = ?",
-            args: [id]
+            sql: "UPDATE attachments SET received = ? WHERE id = ? AND received = ?",
+            args: [received, id, offset]
         });
         if (result.rowsAffected === 0) {
-            return res.status(404).json({ error: 'Job not found' });
+            return res.status(409).json({ error: 'The upload is at a different point' });
         }
-        res.json({ message: `Job ${id} deleted.` });
+
+        if (received === attachment.size) {
+            const problem = await attachmentProblem(attachment);
+            if (problem) {
+                await storage.remove(id);
+                await db.execute({ sql: "DELETE FROM attachments WHERE id = ?", args: [id] });
+                return res.status(422).json({ error: problem });
+            }
+            await db.execute({ sql: "UPDATE attachments SET completedAt = CURRENT_TIMESTAMP WHERE id = ?", args: [id] });
+        }
+        res.json({ id, size: attachment.size, received, complete: received === attachment.size });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Start server
-initDb()
-    .then(() => {
-        app.listen(PORT, () => {
-            console.log(`Server is running on http://localhost:${PORT}`);
+// What a seeker's profile tells employers. Skills and languages are the
+// seeker's own words, a few at a time.
+const profileFields = {
+    skills: array(string({ max: 40 }), { max: 20 }),
+    education: oneOf(Object.keys(taxonomy.EDUCATION_LEVELS)),
+    county: county(),
+    languages: array(string({ max: 30 }), { max: 10 })
+};
+
+// Submit application. The phone number is stored in +254 form.
+// `attachments` are the ids of finished uploads; `profile` is the seeker's
+// profile as it was when they applied.
+const applicationSchema = schema({
+    jobId: integer({ required: true, min: 1 }),
+    jobTitle: string({ max: 120 }),
+    applicantName: string({ required: true, max: 100 }),
+    applicantPhone: phone({ required: true }),
+    applicantNotes: string({ max: 2000, multiline: true }),
+    attachments: array(string({ max: 64 }), { max: MAX_ATTACHMENTS }),
+    profile: object(schema(profileFields)),
+    submissionKey: submissionKeyField
+});
+
+const applicationLimits = [
+    rateLimit('applicationsPerIp', req => req.ip),
+    rateLimit('applicationsPerPhone', req => req.body.applicantPhone)
+];
+
+app.post('/api/applications', validateRequest({ body: applicationSchema }), applicationLimits, async (req, res) => {
+    const { jobId, jobTitle, applicantName, applicantPhone, applicantNotes, profile, submissionKey } = req.body;
+    const attachments = req.body.attachments || [];
+
+    try {
+        // A retry of an application the server already has is still answered below
+        const replay = submissionKey ? await findBySubmissionKey('applications', submissionKey) : null;
+        if (!replay) {
+            const { rows } = await db.execute({ sql: "SELECT status, expiresAt FROM jobs WHERE id = ?", args: [jobId] });
+            if (!rows[0]) {
+                return sendFieldErrors(res, { jobId: 'This job does not exist' }, 404, 'Job not found');
+            }
+            // A listing past its expiry is closed even before the hourly sweep takes it down
+            if (rows[0].status !== 'approved' || (rows[0].expiresAt && rows[0].expiresAt <= sqlTimestamp())) {
+                const message = 'This job is no longer taking applications';
+                return sendFieldErrors(res, { jobId: message }, 410, message);
+            }
+        }
+
+        if (!replay && attachments.length > 0) {
+            const { rows } = await db.execute({
+                sql: `SELECT id FROM attachments WHERE completedAt IS NOT NULL AND applicationId IS NULL
+                      AND id IN (${attachments.map(() => '?').join(', ')})`,
+                args: attachments
+            });
+            if (rows.length !== new Set(attachments).size) {
+                return sendFieldErrors(res, { attachments: 'An attached file has not finished uploading. Please attach it again.' });
+            }
+        }
+
+        const id = await insertApplication({
+            jobId, jobTitle, applicantName, applicantPhone, applicantNotes, submissionKey, profile,
+            userId: req.user ? req.user.id : null
         });
-    })
-    .catch(err => {
-        console.error('Failed to initialize database:', err);
-        process.exit(1);
-    });
+        if (id === null) {
+            const original = await findBySubmissionKey('applications', submissionKey);
+            return res.status(200).json({ id: original.id, status: original.status, replayed: true, message: 'Application already received' });
+        }
+        if (attachments.length > 0) {
+            await db.execute({
+                sql: `UPDATE attachments SET applicationId = ? WHERE applicationId IS NULL
+                      AND id IN (${attachments.map(() => '?').join(', ')})`,
+                args: [id, ...attachments]
+            });
+        }
+        res.status(201).json({ id, status: 'new', message: 'Application submitted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Status changes to a seeker's applications since a cursor.
+// Covers the signed-in user's applications and any whose submission keys the
+// device sends (applications made without signing in).
+const statusChangesBody = schema({
+    since: integer({ min: 0 }),
+    submissionKeys: submissionKeyList()
+});
+
+app.post('/api/applications/status-changes', validateRequest({ body: statusChangesBody }), async (req, res) => {
+    const since = req.body.since ?? 0;
+    const submissionKeys = req.body.submissionKeys || [];
+
+    if (!req.user && submissionKeys.length === 0) {
+        return res.status(400).json({ error: 'Sign in or send submissionKeys' });
+    }
+
+    const owners = [];
+    const args = [];
+    if (req.user) {
+        owners.push('applications.userId = ?');
+        args.push(req.user.id);
+    }
+    if (submissionKeys.length > 0) {
+        owners.push(`applications.submissionKey IN (${submissionKeys.map(() => '?').join(', ')})`);
+        args.push(...submissionKeys);
+    }
+
+    try {
+        // Pin the upper bound first so a change committed mid-request isn't skipped
+        const { rows: [latest] } = await db.execute("SELECT COALESCE(MAX(seq), 0) as seq FROM application_changes");
+
+        const { rows } = await db.execute({
+            sql: `SELECT applications.id, applications.submissionKey, applications.jobId, applications.jobTitle,
+                         applications.applicantName, applications.applicantNotes, applications.status,
+                         applications.statusUpdatedAt, applications.timestamp, MAX(application_changes.seq) as seq
+                  FROM application_changes JOIN applications ON applications.id = application_changes.applicationId
+                  WHERE application_changes.seq > ? AND application_changes.seq <= ? AND (${owners.join(' OR ')})
+                  GROUP BY applications.id ORDER BY seq LIMIT ?`,
+            args: [since, latest.seq, ...args, APPLICATION_CHANGES_PAGE_SIZE]
+        });
+
+        const hasMore = rows.length === APPLICATION_CHANGES_PAGE_SIZE;
+        res.json({
+            // With nothing more to send, skip straight past other people's changes
+            cursor: hasMore ? rows[rows.length - 1].seq : Math.max(latest.seq, since),
+            hasMore,
+            changes: rows.map(({ seq, ...application }) => application)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get all applications (moderators only: includes applicants' phone numbers)
+app.get('/api/applications', requireRole('admin', 'moderator'), async (req, res) => {
+    try {
+        const { rows } = await db.execute("SELECT * FROM applications ORDER BY timestamp DESC");
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==========================================
+// AUTH API ENDPOINTS (phone number + SMS code)
+// ==========================================
+
+// Per device network and per phone number the codes go to
+const otpLimits = [
+    rateLimit('otpPerIp', req => req.ip),
+    rateLimit('otpPerPhone', req => req.body.phone)
+];
+
+// Send a one-time login code to a phone number
+app.post('/api/auth/otp', validateRequest({ body: schema({ phone: phone({ required: true }) }) }), otpLimits, async (req, res) => {
+    const { phone } = req.body;
+
+    try {
+        const now = Date.now();
+        const { rows } = await db.execute({ sql: "SELECT sentAt FROM otp_codes WHERE phone = ?", args: [phone] });
+        if (rows[0] && now - rows[0].sentAt < auth.OTP_RESEND_INTERVAL_MS) {
+            return res.status(429).json({ error: 'A code was just sent. Please wait a minute before asking again.' });
+        }
+
+        const code = auth.generateOtp();
+        await db.execute({
+            sql: `INSERT INTO otp_codes (phone, codeHash, sentAt, expiresAt, attempts) VALUES (?, ?, ?, ?, 0)
+                  ON CONFLICT(phone) DO UPDATE SET codeHash = excluded.codeHash, sentAt = excluded.sentAt,
+                  expiresAt = excluded.expiresAt, attempts = 0`,
+            args: [phone, auth.hashOtp(phone, code), now, now + auth.OTP_TTL_MS]
+        });
+        await sms.send(phone, `Your KaziConnect code is ${code}. It expires in ${auth.OTP_TTL_MS / 60000} minutes.`);
+
+        res.json({ phone, expiresIn: auth.OTP_TTL_MS / 1000, message: 'Code sent by SMS' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Exchange a code for a session token, creating the account on first login
+const verifyBody = schema({
+    phone: phone({ required: true }),
+    code: string({ required: true, pattern: /^\d{6}$/, message: 'Enter the 6-digit code from the SMS' }),
+    name: string({ max: 100 })
+});
+
+app.post('/api/auth/verify', validateRequest({ body: verifyBody }), async (req, res) => {
+    const { phone, code } = req.body;
+    const name = req.body.name || null;
+
+    try {
+        const { rows } = await db.execute({ sql: "SELECT * FROM otp_codes WHERE phone = ?", args: [phone] });
+        const otp = rows[0];
+        if (!otp || otp.expiresAt < Date.now() || otp.attempts >= auth.OTP_MAX_ATTEMPTS) {
+            return res.status(401).json({ error: 'Code expired. Please request a new one.' });
+        }
+        if (!auth.codesMatch(otp.codeHash, phone, code)) {
+            await db.execute({ sql: "UPDATE otp_codes SET attempts = attempts + 1 WHERE phone = ?", args: [phone] });
+            return res.status(401).json({ error: 'Incorrect code' });
+        }
+
+        const token = auth.generateSessionToken();
+        const expiresAt = Date.now() + auth.SESSION_TTL_MS;
+        await db.batch([
+            { sql: "DELETE FROM otp_codes WHERE phone = ?", args: [phone] },
+            { sql: "DELETE FROM sessions WHERE expiresAt < ?", args: [Date.now()] },
+            {
+                sql: `INSERT INTO users (phone, name) VALUES (?, ?)
+                      ON CONFLICT(phone) DO UPDATE SET name = COALESCE(excluded.name, users.name)`,
+                args: [phone, name]
+            },
+            {
+                sql: "INSERT INTO sessions (tokenHash, userId, expiresAt) SELECT ?, id, ? FROM users WHERE phone = ?",
+                args: [auth.hashSecret(token), expiresAt, phone]
+            },
+            ...(auth.isBootstrapAdmin(phone)
+                ? [{ sql: "UPDATE users SET role = 'admin' WHERE phone = ?", args: [phone] }]
+                : [])
+        ], 'write');
+
+        const { rows: users } = await db.execute({ sql: "SELECT * FROM users WHERE phone = ?", args: [phone] });
+        res.json({ token, expiresAt, user: auth.publicUser(users[0]) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Current user for a session token
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    const token = req.get('Authorization').replace(/^Bearer /, '');
+    try {
+        await db.execute({ sql: "DELETE FROM sessions WHERE tokenHash = ?", args: [auth.hashSecret(token)] });
+        res.json({ message: 'Signed out' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A seeker's application history, from any device they sign in on
+app.get('/api/me/applications', requireAuth, async (req, res) => {
+    try {
+        const { rows } = await db.execute({
+            sql: "SELECT * FROM applications WHERE userId = ? ORDER BY timestamp DESC",
+            args: [req.user.id]
+        });
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A seeker's profile, kept with their account so it follows them to another
+// phone. Each device sends its copy when it changes; whichever was edited
+// last is kept, and the answer is always the copy the server ends up with.
+const accountProfileBody = schema({
+    ...profileFields,
+    name: string({ max: 100 }),
+    coverNote: string({ max: 2000, multiline: true }),
+    updatedAt: integer({ required: true, min: 0 })
+});
+
+function storedProfile(row) {
+    return { ...JSON.parse(row.data), updatedAt: row.updatedAt };
+}
+
+app.get('/api/me/profile', requireAuth, async (req, res) => {
+    try {
+        const { rows } = await db.execute({ sql: "SELECT * FROM profiles WHERE userId = ?", args: [req.user.id] });
+        if (!rows[0]) {
+            return res.status(404).json({ error: 'No profile saved yet' });
+        }
+        res.json(storedProfile(rows[0]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/me/profile', requireAuth, validateRequest({ body: accountProfileBody }), async (req, res) => {
+    const { updatedAt, ...profile } = req.body;
+    try {
+        const { rows } = await db.execute({
+            sql: `INSERT INTO profiles (userId, data, updatedAt) VALUES (?, ?, ?)
+                  ON CONFLICT(userId) DO UPDATE SET data = excluded.data, updatedAt = excluded.updatedAt
+                  WHERE excluded.updatedAt > profiles.updatedAt
+                  RETURNING *`,
+            args: [req.user.id, JSON.stringify(profile), updatedAt]
+        });
+        // Nothing returned: the server's copy is newer
+        const current = rows[0] || (await db.execute({ sql: "SELECT * FROM profiles WHERE userId = ?", args: [req.user.id] })).rows[0];
+        res.json(storedProfile(current));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// What the server knows of seekers to recommend jobs, as a Map of phone
+// number -> model: their account's profile (or else the profile sent with
+// their latest application) and the jobs they have applied for, most recent
+// first. By phone number so SMS seekers count too; one query for them all.
+async function seekerModelsForPhones(phones) {
+    const { rows } = await db.execute({
+        sql: `SELECT seekers.value AS phone,
+                  COALESCE(
+                      (SELECT data FROM profiles JOIN users ON users.id = profiles.userId WHERE users.phone = seekers.value),
+                      (SELECT profile FROM applications WHERE applicantPhone = seekers.value AND profile IS NOT NULL
+                       ORDER BY id DESC LIMIT 1)
+                  ) AS profile,
+                  (SELECT json_group_array(json_object('id', id, 'title', title, 'category', category, 'county', county, 'location', location))
+                   FROM (SELECT jobs.* FROM applications JOIN jobs ON jobs.id = applications.jobId
+                         WHERE applications.applicantPhone = seekers.value ORDER BY applications.id DESC)) AS applied
+              FROM json_each(?) AS seekers`,
+        args: [JSON.stringify([...new Set(phones)])]
+    });
+    return new Map(rows.map(row => {
+        const profile = row.profile ? JSON.parse(row.profile) : {};
+        const applied = JSON.parse(row.applied);
+        return [row.phone, KaziRecommend.seekerModel({ skills: profile.skills || [], county: profile.county, applied })];
+    }));
+}
+
+async function seekerModelForPhone(phone) {
+    return (await seekerModelsForPhones([phone])).get(phone);
+}
+
+// Open jobs recommended for the signed-in seeker, as the app works them out
+// on the phone, with the reasons for each
+const RECOMMENDATION_POOL = 200;
+const recommendationsQuery = schema({ limit: integer({ min: 1, max: 20 }) });
+
+app.get('/api/me/recommendations', requireAuth, validateRequest({ query: recommendationsQuery }), async (req, res) => {
+    try {
+        const model = await seekerModelForPhone(req.user.phone);
+        const jobs = await findOpenJobs({ limit: RECOMMENDATION_POOL });
+        const recommended = KaziRecommend.recommendJobs(jobs, model, { limit: req.query.limit ?? 5 });
+        res.json(recommended.map(({ job, reasons }) => ({ ...job, reasons })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==========================================
+// EMPLOYER API ENDPOINTS (signed-in job owners)
+// ==========================================
+
+app.use('/api/employer', requireAuth);
+
+// Take ownership of jobs this device posted before signing in.
+// Only unowned jobs can be claimed, and only with their submission keys.
+app.post('/api/employer/jobs/claim', validateRequest({ body: submissionKeysBody }), async (req, res) => {
+    const { submissionKeys } = req.body;
+
+    try {
+        const result = await db.execute({
+            sql: `UPDATE jobs SET ownerId = ? WHERE ownerId IS NULL
+                  AND submissionKey IN (${submissionKeys.map(() => '?').join(', ')})`,
+            args: [req.user.id, ...submissionKeys]
+        });
+        res.json({ claimed: result.rowsAffected });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The employer's jobs with applicant counts per pipeline stage
+app.get('/api/employer/jobs', async (req, res) => {
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT jobs.*, ${APPLICATION_STATUSES.map(status =>
+                `COALESCE(SUM(applications.status = '${status}'), 0) as ${status}Count`).join(', ')},
+                  COUNT(applications.id) as applicantCount
+                  FROM jobs LEFT JOIN applications ON applications.jobId = jobs.id
+                  WHERE jobs.ownerId = ?
+                  GROUP BY jobs.id ORDER BY jobs.id DESC`,
+            args: [req.user.id]
+        });
+
+        res.json(rows.map(row => {
+            const job = { ...row, applicants: { total: row.applicantCount } };
+            APPLICATION_STATUSES.forEach(status => {
+                job.applicants[status] = row[`${status}Count`];
+                delete job[`${status}Count`];
+            });
+            delete job.applicantCount;
+            return job;
+        }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Statuses an employer can still close by marking the position filled
+const FILLABLE_JOB_STATUSES = ['pending', 'approved', 'changes_requested'];
+
+// Take a job down because the position is filled; applications stop immediately
+app.patch('/api/employer/jobs/:id/filled', validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await db.execute({
+            sql: "SELECT status FROM jobs WHERE id = ? AND ownerId = ?",
+            args: [id, req.user.id]
+        });
+        const job = rows[0];
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.status === 'filled') {
+            return res.json({ id: Number(id), status: 'filled', message: 'Position already marked as filled.' });
+        }
+        if (!FILLABLE_JOB_STATUSES.includes(job.status)) {
+            return res.status(409).json({ error: `A ${job.status} job can't be marked as filled` });
+        }
+
+        // Tombstone first: the job stops being public with the update
+        await db.batch([
+            jobChangeStatement(id),
+            {
+                sql: "UPDATE jobs SET status = 'filled', closedAt = CURRENT_TIMESTAMP WHERE id = ?",
+                args: [id]
+            }
+        ], 'write');
+        res.json({ id: Number(id), status: 'filled', message: 'Position marked as filled. The listing has been taken down.' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Applicants for one of the employer's jobs
+app.get('/api/employer/jobs/:id/applications', validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows: jobs } = await db.execute({
+            sql: "SELECT id FROM jobs WHERE id = ? AND ownerId = ?",
+            args: [id, req.user.id]
+        });
+        if (!jobs[0]) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const { rows } = await db.execute({
+            sql: `SELECT id, jobId, applicantName, applicantPhone, applicantNotes, profile, status, statusUpdatedAt, timestamp
+                  FROM applications WHERE jobId = ? ORDER BY timestamp DESC`,
+            args: [id]
+        });
+        const { rows: attachments } = await db.execute({
+            sql: `SELECT attachments.id, attachments.applicationId, attachments.fileName, attachments.mimeType, attachments.size
+                  FROM attachments JOIN applications ON applications.id = attachments.applicationId
+                  WHERE applications.jobId = ? ORDER BY attachments.createdAt`,
+            args: [id]
+        });
+        res.json(rows.map(application => ({
+            ...application,
+            profile: application.profile ? JSON.parse(application.profile) : null,
+            attachments: attachments
+                .filter(attachment => attachment.applicationId === application.id)
+                .map(({ applicationId, ...attachment }) => attachment)
+        })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A file an applicant attached
+const applicantAttachmentParams = schema({ ...idParams.fields, attachmentId: attachmentParams.fields.id });
+
+app.get('/api/employer/applications/:id/attachments/:attachmentId', validateRequest({ params: applicantAttachmentParams }), async (req, res) => {
+    const { id, attachmentId } = req.params;
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT attachments.* FROM attachments
+                  JOIN applications ON applications.id = attachments.applicationId
+                  JOIN jobs ON jobs.id = applications.jobId
+                  WHERE attachments.id = ? AND applications.id = ? AND jobs.ownerId = ?`,
+            args: [attachmentId, id, req.user.id]
+        });
+        const attachment = rows[0];
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+        const file = await readAttachment(attachment);
+        if (!file) {
+            // The row outlived the file, e.g. on a host that wipes its disk
+            return res.status(410).json({ error: 'This file is no longer stored on the server' });
+        }
+
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        file.on('error', err => res.destroy(err));
+        file.pipe(res);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Move an applicant along the review pipeline
+const applicationStatusBody = schema({ status: oneOf(APPLICATION_STATUSES, { required: true }) });
+
+app.patch('/api/employer/applications/:id/status', validateRequest({ params: idParams, body: applicationStatusBody }), async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT applications.status FROM applications JOIN jobs ON jobs.id = applications.jobId
+                  WHERE applications.id = ? AND jobs.ownerId = ?`,
+            args: [id, req.user.id]
+        });
+        if (!rows[0]) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        const current = rows[0].status;
+        if (!APPLICATION_TRANSITIONS[current].includes(status)) {
+            return res.status(409).json({ error: `Cannot move an applicant from ${current} to ${status}`, status: current });
+        }
+
+        await db.batch([
+            { sql: "UPDATE applications SET status = ?, statusUpdatedAt = CURRENT_TIMESTAMP WHERE id = ?", args: [status, id] },
+            { sql: "INSERT INTO application_changes (applicationId, status) VALUES (?, ?)", args: [id, status] }
+        ], 'write');
+        res.json({ id: Number(id), status, message: `Applicant marked ${status}.` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ==========================================
+// JOB ALERTS (saved searches + Web Push)
+// ==========================================
+// Devices register a push subscription together with their saved searches.
+// When a job is approved, every device with a matching search gets one
+// notification carrying the listing, so it can be opened offline.
+
+const push = createPushSender();
+
+const MAX_SAVED_SEARCHES = 20;
+// Push services accept about 4KB per message, encryption overhead included
+const MAX_ALERT_PAYLOAD_BYTES = 3000;
+const ALERT_DESCRIPTION_LENGTH = 1000;
+
+// A saved search uses the same criteria as GET /api/jobs
+const savedSearchSchema = schema({
+    key: string({ required: true, max: 64 }),
+    name: string({ max: 100 }),
+    q: jobSearchQuery.fields.q,
+    type: jobSearchQuery.fields.type,
+    category: jobSearchQuery.fields.category,
+    county: county(),
+    location: jobSearchQuery.fields.location,
+    minSalary: jobSearchQuery.fields.minSalary
+}, search => (['q', 'type', 'category', 'county', 'location', 'minSalary'].some(field => search[field] != null)
+    ? null
+    : { q: 'Give a keyword or at least one filter' }));
+
+const alertsBody = schema({
+    endpoint: string({ required: true, max: 1000 }),
+    p256dh: string({ required: true, max: 200 }),
+    auth: string({ required: true, max: 100 }),
+    searches: array(object(savedSearchSchema), { required: true, max: MAX_SAVED_SEARCHES })
+}, body => {
+    // Public https push services only (see lib/push.js)
+    const problem = pushEndpointProblem(body.endpoint);
+    return problem ? { endpoint: problem } : null;
+});
+
+// The server's VAPID public key, which devices subscribe with
+app.get('/api/push/public-key', (req, res) => {
+    res.json({ publicKey: push.publicKey });
+});
+
+// Registers a device's push subscription and replaces its saved searches.
+// An empty list unsubscribes the device from alerts.
+app.put('/api/alerts', validateRequest({ body: alertsBody }), async (req, res) => {
+    const { endpoint, p256dh, auth: authSecret, searches } = req.body;
+    const subscriptionId = "(SELECT id FROM push_subscriptions WHERE endpoint = ?)";
+
+    try {
+        if (searches.length === 0) {
+            await db.batch([
+                { sql: `DELETE FROM saved_searches WHERE subscriptionId = ${subscriptionId}`, args: [endpoint] },
+                { sql: "DELETE FROM push_subscriptions WHERE endpoint = ?", args: [endpoint] }
+            ], 'write');
+            return res.json({ searches: 0, message: 'Job alerts turned off.' });
+        }
+
+        await db.batch([
+            {
+                sql: `INSERT INTO push_subscriptions (endpoint, p256dh, auth, userId) VALUES (?, ?, ?, ?)
+                      ON CONFLICT(endpoint) DO UPDATE SET p256dh = excluded.p256dh, auth = excluded.auth,
+                          userId = COALESCE(excluded.userId, push_subscriptions.userId)`,
+                args: [endpoint, p256dh, authSecret, req.user ? req.user.id : null]
+            },
+            { sql: `DELETE FROM saved_searches WHERE subscriptionId = ${subscriptionId}`, args: [endpoint] },
+            ...searches.map(search => ({
+                sql: `INSERT INTO saved_searches (subscriptionId, clientKey, name, q, ftsQuery, type, category, county, location, minSalary)
+                      VALUES (${subscriptionId}, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                      ON CONFLICT(subscriptionId, clientKey) DO NOTHING`,
+                args: [endpoint, search.key, search.name ?? null, search.q ?? null, search.q ? toFtsQuery(search.q) || null : null,
+                    search.type ?? null, search.category ?? null, search.county ?? null, search.location ?? null, search.minSalary ?? null]
+            }))
+        ], 'write');
+        res.json({ searches: searches.length, message: 'Job alerts updated.' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// What a device receives for a new job: the notification text plus the
+// listing itself for its offline cache, when it fits
+function alertPayload(job, searchName) {
+    const truncated = Boolean(job.description && job.description.length > ALERT_DESCRIPTION_LENGTH);
+    const payload = {
+        title: `New job: ${job.title}`,
+        body: [`${job.company} · ${job.location}`, taxonomy.formatSalary(job), searchName && `Matches "${searchName}"`]
+            .filter(Boolean).join('\n'),
+        tag: `job-${job.id}`,
+        url: `/?job=${job.id}`,
+        jobId: job.id,
+        // Only the whole listing is signed, so a shortened one can't be shared in job packs
+        job: truncated
+            ? { ...job, description: `${job.description.slice(0, ALERT_DESCRIPTION_LENGTH)}…` }
+            : publishedJob(job)
+    };
+    if (Buffer.byteLength(JSON.stringify(payload)) > MAX_ALERT_PAYLOAD_BYTES) {
+        delete payload.job;
+    }
+    return payload;
+}
+
+// Notifies every device with a saved search matching a newly approved job.
+// A device is sent at most one alert per job, however many of its searches match.
+async function sendJobAlerts(jobId) {
+    const { rows: jobs } = await db.execute({
+        sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE id = ? AND status = 'approved'`,
+        args: [jobId]
+    });
+    const job = jobs[0];
+    if (!job) return;
+
+    // Same rules as GET /api/jobs, applied to this one job
+    const { rows: subscriptions } = await db.execute({
+        sql: `SELECT push_subscriptions.id, endpoint, p256dh, auth, MIN(saved_searches.name) AS searchName
+              FROM saved_searches
+              JOIN push_subscriptions ON push_subscriptions.id = saved_searches.subscriptionId
+              JOIN jobs ON jobs.id = ?
+              WHERE (saved_searches.type IS NULL OR saved_searches.type = jobs.type)
+                AND (saved_searches.category IS NULL OR saved_searches.category = jobs.category)
+                AND (saved_searches.county IS NULL OR saved_searches.county = jobs.county)
+                AND (saved_searches.location IS NULL OR jobs.location LIKE '%' || saved_searches.location || '%')
+                AND (saved_searches.minSalary IS NULL OR jobs.salaryMax >= saved_searches.minSalary)
+                AND (saved_searches.ftsQuery IS NULL OR EXISTS (
+                    SELECT 1 FROM jobs_fts WHERE jobs_fts MATCH saved_searches.ftsQuery AND jobs_fts.rowid = jobs.id))
+                AND NOT EXISTS (SELECT 1 FROM job_alerts_sent
+                    WHERE job_alerts_sent.jobId = jobs.id AND job_alerts_sent.subscriptionId = push_subscriptions.id)
+              GROUP BY push_subscriptions.id`,
+        args: [jobId]
+    });
+
+    let alerted = 0;
+    for (const subscription of subscriptions) {
+        // Claim the alert first so a repeated approve can't send it twice
+        const claim = await db.execute({
+            sql: "INSERT INTO job_alerts_sent (jobId, subscriptionId) VALUES (?, ?) ON CONFLICT DO NOTHING",
+            args: [job.id, subscription.id]
+        });
+        if (claim.rowsAffected === 0) continue;
+
+        try {
+            const result = await push.send(
+                { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                alertPayload(job, subscription.searchName)
+            );
+            if (result.ok) {
+                alerted++;
+            } else if (result.gone) {
+                // The browser dropped the subscription; forget the device
+                await db.batch([
+                    { sql: "DELETE FROM saved_searches WHERE subscriptionId = ?", args: [subscription.id] },
+                    { sql: "DELETE FROM job_alerts_sent WHERE subscriptionId = ?", args: [subscription.id] },
+                    { sql: "DELETE FROM push_subscriptions WHERE id = ?", args: [subscription.id] }
+                ], 'write');
+            } else {
+                console.warn(`Push service refused job ${job.id} alert (HTTP ${result.status}): ${subscription.endpoint}`);
+            }
+        } catch (err) {
+            console.error(`Failed to send job ${job.id} alert:`, err.message);
+        }
+    }
+    if (alerted > 0) {
+        console.log(`Job ${job.id}: alerted ${alerted} device(s).`);
+    }
+}
+
+// ==========================================
+// SMS / USSD GATEWAY (feature phones)
+// ==========================================
+// Webhooks in Africa's Talking's callback format, so seekers without a
+// smartphone can browse open jobs, apply and get SMS job alerts:
+//   POST /api/gateway/ussd  one step of a USSD session, answered "CON <menu>" or "END <message>"
+//   POST /api/gateway/sms   an incoming SMS keyword command, answered by SMS
+// Both take form-encoded bodies. Set GATEWAY_SECRET and add ?secret=<it> to
+// the callback URLs so nobody else can call them; in production the gateway
+// is closed until it is set. Each phone number is rate limited, since every
+// SMS reply costs money.
+
+const gatewayBody = bodyParser.urlencoded({ extended: false });
+
+// A USSD screen holds 182 characters
+const USSD_MAX_LENGTH = 182;
+const USSD_JOBS_PER_PAGE = 3;
+// Type-of-work menu choices 1-4; null is any
+const USSD_JOB_TYPES = [null, ...JOB_TYPES];
+const SMS_JOBS_LIMIT = 3;
+// The newest open jobs an SMS job list is picked from, best suited first
+const SMS_RANKING_POOL = 50;
+
+function requireGatewaySecret(req, res, next) {
+    const secret = process.env.GATEWAY_SECRET;
+    if (!secret && process.env.NODE_ENV === 'production') {
+        console.error('GATEWAY_SECRET is not set: refusing SMS/USSD gateway calls.');
+        return res.status(503).type('text/plain').send('Gateway not configured');
+    }
+    if (secret && req.query.secret !== secret) {
+        return res.status(403).type('text/plain').send('Forbidden');
+    }
+    next();
+}
+
+// Shortens text to fit a small screen (ASCII only, so the gateway keeps the 7-bit encoding)
+function clip(text, length) {
+    return text.length > length ? `${text.slice(0, length - 2)}..` : text;
+}
+
+function describeJobFilter({ county, type }) {
+    return `${type ? `${type} ` : ''}jobs${county ? ` in ${county}` : ''}`;
+}
+
+// Open listings for the phone channels, newest first
+async function findOpenJobs({ county = null, type = null, limit, offset = 0 }) {
+    const where = ["status = 'approved'", "(expiresAt IS NULL OR expiresAt > ?)"];
+    const args = [sqlTimestamp()];
+    if (county) { where.push('county = ?'); args.push(county); }
+    if (type) { where.push('type = ?'); args.push(type); }
+    const { rows } = await db.execute({
+        sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        args: [...args, limit, offset]
+    });
+    return rows;
+}
+
+async function findOpenJob(id) {
+    const { rows } = await db.execute({
+        sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE id = ? AND status = 'approved' AND (expiresAt IS NULL OR expiresAt > ?)`,
+        args: [id, sqlTimestamp()]
+    });
+    return rows[0] || null;
+}
+
+// Applies for a job on behalf of the phone number; the employer calls back.
+// Resolves with the confirmation to show the seeker.
+async function applyByPhone(job, { phone, name, channel, submissionKey }) {
+    const { rows } = await db.execute({ sql: "SELECT id FROM users WHERE phone = ?", args: [phone] });
+    await insertApplication({
+        jobId: job.id,
+        jobTitle: job.title,
+        applicantName: sanitizeText(name).trim(),
+        applicantPhone: phone,
+        applicantNotes: `Applied by ${channel} from a feature phone.`,
+        submissionKey,
+        userId: rows[0] ? rows[0].id : null
+    });
+    return `Application sent for ${job.title} at ${job.company}. The employer will call you on ${phone.replace('+254', '0')} if you are shortlisted.`;
+}
+
+async function subscribeSmsAlerts(phone, { county, type }) {
+    await db.execute({
+        sql: `INSERT INTO sms_subscriptions (phone, county, type) VALUES (?, ?, ?)
+              ON CONFLICT(phone) DO UPDATE SET county = excluded.county, type = excluded.type, createdAt = CURRENT_TIMESTAMP`,
+        args: [phone, county, type]
+    });
+    return `You will get an SMS when new ${describeJobFilter({ county, type })} are posted. Reply STOP to end alerts.`;
+}
+
+async function unsubscribeSmsAlerts(phone) {
+    await db.execute({ sql: "DELETE FROM sms_subscriptions WHERE phone = ?", args: [phone] });
+    return 'You will not get any more job alerts. Reply ALERTS <county> to start again.';
+}
+
+function jobDetailsSms(job) {
+    return [
+        `${job.title} (job #${job.id})`,
+        `${job.company}, ${job.location}`,
+        taxonomy.formatSalary(job),
+        clip(job.description || '', 600),
+        `Reply APPLY ${job.id} <your name> to apply.`
+    ].join('\n');
+}
+
+// `skills` are the subscriber's skills the job asks for, if any
+function jobAlertSms(job, skills = []) {
+    return `KaziConnect: new job #${job.id} ${job.title} at ${job.company}, ${job.location}. ${taxonomy.formatSalary(job)}. ` +
+        `${skills.length > 0 ? `Matches your skills: ${skills.join(', ')}. ` : ''}` +
+        `Reply APPLY ${job.id} <your name> to apply, or STOP to end alerts.`;
+}
+
+// Menu input "1".."count" as a list index, or -1
+function ussdChoice(input, count) {
+    const index = /^\d+$/.test(input) ? Number(input) - 1 : -1;
+    return index < count ? index : -1;
+}
+
+async function ussdJobPage(state) {
+    const rows = await findOpenJobs({
+        county: state.county,
+        type: state.type,
+        limit: USSD_JOBS_PER_PAGE + 1,
+        offset: state.page * USSD_JOBS_PER_PAGE
+    });
+    return { jobs: rows.slice(0, USSD_JOBS_PER_PAGE), hasMore: rows.length > USSD_JOBS_PER_PAGE };
+}
+
+const JOB_CLOSED_USSD = 'END Sorry, this job is no longer taking applications.';
+
+/**
+ * The USSD menu. Each screen renders itself from its state, and `next` turns
+ * the user's input into the state of the screen it leads to (or null if the
+ * input isn't a valid choice). Screens without `next` end the session.
+ */
+const USSD_SCREENS = {
+    home: {
+        render: () => 'CON Karibu KaziConnect\n1. Browse jobs\n2. SMS job alerts',
+        next: input => ({ 1: { screen: 'county', purpose: 'browse' }, 2: { screen: 'alerts' } })[input]
+    },
+
+    county: {
+        render: () => 'CON Which county? Type its name, e.g. Siaya\n1. All counties\n0. Back',
+        next: (input, state) => {
+            if (input === '1') return { ...state, screen: 'type', county: null };
+            const county = taxonomy.normalizeCounty(input);
+            return county && { ...state, screen: 'type', county };
+        }
+    },
+
+    type: {
+        render: () => 'CON Type of work?\n1. Any\n2. Urban\n3. Rural\n4. Remote\n0. Back',
+        next: (input, state) => {
+            const index = ussdChoice(input, USSD_JOB_TYPES.length);
+            if (index < 0) return null;
+            return { ...state, screen: state.purpose === 'browse' ? 'jobs' : 'subscribe', type: USSD_JOB_TYPES[index], page: 0 };
+        }
+    },
+
+    jobs: {
+        async render(state) {
+            const { jobs, hasMore } = await ussdJobPage(state);
+            const filter = describeJobFilter(state);
+            if (jobs.length === 0) return `CON No open ${filter} right now.\n0. Back`;
+            const lines = jobs.map((job, i) => `${i + 1}. ${clip(job.title, 28)}, ${clip(job.location, 16)}`);
+            return `CON ${filter[0].toUpperCase()}${filter.slice(1)}:\n${lines.join('\n')}${hasMore ? '\n9. More' : ''}\n0. Back`;
+        },
+        async next(input, state) {
+            const { jobs, hasMore } = await ussdJobPage(state);
+            if (input === '9' && hasMore) return { ...state, page: state.page + 1 };
+            const index = ussdChoice(input, jobs.length);
+            return index >= 0 ? { ...state, screen: 'job', jobId: jobs[index].id } : null;
+        }
+    },
+
+    job: {
+        async render(state) {
+            const job = await findOpenJob(state.jobId);
+            if (!job) return JOB_CLOSED_USSD;
+            return `CON ${clip(job.title, 40)}\n${clip(`${job.company}, ${job.location}`, 50)}\n${taxonomy.formatSalary(job)}\n` +
+                '1. Apply\n2. Send me the details by SMS\n0. Back';
+        },
+        next: (input, state) => ({ 1: { ...state, screen: 'applyName' }, 2: { ...state, screen: 'smsDetails' } })[input]
+    },
+
+    applyName: {
+        render: () => 'CON Enter your name to apply\n0. Back',
+        next: (input, state) => (input.length >= 2 && input.length <= 100 ? { ...state, screen: 'apply', name: input } : null)
+    },
+
+    async apply(state, session) {
+        const job = await findOpenJob(state.jobId);
+        if (!job) return JOB_CLOSED_USSD;
+        const confirmation = await applyByPhone(job, {
+            phone: session.phone,
+            name: state.name,
+            channel: 'USSD',
+            submissionKey: `ussd:${session.sessionId}`
+        });
+        return `END ${confirmation}`;
+    },
+
+    async smsDetails(state, session) {
+        const job = await findOpenJob(state.jobId);
+        if (!job) return JOB_CLOSED_USSD;
+        await sms.send(session.phone, jobDetailsSms(job));
+        return 'END We have sent you the job details by SMS.';
+    },
+
+    alerts: {
+        async render(state, session) {
+            const { rows } = await db.execute({ sql: "SELECT county, type FROM sms_subscriptions WHERE phone = ?", args: [session.phone] });
+            const current = rows[0] ? `You get SMS alerts for ${describeJobFilter(rows[0])}.` : 'Get an SMS when new jobs are posted.';
+            return `CON ${current}\n1. Choose alerts\n2. Stop alerts\n0. Back`;
+        },
+        next: input => ({ 1: { screen: 'county', purpose: 'alerts' }, 2: { screen: 'unsubscribe' } })[input]
+    },
+
+    subscribe: async (state, session) => `END ${await subscribeSmsAlerts(session.phone, state)}`,
+
+    unsubscribe: async (state, session) => `END ${await unsubscribeSmsAlerts(session.phone)}`
+};
+
+// The gateway sends everything entered in the session so far ("1*Siaya*2"),
+// so replay it from the main menu to find the current screen. "0" goes back.
+async function ussdResponse(text, session) {
+    const stack = [{ screen: 'home' }];
+    let invalid = false;
+
+    for (const input of text ? text.split('*') : []) {
+        const current = stack[stack.length - 1];
+        if (input === '0' && stack.length > 1) {
+            stack.pop();
+            invalid = false;
+            continue;
+        }
+        const screen = USSD_SCREENS[current.screen];
+        const next = screen.next ? await screen.next(input.trim(), current) : null;
+        invalid = !next;
+        if (next) stack.push(next);
+    }
+
+    const state = stack[stack.length - 1];
+    const screen = USSD_SCREENS[state.screen];
+    const response = await (typeof screen === 'function' ? screen(state, session) : screen.render(state, session));
+    return clip(invalid ? response.replace(/^CON /, 'CON Invalid choice, try again.\n') : response, USSD_MAX_LENGTH);
+}
+
+app.post('/api/gateway/ussd', requireGatewaySecret, gatewayBody, rateLimit('ussdPerPhone', req => normalizePhone(req.body.phoneNumber)), async (req, res) => {
+    const { sessionId, phoneNumber, text } = req.body;
+    const phone = normalizePhone(phoneNumber);
+    res.type('text/plain');
+
+    if (!phone || typeof sessionId !== 'string') {
+        return res.send('END Sorry, KaziConnect is only available on Kenyan mobile numbers.');
+    }
+    try {
+        res.send(await ussdResponse(typeof text === 'string' ? text : '', { phone, sessionId }));
+    } catch (err) {
+        console.error('USSD request failed:', err);
+        res.send('END Sorry, something went wrong. Please try again later.');
+    }
+});
+
+// SMS keywords, in English and Swahili
+const SMS_COMMANDS = {
+    JOBS: 'jobs', KAZI: 'jobs',
+    APPLY: 'apply', OMBA: 'apply',
+    ALERTS: 'alerts', ALERT: 'alerts',
+    STOP: 'stop', ACHA: 'stop'
+};
+const SMS_HELP = 'KaziConnect: reply JOBS <county> to see jobs, APPLY <job number> <your name> to apply, ' +
+    'ALERTS <county> for new job alerts, or STOP to end alerts.';
+
+// "<county> [type]" as in "Homa Bay rural". No county, or "all", means any.
+function parseJobFilter(words) {
+    const last = (words[words.length - 1] || '').toLowerCase();
+    const type = JOB_TYPES.includes(last) ? last : null;
+    const place = (type ? words.slice(0, -1) : words).join(' ');
+    if (!place || /^(all|any|zote)$/i.test(place)) return { county: null, type };
+    const county = taxonomy.normalizeCounty(place);
+    return county ? { county, type } : null;
+}
+
+async function smsCommandReply(text, { phone, messageId }) {
+    const [keyword = '', ...words] = text.trim().split(/\s+/);
+
+    switch (SMS_COMMANDS[keyword.toUpperCase()]) {
+        case 'jobs': {
+            const filter = parseJobFilter(words);
+            if (!filter) return `Sorry, "${words.join(' ')}" is not a county we know. ${SMS_HELP}`;
+            const model = await seekerModelForPhone(phone);
+            const jobs = KaziRecommend.rankJobs(await findOpenJobs({ ...filter, limit: SMS_RANKING_POOL }), model)
+                .slice(0, SMS_JOBS_LIMIT)
+                .map(result => result.job);
+            if (jobs.length === 0) {
+                return `No open ${describeJobFilter(filter)} right now. Reply ALERTS ${words.join(' ') || 'ALL'} to hear about new ones.`;
+            }
+            return [
+                `KaziConnect ${describeJobFilter(filter)}:`,
+                ...jobs.map(job => `#${job.id} ${job.title}, ${job.company}, ${job.location}, ${taxonomy.formatSalary(job)}`),
+                'Reply APPLY <job number> <your name> to apply.'
+            ].join('\n');
+        }
+        case 'apply': {
+            const jobId = Number((words[0] || '').replace(/^#/, ''));
+            const name = words.slice(1).join(' ');
+            if (!Number.isInteger(jobId) || jobId < 1 || name.length < 2 || name.length > 100) {
+                return 'To apply, reply APPLY <job number> <your name>, e.g. APPLY 12 Akinyi Otieno';
+            }
+            const job = await findOpenJob(jobId);
+            if (!job) return `Sorry, job #${jobId} is not taking applications.`;
+            return applyByPhone(job, { phone, name, channel: 'SMS', submissionKey: messageId ? `sms:${messageId}` : null });
+        }
+        case 'alerts': {
+            const filter = parseJobFilter(words);
+            if (!filter) return `Sorry, "${words.join(' ')}" is not a county we know. Reply e.g. ALERTS Siaya or ALERTS Kisumu rural.`;
+            return subscribeSmsAlerts(phone, filter);
+        }
+        case 'stop':
+            return unsubscribeSmsAlerts(phone);
+        default:
+            return SMS_HELP;
+    }
+}
+
+app.post('/api/gateway/sms', requireGatewaySecret, gatewayBody, rateLimit('smsPerPhone', req => normalizePhone(req.body.from)), async (req, res) => {
+    const { from, text, id } = req.body;
+    const phone = normalizePhone(from);
+    if (!phone || typeof text !== 'string') {
+        return res.status(400).type('text/plain').send('Expected a Kenyan sender number and text');
+    }
+    try {
+        await sms.send(phone, await smsCommandReply(text, { phone, messageId: typeof id === 'string' ? id : null }));
+        res.status(200).end();
+    } catch (err) {
+        console.error('Incoming SMS failed:', err);
+        res.status(500).end();
+    }
+});
+
+// Texts every SMS subscriber whose county and type match a newly approved job
+async function sendSmsJobAlerts(jobId) {
+    const { rows: jobs } = await db.execute({
+        sql: `SELECT ${PUBLIC_JOB_SELECT} FROM jobs WHERE id = ? AND status = 'approved'`,
+        args: [jobId]
+    });
+    const job = jobs[0];
+    if (!job) return;
+
+    const { rows: subscribers } = await db.execute({
+        sql: `SELECT sms_subscriptions.phone FROM sms_subscriptions JOIN jobs ON jobs.id = ?
+              WHERE (sms_subscriptions.county IS NULL OR sms_subscriptions.county = jobs.county)
+                AND (sms_subscriptions.type IS NULL OR sms_subscriptions.type = jobs.type)
+                AND NOT EXISTS (SELECT 1 FROM sms_alerts_sent
+                    WHERE sms_alerts_sent.jobId = jobs.id AND sms_alerts_sent.phone = sms_subscriptions.phone)`,
+        args: [jobId]
+    });
+
+    if (subscribers.length === 0) return;
+
+    const models = await seekerModelsForPhones(subscribers.map(row => row.phone));
+    let texted = 0;
+    for (const { phone: subscriber } of subscribers) {
+        // Claim the alert first so a repeated approve can't send it twice
+        const claim = await db.execute({
+            sql: "INSERT INTO sms_alerts_sent (jobId, phone) VALUES (?, ?) ON CONFLICT DO NOTHING",
+            args: [job.id, subscriber]
+        });
+        if (claim.rowsAffected === 0) continue;
+        try {
+            const { skills } = KaziRecommend.scoreJob(job, models.get(subscriber));
+            await sms.send(subscriber, jobAlertSms(job, skills));
+            texted++;
+        } catch (err) {
+            console.error(`Failed to text job ${job.id} alert:`, err.message);
+        }
+    }
+    if (texted > 0) {
+        console.log(`Job ${job.id}: texted ${texted} SMS subscriber(s).`);
+    }
+}
+
+// ==========================================
+// ADMIN API ENDPOINTS (moderators and admins)
+// ==========================================
+
+app.use('/api/admin', requireRole('admin', 'moderator'));
+
+// A job row for moderators, with the reasons it is held as a list
+function moderatedJob(job) {
+    return { ...job, holdReasons: job.holdReasons ? JSON.parse(job.holdReasons) : null };
+}
+
+// Get ALL jobs including pending (admin view); held=true lists only the
+// pending jobs held for scam signals or reports
+const adminJobsQuery = schema({ held: oneOf(['true', 'false']) });
+
+app.get('/api/admin/jobs', validateRequest({ query: adminJobsQuery }), async (req, res) => {
+    const held = req.query.held === 'true';
+    try {
+        const { rows } = await db.execute(`
+            SELECT jobs.*, (SELECT COUNT(*) FROM job_reports WHERE job_reports.jobId = jobs.id) as reportCount
+            FROM jobs ${held ? "WHERE status = 'pending' AND holdReasons IS NOT NULL" : ''}
+            ORDER BY id DESC`);
+        res.json(rows.map(moderatedJob));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reports seekers have made about a job, newest first
+app.get('/api/admin/jobs/:id/reports', validateRequest({ params: idParams }), async (req, res) => {
+    try {
+        const { rows } = await db.execute({
+            sql: "SELECT id, reason, details, userId, createdAt FROM job_reports WHERE jobId = ? ORDER BY id DESC",
+            args: [req.params.id]
+        });
+        res.json(rows.map(report => ({ ...report, reasonLabel: taxonomy.JOB_REPORT_REASONS[report.reason] })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Statuses a moderator can approve a job from
+const APPROVABLE_JOB_STATUSES = ['pending', 'changes_requested'];
+
+// Approve a pending job. Approving it again is refused (409), so a live
+// listing's expiry date isn't pushed back and seekers aren't alerted twice.
+app.patch('/api/admin/jobs/:id/approve', validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    const tx = await db.transaction('write');
+    try {
+        const result = await tx.execute({
+            sql: `UPDATE jobs SET status = 'approved', moderationReason = NULL, holdReasons = NULL, moderatedAt = CURRENT_TIMESTAMP
+                  WHERE id = ? AND status IN (${APPROVABLE_JOB_STATUSES.map(() => '?').join(', ')})`,
+            args: [id, ...APPROVABLE_JOB_STATUSES]
+        });
+        if (result.rowsAffected === 0) {
+            await tx.rollback();
+            const { rows: [job] } = await db.execute({ sql: "SELECT status FROM jobs WHERE id = ?", args: [id] });
+            return job
+                ? res.status(409).json({ error: `Job ${id} is ${job.status} and can't be approved`, status: job.status })
+                : res.status(404).json({ error: 'Job not found' });
+        }
+        await tx.batch([
+            expiryStatement(id),
+            jobChangeStatement(id),
+            auditStatement(req.user, 'approve', 'job', id)
+        ]);
+        await tx.commit();
+        res.json({ message: `Job ${id} approved successfully.` });
+
+        // Alerts go out after the response; a slow push service or SMS gateway shouldn't hold up moderation
+        sendJobAlerts(id).catch(err => console.error(`Job ${id} alerts failed:`, err));
+        sendSmsJobAlerts(id).catch(err => console.error(`Job ${id} SMS alerts failed:`, err));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        tx.close();
+    }
+});
+
+// Moderation outcomes that send a job back to the employer with a reason
+const MODERATION_OUTCOMES = {
+    reject: { status: 'rejected', action: 'reject', message: 'rejected' },
+    'request-changes': { status: 'changes_requested', action: 'request_changes', message: 'sent back for changes' }
+};
+
+// Reject a pending job, or ask the employer for changes. Either way the reason
+// is kept for the employer to see. Only pending jobs can be: a live listing
+// comes back here once reports send it back to pending.
+const moderationParams = schema({ ...idParams.fields, outcome: oneOf(Object.keys(MODERATION_OUTCOMES), { required: true }) });
+const moderationBody = schema({ reason: string({ required: true, max: 500 }) });
+
+app.patch('/api/admin/jobs/:id/:outcome(reject|request-changes)', validateRequest({ params: moderationParams, body: moderationBody }), async (req, res) => {
+    const { id, outcome } = req.params;
+    const { status, action, message } = MODERATION_OUTCOMES[outcome];
+    const { reason } = req.body;
+
+    const tx = await db.transaction('write');
+    try {
+        const result = await tx.execute({
+            sql: "UPDATE jobs SET status = ?, moderationReason = ?, moderatedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+            args: [status, reason, id]
+        });
+        if (result.rowsAffected === 0) {
+            await tx.rollback();
+            const { rows: [job] } = await db.execute({ sql: "SELECT status FROM jobs WHERE id = ?", args: [id] });
+            return job
+                ? res.status(409).json({ error: `Job ${id} is ${job.status} and can't be ${message}`, status: job.status })
+                : res.status(404).json({ error: 'Job not found' });
+        }
+        await tx.execute(auditStatement(req.user, action, 'job', id, { reason }));
+        await tx.commit();
+        res.json({ message: `Job ${id} ${message}.` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        tx.close();
+    }
+});
+
+// Edit a job's listing text (e.g. fix a typo before approving).
+// Only the fields sent change; blank optional fields are cleared, but the
+// title, company, location and description can't be blanked.
+const adminJobEditSchema = partial(schema({
+    ...jobSchema.fields,
+    description: string({ required: true, max: 5000, multiline: true })
+}, jobSchema.check));
+
+app.patch('/api/admin/jobs/:id', validateRequest({ params: idParams, body: adminJobEditSchema }), async (req, res) => {
+    const { id } = req.params;
+    const fields = Object.keys(req.body);
+
+    if (fields.length === 0) {
+        return res.status(400).json({ error: `Nothing to update. Editable fields: ${Object.keys(jobSchema.fields).join(', ')}` });
+    }
+
+    try {
+        const { rows } = await db.execute({ sql: "SELECT * FROM jobs WHERE id = ?", args: [id] });
+        const job = rows[0];
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const value = field => req.body[field];
+
+        const changes = {};
+        fields.forEach(field => {
+            changes[field] = { from: job[field], to: value(field) };
+        });
+
+        const updates = fields.map(field => [field, value(field)]);
+        if (fields.includes('salary') && !fields.includes('salaryMin') && !fields.includes('salaryMax')) {
+            const range = parseSalaryRange(value('salary'));
+            updates.push(['salaryMin', range.min], ['salaryMax', range.max]);
+        }
+
+        await db.batch([
+            {
+                sql: `UPDATE jobs SET ${updates.map(([field]) => `${field} = ?`).join(', ')}, version = version + 1 WHERE id = ?`,
+                args: [...updates.map(([, value]) => value), id]
+            },
+            expiryStatement(id),
+            jobChangeStatement(id),
+            auditStatement(req.user, 'edit', 'job', id, changes)
+        ], 'write');
+        res.json({ message: `Job ${id} updated.` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Permanently remove a job, e.g. spam (admins only; moderators reject instead)
+app.delete('/api/admin/jobs/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+    try {
+        // Record the tombstone and audit entry before the row disappears
+        const [, , result] = await db.batch([
+            jobChangeStatement(id),
+            auditStatement(req.user, 'delete', 'job', id),
+            { sql: "DELETE FROM jobs WHERE id = ?", args: [id] }
+        ], 'write');
+        if (result.rowsAffected === 0) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ message: `Job ${id} deleted.` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// List users, optionally by role (admins only)
+app.get('/api/admin/users', requireRole('admin'), validateRequest({ query: schema({ role: oneOf(auth.ROLES) }) }), async (req, res) => {
+    try {
+        const { rows } = req.query.role
+            ? await db.execute({ sql: "SELECT * FROM users WHERE role = ? ORDER BY id", args: [req.query.role] })
+            : await db.execute("SELECT * FROM users ORDER BY id");
+        res.json(rows.map(auth.publicUser));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Grant or revoke moderator/admin rights (admins only)
+const roleBody = schema({ role: oneOf(auth.ROLES, { required: true }) });
+
+app.patch('/api/admin/users/:id/role', requireRole('admin'), validateRequest({ params: idParams, body: roleBody }), async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    try {
+        const { rows } = await db.execute({ sql: "SELECT role FROM users WHERE id = ?", args: [id] });
+        if (!rows[0]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await db.batch([
+            { sql: "UPDATE users SET role = ? WHERE id = ?", args: [role, id] },
+            auditStatement(req.user, 'role_change', 'user', id, { from: rows[0].role, to: role })
+        ], 'write');
+        res.json({ message: `User ${id} is now ${role}.` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Query the audit log, newest first.
+// Filters: entityType, entityId, actorId, action; page with `before` (an entry id) and `limit`.
+const auditLogQuery = schema({
+    entityType: oneOf(['job', 'user']),
+    entityId: integer({ min: 1 }),
+    actorId: integer({ min: 1 }),
+    action: string({ max: 40 }),
+    before: integer({ min: 1 }),
+    limit: integer({ min: 1, max: 200 })
+});
+
+app.get('/api/admin/audit-log', validateRequest({ query: auditLogQuery }), async (req, res) => {
+    const { entityType, entityId, actorId, action, before } = req.query;
+    const limit = req.query.limit ?? 50;
+
+    const where = [];
+    const args = [];
+    if (entityType) { where.push('audit_log.entityType = ?'); args.push(entityType); }
+    if (entityId) { where.push('audit_log.entityId = ?'); args.push(entityId); }
+    if (actorId) { where.push('audit_log.actorId = ?'); args.push(actorId); }
+    if (action) { where.push('audit_log.action = ?'); args.push(action); }
+    if (before) { where.push('audit_log.id < ?'); args.push(before); }
+
+    try {
+        const { rows } = await db.execute({
+            sql: `SELECT audit_log.*, users.phone as actorPhone, users.name as actorName
+                  FROM audit_log JOIN users ON users.id = audit_log.actorId
+                  ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                  ORDER BY audit_log.id DESC LIMIT ?`,
+            args: [...args, limit]
+        });
+        res.json(rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Unknown API routes and unreadable bodies answer in the same JSON shape as
+// everything else, rather than Express's HTML pages
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No such endpoint: ${req.method} ${req.originalUrl}` });
+});
+
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+    }
+    next(err);
+});
+
+// Start server (the tests load the app without starting it, see test/helpers.js)
+if (require.main === module) {
+    // Bring the schema up to date before serving anything
+    migrateUp(db)
+        .then(async () => {
+            await seedDb();
+            await expireJobs();
+            setInterval(() => {
+                expireJobs().catch(err => console.error('Job expiry sweep failed:', err));
+                pruneRateLimits().catch(err => console.error('Rate limit cleanup failed:', err));
+                pruneAttachments().catch(err => console.error('Attachment cleanup failed:', err));
+            }, JOB_EXPIRY_SWEEP_MS);
+
+            app.listen(PORT, () => {
+                console.log(`Server is running on http://localhost:${PORT}`);
+            });
+        })
+        .catch(err => {
+            console.error('Failed to initialize database:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = { app, db, seedDb, expireJobs };
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, useRealRateLimits, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 002 001');
+});
+test.after(() => api.close());
+
+const LISTING = { title: 'Shop attendant', company: 'Duka Bora', location: 'Kisumu', type: 'urban' };
+
+async function postJob(fields = {}, token = employer.token) {
+    return api.request('POST', '/api/jobs', { token, body: { ...LISTING, ...fields } });
+}
+
+test('posting a job needs a signed-in employer', async () => {
+    const { status } = await api.request('POST', '/api/jobs', { body: LISTING });
+    assert.equal(status, 401);
+});
+
+test('a post with scam signals is held with its reasons', async () => {
+    const { status, body } = await postJob({ description: 'Pay a registration fee of KES 500 to secure your slot.' });
+    assert.equal(status, 201);
+
+    const held = await api.request('GET', '/api/admin/jobs?held=true', { token: admin.token });
+    const job = held.body.find(listing => listing.id === body.id);
+    assert.deepEqual(job.holdReasons, ['Asks applicants to pay a fee']);
+
+    const { body: honest } = await postJob();
+    assert.ok(!held.body.some(listing => listing.id === honest.id));
+});
+
+test('reports from three people take a live job back to moderation', async () => {
+    const { body: posted } = await postJob({ title: 'Packer' });
+    await api.request('PATCH', `/api/admin/jobs/${posted.id}/approve`, { token: admin.token });
+    // Only reports made after the last moderation count, to the second
+    await api.db.execute({ sql: "UPDATE jobs SET moderatedAt = datetime('now', '-1 minute') WHERE id = ?", args: [posted.id] });
+
+    for (const phone of ['0711 002 101', '0711 002 102', '0711 002 103']) {
+        const reporter = await api.signIn(phone);
+        // A second report from the same person doesn't add up
+        for (let i = 0; i < 2; i++) {
+            const { status } = await api.request('POST', `/api/jobs/${posted.id}/reports`, {
+                token: reporter.token,
+                body: { reason: 'fee', details: 'Asked me for KES 300' }
+            });
+            assert.equal(status, 201);
+        }
+        const { rows: [job] } = await api.db.execute({ sql: 'SELECT status FROM jobs WHERE id = ?', args: [posted.id] });
+        assert.equal(job.status, phone.endsWith('103') ? 'pending' : 'approved');
+    }
+
+    const { status, body: reports } = await api.request('GET', `/api/admin/jobs/${posted.id}/reports`, { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(reports.length, 6);
+    assert.equal(reports[0].reasonLabel, 'Asks for money to apply');
+});
+
+test('a resent report is answered with the original', async () => {
+    const body = { reason: 'scam', submissionKey: 'report-key-1' };
+    const first = await api.request('POST', '/api/jobs/1/reports', { body });
+    const replay = await api.request('POST', '/api/jobs/1/reports', { body });
+    assert.equal(first.status, 201);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.id, first.body.id);
+
+    assert.equal((await api.request('POST', '/api/jobs/999999/reports', { body: { reason: 'scam' } })).status, 404);
+});
+
+test('posting is limited per phone number', async () => {
+    useRealRateLimits();
+    const poster = await api.signIn('0711 002 201');
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+        statuses.push((await postJob({ title: `Cleaner ${i}` }, poster.token)).status);
+    }
+    assert.deepEqual(statuses, [201, 201, 201, 201, 201, 429]);
+
+    // Someone else on the same network can still post
+    assert.equal((await postJob({ title: 'Cook' })).status, 201);
+});
+
+test('sign-in codes are limited per phone number', async (t) => {
+    useRealRateLimits();
+    // A minute apart, so each one is past the wait between codes
+    const start = Date.now();
+    const now = t.mock.method(Date, 'now', () => start);
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+        now.mock.mockImplementation(() => start + i * 61e3);
+        statuses.push((await api.request('POST', '/api/auth/otp', { body: { phone: '0711 002 301' } })).status);
+    }
+    assert.deepEqual(statuses, [...Array(10).fill(200), 429]);
+    const refused = await api.request('POST', '/api/auth/otp', { body: { phone: '0711 002 301' } });
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    assert.match(refused.body.error, /Too many requests/);
+});
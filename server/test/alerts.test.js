@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+const { deriveContentKeys } = require('../lib/push');
+
+// The push service below is a local stand-in, which only this flag allows
+process.env.PUSH_ALLOW_LOCAL_ENDPOINTS = '1';
+
+let api;
+let admin;
+let employer;
+let pushService;
+let pushBase;
+// Decrypted alerts by device path, e.g. received['/drivers']
+const received = {};
+
+// A browser's side of a push subscription, able to read what it is sent
+function createDevice(path) {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    received[path] = [];
+    return {
+        path,
+        subscription: {
+            endpoint: `${pushBase}${path}`,
+            p256dh: ecdh.getPublicKey().toString('base64url'),
+            auth: authSecret.toString('base64url')
+        },
+        decrypt(body) {
+            const keyIdLength = body.readUInt8(20);
+            const asPublic = body.subarray(21, 21 + keyIdLength);
+            const record = body.subarray(21 + keyIdLength);
+            const { key, nonce } = deriveContentKeys({
+                sharedSecret: ecdh.computeSecret(asPublic),
+                authSecret,
+                uaPublic: ecdh.getPublicKey(),
+                asPublic,
+                salt: body.subarray(0, 16)
+            });
+            const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+            decipher.setAuthTag(record.subarray(record.length - 16));
+            const plaintext = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+            return JSON.parse(plaintext.subarray(0, plaintext.lastIndexOf(2)).toString());
+        }
+    };
+}
+
+const devices = {};
+
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 001 201');
+
+    // Local stand-in for a browser push service; /gone plays an expired subscription
+    pushService = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const device = devices[req.url];
+            if (device) received[req.url].push(device.decrypt(Buffer.concat(chunks)));
+            res.writeHead(req.url === '/gone' ? 410 : 201).end();
+        });
+    });
+    pushService.listen(0, '127.0.0.1');
+    await once(pushService, 'listening');
+    pushBase = `http://127.0.0.1:${pushService.address().port}`;
+});
+test.after(async () => {
+    pushService.close();
+    await api.close();
+});
+
+async function waitFor(check) {
+    for (let i = 0; i < 100; i++) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting');
+}
+
+async function subscribe(path, searches) {
+    devices[path] = devices[path] || createDevice(path);
+    return api.request('PUT', '/api/alerts', { body: { ...devices[path].subscription, searches } });
+}
+
+async function postAndApprove(title, fields = {}) {
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title, company: 'Haraka Logistics', location: 'Mombasa', type: 'urban', ...fields }
+    });
+    const approve = await api.request('PATCH', `/api/admin/jobs/${body.id}/approve`, { token: admin.token });
+    assert.equal(approve.status, 200);
+    return body.id;
+}
+
+test('publishes the VAPID public key', async () => {
+    const { body } = await api.request('GET', '/api/push/public-key');
+    assert.ok(body.publicKey);
+});
+
+test('a matching device is alerted once with the listing', async () => {
+    assert.equal((await subscribe('/drivers', [{ key: 's1', name: 'Drivers', q: 'driver' }])).status, 200);
+    assert.equal((await subscribe('/nairobi', [{ key: 's1', county: 'Nairobi' }])).status, 200);
+
+    const jobId = await postAndApprove('Lorry driver', { county: 'Mombasa' });
+    const [alert] = await waitFor(() => received['/drivers'].length > 0 && received['/drivers']);
+    assert.equal(alert.title, 'New job: Lorry driver');
+    assert.match(alert.body, /Matches "Drivers"/);
+    assert.equal(alert.job.id, jobId);
+
+    const { rows } = await api.db.execute({ sql: 'SELECT COUNT(*) as count FROM job_alerts_sent WHERE jobId = ?', args: [jobId] });
+    assert.equal(rows[0].count, 1);
+    assert.deepEqual(received['/nairobi'], []);
+});
+
+test('a device the push service forgot is removed', async () => {
+    await subscribe('/gone', [{ key: 's1', q: 'cashier' }]);
+    await postAndApprove('Cashier');
+    await waitFor(async () => {
+        const { rows } = await api.db.execute({ sql: 'SELECT id FROM push_subscriptions WHERE endpoint = ?', args: [`${pushBase}/gone`] });
+        return rows.length === 0;
+    });
+});
+
+test('an empty list of searches turns alerts off', async () => {
+    await subscribe('/off', [{ key: 's1', q: 'cook' }]);
+    assert.equal((await subscribe('/off', [])).status, 200);
+    const { rows } = await api.db.execute({ sql: 'SELECT id FROM push_subscriptions WHERE endpoint = ?', args: [`${pushBase}/off`] });
+    assert.deepEqual(rows, []);
+});
+
+test('rejects endpoints that are not push services and searches without criteria', async () => {
+    const device = createDevice('/invalid');
+    const plainHttp = await api.request('PUT', '/api/alerts', {
+        body: { ...device.subscription, endpoint: 'http://push.example.com/x', searches: [{ key: 's1', q: 'cook' }] }
+    });
+    assert.equal(plainHttp.status, 400);
+    assert.ok(plainHttp.body.fields.endpoint);
+
+    // Without the flag the local stand-in is refused like any private address
+    delete process.env.PUSH_ALLOW_LOCAL_ENDPOINTS;
+    try {
+        const local = await api.request('PUT', '/api/alerts', { body: { ...device.subscription, searches: [{ key: 's1', q: 'cook' }] } });
+        assert.equal(local.status, 400);
+        assert.equal(local.body.fields.endpoint, 'Must be an https push service URL');
+    } finally {
+        process.env.PUSH_ALLOW_LOCAL_ENDPOINTS = '1';
+    }
+
+    const noCriteria = await api.request('PUT', '/api/alerts', { body: { ...device.subscription, searches: [{ key: 's1' }] } });
+    assert.equal(noCriteria.status, 400);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let employer;
+let jobId;
+test.before(async () => {
+    api = await startServer();
+    employer = await api.signIn('0711 000 401');
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Driver', company: 'Sacco Movers', location: 'Mombasa', type: 'urban' }
+    });
+    jobId = body.id;
+
+    // Only approved jobs take applications
+    const admin = await api.signIn(ADMIN_PHONE);
+    await api.request('PATCH', `/api/admin/jobs/${jobId}/approve`, { token: admin.token });
+});
+test.after(() => api.close());
+
+async function apply(submissionKey, token) {
+    const { body } = await api.request('POST', '/api/applications', {
+        token,
+        body: { jobId, jobTitle: 'Driver', applicantName: 'Chebet', applicantPhone: '0722 111 222', applicantNotes: '', submissionKey }
+    });
+    return body;
+}
+
+async function moveTo(applicationId, status) {
+    return api.request('PATCH', `/api/employer/applications/${applicationId}/status`, { token: employer.token, body: { status } });
+}
+
+test('a device follows its applications by submission key', async () => {
+    const application = await apply('seeker-device-1');
+    assert.equal(application.status, 'new');
+
+    const { body: first } = await api.request('POST', '/api/applications/status-changes', {
+        body: { submissionKeys: ['seeker-device-1'] }
+    });
+    assert.deepEqual(first.changes.map(change => [change.id, change.status]), [[application.id, 'new']]);
+
+    await moveTo(application.id, 'shortlisted');
+    const { body: next } = await api.request('POST', '/api/applications/status-changes', {
+        body: { since: first.cursor, submissionKeys: ['seeker-device-1'] }
+    });
+    assert.deepEqual(next.changes.map(change => change.status), ['shortlisted']);
+    assert.ok(next.cursor > first.cursor);
+
+    const { body: idle } = await api.request('POST', '/api/applications/status-changes', {
+        body: { since: next.cursor, submissionKeys: ['seeker-device-1'] }
+    });
+    assert.deepEqual(idle.changes, []);
+});
+
+test('a signed-in seeker sees their applications on any device', async () => {
+    const seeker = await api.signIn('0711 000 402');
+    const application = await apply('seeker-device-2', seeker.token);
+
+    const { body } = await api.request('POST', '/api/applications/status-changes', { token: seeker.token, body: {} });
+    assert.deepEqual(body.changes.map(change => change.id), [application.id]);
+
+    const { body: history } = await api.request('GET', '/api/me/applications', { token: seeker.token });
+    assert.deepEqual(history.map(row => row.id), [application.id]);
+});
+
+test("other people's applications stay out of the feed", async () => {
+    await apply('someone-else');
+    const { body } = await api.request('POST', '/api/applications/status-changes', {
+        body: { submissionKeys: ['not-mine'] }
+    });
+    assert.deepEqual(body.changes, []);
+});
+
+test('needs a session or submission keys', async () => {
+    assert.equal((await api.request('POST', '/api/applications/status-changes', { body: {} })).status, 400);
+    const badCursor = await api.request('POST', '/api/applications/status-changes', {
+        body: { since: -1, submissionKeys: ['seeker-device-1'] }
+    });
+    assert.equal(badCursor.status, 400);
+});
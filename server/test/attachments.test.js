@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Uploads go to a throwaway directory
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kazi-uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let employer;
+let jobId;
+test.before(async () => {
+    api = await startServer();
+    employer = await api.signIn('0711 003 001');
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Accountant', company: 'Sawa Sacco', location: 'Nyeri', type: 'urban' }
+    });
+    jobId = body.id;
+    const admin = await api.signIn(ADMIN_PHONE);
+    await api.request('PATCH', `/api/admin/jobs/${jobId}/approve`, { token: admin.token });
+});
+test.after(async () => {
+    await api.close();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(3000, 'x')]);
+
+function sendChunk(id, offset, chunk) {
+    return fetch(`${api.base}/api/attachments/${id}?offset=${offset}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+async function upload(file, fields = {}) {
+    const { status, body } = await api.request('POST', '/api/attachments', {
+        body: { fileName: 'cv.pdf', mimeType: 'application/pdf', size: file.length, ...fields }
+    });
+    assert.equal(status, 201);
+    let last;
+    for (let offset = 0; offset < file.length; offset += 1000) {
+        last = await sendChunk(body.id, offset, file.subarray(offset, offset + 1000));
+    }
+    return { id: body.id, last };
+}
+
+test('a file arrives in chunks and resumes from what the server has', async () => {
+    const { body: started } = await api.request('POST', '/api/attachments', {
+        body: { fileName: 'cv.pdf', mimeType: 'application/pdf', size: PDF.length, submissionKey: 'upload-1' }
+    });
+    assert.equal((await sendChunk(started.id, 0, PDF.subarray(0, 1000))).status, 200);
+
+    // The device lost track; asking again with the same key finds the upload
+    const { status, body: resumed } = await api.request('POST', '/api/attachments', {
+        body: { fileName: 'cv.pdf', mimeType: 'application/pdf', size: PDF.length, submissionKey: 'upload-1' }
+    });
+    assert.equal(status, 200);
+    assert.equal(resumed.id, started.id);
+    assert.equal(resumed.received, 1000);
+
+    const wrongOffset = await sendChunk(started.id, 2000, PDF.subarray(2000));
+    assert.equal(wrongOffset.status, 409);
+    assert.equal(wrongOffset.body.received, 1000);
+
+    const done = await sendChunk(started.id, 1000, PDF.subarray(1000));
+    assert.deepEqual(done.body, { id: started.id, size: PDF.length, received: PDF.length, complete: true });
+});
+
+test('a finished file that is not what it claims is refused', async () => {
+    const { last } = await upload(Buffer.from('MZ not really a pdf'));
+    assert.equal(last.status, 422);
+    assert.equal(last.body.error, 'This file is not a PDF or a photo');
+});
+
+test('the employer downloads the files attached to an application', async () => {
+    const gzipped = zlib.gzipSync(PDF);
+    const { id, last } = await upload(gzipped, { encoding: 'gzip' });
+    assert.equal(last.body.complete, true);
+
+    const { status, body: application } = await api.request('POST', '/api/applications', {
+        body: { jobId, jobTitle: 'Accountant', applicantName: 'Wambui', applicantPhone: '0722 003 001', applicantNotes: '', attachments: [id] }
+    });
+    assert.equal(status, 201);
+
+    const { body: applicants } = await api.request('GET', `/api/employer/jobs/${jobId}/applications`, { token: employer.token });
+    assert.deepEqual(applicants[0].attachments.map(attachment => attachment.id), [id]);
+
+    const download = await fetch(`${api.base}/api/employer/applications/${application.id}/attachments/${id}`, {
+        headers: { Authorization: `Bearer ${employer.token}` }
+    });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/pdf');
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), PDF);
+
+    // Nobody else can, and a file can't be attached twice
+    const other = await api.signIn('0711 003 002');
+    const refused = await api.request('GET', `/api/employer/applications/${application.id}/attachments/${id}`, { token: other.token });
+    assert.equal(refused.status, 404);
+    const again = await api.request('POST', '/api/applications', {
+        body: { jobId, jobTitle: 'Accountant', applicantName: 'Kamau', applicantPhone: '0722 003 002', applicantNotes: '', attachments: [id] }
+    });
+    assert.equal(again.status, 400);
+    assert.ok(again.body.fields.attachments);
+});
+
+test('a file the disk has lost is reported gone, not served', async () => {
+    const { id } = await upload(PDF);
+    const { body: application } = await api.request('POST', '/api/applications', {
+        body: { jobId, jobTitle: 'Accountant', applicantName: 'Njeri', applicantPhone: '0722 003 003', applicantNotes: '', attachments: [id] }
+    });
+    // As on a host that wipes its file system on restart
+    fs.rmSync(path.join(uploadDir, id));
+
+    const { status, body } = await api.request('GET', `/api/employer/applications/${application.id}/attachments/${id}`, { token: employer.token });
+    assert.equal(status, 410);
+    assert.match(body.error, /no longer stored/);
+});
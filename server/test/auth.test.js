@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const auth = require('../lib/auth');
+
+let api;
+test.before(async () => { api = await startServer(); });
+test.after(() => api.close());
+
+test('signs in with the code sent by SMS and creates the account', async () => {
+    const { token, user } = await api.signIn('0711 000 001', 'Akinyi');
+    assert.ok(token);
+    assert.equal(user.phone, '+254711000001');
+    assert.equal(user.name, 'Akinyi');
+
+    const me = await api.request('GET', '/api/auth/me', { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, user.id);
+});
+
+test('only stores hashes of codes and session tokens', async () => {
+    const { token } = await api.signIn('0711 000 002');
+    const { rows } = await api.db.execute('SELECT tokenHash FROM sessions');
+    assert.ok(rows.every(row => row.tokenHash !== token));
+});
+
+test('rejects a wrong code and throttles resends', async () => {
+    const first = await api.request('POST', '/api/auth/otp', { body: { phone: '0711000003' } });
+    assert.equal(first.status, 200);
+    const again = await api.request('POST', '/api/auth/otp', { body: { phone: '0711000003' } });
+    assert.equal(again.status, 429);
+
+    const code = api.sentSms.pop().message.match(/\d{6}/)[0];
+    const wrong = code === '000000' ? '111111' : '000000';
+    const verify = await api.request('POST', '/api/auth/verify', { body: { phone: '0711000003', code: wrong } });
+    assert.equal(verify.status, 401);
+});
+
+test("the code's SMS says how long it lasts", async () => {
+    const ttl = auth.OTP_TTL_MS;
+    auth.OTP_TTL_MS = 10 * 60 * 1000;
+    try {
+        assert.equal((await api.request('POST', '/api/auth/otp', { body: { phone: '0711000005' } })).status, 200);
+    } finally {
+        auth.OTP_TTL_MS = ttl;
+    }
+    assert.match(api.sentSms.pop().message, /It expires in 10 minutes\.$/);
+});
+
+test('rejects numbers that are not Kenyan mobiles', async () => {
+    const { status } = await api.request('POST', '/api/auth/otp', { body: { phone: '12345' } });
+    assert.equal(status, 400);
+});
+
+test('logging out ends the session', async () => {
+    const { token } = await api.signIn('0711 000 004');
+    assert.equal((await api.request('POST', '/api/auth/logout', { token })).status, 200);
+    assert.equal((await api.request('GET', '/api/auth/me', { token })).status, 401);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 000 601');
+});
+test.after(() => api.close());
+
+test('a client without a cursor gets every approved job and a reset', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs/changes');
+    assert.equal(status, 200);
+    assert.equal(body.reset, true);
+    assert.equal(body.hasMore, false);
+    assert.deepEqual(body.deleted, []);
+    assert.ok(body.upserts.length > 0);
+    assert.ok(body.upserts.every(job => job.status === 'approved'));
+    assert.ok(body.cursor > 0);
+});
+
+test('the feed picks up approvals and deletions after the cursor', async () => {
+    const { body: start } = await api.request('GET', '/api/jobs/changes');
+
+    const { status, body: posted } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Shamba hand', company: 'Green Acres', location: 'Nakuru', type: 'rural' }
+    });
+    assert.equal(status, 201);
+
+    // Pending jobs stay out of the feed
+    const { body: pending } = await api.request('GET', `/api/jobs/changes?since=${start.cursor}`);
+    assert.deepEqual(pending.upserts, []);
+    assert.equal(pending.cursor, start.cursor);
+
+    await api.request('PATCH', `/api/admin/jobs/${posted.id}/approve`, { token: admin.token });
+    const { body: approved } = await api.request('GET', `/api/jobs/changes?since=${start.cursor}`);
+    assert.equal(approved.reset, false);
+    assert.deepEqual(approved.upserts.map(job => job.id), [posted.id]);
+    assert.ok(approved.cursor > start.cursor);
+
+    await api.request('DELETE', `/api/admin/jobs/${posted.id}`, { token: admin.token });
+    const { body: deleted } = await api.request('GET', `/api/jobs/changes?since=${approved.cursor}`);
+    assert.deepEqual(deleted.upserts, []);
+    assert.deepEqual(deleted.deleted, [posted.id]);
+});
+
+test('rejects a malformed cursor', async () => {
+    for (const since of ['-1', 'abc', '1.5']) {
+        const { status, body } = await api.request('GET', `/api/jobs/changes?since=${since}`);
+        assert.equal(status, 400);
+        assert.ok(body.fields.since);
+    }
+});
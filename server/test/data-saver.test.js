@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KaziJobPack = require('../../src/js/jobpack');
+const { startServer } = require('./helpers');
+
+let api;
+test.before(async () => {
+    api = await startServer();
+});
+test.after(() => api.close());
+
+test('summary feeds leave descriptions out but keep the full signature', async () => {
+    const { body: full } = await api.request('GET', '/api/jobs/changes');
+    const { status, body: summary } = await api.request('GET', '/api/jobs/changes?fields=summary');
+    assert.equal(status, 200);
+    assert.ok(full.upserts.some(job => job.description));
+    assert.ok(summary.upserts.every(job => !('description' in job)));
+
+    // Once the description is fetched the summary's signature checks out
+    const { body: signing } = await api.request('GET', '/api/jobs/signing-key');
+    const key = await KaziJobPack.importSigningKey(signing.publicKey);
+    const descriptions = new Map(full.upserts.map(job => [job.id, job.description]));
+    for (const job of summary.upserts) {
+        assert.equal(await KaziJobPack.verifyJob({ ...job, description: descriptions.get(job.id) }, key), true);
+    }
+
+    const { body: search } = await api.request('GET', '/api/jobs?fields=summary');
+    assert.ok(search.jobs.length > 0);
+    assert.ok(search.jobs.every(job => !('description' in job)));
+});
+
+test('an opened job is fetched whole and verifies', async () => {
+    const { body: summary } = await api.request('GET', '/api/jobs/changes?fields=summary');
+    const { status, body: job } = await api.request('GET', `/api/jobs/${summary.upserts[0].id}`);
+    assert.equal(status, 200);
+    assert.ok('description' in job);
+
+    const { body: signing } = await api.request('GET', '/api/jobs/signing-key');
+    const key = await KaziJobPack.importSigningKey(signing.publicKey);
+    assert.equal(await KaziJobPack.verifyJob(job, key), true);
+});
+
+test('listings that are not open are not found', async () => {
+    const employer = await api.signIn('0711 000 701');
+    const { body: posted } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Watchman', company: 'Lake Stores', location: 'Kisumu', type: 'urban' }
+    });
+    assert.equal((await api.request('GET', `/api/jobs/${posted.id}`)).status, 404);
+    assert.equal((await api.request('GET', '/api/jobs/999999')).status, 404);
+});
+
+test('rejects an unknown field set', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs/changes?fields=tiny');
+    assert.equal(status, 400);
+    assert.ok(body.fields.fields);
+});
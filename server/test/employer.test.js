@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let employer;
+let jobId;
+test.before(async () => {
+    api = await startServer();
+    employer = await api.signIn('0711 000 301', 'Baraka');
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Waiter', company: 'Java House', location: 'Nairobi', type: 'urban', submissionKey: 'employer-1' }
+    });
+    jobId = body.id;
+
+    // Only approved jobs take applications
+    const admin = await api.signIn(ADMIN_PHONE);
+    await api.request('PATCH', `/api/admin/jobs/${jobId}/approve`, { token: admin.token });
+});
+test.after(() => api.close());
+
+async function apply(name) {
+    const { body } = await api.request('POST', '/api/applications', {
+        body: { jobId, jobTitle: 'Waiter', applicantName: name, applicantPhone: '0722 000 000', applicantNotes: '' }
+    });
+    return body.id;
+}
+
+test('a signed-in employer owns the jobs they post', async () => {
+    const { status, body } = await api.request('GET', '/api/employer/jobs', { token: employer.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(job => job.id), [jobId]);
+    assert.equal(body[0].applicants.total, 0);
+});
+
+test('jobs posted while signed out are claimed by submission key', async () => {
+    // Posting needs sign-in now; older posts were stored without an owner
+    const { rows: [posted] } = await api.db.execute(`INSERT INTO jobs (title, company, location, type, status, submissionKey)
+        VALUES ('Guard', 'Java House', 'Nairobi', 'urban', 'pending', 'employer-2') RETURNING id`);
+    const claim = await api.request('POST', '/api/employer/jobs/claim', {
+        token: employer.token,
+        body: { submissionKeys: ['employer-2', 'employer-1'] }
+    });
+    assert.equal(claim.body.claimed, 1);
+
+    // Someone else can't claim it afterwards
+    const other = await api.signIn('0711 000 302');
+    const again = await api.request('POST', '/api/employer/jobs/claim', { token: other.token, body: { submissionKeys: ['employer-2'] } });
+    assert.equal(again.body.claimed, 0);
+
+    const { body: jobs } = await api.request('GET', '/api/employer/jobs', { token: employer.token });
+    assert.ok(jobs.some(job => job.id === posted.id));
+});
+
+test('moves applicants along the pipeline and refuses to skip stages', async () => {
+    const applicationId = await apply('Njeri');
+
+    const skip = await api.request('PATCH', `/api/employer/applications/${applicationId}/status`, {
+        token: employer.token,
+        body: { status: 'hired' }
+    });
+    assert.equal(skip.status, 409);
+    assert.equal(skip.body.status, 'new');
+
+    const shortlist = await api.request('PATCH', `/api/employer/applications/${applicationId}/status`, {
+        token: employer.token,
+        body: { status: 'shortlisted' }
+    });
+    assert.equal(shortlist.status, 200);
+
+    const { body: jobs } = await api.request('GET', '/api/employer/jobs', { token: employer.token });
+    const job = jobs.find(row => row.id === jobId);
+    assert.equal(job.applicants.shortlisted, 1);
+});
+
+test('other people cannot see or move applicants', async () => {
+    const applicationId = await apply('Kamau');
+    const other = await api.signIn('0711 000 303');
+
+    assert.equal((await api.request('GET', `/api/employer/jobs/${jobId}/applications`, { token: other.token })).status, 404);
+    const move = await api.request('PATCH', `/api/employer/applications/${applicationId}/status`, {
+        token: other.token,
+        body: { status: 'declined' }
+    });
+    assert.equal(move.status, 404);
+    assert.equal((await api.request('GET', `/api/employer/jobs/${jobId}/applications`)).status, 401);
+
+    const { body: applicants } = await api.request('GET', `/api/employer/jobs/${jobId}/applications`, { token: employer.token });
+    assert.ok(applicants.some(applicant => applicant.applicantName === 'Kamau'));
+});
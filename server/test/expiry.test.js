@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+const { expireJobs } = require('../server');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 000 501');
+});
+test.after(() => api.close());
+
+async function postJob(fields = {}) {
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Nanny', company: 'Family', location: 'Nairobi', type: 'urban', ...fields }
+    });
+    return body.id;
+}
+
+function approve(id) {
+    return api.request('PATCH', `/api/admin/jobs/${id}/approve`, { token: admin.token });
+}
+
+async function loadJob(id) {
+    const { rows } = await api.db.execute({ sql: 'SELECT * FROM jobs WHERE id = ?', args: [id] });
+    return rows[0];
+}
+
+test('approval starts the listing period, or runs to the closing date', async () => {
+    const open = await postJob();
+    await approve(open);
+    const days = (Date.parse(`${(await loadJob(open)).expiresAt}Z`) - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 29 && days <= 30, `expires in ${days} days`);
+
+    const closing = await postJob({ closingDate: '2099-01-31' });
+    await approve(closing);
+    assert.equal((await loadJob(closing)).expiresAt, '2099-02-01 00:00:00');
+});
+
+test('approving twice is refused', async () => {
+    const id = await postJob();
+    assert.equal((await approve(id)).status, 200);
+    const { expiresAt } = await loadJob(id);
+
+    const again = await approve(id);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.status, 'approved');
+    assert.equal((await loadJob(id)).expiresAt, expiresAt);
+    assert.equal((await approve(99999)).status, 404);
+
+    const { rows } = await api.db.execute({
+        sql: "SELECT COUNT(*) as count FROM audit_log WHERE action = 'approve' AND entityId = ?",
+        args: [id]
+    });
+    assert.equal(rows[0].count, 1);
+});
+
+test('the sweep expires old listings and tombstones them', async () => {
+    const id = await postJob();
+    await approve(id);
+    const { body: before } = await api.request('GET', '/api/jobs/changes');
+
+    await api.db.execute({ sql: "UPDATE jobs SET expiresAt = datetime('now', '-1 minute') WHERE id = ?", args: [id] });
+    await expireJobs();
+
+    assert.equal((await loadJob(id)).status, 'expired');
+    const { body: after } = await api.request('GET', `/api/jobs/changes?since=${before.cursor}`);
+    assert.deepEqual(after.deleted, [id]);
+
+    const apply = await api.request('POST', '/api/applications', {
+        body: { jobId: id, jobTitle: 'Nanny', applicantName: 'Auma', applicantPhone: '0722 333 444', applicantNotes: '' }
+    });
+    assert.equal(apply.status, 410);
+});
+
+test('a listing past its expiry takes no applications before the sweep runs', async () => {
+    const id = await postJob();
+    await approve(id);
+    await api.db.execute({ sql: "UPDATE jobs SET expiresAt = datetime('now', '-1 minute') WHERE id = ?", args: [id] });
+
+    const apply = await api.request('POST', '/api/applications', {
+        body: { jobId: id, jobTitle: 'Nanny', applicantName: 'Auma', applicantPhone: '0722 333 445', applicantNotes: '' }
+    });
+    assert.equal(apply.status, 410);
+    assert.equal((await loadJob(id)).status, 'approved');
+});
+
+test('an employer takes a filled position down', async () => {
+    const id = await postJob();
+    await approve(id);
+
+    const other = await api.signIn('0711 000 502');
+    assert.equal((await api.request('PATCH', `/api/employer/jobs/${id}/filled`, { token: other.token })).status, 404);
+
+    const filled = await api.request('PATCH', `/api/employer/jobs/${id}/filled`, { token: employer.token });
+    assert.equal(filled.status, 200);
+    assert.equal((await loadJob(id)).status, 'filled');
+    // Marking it again is harmless
+    assert.equal((await api.request('PATCH', `/api/employer/jobs/${id}/filled`, { token: employer.token })).status, 200);
+});
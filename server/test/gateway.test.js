@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, useRealRateLimits, ADMIN_PHONE } = require('./helpers');
+
+const SECRET = 'gateway-test-secret';
+process.env.GATEWAY_SECRET = SECRET;
+
+let api;
+let admin;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+});
+test.after(() => api.close());
+
+let sessionCount = 0;
+async function ussd(text, phoneNumber = '+254722000001') {
+    const { status, body } = await api.request('POST', `/api/gateway/ussd?secret=${SECRET}`, {
+        form: { sessionId: `session-${++sessionCount}`, phoneNumber, text }
+    });
+    assert.equal(status, 200);
+    return body;
+}
+
+// Sends an SMS command and resolves to the reply texted back
+async function sms(text, from = '0722000002', id = undefined) {
+    const form = { from, text };
+    if (id) form.id = id;
+    const { status } = await api.request('POST', `/api/gateway/sms?secret=${SECRET}`, { form });
+    assert.equal(status, 200);
+    return api.sentSms[api.sentSms.length - 1].message;
+}
+
+async function waitForSms(to, text) {
+    for (let i = 0; i < 100; i++) {
+        const found = api.sentSms.find(sent => sent.to === to && sent.message.includes(text));
+        if (found) return found.message;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No SMS to ${to} containing "${text}"`);
+}
+
+test('the gateway must send the shared secret', async () => {
+    const { status } = await api.request('POST', '/api/gateway/sms', { form: { from: '0722000002', text: 'JOBS' } });
+    assert.equal(status, 403);
+});
+
+test('in production the gateway stays closed without a secret', async t => {
+    t.mock.method(console, 'error', () => {});
+    const env = { NODE_ENV: process.env.NODE_ENV, GATEWAY_SECRET: process.env.GATEWAY_SECRET };
+    process.env.NODE_ENV = 'production';
+    delete process.env.GATEWAY_SECRET;
+    try {
+        const { status } = await api.request('POST', '/api/gateway/sms', { form: { from: '0722000002', text: 'JOBS' } });
+        assert.equal(status, 503);
+    } finally {
+        Object.entries(env).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    }
+});
+
+test('USSD browses open jobs by county and applies', async () => {
+    assert.match(await ussd(''), /^CON Karibu KaziConnect/);
+
+    const jobs = await ussd('1*Mombasa*1');
+    assert.match(jobs, /^CON Jobs in Mombasa:\n1\. Delivery Rider, Mombasa/);
+
+    assert.match(await ussd('1*Mombasa*1*1'), /Haraka Logistics/);
+    const done = await ussd('1*Mombasa*1*1*1*Juma Hamisi', '0722000001');
+    assert.match(done, /^END Application sent for Delivery Rider at Haraka Logistics/);
+
+    const { rows } = await api.db.execute("SELECT applicantName, applicantPhone FROM applications WHERE applicantName = 'Juma Hamisi'");
+    assert.deepEqual({ ...rows[0] }, { applicantName: 'Juma Hamisi', applicantPhone: '+254722000001' });
+});
+
+test('USSD answers an invalid choice by showing the screen again', async () => {
+    assert.match(await ussd('7'), /^CON Invalid choice, try again\.\nKaribu/);
+    // 0 goes back
+    assert.match(await ussd('1*0'), /^CON Karibu/);
+    assert.ok((await ussd('1*1*1')).length <= 182);
+});
+
+test('SMS lists jobs and applies by job number', async () => {
+    const list = await sms('kazi mombasa');
+    const [, jobId] = list.match(/#(\d+) Delivery Rider/);
+
+    const reply = await sms(`APPLY ${jobId} Amina Said`, '0722000003', 'msg-1');
+    assert.match(reply, /^Application sent for Delivery Rider/);
+    // The gateway retrying the same message doesn't apply twice
+    await sms(`APPLY ${jobId} Amina Said`, '0722000003', 'msg-1');
+    const { rows } = await api.db.execute("SELECT COUNT(*) as count FROM applications WHERE applicantName = 'Amina Said'");
+    assert.equal(rows[0].count, 1);
+
+    assert.match(await sms('JOBS Atlantis'), /not a county we know/);
+    assert.match(await sms('hello'), /^KaziConnect: reply JOBS/);
+});
+
+test('SMS alerts text new matching jobs until STOP', async () => {
+    assert.match(await sms('ALERTS Siaya rural', '0722000004'), /new rural jobs in Siaya/);
+
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: admin.token,
+        body: { title: 'Fish farm hand', company: 'Lake Farms', location: 'Bondo', county: 'Siaya', type: 'rural' }
+    });
+    await api.request('PATCH', `/api/admin/jobs/${body.id}/approve`, { token: admin.token });
+
+    const alert = await waitForSms('+254722000004', `job #${body.id}`);
+    assert.match(alert, /Fish farm hand at Lake Farms/);
+
+    assert.match(await sms('STOP', '0722000004'), /not get any more job alerts/);
+    const { rows } = await api.db.execute("SELECT * FROM sms_subscriptions WHERE phone = '+254722000004'");
+    assert.deepEqual(rows, []);
+});
+
+test('each SMS sender is rate limited', async () => {
+    useRealRateLimits();
+    for (let i = 0; i < 20; i++) await sms('hello', '0722000005');
+    const { status } = await api.request('POST', `/api/gateway/sms?secret=${SECRET}`, { form: { from: '0722000005', text: 'hello' } });
+    assert.equal(status, 429);
+    // Another number still gets through
+    assert.match(await sms('hello', '0722000006'), /^KaziConnect: reply JOBS/);
+});
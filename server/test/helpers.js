@@ -0,0 +1,96 @@
+// Shared setup for the route tests: the app on a free port, backed by an
+// in-memory database. node --test runs each file in its own process, so every
+// test file starts from a freshly seeded database.
+
+const { once } = require('events');
+const { createClient } = require('@libsql/client');
+const { registerSmsProvider } = require('../lib/sms');
+const { migrateUp } = require('../lib/migrator');
+const { generateKeyPair } = require('../lib/p256');
+const { RATE_LIMITS } = require('../lib/ratelimit');
+
+// cache=shared keeps one database across the client's connections; a plain
+// :memory: URL would lose writes made inside batches and transactions.
+process.env.TURSO_DATABASE_URL = 'file::memory:?cache=shared';
+
+// The shared database is dropped whenever its last connection closes, which
+// the client does after each transaction. This one stays open until exit.
+const keepAlive = createClient({ url: process.env.TURSO_DATABASE_URL });
+
+// Every SMS the server sends, newest last, so tests can read login codes
+const sentSms = [];
+registerSmsProvider('test', () => ({
+    name: 'test',
+    async send(to, message) {
+        sentSms.push({ to, message });
+    }
+}));
+process.env.SMS_PROVIDER = 'test';
+
+// A fixed VAPID key pair, as a deployment would have
+const vapidKeys = generateKeyPair();
+process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+
+// Signs in as an admin through ADMIN_PHONES
+const ADMIN_PHONE = '+254700000001';
+process.env.ADMIN_PHONES = ADMIN_PHONE;
+
+// Every request in a test comes from one address and a handful of phones,
+// far more often than anyone would really post or sign in, so the limits are
+// raised out of the way. Tests of the limits themselves put them back.
+const REAL_RATE_LIMITS = structuredClone(RATE_LIMITS);
+Object.values(RATE_LIMITS).forEach(limit => { limit.max = 1000; });
+
+function useRealRateLimits() {
+    Object.entries(REAL_RATE_LIMITS).forEach(([name, limit]) => Object.assign(RATE_LIMITS[name], limit));
+}
+
+async function startServer() {
+    await keepAlive.execute('SELECT 1');
+    const { app, db, seedDb } = require('../server');
+    await migrateUp(db, { log: () => {} });
+    await seedDb();
+
+    const server = app.listen(0);
+    await once(server, 'listening');
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves to { status, headers, body }, with JSON bodies parsed.
+    // `form` sends a form-encoded body, as the SMS/USSD gateway does.
+    async function request(method, path, { body, form, token, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        if (form !== undefined) init.body = new URLSearchParams(form);
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(base + path, init);
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    // Signs in through the real OTP flow; resolves to { token, user }
+    async function signIn(phone, name) {
+        const otp = await request('POST', '/api/auth/otp', { body: { phone } });
+        if (otp.status !== 200) throw new Error(`OTP request failed: ${otp.body.error}`);
+        const message = sentSms.filter(sms => sms.to === otp.body.phone).pop().message;
+        const code = message.match(/\b(\d{6})\b/)[1];
+
+        const verify = await request('POST', '/api/auth/verify', { body: { phone, code, name } });
+        if (verify.status !== 200) throw new Error(`Sign-in failed: ${verify.body.error}`);
+        return verify.body;
+    }
+
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { base, db, request, signIn, sentSms, close };
+}
+
+module.exports = { startServer, useRealRateLimits, ADMIN_PHONE };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    employer = await api.signIn('0711 000 801');
+});
+test.after(() => api.close());
+
+async function count(table) {
+    const { rows } = await api.db.execute(`SELECT COUNT(*) as count FROM ${table}`);
+    return rows[0].count;
+}
+
+test('a replayed job post answers with the original row', async () => {
+    const job = { title: 'Mason', company: 'Jenga Ltd', location: 'Thika', type: 'urban', submissionKey: 'job-key-1' };
+    const before = await count('jobs');
+
+    const first = await api.request('POST', '/api/jobs', { token: employer.token, body: job });
+    assert.equal(first.status, 201);
+    const replay = await api.request('POST', '/api/jobs', { token: employer.token, body: job });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.replayed, true);
+    assert.equal(replay.body.id, first.body.id);
+    assert.equal(await count('jobs'), before + 1);
+});
+
+test('a replayed application answers with the original row', async () => {
+    const application = { jobId: 1, jobTitle: 'Driver', applicantName: 'Wanjiru', applicantPhone: '0712345678', applicantNotes: '', submissionKey: 'app-key-1' };
+
+    const first = await api.request('POST', '/api/applications', { body: application });
+    assert.equal(first.status, 201);
+    const replay = await api.request('POST', '/api/applications', { body: application });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.id, first.body.id);
+    assert.equal(await count('applications'), 1);
+});
+
+test('submissions without a key are never deduplicated', async () => {
+    const application = { jobId: 1, jobTitle: 'Driver', applicantName: 'Otieno', applicantPhone: '0722000000', applicantNotes: '' };
+    await api.request('POST', '/api/applications', { body: application });
+    await api.request('POST', '/api/applications', { body: application });
+    const { rows } = await api.db.execute("SELECT COUNT(*) as count FROM applications WHERE applicantName = 'Otieno'");
+    assert.equal(rows[0].count, 2);
+});
+
+test('rejects a malformed submission key', async () => {
+    const { status } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Mason', company: 'Jenga Ltd', location: 'Thika', type: 'urban', submissionKey: 'x'.repeat(65) }
+    });
+    assert.equal(status, 400);
+});
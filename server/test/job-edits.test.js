@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 000 901');
+});
+test.after(() => api.close());
+
+const LISTING = { title: 'Welder', company: 'Jua Kali Works', location: 'Nairobi', type: 'urban', description: 'Gate fabrication' };
+
+let keyCount = 0;
+async function postJob() {
+    const submissionKey = `edit-${++keyCount}`;
+    const { body } = await api.request('POST', '/api/jobs', { token: employer.token, body: { ...LISTING, submissionKey } });
+    assert.equal(body.version, 1);
+    return { id: body.id, submissionKey };
+}
+
+function ownerEdit(job, baseVersion, changes) {
+    return api.request('PATCH', `/api/jobs/${job.id}`, {
+        body: { ...LISTING, ...changes, submissionKey: job.submissionKey, baseVersion }
+    });
+}
+
+test('the owner edits a pending job from its current version', async () => {
+    const job = await postJob();
+    const first = await ownerEdit(job, 1, { title: 'Senior welder' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.version, 2);
+
+    // An edit made from the old version is refused with the server's copy
+    const stale = await ownerEdit(job, 1, { title: 'Welder (urgent)' });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflict, true);
+    assert.equal(stale.body.job.title, 'Senior welder');
+    assert.equal(stale.body.job.version, 2);
+});
+
+test("a moderator's edit makes the owner's copy stale", async () => {
+    const job = await postJob();
+    await api.request('PATCH', `/api/admin/jobs/${job.id}`, { token: admin.token, body: { title: 'Welder (fixed typo)' } });
+
+    const edit = await ownerEdit(job, 1, { description: 'Gates and grills' });
+    assert.equal(edit.status, 409);
+    assert.equal(edit.body.job.title, 'Welder (fixed typo)');
+});
+
+test('an edit answers a request for changes and goes back for review', async () => {
+    const job = await postJob();
+    await api.request('PATCH', `/api/admin/jobs/${job.id}/request-changes`, { token: admin.token, body: { reason: 'Add pay' } });
+
+    const edit = await ownerEdit(job, 1, { salary: 'KES 1,200 per day' });
+    assert.equal(edit.status, 200);
+    assert.equal(edit.body.status, 'pending');
+});
+
+test('approved jobs and other people are refused', async () => {
+    const job = await postJob();
+    const stranger = await api.request('PATCH', `/api/jobs/${job.id}`, {
+        body: { ...LISTING, submissionKey: 'not-the-key', baseVersion: 1 }
+    });
+    assert.equal(stranger.status, 404);
+
+    await api.request('PATCH', `/api/admin/jobs/${job.id}/approve`, { token: admin.token });
+    const edit = await ownerEdit(job, 1, { title: 'Welder' });
+    assert.equal(edit.status, 409);
+    assert.equal(edit.body.conflict, undefined);
+});
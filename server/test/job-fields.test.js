@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 001 001');
+});
+test.after(() => api.close());
+
+const BASE_JOB = { title: 'Farm hand', company: 'Green Acres', location: 'Kitale', type: 'rural' };
+
+async function postAndLoad(fields) {
+    const { status, body } = await api.request('POST', '/api/jobs', { token: employer.token, body: { ...BASE_JOB, ...fields } });
+    assert.equal(status, 201, body.error);
+    const { rows } = await api.db.execute({ sql: 'SELECT * FROM jobs WHERE id = ?', args: [body.id] });
+    return rows[0];
+}
+
+test('structured pay is stored as given, with readable text', async () => {
+    const job = await postAndLoad({ salaryMin: 500, salaryMax: 800, salaryPeriod: 'daily', category: 'agriculture', county: 'trans nzoia' });
+    assert.equal(job.salaryMin, 500);
+    assert.equal(job.salaryMax, 800);
+    assert.equal(job.salary, 'KES 500 - 800 per day');
+    assert.equal(job.category, 'agriculture');
+    assert.equal(job.county, 'Trans Nzoia');
+});
+
+test('older clients get their free text parsed and the rest inferred', async () => {
+    const job = await postAndLoad({ title: 'Boda rider', salary: 'KES 1,000 per day', location: 'Kisumu town' });
+    assert.equal(job.salaryMin, 1000);
+    assert.equal(job.salaryPeriod, 'daily');
+    assert.equal(job.category, 'transport');
+    assert.equal(job.county, 'Kisumu');
+});
+
+test('rejects invalid structured fields', async () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const fields of [
+        { salaryMin: -5 },
+        { salaryMin: 900, salaryMax: 100 },
+        { salaryPeriod: 'yearly' },
+        { category: 'astronaut' },
+        { county: 'Atlantis' },
+        { closingDate: '31/12/2030' },
+        { closingDate: yesterday }
+    ]) {
+        const { status } = await api.request('POST', '/api/jobs', { token: employer.token, body: { ...BASE_JOB, ...fields } });
+        assert.equal(status, 400, JSON.stringify(fields));
+    }
+});
+
+test('search filters by category and county', async () => {
+    const { body: posted } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { ...BASE_JOB, title: 'Dairy farm worker', category: 'agriculture', county: 'Nakuru' }
+    });
+    await api.request('PATCH', `/api/admin/jobs/${posted.id}/approve`, { token: admin.token });
+
+    const { body } = await api.request('GET', '/api/jobs?category=agriculture&county=nakuru');
+    assert.deepEqual(body.jobs.map(job => job.id), [posted.id]);
+    assert.equal((await api.request('GET', '/api/jobs?county=Atlantis')).status, 400);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KaziJobPack = require('../../src/js/jobpack');
+
+const jobs = [
+    { id: 1, title: 'Field Officer', company: 'Agri Co', location: 'Siaya County', type: 'rural', county: 'Siaya', signature: 'sig-1' },
+    { id: 2, title: 'Mpishi – Cook 🍲', company: 'Hoteli', location: 'Kisumu', type: 'urban', description: 'Chakula kizuri', signature: 'sig-2' }
+];
+
+test('the signed text lists every signed field in order, missing ones as null', () => {
+    const values = JSON.parse(KaziJobPack.canonicalJob(jobs[0]));
+    assert.equal(values.length, KaziJobPack.SIGNED_FIELDS.length);
+    assert.deepEqual(values.slice(0, 5), [1, 'Field Officer', 'Agri Co', 'Siaya County', 'rural']);
+    assert.equal(values[KaziJobPack.SIGNED_FIELDS.indexOf('description')], null);
+    assert.equal(KaziJobPack.canonicalJob({ ...jobs[0], status: 'approved' }), KaziJobPack.canonicalJob(jobs[0]));
+});
+
+test('a pack decodes back to the same jobs and signatures', () => {
+    const pack = KaziJobPack.decodePack(KaziJobPack.encodePack(jobs, 'key-1'));
+    assert.equal(pack.key, 'key-1');
+    assert.equal(pack.jobs.length, 2);
+    pack.jobs.forEach((job, i) => {
+        assert.equal(job.signature, jobs[i].signature);
+        assert.equal(job.status, 'approved');
+        assert.equal(KaziJobPack.canonicalJob(job), KaziJobPack.canonicalJob(jobs[i]));
+    });
+});
+
+test('refuses anything that is not a pack of this version', () => {
+    assert.throws(() => KaziJobPack.decodePack('hello'), /not a KaziConnect job pack/);
+    assert.throws(() => KaziJobPack.decodePack('{"format":"other","jobs":[]}'), /not a KaziConnect job pack/);
+    const newer = JSON.stringify({ ...JSON.parse(KaziJobPack.encodePack(jobs, 'k')), version: 99 });
+    assert.throws(() => KaziJobPack.decodePack(newer), /different version/);
+});
+
+test('QR codes reassemble into the pack in any scan order', () => {
+    const text = KaziJobPack.encodePack(Array.from({ length: 12 }, (_, i) => ({ ...jobs[1], id: i + 1 })), 'key-1');
+    const codes = KaziJobPack.packToQrTexts(text);
+    assert.ok(codes.length > 1);
+
+    const collector = KaziJobPack.createQrCollector();
+    codes.slice().reverse().forEach((code, i) => {
+        assert.equal(collector.complete(), false);
+        assert.deepEqual(collector.add(code), { received: i + 1, total: codes.length });
+    });
+    assert.equal(collector.complete(), true);
+    assert.equal(collector.packText(), text);
+});
+
+test('the collector ignores other codes and starts over for a different pack', () => {
+    const many = Array.from({ length: 12 }, (_, i) => ({ ...jobs[1], id: i + 1 }));
+    const first = KaziJobPack.packToQrTexts(KaziJobPack.encodePack(many, 'a'));
+    const second = KaziJobPack.packToQrTexts(KaziJobPack.encodePack(many, 'b'));
+    const collector = KaziJobPack.createQrCollector();
+
+    assert.equal(collector.add('https://example.com'), null);
+    assert.equal(collector.add('KZP1:abc123:3/2:x'), null);
+    first.slice(1).forEach(code => collector.add(code));
+    assert.deepEqual(collector.add(second[0]), { received: 1, total: second.length });
+    second.slice(1).forEach(code => collector.add(code));
+    assert.equal(collector.complete(), true);
+    assert.equal(JSON.parse(collector.packText()).key, 'b');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClient } = require('@libsql/client');
+const { migrateUp, migrateDown, migrationStatus } = require('../lib/migrator');
+
+const quiet = { log: () => {} };
+
+// A database file of its own per test, so each starts empty
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'kazi-migrator-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let dbCount = 0;
+function freshDb() {
+    return createClient({ url: `file:${path.join(tmp, `${++dbCount}.db`)}` });
+}
+
+function migrationsDir(files) {
+    const dir = fs.mkdtempSync(path.join(tmp, 'migrations-'));
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return dir;
+}
+
+async function tables(db) {
+    const { rows } = await db.execute("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 't_%' ORDER BY name");
+    return rows.map(row => row.name);
+}
+
+const dir = migrationsDir({
+    '001-first.js': `module.exports = {
+        up: tx => tx.execute('CREATE TABLE t_first (id INTEGER)'),
+        down: tx => tx.execute('DROP TABLE t_first')
+    };`,
+    '002-second.js': `module.exports = {
+        up: tx => tx.execute('CREATE TABLE t_second (id INTEGER)'),
+        down: tx => tx.execute('DROP TABLE t_second')
+    };`,
+    'notes.txt': 'not a migration'
+});
+
+test('applies pending migrations in order and records them', async () => {
+    const db = freshDb();
+    const applied = await migrateUp(db, { ...quiet, dir });
+    assert.deepEqual(applied.map(m => m.version), [1, 2]);
+    assert.deepEqual(await tables(db), ['t_first', 't_second']);
+
+    assert.deepEqual(await migrateUp(db, { ...quiet, dir }), []);
+    const status = await migrationStatus(db, { dir });
+    assert.ok(status.every(m => m.appliedAt));
+});
+
+test('stops at --to and reverts the newest first', async () => {
+    const db = freshDb();
+    await migrateUp(db, { ...quiet, dir, to: 1 });
+    assert.deepEqual(await tables(db), ['t_first']);
+
+    await migrateUp(db, { ...quiet, dir });
+    const reverted = await migrateDown(db, { ...quiet, dir });
+    assert.deepEqual(reverted.map(m => m.version), [2]);
+    assert.deepEqual(await tables(db), ['t_first']);
+});
+
+test('a dry run changes nothing', async () => {
+    const db = freshDb();
+    const wouldApply = await migrateUp(db, { ...quiet, dir, dryRun: true });
+    assert.deepEqual(wouldApply.map(m => m.version), [1, 2]);
+    assert.deepEqual(await tables(db), []);
+    assert.ok((await migrationStatus(db, { dir })).every(m => m.appliedAt === null));
+});
+
+test('a failing migration is not recorded and keeps the earlier ones', async () => {
+    const db = freshDb();
+    const broken = migrationsDir({
+        '001-first.js': "module.exports = { up: tx => tx.execute('CREATE TABLE t_first (id INTEGER)') };",
+        '002-broken.js': `module.exports = { up: async tx => {
+            await tx.execute('CREATE TABLE t_half (id INTEGER)');
+            await tx.execute('NOT SQL');
+        } };`
+    });
+    await assert.rejects(migrateUp(db, { ...quiet, dir: broken }), /Migration 2-broken \(up\) failed/);
+    assert.deepEqual(await tables(db), ['t_first']);
+    assert.deepEqual((await migrationStatus(db, { dir: broken })).map(m => Boolean(m.appliedAt)), [true, false]);
+
+    // 001 has no down
+    await assert.rejects(migrateDown(db, { ...quiet, dir: broken }), /cannot be reverted/);
+});
+
+test("the app's own migrations apply and revert cleanly", async () => {
+    const db = freshDb();
+    await migrateUp(db, quiet);
+    const status = await migrationStatus(db);
+    assert.ok(status.every(m => m.appliedAt));
+
+    await migrateDown(db, { ...quiet, steps: status.length - 1 });
+    await migrateUp(db, quiet);
+    assert.ok((await migrationStatus(db)).every(m => m.appliedAt));
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 001 101');
+});
+test.after(() => api.close());
+
+let keyCount = 0;
+async function postJob() {
+    const submissionKey = `moderation-${++keyCount}`;
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Cashier', company: 'Duka Bora', location: 'Kisumu', type: 'urban', submissionKey }
+    });
+    return { id: body.id, submissionKey };
+}
+
+async function statusOf(submissionKey) {
+    const { body } = await api.request('POST', '/api/jobs/submission-status', { body: { submissionKeys: [submissionKey] } });
+    return body[0];
+}
+
+test('a rejected job keeps the reason for the employer', async () => {
+    const job = await postJob();
+    const { status } = await api.request('PATCH', `/api/admin/jobs/${job.id}/reject`, {
+        token: admin.token,
+        body: { reason: 'Looks like a scam' }
+    });
+    assert.equal(status, 200);
+
+    const outcome = await statusOf(job.submissionKey);
+    assert.equal(outcome.status, 'rejected');
+    assert.equal(outcome.moderationReason, 'Looks like a scam');
+    assert.ok(outcome.moderatedAt);
+});
+
+test('a job sent back for changes asks the employer to fix it', async () => {
+    const job = await postJob();
+    const { status } = await api.request('PATCH', `/api/admin/jobs/${job.id}/request-changes`, {
+        token: admin.token,
+        body: { reason: 'Add the salary' }
+    });
+    assert.equal(status, 200);
+    const outcome = await statusOf(job.submissionKey);
+    assert.equal(outcome.status, 'changes_requested');
+    assert.equal(outcome.moderationReason, 'Add the salary');
+});
+
+test('rejecting needs a reason and an existing job', async () => {
+    const job = await postJob();
+    const blank = await api.request('PATCH', `/api/admin/jobs/${job.id}/reject`, { token: admin.token, body: { reason: '  ' } });
+    assert.equal(blank.status, 400);
+    const missing = await api.request('PATCH', '/api/admin/jobs/99999/reject', { token: admin.token, body: { reason: 'Spam' } });
+    assert.equal(missing.status, 404);
+});
+
+test('only pending jobs are rejected or sent back', async () => {
+    const live = await postJob();
+    await api.request('PATCH', `/api/admin/jobs/${live.id}/approve`, { token: admin.token });
+    const reject = await api.request('PATCH', `/api/admin/jobs/${live.id}/reject`, { token: admin.token, body: { reason: 'Spam' } });
+    assert.equal(reject.status, 409);
+    assert.equal(reject.body.status, 'approved');
+    assert.equal((await statusOf(live.submissionKey)).status, 'approved');
+
+    const rejected = await postJob();
+    await api.request('PATCH', `/api/admin/jobs/${rejected.id}/reject`, { token: admin.token, body: { reason: 'Spam' } });
+    const changes = await api.request('PATCH', `/api/admin/jobs/${rejected.id}/request-changes`, {
+        token: admin.token,
+        body: { reason: 'Add the salary' }
+    });
+    assert.equal(changes.status, 409);
+    assert.equal((await statusOf(rejected.submissionKey)).moderationReason, 'Spam');
+
+    const { rows } = await api.db.execute({
+        sql: "SELECT COUNT(*) as count FROM audit_log WHERE entityId IN (?, ?) AND action IN ('reject', 'request_changes')",
+        args: [live.id, rejected.id]
+    });
+    assert.equal(rows[0].count, 1);
+});
+
+test('only admins delete jobs outright', async () => {
+    const job = await postJob();
+    const moderator = await api.signIn('0711 000 201');
+    await api.request('PATCH', `/api/admin/users/${moderator.user.id}/role`, { token: admin.token, body: { role: 'moderator' } });
+
+    assert.equal((await api.request('DELETE', `/api/admin/jobs/${job.id}`, { token: moderator.token })).status, 403);
+    assert.equal((await api.request('DELETE', `/api/admin/jobs/${job.id}`, { token: admin.token })).status, 200);
+});
+
+test('status lookups are limited to valid submission keys', async () => {
+    assert.equal((await api.request('POST', '/api/jobs/submission-status', { body: { submissionKeys: [] } })).status, 400);
+    assert.equal((await api.request('POST', '/api/jobs/submission-status', { body: { submissionKeys: [''] } })).status, 400);
+});
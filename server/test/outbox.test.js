@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SYNC_SOURCE = fs.readFileSync(path.join(__dirname, '../../src/js/sync.js'), 'utf8');
+
+/**
+ * Loads the sync engine the way the page does, as a classic script, over an
+ * in-memory stand-in for KaziDB's outbox and an apiRequest that answers
+ * each path from `responses`: a status to fail with, a result, or a
+ * function of the request returning either.
+ */
+function loadSyncEngine({ outbox, responses, attachments = {}, online = true }) {
+    const calls = [];
+    const records = [];
+    const context = {
+        navigator: { onLine: online },
+        db: {
+            db: {},
+            async getAttachments(applicationId) {
+                return attachments[applicationId] || [];
+            },
+            async updateAttachment(id, changes) {
+                records.push({ attachment: id, ...changes });
+            },
+            async getOutbox(queue) {
+                return outbox[queue] || [];
+            },
+            async claimOutboxItem(queue, id) {
+                return (outbox[queue] || []).find(item => item.id === id);
+            },
+            async recordOutboxFailure(queue, id, failure) {
+                records.push({ queue, id, ...failure });
+                return { delivery: { nextAttemptAt: 1 } };
+            },
+            async markAsSynced(id, serverId, status) {
+                records.push({ queue: 'applications', id, sent: serverId, status });
+            },
+            async markApplicationClosed(id) {
+                records.push({ queue: 'applications', id, closed: true });
+            },
+            async markJobSubmissionSynced(id, serverId) {
+                records.push({ queue: 'jobSubmissions', id, sent: serverId });
+            },
+            async markJobReportSent(id, { closed = false } = {}) {
+                records.push({ queue: 'jobReports', id, closed });
+            }
+        },
+        async apiRequest(endpoint, options) {
+            calls.push({ endpoint, method: options.method, body: options.body });
+            const [route] = endpoint.split('?');
+            let response = responses[route];
+            if (typeof response === 'function') response = response(endpoint, options);
+            if (response instanceof Error) throw response;
+            if (typeof response !== 'number') return response;
+            const err = new Error(`Request failed with ${response}`);
+            if (response) err.status = response;
+            err.data = response === 400 ? { fields: { applicantPhone: 'Enter a Kenyan mobile number' } } : null;
+            throw err;
+        }
+    };
+    vm.runInNewContext(SYNC_SOURCE, context);
+    return { drainOutbox: context.drainOutbox, calls, records };
+}
+
+const application = (id, jobId) => ({
+    id, jobId, jobTitle: `Job ${jobId}`, applicantName: 'Achieng', applicantPhone: '0712345678', submissionKey: `k${id}`
+});
+
+test('sends every queued item and marks it delivered', async () => {
+    const engine = loadSyncEngine({
+        outbox: {
+            applications: [application(1, 10)],
+            jobSubmissions: [{ id: 2, title: 'Cook', submissionKey: 'j2' }]
+        },
+        responses: {
+            '/applications': { id: 51, status: 'pending' },
+            '/jobs': { id: 52, version: 1 }
+        }
+    });
+    const events = [];
+    const summary = await engine.drainOutbox({ report: event => events.push(event) });
+
+    assert.deepEqual({ ...summary.sent }, { applications: 1, jobSubmissions: 1, jobEdits: 0, jobReports: 0 });
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(engine.records.map(record => record.sent), [51, 52]);
+    assert.deepEqual(events.filter(event => event.type === 'SYNC_ITEM').map(event => event.state),
+        ['sending', 'sent', 'sending', 'sent']);
+});
+
+test('a refused item is set aside without holding up the rest', async () => {
+    const engine = loadSyncEngine({
+        outbox: { applications: [application(1, 10)], jobSubmissions: [{ id: 2, title: 'Cook' }] },
+        responses: { '/applications': 400, '/jobs': { id: 52, version: 1 } }
+    });
+    const events = [];
+    await engine.drainOutbox({ report: event => events.push(event) });
+
+    // The field errors are kept to show on the form when the item is edited
+    assert.deepEqual(engine.records[0], {
+        queue: 'applications',
+        id: 1,
+        error: 'Enter a Kenyan mobile number',
+        fields: { applicantPhone: 'Enter a Kenyan mobile number' },
+        permanent: true
+    });
+    assert.equal(engine.records[1].sent, 52);
+    assert.ok(events.some(event => event.state === 'attention' && event.error === 'Enter a Kenyan mobile number'));
+});
+
+test('a server error schedules a retry for that item only', async () => {
+    const engine = loadSyncEngine({
+        outbox: { applications: [application(1, 10)], jobSubmissions: [{ id: 2, title: 'Cook' }] },
+        responses: { '/applications': 503, '/jobs': { id: 52, version: 1 } }
+    });
+    const summary = await engine.drainOutbox();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(engine.records[0].permanent, undefined);
+    assert.equal(engine.records[1].sent, 52);
+});
+
+test('an item that needs a signed-in user waits for sign-in', async () => {
+    const engine = loadSyncEngine({
+        outbox: { jobSubmissions: [{ id: 2, title: 'Cook' }, { id: 3, title: 'Driver' }] },
+        responses: { '/jobs': 401 }
+    });
+    const events = [];
+    const summary = await engine.drainOutbox({ report: event => events.push(event) });
+
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(engine.records, [
+        { queue: 'jobSubmissions', id: 2, error: 'Sign in to send this', needsSignIn: true },
+        { queue: 'jobSubmissions', id: 3, error: 'Sign in to send this', needsSignIn: true }
+    ]);
+    assert.ok(events.every(event => event.state !== 'attention'));
+    assert.equal(events.filter(event => event.state === 'signin').length, 2);
+});
+
+test('losing the network ends the pass', async () => {
+    const engine = loadSyncEngine({
+        outbox: { applications: [application(1, 10), application(2, 11)], jobSubmissions: [{ id: 3, title: 'Cook' }] },
+        responses: { '/applications': 0, '/jobs': { id: 52, version: 1 } }
+    });
+    const summary = await engine.drainOutbox();
+
+    assert.equal(engine.calls.length, 1);
+    assert.deepEqual(engine.records, [{ queue: 'applications', id: 1, error: 'No connection' }]);
+    assert.equal(summary.failed, 1);
+});
+
+test('nothing is sent while offline', async () => {
+    const engine = loadSyncEngine({ outbox: { applications: [application(1, 10)] }, responses: {}, online: false });
+    await engine.drainOutbox();
+    assert.deepEqual(engine.calls, []);
+});
+
+test('an application to a closed job is marked closed', async () => {
+    const engine = loadSyncEngine({ outbox: { applications: [application(1, 10)] }, responses: { '/applications': 410 } });
+    const events = [];
+    await engine.drainOutbox({ report: event => events.push(event) });
+
+    assert.deepEqual(engine.records, [{ queue: 'applications', id: 1, closed: true }]);
+    assert.ok(events.some(event => event.state === 'closed'));
+});
+
+test('a report on a job that is already gone is closed', async () => {
+    const engine = loadSyncEngine({
+        outbox: { jobReports: [{ id: 1, jobId: 9, jobTitle: 'Cook', reason: 'fee' }, { id: 2, jobId: 10, jobTitle: 'Guard', reason: 'fee' }] },
+        responses: { '/jobs/9/reports': 404, '/jobs/10/reports': { message: 'Thanks' } }
+    });
+    await engine.drainOutbox();
+    assert.deepEqual(engine.records, [
+        { queue: 'jobReports', id: 1, closed: true },
+        { queue: 'jobReports', id: 2, closed: false }
+    ]);
+});
+
+test("an application's files are uploaded in chunks first, resuming where the server is", async () => {
+    const blob = new Blob([Buffer.alloc(150 * 1024, 1)]);
+    const engine = loadSyncEngine({
+        outbox: { applications: [application(1, 10)] },
+        attachments: { 1: [{ id: 7, uploadId: 'upload-7', uploaded: 0, blob, fileName: 'cv.pdf', mimeType: 'application/pdf' }] },
+        responses: {
+            '/attachments/upload-7': (endpoint, { bytes }) => {
+                const offset = Number(new URL(endpoint, 'http://x').searchParams.get('offset'));
+                if (offset === 0) {
+                    // An earlier attempt got the first chunk through
+                    return Object.assign(new Error('Conflict'), { status: 409, data: { received: 65536, complete: false } });
+                }
+                return { received: offset + bytes.size };
+            },
+            '/applications': { id: 51, status: 'new' }
+        }
+    });
+    await engine.drainOutbox();
+
+    assert.deepEqual(engine.calls.map(call => call.endpoint), [
+        '/attachments/upload-7?offset=0',
+        '/attachments/upload-7?offset=65536',
+        '/attachments/upload-7?offset=131072',
+        '/applications'
+    ]);
+    assert.deepEqual(engine.records.filter(record => record.attachment).map(record => record.uploaded), [65536, 131072, 153600]);
+    assert.deepEqual([...engine.calls[3].body.attachments], ['upload-7']);
+});
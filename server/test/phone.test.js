@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone } = require('../lib/phone');
+
+test('normalizes the ways people write Kenyan mobile numbers', () => {
+    for (const input of ['0712 345 678', '712345678', '254712345678', '+254-712-345-678', '(0712) 345.678']) {
+        assert.equal(normalizePhone(input), '+254712345678', input);
+    }
+    assert.equal(normalizePhone('0110 123 456'), '+254110123456');
+});
+
+test('rejects anything that is not a Kenyan mobile number', () => {
+    for (const input of ['', '0212345678', '07123456', '+255712345678', '0712a45678', null, 712345678]) {
+        assert.equal(normalizePhone(input), null, String(input));
+    }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let seeker;
+test.before(async () => {
+    api = await startServer();
+    seeker = await api.signIn('0711 004 001');
+});
+test.after(() => api.close());
+
+const PROFILE = {
+    name: 'Atieno',
+    county: 'kisumu',
+    education: 'secondary',
+    skills: ['Driving', 'M-Pesa agent'],
+    languages: ['Dholuo', 'Kiswahili'],
+    coverNote: 'Available from Monday.'
+};
+
+test('the profile is kept with the account', async () => {
+    assert.equal((await api.request('GET', '/api/me/profile', { token: seeker.token })).status, 404);
+    assert.equal((await api.request('GET', '/api/me/profile')).status, 401);
+
+    const { status, body } = await api.request('PUT', '/api/me/profile', { token: seeker.token, body: { ...PROFILE, updatedAt: 1000 } });
+    assert.equal(status, 200);
+    assert.equal(body.county, 'Kisumu');
+    assert.equal(body.updatedAt, 1000);
+
+    const { body: fetched } = await api.request('GET', '/api/me/profile', { token: seeker.token });
+    assert.deepEqual(fetched, body);
+});
+
+test('an older copy from another phone does not overwrite a newer one', async () => {
+    await api.request('PUT', '/api/me/profile', { token: seeker.token, body: { ...PROFILE, name: 'Atieno O.', updatedAt: 2000 } });
+    const { body } = await api.request('PUT', '/api/me/profile', { token: seeker.token, body: { ...PROFILE, name: 'Old name', updatedAt: 1500 } });
+    assert.equal(body.name, 'Atieno O.');
+    assert.equal(body.updatedAt, 2000);
+});
+
+test('rejects an unknown education level and too many skills', async () => {
+    const { status, body } = await api.request('PUT', '/api/me/profile', {
+        token: seeker.token,
+        body: { education: 'wizardry', skills: Array.from({ length: 21 }, (_, i) => `Skill ${i}`), updatedAt: 3000 }
+    });
+    assert.equal(status, 400);
+    assert.ok(body.fields.education);
+    assert.ok(body.fields.skills);
+});
+
+test('employers see the profile shared with an application', async () => {
+    const employer = await api.signIn('0711 004 002');
+    const { body: job } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { title: 'Driver', company: 'Lake Transport', location: 'Kisumu', type: 'urban' }
+    });
+    const admin = await api.signIn(ADMIN_PHONE);
+    await api.request('PATCH', `/api/admin/jobs/${job.id}/approve`, { token: admin.token });
+
+    const { county, education, skills, languages } = PROFILE;
+    const applied = await api.request('POST', '/api/applications', {
+        body: {
+            jobId: job.id, jobTitle: 'Driver', applicantName: 'Atieno', applicantPhone: '0711 004 001', applicantNotes: '',
+            profile: { county, education, skills, languages }
+        }
+    });
+    assert.equal(applied.status, 201);
+
+    const { body: applicants } = await api.request('GET', `/api/employer/jobs/${job.id}/applications`, { token: employer.token });
+    assert.deepEqual(applicants[0].profile, { county: 'Kisumu', education, skills, languages });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateKeyPair } = require('../lib/p256');
+const { createPushSender, pushEndpointProblem } = require('../lib/push');
+
+test('public https push services are accepted', () => {
+    assert.equal(pushEndpointProblem('https://fcm.googleapis.com/fcm/send/abc'), null);
+    assert.equal(pushEndpointProblem('https://updates.push.services.mozilla.com/wpush/v2/abc'), null);
+    assert.equal(pushEndpointProblem('https://8.8.8.8/push'), null);
+});
+
+test('loopback, private and non-https endpoints are refused', () => {
+    [
+        'http://push.example.com/x',
+        'https://localhost/push',
+        'https://api.localhost/push',
+        'https://127.0.0.1:8443/push',
+        'https://10.0.0.5/push',
+        'https://172.20.1.1/push',
+        'https://192.168.1.1/push',
+        'https://169.254.169.254/latest/meta-data',
+        'https://0.0.0.0/push',
+        'https://[::1]/push',
+        'https://[fd00::1]/push',
+        'https://[::ffff:127.0.0.1]/push',
+        'ftp://push.example.com/x',
+        'not a url'
+    ].forEach(endpoint => assert.ok(pushEndpointProblem(endpoint), endpoint));
+});
+
+test('a local stand-in is allowed only with PUSH_ALLOW_LOCAL_ENDPOINTS', () => {
+    process.env.PUSH_ALLOW_LOCAL_ENDPOINTS = '1';
+    try {
+        assert.equal(pushEndpointProblem('http://127.0.0.1:4000/device'), null);
+        assert.equal(pushEndpointProblem('http://localhost:4000/device'), null);
+        assert.ok(pushEndpointProblem('http://push.example.com/x'));
+    } finally {
+        delete process.env.PUSH_ALLOW_LOCAL_ENDPOINTS;
+    }
+});
+
+test('nothing is sent to a private address; the subscription is dropped', async t => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 201 }));
+    const push = createPushSender(generateKeyPair());
+    const subscription = { endpoint: 'https://192.168.0.10/push', keys: { p256dh: '', auth: '' } };
+    assert.deepEqual(await push.send(subscription, { title: 'Cook' }), { ok: false, gone: true, status: null });
+    assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('production refuses to start without the VAPID keys', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY: process.env.VAPID_PRIVATE_KEY };
+    process.env.NODE_ENV = 'production';
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    try {
+        assert.throws(() => createPushSender(), /VAPID_PUBLIC_KEY\/VAPID_PRIVATE_KEY must be set in production/);
+    } finally {
+        Object.entries(env).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClient } = require('@libsql/client');
+const { migrateUp } = require('../lib/migrator');
+const { RATE_LIMITS, createRateLimiter } = require('../lib/ratelimit');
+
+let dir;
+let db;
+let limiter;
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kazi-ratelimit-'));
+    db = createClient({ url: `file:${path.join(dir, 'test.db')}` });
+    await migrateUp(db, { log: () => {} });
+    limiter = createRateLimiter(db);
+});
+
+test.after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Runs the middleware for one request: resolves with { next: true } or the response
+function send(middleware, req) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            headers: {},
+            set(name, value) { res.headers[name] = value; return res; },
+            status(code) { res.statusCode = code; return res; },
+            json(body) { resolve({ statusCode: res.statusCode, headers: res.headers, body }); return res; }
+        };
+        middleware(req, res, err => (err ? reject(err) : resolve({ next: true })));
+    });
+}
+
+test('lets requests through up to the limit, then answers 429 with Retry-After', async (t) => {
+    const now = t.mock.method(Date, 'now', () => 1_000_000);
+    const { max, windowMs } = RATE_LIMITS.otpPerPhone;
+    const limit = limiter.rateLimit('otpPerPhone', req => req.body.phone);
+    const req = { body: { phone: '+254712345678' } };
+
+    for (let i = 0; i < max; i++) {
+        assert.deepEqual(await send(limit, req), { next: true });
+    }
+    now.mock.mockImplementation(() => 1_000_000 + 60 * 60 * 1000);
+    const refused = await send(limit, req);
+    assert.equal(refused.statusCode, 429);
+    assert.equal(refused.headers['Retry-After'], String((windowMs - 60 * 60 * 1000) / 1000));
+    assert.equal(refused.body.error, 'Too many requests. Please try again in 23 hours.');
+});
+
+test('counts each key and each limit separately', async (t) => {
+    t.mock.method(Date, 'now', () => 2_000_000);
+    const limit = limiter.rateLimit('jobPostsPerPhone', req => req.phone);
+    for (let i = 0; i < RATE_LIMITS.jobPostsPerPhone.max; i++) {
+        await send(limit, { phone: '+254711111111' });
+    }
+    assert.equal((await send(limit, { phone: '+254711111111' })).statusCode, 429);
+    assert.deepEqual(await send(limit, { phone: '+254722222222' }), { next: true });
+    assert.deepEqual(await send(limiter.rateLimit('applicationsPerPhone', req => req.phone), { phone: '+254711111111' }),
+        { next: true });
+});
+
+test('starts a new window once the old one has ended', async (t) => {
+    const now = t.mock.method(Date, 'now', () => 3_000_000);
+    const { max, windowMs } = RATE_LIMITS.reportsPerIp;
+    const limit = limiter.rateLimit('reportsPerIp', req => req.ip);
+    for (let i = 0; i < max; i++) await send(limit, { ip: '10.0.0.1' });
+    assert.equal((await send(limit, { ip: '10.0.0.1' })).statusCode, 429);
+
+    now.mock.mockImplementation(() => 3_000_000 + windowMs);
+    assert.deepEqual(await send(limit, { ip: '10.0.0.1' }), { next: true });
+});
+
+test('requests without a key are not counted', async () => {
+    const limit = limiter.rateLimit('jobPostsPerPhone', () => null);
+    for (let i = 0; i <= RATE_LIMITS.jobPostsPerPhone.max; i++) {
+        assert.deepEqual(await send(limit, {}), { next: true });
+    }
+    const { rows } = await db.execute("SELECT COUNT(*) AS count FROM rate_limits WHERE key = ''");
+    assert.equal(rows[0].count, 0);
+});
+
+test('prune forgets windows that have ended', async () => {
+    await limiter.prune(10_000_000_000);
+    const { rows } = await db.execute("SELECT COUNT(*) AS count FROM rate_limits");
+    assert.equal(rows[0].count, 0);
+});
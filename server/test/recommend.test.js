@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KaziRecommend = require('../../src/js/recommend');
+
+const { SCORE_WEIGHTS, RECOMMEND_MIN_SCORE } = KaziRecommend;
+
+const jobs = [
+    { id: 1, title: 'Delivery Driver', company: 'Haraka', location: 'Mombasa', county: 'Mombasa', category: 'transport', description: 'Van driving' },
+    { id: 2, title: 'Data Entry Clerk', company: 'SkillHub', location: 'Remote', county: null, category: 'tech', description: 'Typing and driving licence a plus' },
+    { id: 3, title: 'Farm Hand', company: 'Shamba Co', location: 'Bondo', county: 'Siaya', category: 'agriculture', description: 'Harvest' },
+    { id: 4, title: 'Cook', company: 'Hoteli', location: 'Kisumu', county: 'Kisumu', category: 'hospitality', description: 'Kitchen work' }
+];
+
+test('stems words roughly, leaving short ones alone', () => {
+    assert.equal(KaziRecommend.stem('driving'), 'driv');
+    assert.equal(KaziRecommend.stem('drivers'), 'driv');
+    assert.equal(KaziRecommend.stem('cooks'), 'cook');
+    assert.equal(KaziRecommend.stem('cases'), 'cases');
+});
+
+test('a skill in the title outweighs one in the listing', () => {
+    const model = KaziRecommend.seekerModel({ skills: ['Driving'] });
+    const inTitle = KaziRecommend.scoreJob(jobs[0], model);
+    const inListing = KaziRecommend.scoreJob(jobs[1], model);
+    assert.equal(inTitle.score, SCORE_WEIGHTS.skillInTitle);
+    assert.equal(inListing.score, SCORE_WEIGHTS.skillInListing);
+    assert.deepEqual(inTitle.skills, ['Driving']);
+    assert.deepEqual(inTitle.reasons, ['Matches your skills: Driving']);
+});
+
+test('scores the seeker\'s county above a neighbouring one', () => {
+    const model = KaziRecommend.seekerModel({ county: 'siaya' });
+    assert.deepEqual(KaziRecommend.scoreJob(jobs[2], model), { score: SCORE_WEIGHTS.sameCounty, reasons: ['In Siaya'], skills: [] });
+    assert.deepEqual(KaziRecommend.scoreJob(jobs[3], model),
+        { score: SCORE_WEIGHTS.neighbouringCounty, reasons: ['Near you, in Kisumu'], skills: [] });
+    assert.equal(KaziRecommend.scoreJob(jobs[0], model).score, 0);
+});
+
+test('jobs like ones applied for score, and those applied for are left out', () => {
+    const model = KaziRecommend.seekerModel({
+        applied: [{ id: 1, title: 'Truck Driver', category: 'transport' }]
+    });
+    const ranked = KaziRecommend.rankJobs([...jobs, { id: 5, title: 'Bus Driver', category: 'transport' }], model);
+    assert.ok(!ranked.some(result => result.job.id === 1));
+    assert.equal(ranked[0].job.id, 5);
+    assert.equal(ranked[0].score, SCORE_WEIGHTS.appliedCategory + SCORE_WEIGHTS.appliedTitleWord);
+    assert.deepEqual(ranked[0].reasons, ['Like jobs you applied for']);
+});
+
+test('without a county of their own, a seeker is placed where they last applied', () => {
+    const model = KaziRecommend.seekerModel({
+        applied: [
+            { id: 9, title: 'Waiter', location: 'Kayole, Nairobi' },
+            { id: 8, title: 'Porter', county: 'Mombasa' }
+        ]
+    });
+    assert.equal(model.county, 'Nairobi');
+    assert.equal(KaziRecommend.seekerModel({ county: 'Siaya', applied: [{ id: 8, county: 'Mombasa' }] }).county, 'Siaya');
+    assert.equal(KaziRecommend.hasPreferences(model), true);
+    assert.equal(KaziRecommend.hasPreferences(KaziRecommend.seekerModel()), false);
+});
+
+test('recommends only jobs scoring enough, best and then newest first', () => {
+    const model = KaziRecommend.seekerModel({ skills: ['Driving'], county: 'Mombasa' });
+    const recommended = KaziRecommend.recommendJobs(jobs, model);
+    assert.deepEqual(recommended.map(result => result.job.id), [1]);
+    assert.ok(recommended[0].score >= RECOMMEND_MIN_SCORE);
+
+    const everywhere = KaziRecommend.recommendJobs(jobs, model, { minScore: 0, limit: 3 });
+    assert.deepEqual(everywhere.map(result => result.job.id), [1, 2, 4]);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+let employer;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+    employer = await api.signIn('0711 005 001');
+});
+test.after(() => api.close());
+
+async function postAndApprove(fields) {
+    const { body } = await api.request('POST', '/api/jobs', {
+        token: employer.token,
+        body: { company: 'Haraka Logistics', type: 'urban', ...fields }
+    });
+    await api.request('PATCH', `/api/admin/jobs/${body.id}/approve`, { token: admin.token });
+    return body.id;
+}
+
+test('recommendations need a signed-in seeker', async () => {
+    assert.equal((await api.request('GET', '/api/me/recommendations')).status, 401);
+});
+
+test("jobs matching the seeker's skills and county come first, with reasons", async () => {
+    const driver = await postAndApprove({ title: 'Zebra Van Driver', location: 'Voi', county: 'Taita Taveta', category: 'transport' });
+    const seeker = await api.signIn('0711 005 101');
+    await api.request('PUT', '/api/me/profile', {
+        token: seeker.token,
+        body: { skills: ['Driving'], county: 'Taita Taveta', updatedAt: 1 }
+    });
+
+    const { status, body } = await api.request('GET', '/api/me/recommendations?limit=3', { token: seeker.token });
+    assert.equal(status, 200);
+    assert.ok(body.length <= 3);
+    assert.equal(body[0].id, driver);
+    assert.deepEqual(body[0].reasons, ['Matches your skills: Driving', 'In Taita-Taveta']);
+});
+
+test('without an account profile, the one sent with the last application is used', async () => {
+    const cook = await postAndApprove({ title: 'Zebra Camp Cook', location: 'Lodwar', county: 'Turkana', category: 'hospitality' });
+    await api.request('POST', '/api/applications', {
+        body: {
+            jobId: cook, jobTitle: 'Zebra Camp Cook', applicantName: 'Ekai', applicantPhone: '0711 005 201', applicantNotes: '',
+            profile: { county: 'Turkana', skills: ['Cooking'] }
+        }
+    });
+    const nearby = await postAndApprove({ title: 'Zebra Lodge Cook', location: 'Lodwar', county: 'Turkana', category: 'hospitality' });
+
+    const seeker = await api.signIn('0711 005 201');
+    const { body } = await api.request('GET', '/api/me/recommendations', { token: seeker.token });
+    assert.equal(body[0].id, nearby);
+    // Already applied for
+    assert.ok(!body.some(job => job.id === cook));
+});
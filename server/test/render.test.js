@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, multiline, trusted, escapeHtml } = require('../../src/js/render');
+
+test('values in a template are escaped', () => {
+    const title = '<img src=x onerror="alert(1)">';
+    assert.equal(String(html`<h3>${title}</h3>`), '<h3>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</h3>');
+    assert.equal(escapeHtml(`Tom & Jerry's`), 'Tom &amp; Jerry&#39;s');
+});
+
+test('templates nest, arrays join and empty values render as nothing', () => {
+    const items = ['a<b', 'c'].map(item => html`<li>${item}</li>`);
+    assert.equal(String(html`<ul>${items}</ul>${null}${undefined}${false}`), '<ul><li>a&lt;b</li><li>c</li></ul>');
+    assert.equal(String(html`${0}`), '0');
+});
+
+test('only markup marked trusted goes in as it is', () => {
+    assert.equal(String(html`<div>${trusted('<svg></svg>')}</div>`), '<div><svg></svg></div>');
+});
+
+test('multiline text keeps paragraphs and line breaks, escaped', () => {
+    assert.equal(String(multiline('One\nTwo <b>\n\n\nThree')), '<p>One<br>Two &lt;b&gt;</p><p>Three</p>');
+    assert.equal(String(multiline(null)), '');
+});
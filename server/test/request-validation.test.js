@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+});
+test.after(() => api.close());
+
+test('answers field-level messages for a bad job post', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', {
+        token: admin.token,
+        body: { title: '', company: 'Jenga Ltd', location: 'Thika', type: 'space', salaryMin: 900, salaryMax: 100 }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Please correct the highlighted fields');
+    assert.deepEqual(Object.keys(body.fields).sort(), ['title', 'type']);
+});
+
+test('normalises the applicant phone number', async () => {
+    const bad = await api.request('POST', '/api/applications', {
+        body: { jobId: 1, applicantName: 'Wanjiku', applicantPhone: '12345' }
+    });
+    assert.equal(bad.status, 400);
+    assert.ok(bad.body.fields.applicantPhone);
+
+    const good = await api.request('POST', '/api/applications', {
+        body: { jobId: 1, applicantName: 'Wanjiku', applicantPhone: '0712 345 678' }
+    });
+    assert.equal(good.status, 201);
+    const { rows } = await api.db.execute({ sql: 'SELECT applicantPhone FROM applications WHERE id = ?', args: [good.body.id] });
+    assert.equal(rows[0].applicantPhone, '+254712345678');
+});
+
+test('admin edits cannot blank the listing text', async () => {
+    const blank = await api.request('PATCH', '/api/admin/jobs/1', { token: admin.token, body: { description: ' ' } });
+    assert.equal(blank.status, 400);
+    assert.deepEqual(blank.body.fields, { description: 'Required' });
+
+    const cleared = await api.request('PATCH', '/api/admin/jobs/1', { token: admin.token, body: { salary: '' } });
+    assert.equal(cleared.status, 200);
+});
+
+test('unknown endpoints and broken bodies answer in JSON', async () => {
+    const missing = await api.request('GET', '/api/nothing-here');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.error, /No such endpoint/);
+
+    const response = await fetch(`${api.base}/api/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"title":'
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Request body is not valid JSON' });
+});
+
+test('markup in a listing is stored as plain text', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', {
+        token: admin.token,
+        body: { title: 'Cook <script>alert(1)</script>', company: 'Hoteli', location: 'Kisumu', type: 'urban', description: 'Line one\r\n<b>Line two</b>' }
+    });
+    assert.equal(status, 201);
+    const { rows } = await api.db.execute({ sql: 'SELECT title, description FROM jobs WHERE id = ?', args: [body.id] });
+    assert.equal(rows[0].title, 'Cook alert(1)');
+    assert.equal(rows[0].description, 'Line one\nLine two');
+
+    const onlyTags = await api.request('POST', '/api/jobs', {
+        token: admin.token,
+        body: { title: '<img src=x>', company: 'Hoteli', location: 'Kisumu', type: 'urban' }
+    });
+    assert.equal(onlyTags.status, 400);
+    assert.equal(onlyTags.body.fields.title, 'Must be plain text');
+});
+
+test('pages are served with a content security policy', async () => {
+    const response = await fetch(`${api.base}/`);
+    const policy = response.headers.get('content-security-policy');
+    assert.match(policy, /script-src 'self' https:\/\/unpkg.com/);
+    assert.match(policy, /object-src 'none'/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ADMIN_PHONE } = require('./helpers');
+
+let api;
+let admin;
+test.before(async () => {
+    api = await startServer();
+    admin = await api.signIn(ADMIN_PHONE);
+});
+test.after(() => api.close());
+
+test('ADMIN_PHONES signs in as an admin', () => {
+    assert.equal(admin.user.role, 'admin');
+});
+
+test('admin routes need a signed-in moderator or admin', async () => {
+    const seeker = await api.signIn('0711 000 101');
+    assert.equal((await api.request('GET', '/api/admin/jobs')).status, 401);
+    assert.equal((await api.request('GET', '/api/admin/jobs', { token: seeker.token })).status, 403);
+    assert.equal((await api.request('GET', '/api/applications', { token: seeker.token })).status, 403);
+    assert.equal((await api.request('GET', '/api/admin/jobs', { token: admin.token })).status, 200);
+});
+
+test('an admin grants moderator rights, and moderators cannot manage users', async () => {
+    const moderator = await api.signIn('0711 000 102');
+    const grant = await api.request('PATCH', `/api/admin/users/${moderator.user.id}/role`, {
+        token: admin.token,
+        body: { role: 'moderator' }
+    });
+    assert.equal(grant.status, 200);
+
+    // Roles are read per request, so the existing session picks up the change
+    const me = await api.request('GET', '/api/auth/me', { token: moderator.token });
+    assert.equal(me.body.user.role, 'moderator');
+    assert.equal((await api.request('GET', '/api/admin/jobs', { token: moderator.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/admin/users', { token: moderator.token })).status, 403);
+});
+
+test('rejects unknown roles and changing your own role', async () => {
+    const unknown = await api.request('PATCH', `/api/admin/users/${admin.user.id}/role`, {
+        token: admin.token,
+        body: { role: 'owner' }
+    });
+    assert.equal(unknown.status, 400);
+
+    const own = await api.request('PATCH', `/api/admin/users/${admin.user.id}/role`, {
+        token: admin.token,
+        body: { role: 'seeker' }
+    });
+    assert.equal(own.status, 400);
+});
+
+test('moderation actions land in the audit log', async () => {
+    const posted = await api.request('POST', '/api/jobs', {
+        token: admin.token,
+        body: { title: 'Cook', company: 'Mama Oliech', location: 'Nairobi', type: 'urban' }
+    });
+    await api.request('PATCH', `/api/admin/jobs/${posted.body.id}/approve`, { token: admin.token });
+
+    const { status, body } = await api.request('GET', `/api/admin/audit-log?entityType=job&entityId=${posted.body.id}`, {
+        token: admin.token
+    });
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.equal(body[0].action, 'approve');
+    assert.equal(body[0].actorPhone, ADMIN_PHONE);
+});
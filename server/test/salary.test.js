@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalaryRange, parseSalaryPeriod } = require('../lib/salary');
+
+test('reads single amounts and ranges', () => {
+    assert.deepEqual(parseSalaryRange('KES 25,000'), { min: 25000, max: 25000 });
+    assert.deepEqual(parseSalaryRange('Ksh 20k - 30k'), { min: 20000, max: 30000 });
+    assert.deepEqual(parseSalaryRange('1,500 per day'), { min: 1500, max: 1500 });
+});
+
+test('answers nulls when there is no amount', () => {
+    assert.deepEqual(parseSalaryRange('Negotiable'), { min: null, max: null });
+    assert.deepEqual(parseSalaryRange(''), { min: null, max: null });
+    assert.deepEqual(parseSalaryRange(undefined), { min: null, max: null });
+});
+
+test('infers the pay period from the wording', () => {
+    assert.equal(parseSalaryPeriod('1,500 per day'), 'daily');
+    assert.equal(parseSalaryPeriod('KES 800 kwa siku'), 'daily');
+    assert.equal(parseSalaryPeriod('50 per piece'), 'per-task');
+    assert.equal(parseSalaryPeriod('KES 25,000'), 'monthly');
+    assert.equal(parseSalaryPeriod(null), 'monthly');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCAM_HOLD_SCORE, assessJob, holdReasons } = require('../lib/scam');
+
+const honest = {
+    title: 'Delivery Rider',
+    company: 'Haraka Logistics',
+    location: 'Mombasa',
+    salary: 'KES 28,000 per month',
+    description: 'Deliver parcels around Mombasa. Must have a riding licence. Apply through KaziConnect.'
+};
+
+test('an ordinary listing has no signals', () => {
+    assert.deepEqual(assessJob(honest), { score: 0, reasons: [] });
+    assert.equal(holdReasons(honest), null);
+});
+
+test('asking for a fee is enough to hold a listing', () => {
+    const listing = { ...honest, description: 'Pay a registration fee of KES 500 to secure your slot.' };
+    assert.ok(assessJob(listing).score >= SCAM_HOLD_SCORE);
+    assert.deepEqual(holdReasons(listing), ['Asks applicants to pay a fee']);
+});
+
+test('recognises M-Pesa tills and Swahili fee wording', () => {
+    assert.deepEqual(holdReasons({ ...honest, description: 'Lipa na M-Pesa till number 123456 to book.' }),
+        ['Asks for money by M-Pesa (till, paybill or "send money")']);
+    assert.deepEqual(holdReasons({ ...honest, description: 'Kuna ada ya usajili.' }), ['Asks applicants to pay a fee']);
+});
+
+test('weaker signals are reported only once they add up', () => {
+    const whatsApp = { ...honest, description: 'Contact us on WhatsApp only.' };
+    assert.deepEqual(assessJob(whatsApp), { score: 2, reasons: ['Can only be contacted on WhatsApp'] });
+    assert.equal(holdReasons(whatsApp), null);
+
+    const withNumber = { ...whatsApp, description: `${whatsApp.description} Call 0712 345 678.` };
+    assert.deepEqual(holdReasons(withNumber), ['Can only be contacted on WhatsApp', 'Gives a personal phone number to contact']);
+});
+
+test('looks at every field, not just the description', () => {
+    assert.deepEqual(assessJob({ ...honest, title: 'Guaranteed job, no interview' }).reasons,
+        ['Promises a job without an interview']);
+});
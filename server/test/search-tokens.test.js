@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KaziSearch = require('../../src/js/search');
+
+test('tokenizes without accents, stop words or single letters', () => {
+    assert.deepEqual(KaziSearch.tokenize('The Café ya Mama, a Nairobi job'), ['cafe', 'mama', 'nairobi', 'job']);
+    assert.deepEqual(KaziSearch.tokenize(null), []);
+});
+
+test('weighs title words above description words', () => {
+    const weights = KaziSearch.jobTokenWeights({ title: 'Driver', description: 'Delivery driver needed for deliveries' });
+    assert.ok(weights.get('driver') > KaziSearch.FIELD_WEIGHTS.title);
+    assert.equal(weights.get('needed'), KaziSearch.FIELD_WEIGHTS.description);
+});
+
+test('edit distance gives up past the allowance', () => {
+    assert.equal(KaziSearch.editDistance('driver', 'drivr', 1), 1);
+    assert.equal(KaziSearch.editDistance('driver', 'diver', 1), 1);
+    assert.equal(KaziSearch.editDistance('driver', 'farmer', 1), 2);
+});
+
+test('short words get no typo allowance', () => {
+    assert.equal(KaziSearch.typoAllowance('it'), 0);
+    assert.equal(KaziSearch.typoAllowance('cook'), 1);
+    assert.equal(KaziSearch.typoAllowance('pharmacist'), 2);
+});
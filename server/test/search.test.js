@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+test.before(async () => { api = await startServer(); });
+test.after(() => api.close());
+
+async function search(query) {
+    const { status, body } = await api.request('GET', `/api/jobs?${new URLSearchParams(query)}`);
+    assert.equal(status, 200);
+    return body;
+}
+
+test('matches keywords as prefixes across the listing', async () => {
+    const { jobs } = await search({ q: 'pharm' });
+    assert.deepEqual(jobs.map(job => job.title), ['Pharmacy Assistant']);
+
+    // Every word has to match
+    assert.deepEqual((await search({ q: 'pharmacy mombasa' })).jobs, []);
+});
+
+test('FTS operators in the input are treated as words', async () => {
+    const { jobs } = await search({ q: 'rider OR "NEAR(' });
+    assert.deepEqual(jobs, []);
+});
+
+test('filters by type, location and salary range', async () => {
+    assert.ok((await search({ type: 'remote' })).jobs.every(job => job.type === 'remote'));
+    assert.deepEqual((await search({ location: 'nairobi' })).jobs.map(job => job.company).sort(),
+        ['MediCare Kayole', 'Nairobi Express']);
+    const { jobs } = await search({ minSalary: 29000, maxSalary: 50000 });
+    assert.deepEqual(jobs.map(job => job.salaryMin).sort(), [30000, 45000]);
+});
+
+test('pages newest first with an opaque cursor', async () => {
+    const first = await search({ limit: 4 });
+    assert.equal(first.jobs.length, 4);
+    assert.ok(first.nextCursor);
+
+    const second = await search({ limit: 4, cursor: first.nextCursor });
+    assert.equal(second.jobs.length, 2);
+    assert.equal(second.nextCursor, null);
+    assert.ok(first.jobs[3].id > second.jobs[0].id);
+});
+
+test('never publishes submission keys', async () => {
+    const { jobs } = await search({});
+    assert.ok(jobs.every(job => !('submissionKey' in job)));
+});
+
+test('rejects bad parameters', async () => {
+    for (const query of [{ limit: 0 }, { limit: 51 }, { minSalary: -1 }, { cursor: '!!' }]) {
+        const { status } = await api.request('GET', `/api/jobs?${new URLSearchParams(query)}`);
+        assert.equal(status, 400, JSON.stringify(query));
+    }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateKeyPair } = require('../lib/p256');
+const { createJobSigner } = require('../lib/signing');
+const KaziJobPack = require('../../src/js/jobpack');
+const { startServer } = require('./helpers');
+
+const job = {
+    id: 7,
+    title: 'Teaching Assistant',
+    company: 'Bondo School',
+    location: 'Bondo',
+    type: 'rural',
+    salaryMin: 20000,
+    salaryMax: 20000,
+    salaryPeriod: 'monthly',
+    category: 'education',
+    county: 'Siaya',
+    expiresAt: '2030-01-31 00:00:00',
+    description: 'Help in class.'
+};
+
+function signerWithKeys(keys) {
+    process.env.JOB_SIGNING_PUBLIC_KEY = keys.publicKey;
+    process.env.JOB_SIGNING_PRIVATE_KEY = keys.privateKey;
+    try {
+        return createJobSigner();
+    } finally {
+        delete process.env.JOB_SIGNING_PUBLIC_KEY;
+        delete process.env.JOB_SIGNING_PRIVATE_KEY;
+    }
+}
+
+test('uses the key pair from the environment', () => {
+    const keys = generateKeyPair();
+    assert.equal(signerWithKeys(keys).publicKey, keys.publicKey);
+});
+
+test('production refuses to start without a key pair', t => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+        assert.throws(() => createJobSigner(), /JOB_SIGNING_PUBLIC_KEY\/JOB_SIGNING_PRIVATE_KEY must be set in production/);
+    } finally {
+        if (env === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = env;
+    }
+});
+
+test('signatures verify on the device with WebCrypto', async () => {
+    const signer = signerWithKeys(generateKeyPair());
+    const key = await KaziJobPack.importSigningKey(signer.publicKey);
+    assert.equal(await KaziJobPack.verifyJob({ ...job, signature: signer.sign(job) }, key), true);
+});
+
+test('a changed field or another key fails the check', async () => {
+    const signer = signerWithKeys(generateKeyPair());
+    const signature = signer.sign(job);
+    const key = await KaziJobPack.importSigningKey(signer.publicKey);
+    assert.equal(await KaziJobPack.verifyJob({ ...job, salaryMin: 200000, signature }, key), false);
+    assert.equal(await KaziJobPack.verifyJob({ ...job, expiresAt: '2040-01-31 00:00:00', signature }, key), false);
+
+    const otherKey = await KaziJobPack.importSigningKey(signerWithKeys(generateKeyPair()).publicKey);
+    assert.equal(await KaziJobPack.verifyJob({ ...job, signature }, otherKey), false);
+});
+
+test('fields outside the signature can change freely', async () => {
+    const signer = signerWithKeys(generateKeyPair());
+    const key = await KaziJobPack.importSigningKey(signer.publicKey);
+    assert.equal(await KaziJobPack.verifyJob({ ...job, status: 'approved', version: 3, signature: signer.sign(job) }, key), true);
+});
+
+test('every listing in the job feed carries a signature for the published key', async () => {
+    const api = await startServer();
+    try {
+        const { body: signing } = await api.request('GET', '/api/jobs/signing-key');
+        const key = await KaziJobPack.importSigningKey(signing.publicKey);
+        const { body } = await api.request('GET', '/api/jobs/changes');
+        assert.ok(body.upserts.length > 0);
+        for (const listing of body.upserts) {
+            assert.equal(await KaziJobPack.verifyJob(listing, key), true);
+        }
+
+        // A device that cached them can fetch just new signatures
+        const ids = body.upserts.map(listing => listing.id);
+        const { status, body: fresh } = await api.request('POST', '/api/jobs/signatures', { body: { ids: [...ids, 999999] } });
+        assert.equal(status, 200);
+        assert.equal(fresh.publicKey, signing.publicKey);
+        assert.deepEqual(fresh.signatures.map(({ id }) => id).sort((a, b) => a - b), [...ids].sort((a, b) => a - b));
+        for (const { id, signature } of fresh.signatures) {
+            const listing = body.upserts.find(candidate => candidate.id === id);
+            assert.equal(await KaziJobPack.verifyJob({ ...listing, signature }, key), true);
+        }
+
+        assert.equal((await api.request('POST', '/api/jobs/signatures', { body: { ids: [] } })).status, 400);
+    } finally {
+        api.close();
+    }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KaziTaxonomy = require('../../src/js/taxonomy');
+
+test('knows all 47 counties', () => {
+    assert.equal(KaziTaxonomy.COUNTIES.length, 47);
+    assert.equal(new Set(KaziTaxonomy.COUNTIES).size, 47);
+});
+
+test('finds the county in the ways people write locations', () => {
+    assert.equal(KaziTaxonomy.normalizeCounty('Nairobi'), 'Nairobi');
+    assert.equal(KaziTaxonomy.normalizeCounty('uasin gishu county'), 'Uasin Gishu');
+    assert.equal(KaziTaxonomy.normalizeCounty('muranga'), "Murang'a");
+    assert.equal(KaziTaxonomy.normalizeCounty('Taita Taveta'), 'Taita-Taveta');
+    assert.equal(KaziTaxonomy.normalizeCounty('Kayole, Nairobi'), 'Nairobi');
+    assert.equal(KaziTaxonomy.normalizeCounty('Eldoret'), 'Uasin Gishu');
+});
+
+test('has no county for places it does not know', () => {
+    assert.equal(KaziTaxonomy.normalizeCounty('Remote'), null);
+    assert.equal(KaziTaxonomy.normalizeCounty(''), null);
+    assert.equal(KaziTaxonomy.normalizeCounty(null), null);
+});
+
+test('neighbouring counties go both ways and a county is not its own neighbour', () => {
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Siaya', 'Kisumu'), true);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Kisumu', 'Siaya'), true);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Nairobi', 'Kiambu'), true);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Siaya', 'Mombasa'), false);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Siaya', 'Siaya'), false);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Siaya', null), false);
+    assert.equal(KaziTaxonomy.areNeighbouringCounties('Atlantis', 'Siaya'), false);
+});
+
+test('every county has at least one neighbour', () => {
+    KaziTaxonomy.COUNTIES.forEach(county => {
+        assert.ok(KaziTaxonomy.COUNTIES.some(other => KaziTaxonomy.areNeighbouringCounties(county, other)), county);
+    });
+});
+
+test('guesses a category from title words first', () => {
+    assert.equal(KaziTaxonomy.inferCategory({ title: 'Boda rider', description: 'Deliver to the shop' }), 'transport');
+    assert.equal(KaziTaxonomy.inferCategory({ title: 'Shop attendant', description: 'Some delivery work' }), 'sales');
+    assert.equal(KaziTaxonomy.inferCategory({ title: 'Mystery role' }), 'other');
+});
+
+test('category labels and ids', () => {
+    assert.equal(KaziTaxonomy.isCategory('tech'), true);
+    assert.equal(KaziTaxonomy.isCategory('astronaut'), false);
+    assert.equal(KaziTaxonomy.categoryLabel('health'), 'Health & Care');
+    assert.equal(KaziTaxonomy.categoryLabel('astronaut'), 'Other');
+});
+
+test('formats pay as a range with its period, or the free text', () => {
+    assert.equal(KaziTaxonomy.formatSalary({ salaryMin: 20000, salaryMax: 30000, salaryPeriod: 'monthly' }), 'KES 20,000 - 30,000 per month');
+    assert.equal(KaziTaxonomy.formatSalary({ salaryMin: 500, salaryMax: 500, salaryPeriod: 'daily' }), 'KES 500 per day');
+    assert.equal(KaziTaxonomy.formatSalary({ salaryMin: 800, salaryMax: null }), 'KES 800');
+    assert.equal(KaziTaxonomy.formatSalary({ salary: 'Negotiable', salaryMin: null }), 'Negotiable');
+    assert.equal(KaziTaxonomy.formatSalary({}), 'Not specified');
+});
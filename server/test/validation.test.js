@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    string, integer, oneOf, phone, date, county, array, object,
+    schema, partial, validate, validateRequest, sanitizeText
+} = require('../lib/validation');
+
+const jobLike = schema({
+    title: string({ required: true, max: 20 }),
+    salaryMin: integer({ min: 0 }),
+    salaryMax: integer({ min: 0 }),
+    type: oneOf(['urban', 'rural'], { required: true }),
+    description: string({ multiline: true })
+}, job => (job.salaryMin != null && job.salaryMax != null && job.salaryMin > job.salaryMax
+    ? { salaryMax: 'Cannot be less than the minimum' }
+    : null));
+
+test('normalises valid input and drops unknown fields', () => {
+    const { value, errors } = validate(jobLike, {
+        title: '  Driver ',
+        salaryMin: '15000',
+        type: 'urban',
+        ownerId: 1
+    });
+    assert.equal(errors, null);
+    assert.deepEqual(value, { title: 'Driver', salaryMin: 15000, type: 'urban' });
+});
+
+test('collects one message per bad field', () => {
+    const { errors } = validate(jobLike, { title: 'x'.repeat(21), salaryMin: 1.5, type: 'space' });
+    assert.deepEqual(errors, {
+        title: 'Must be 20 characters or fewer',
+        salaryMin: 'Must be a whole number',
+        type: 'Must be one of: urban, rural'
+    });
+});
+
+test('requires required fields, treating blanks as missing', () => {
+    const { errors } = validate(jobLike, { title: '   ', type: null });
+    assert.deepEqual(errors, { title: 'Required', type: 'Required' });
+});
+
+test('runs the cross-field check only once the fields are valid', () => {
+    assert.deepEqual(validate(jobLike, { title: 'Driver', type: 'rural', salaryMin: 500, salaryMax: 100 }).errors,
+        { salaryMax: 'Cannot be less than the minimum' });
+    assert.deepEqual(validate(jobLike, { type: 'rural', salaryMin: 500, salaryMax: 100 }).errors,
+        { title: 'Required' });
+});
+
+test('partial schemas require nothing but refuse to blank required fields', () => {
+    const update = partial(jobLike);
+    assert.deepEqual(validate(update, {}), { value: {}, errors: null });
+    assert.deepEqual(validate(update, { description: '' }), { value: { description: null }, errors: null });
+    assert.deepEqual(validate(update, { title: '' }).errors, { title: 'Required' });
+    assert.deepEqual(validate(update, { title: null }).errors, { title: 'Required' });
+});
+
+test('strips tags and control characters, keeping line breaks only in multiline text', () => {
+    assert.equal(sanitizeText('<b>Hi</b>\u0007 there\r\nnow'), 'Hi there now');
+    assert.equal(sanitizeText('Line one\r\nLine two', { multiline: true }), 'Line one\nLine two');
+    assert.deepEqual(validate(jobLike, { title: '<script></script>', type: 'urban' }).errors, { title: 'Must be plain text' });
+    assert.equal(validate(jobLike, { title: 'Cook', type: 'urban', description: 'Hot\n<i>food</i>' }).value.description, 'Hot\nfood');
+});
+
+test('phone numbers, dates and counties come back in canonical form', () => {
+    const contact = schema({ phone: phone(), closingDate: date(), county: county() });
+    assert.deepEqual(validate(contact, { phone: '0712 345 678', closingDate: '2030-01-31', county: 'kayole' }).value,
+        { phone: '+254712345678', closingDate: '2030-01-31', county: 'Nairobi' });
+    assert.deepEqual(validate(contact, { phone: '0612345678', closingDate: '2030-02-30', county: 'Atlantis' }).errors, {
+        phone: 'Enter a valid Kenyan mobile number, e.g. 0712 345 678',
+        closingDate: 'Not a real date',
+        county: 'Must be one of the 47 Kenyan counties'
+    });
+    assert.deepEqual(validate(schema({ closingDate: date({ notPast: true }) }), { closingDate: '2000-01-01' }).errors,
+        { closingDate: 'Cannot be in the past' });
+});
+
+test('arrays and nested objects are validated item by item', () => {
+    const people = schema({
+        tags: array(string({ max: 10 }), { max: 2 }),
+        profile: object(schema({ name: string({ required: true }) }))
+    });
+    assert.deepEqual(validate(people, { tags: [' a ', 'b'], profile: { name: 'Akinyi', extra: 1 } }).value,
+        { tags: ['a', 'b'], profile: { name: 'Akinyi' } });
+    assert.deepEqual(validate(people, { tags: ['a', ''], profile: {} }).errors, {
+        tags: 'Contains an invalid item: Must not contain blanks',
+        profile: 'name: Required'
+    });
+    assert.deepEqual(validate(people, { tags: ['a', 'b', 'c'] }).errors, { tags: 'Must have at most 2 items' });
+});
+
+test('validateRequest replaces the request parts or answers 400 with field messages', () => {
+    const middleware = validateRequest({ params: schema({ id: integer({ required: true, min: 1 }) }) });
+    const reply = () => {
+        const res = {
+            status(code) { res.statusCode = code; return res; },
+            json(body) { res.body = body; return res; }
+        };
+        return res;
+    };
+
+    const req = { params: { id: '12' } };
+    let called = false;
+    middleware(req, reply(), () => { called = true; });
+    assert.ok(called);
+    assert.deepEqual(req.params, { id: 12 });
+
+    const res = reply();
+    middleware({ params: { id: '0' } }, res, () => assert.fail('next() called'));
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Please correct the highlighted fields', fields: { id: 'Must be 1 or more' } });
+});
@@ -0,0 +1,43 @@
+const API_BASE_URL = '/api';
+
+/**
+ * Error thrown for non-2xx API responses. Keeps the HTTP status and the
+ * parsed response body so callers can tell a rejected request from an outage.
+ */
+class ApiError extends Error {
+    constructor(message, status, data) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * JSON request to the KaziConnect API, shared by the page and the service worker.
+ * Sends the signed-in user's session token when there is one.
+ * `bytes` (a Blob) is sent as the raw body instead of JSON, e.g. a chunk of
+ * an upload; `asBlob` resolves with a file the API sends back.
+ * Resolves with the parsed body; rejects with ApiError or a network TypeError.
+ */
+async function apiRequest(path, { method = 'GET', body, bytes, asBlob = false } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (bytes !== undefined) headers['Content-Type'] = 'application/octet-stream';
+
+    const token = await db.getSetting('authToken');
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers,
+        body: bytes !== undefined ? bytes : (body === undefined ? undefined : JSON.stringify(body))
+    });
+
+    if (asBlob && response.ok) return response.blob();
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new ApiError(data.error || 'Server error', response.status, data);
+    }
+    return data;
+}
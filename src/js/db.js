@@ -1,10 +1,55 @@
 const DB_NAME = 'KaziConnectDB';
-const DB_VERSION = 3;
+const DB_VERSION = 12;
+
+/**
+ * Generates the idempotency key sent with a queued submission, so the server
+ * can recognise a retry whose first attempt was committed but never answered.
+ */
+function generateSubmissionKey() {
+    if (self.crypto && crypto.randomUUID) return crypto.randomUUID();
+    // randomUUID needs a secure context; build a v4 UUID by hand otherwise
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * The outbox: rows of these stores that still have to reach the server.
+ * Each keeps its delivery alongside it, as `delivery`:
+ *   { state: 'sending' | 'failed' | 'signin' | 'attention', attempts, nextAttemptAt, error, fields }
+ * No delivery means queued. 'failed' is retried at nextAttemptAt; 'signin'
+ * (the server wants a signed-in user) is queued again once the user signs
+ * in; 'attention' (the server refused it) waits until the user edits or
+ * cancels the item, keeping the server's field errors in `fields`.
+ * A job submission becomes a job edit once the server has it, so the two
+ * queues share a store (and a row is only ever in one of them).
+ */
+const OUTBOX_QUEUES = {
+    applications: { store: 'applications', pending: app => !app.synced && !app.closed },
+    jobSubmissions: { store: 'jobSubmissions', pending: job => !job.synced },
+    jobEdits: { store: 'jobSubmissions', pending: job => Boolean(job.synced && job.pendingEdit && !job.pendingEdit.conflict) },
+    jobReports: { store: 'jobReports', pending: report => !report.synced && !report.closed }
+};
+
+// Wait before retry N (the last one repeats), give or take a fifth so
+// devices that lost the server together don't all come back at once
+const OUTBOX_RETRY_DELAYS = [30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3, 2 * 3600e3, 6 * 3600e3];
+
+// A send still marked in flight after this was cut short (the page closed)
+const OUTBOX_SENDING_TIMEOUT = 2 * 60e3;
 
 /**
  * Handles all IndexedDB operations for KaziConnect.
- * Stores jobs for offline viewing, applications for background sync,
- * and job submissions for employer offline-first posting.
+ * Stores jobs for offline viewing, applications (queued for background sync,
+ * then kept to track their status),
+ * job submissions for employer offline-first posting, a cached copy of
+ * the employer dashboard (owned jobs and their applicants), an inverted
+ * index of cached jobs for offline keyword search, the saved searches
+ * job alerts are sent for, the seeker's reports of suspicious jobs,
+ * the files attached to queued applications (kept until they are sent), and
+ * the ids of listings the server has taken down.
  */
 class KaziDB {
     constructor() {
@@ -45,10 +90,93 @@ class KaziDB {
                         db.createObjectStore('jobSubmissions', { keyPath: 'id', autoIncrement: true });
                     }
                 }
+
+                // Version 4: Employer dashboard cache
+                if (oldVersion < 4) {
+                    if (!db.objectStoreNames.contains('ownedJobs')) {
+                        db.createObjectStore('ownedJobs', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('applicants')) {
+                        const applicantsStore = db.createObjectStore('applicants', { keyPath: 'id' });
+                        applicantsStore.createIndex('jobId', 'jobId');
+                    }
+                }
+
+                // Version 5: Look up applications by submission key for status updates
+                if (oldVersion < 5) {
+                    const applicationsStore = event.target.transaction.objectStore('applications');
+                    if (!applicationsStore.indexNames.contains('submissionKey')) {
+                        applicationsStore.createIndex('submissionKey', 'submissionKey');
+                    }
+                }
+
+                // Version 6: Inverted index for offline search, one entry per (job, token)
+                if (oldVersion < 6) {
+                    if (!db.objectStoreNames.contains('searchIndex')) {
+                        const indexStore = db.createObjectStore('searchIndex', { keyPath: ['jobId', 'token'] });
+                        indexStore.createIndex('token', 'token');
+                    }
+                    const upgradeTx = event.target.transaction;
+                    upgradeTx.objectStore('jobs').getAll().onsuccess = (e) => {
+                        e.target.result.forEach(job => this.indexJob(upgradeTx, job));
+                    };
+                }
+
+                // Version 7: Browse cached jobs by the structured fields
+                if (oldVersion < 7) {
+                    const jobsStore = event.target.transaction.objectStore('jobs');
+                    ['category', 'county', 'closingDate'].forEach(field => {
+                        if (!jobsStore.indexNames.contains(field)) jobsStore.createIndex(field, field);
+                    });
+                }
+
+                // Version 8: Find expired listings to prune
+                if (oldVersion < 8) {
+                    const jobsStore = event.target.transaction.objectStore('jobs');
+                    if (!jobsStore.indexNames.contains('expiresAt')) {
+                        jobsStore.createIndex('expiresAt', 'expiresAt');
+                    }
+                }
+
+                // Version 9: Saved searches, which job alerts are sent for
+                if (oldVersion < 9) {
+                    if (!db.objectStoreNames.contains('savedSearches')) {
+                        db.createObjectStore('savedSearches', { keyPath: 'key' });
+                    }
+                }
+
+                // Version 10: Listings taken down, so a shared job pack can't bring them back
+                if (oldVersion < 10) {
+                    if (!db.objectStoreNames.contains('removedJobs')) {
+                        db.createObjectStore('removedJobs', { keyPath: 'id' });
+                    }
+                }
+
+                // Version 11: Reports of suspicious jobs, sent through the outbox
+                if (oldVersion < 11) {
+                    if (!db.objectStoreNames.contains('jobReports')) {
+                        const reportsStore = db.createObjectStore('jobReports', { keyPath: 'id', autoIncrement: true });
+                        reportsStore.createIndex('jobId', 'jobId');
+                    }
+                }
+
+                // Version 12: Files attached to queued applications, with their upload progress
+                if (oldVersion < 12) {
+                    if (!db.objectStoreNames.contains('attachments')) {
+                        const attachmentsStore = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+                        attachmentsStore.createIndex('applicationId', 'applicationId');
+                    }
+                }
             };
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+                // The page and the service worker both hold connections;
+                // let go of ours so a newer version can upgrade.
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
                 resolve(this.db);
             };
 
@@ -62,12 +190,105 @@ class KaziDB {
     // --- Job Operations ---
 
     async saveJobs(jobs) {
-        const tx = this.db.transaction('jobs', 'readwrite');
+        const tx = this.db.transaction(['jobs', 'searchIndex'], 'readwrite');
         const store = tx.objectStore('jobs');
-        jobs.forEach(job => store.put(job));
+        jobs.forEach(job => {
+            store.put(job);
+            this.indexJob(tx, job);
+        });
         return new Promise((resolve) => tx.oncomplete = resolve);
     }
 
+    /**
+     * Applies one page of the server's job change feed and advances the
+     * stored cursor in the same transaction, so a page is never half-applied.
+     * Tombstoned ids are remembered until the job comes back in the feed.
+     */
+    async applyJobChanges({ cursor, reset, upserts, deleted }) {
+        const tx = this.db.transaction(['jobs', 'searchIndex', 'removedJobs', 'settings'], 'readwrite');
+        const store = tx.objectStore('jobs');
+        const removed = tx.objectStore('removedJobs');
+        if (reset) {
+            store.clear();
+            tx.objectStore('searchIndex').clear();
+        }
+        upserts.forEach(job => {
+            store.put(job);
+            this.indexJob(tx, job);
+            removed.delete(job.id);
+        });
+        deleted.forEach(id => {
+            store.delete(id);
+            this.unindexJob(tx, id);
+            removed.put({ id });
+        });
+        tx.objectStore('settings').put({ key: 'jobsCursor', value: cursor });
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Ids of the listings the feed has taken down, as a Set
+    async getRemovedJobIds() {
+        return new Promise((resolve) => {
+            const request = this.db.transaction('removedJobs', 'readonly').objectStore('removedJobs').getAllKeys();
+            request.onsuccess = () => resolve(new Set(request.result));
+        });
+    }
+
+    async getJobsCursor() {
+        return (await this.getSetting('jobsCursor')) || 0;
+    }
+
+    /**
+     * Swaps in the signatures made with a new signing key and stores the key,
+     * in one transaction. Cached jobs the server didn't re-sign (no longer up)
+     * lose their old signature, so they can't be shared.
+     */
+    async replaceJobSignatures(publicKey, signatures) {
+        const fresh = new Map(signatures.map(({ id, signature }) => [id, signature]));
+        const tx = this.db.transaction(['jobs', 'settings'], 'readwrite');
+        const request = tx.objectStore('jobs').openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const job = cursor.value;
+            if (fresh.has(job.id)) job.signature = fresh.get(job.id);
+            else delete job.signature;
+            cursor.update(job);
+            cursor.continue();
+        };
+        tx.objectStore('settings').put({ key: 'jobSigningKey', value: publicKey });
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Removes cached jobs whose listing has expired, without waiting for the
+     * server's tombstone (the device may be offline for days).
+     * Resolves with the ids removed.
+     */
+    async pruneExpiredJobs(now = new Date()) {
+        // expiresAt is the server's "YYYY-MM-DD HH:MM:SS" UTC text
+        const cutoff = now.toISOString().replace('T', ' ').slice(0, 19);
+        const tx = this.db.transaction(['jobs', 'searchIndex'], 'readwrite');
+        const store = tx.objectStore('jobs');
+        const request = store.index('expiresAt').getAllKeys(IDBKeyRange.upperBound(cutoff));
+        request.onsuccess = () => {
+            request.result.forEach(id => {
+                store.delete(id);
+                this.unindexJob(tx, id);
+            });
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
     async getAllJobs() {
         return new Promise((resolve) => {
             const tx = this.db.transaction('jobs', 'readonly');
@@ -77,55 +298,397 @@ class KaziDB {
         });
     }
 
+    async countJobs() {
+        return new Promise((resolve) => {
+            const request = this.db.transaction('jobs', 'readonly').objectStore('jobs').count();
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    /**
+     * Frees space by removing the `count` oldest cached jobs (lowest ids,
+     * posted first), with their search index entries.
+     * Resolves with the ids removed.
+     */
+    async evictOldestJobs(count) {
+        const tx = this.db.transaction(['jobs', 'searchIndex'], 'readwrite');
+        const store = tx.objectStore('jobs');
+        const request = store.getAllKeys(null, count);
+        request.onsuccess = () => {
+            request.result.forEach(id => {
+                store.delete(id);
+                this.unindexJob(tx, id);
+            });
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // --- Offline Search Index ---
+
+    // Replaces a job's index entries within the caller's transaction.
+    // Keys start with the job id, so one range delete clears the old entries
+    // before the new ones are written.
+    indexJob(tx, job) {
+        this.unindexJob(tx, job.id);
+        const store = tx.objectStore('searchIndex');
+        KaziSearch.jobTokenWeights(job).forEach((weight, token) => {
+            store.put({ jobId: job.id, token, weight });
+        });
+    }
+
+    unindexJob(tx, jobId) {
+        tx.objectStore('searchIndex').delete(IDBKeyRange.bound([jobId], [jobId, []]));
+    }
+
+    /**
+     * Ranks cached jobs against a keyword query.
+     * Each query word matches index tokens exactly, as a prefix ("mana" ->
+     * "manager") or within a small edit distance ("fam" -> "farm"), with
+     * decreasing credit. Jobs matching more of the words rank first, then by
+     * score, where rarer words weigh more. Resolves with [{ id, score }].
+     */
+    async searchJobs(query) {
+        const terms = [...new Set(KaziSearch.tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const tx = this.db.transaction(['jobs', 'searchIndex'], 'readonly');
+        const tokenIndex = tx.objectStore('searchIndex').index('token');
+        const request = (req) => new Promise((resolve) => req.onsuccess = () => resolve(req.result));
+
+        const jobCount = await request(tx.objectStore('jobs').count());
+        let vocabulary = null;
+        const results = new Map();
+
+        for (const term of terms) {
+            const matches = new Map();
+            const add = (entries, credit) => entries.forEach(entry => {
+                matches.set(entry.jobId, Math.max(matches.get(entry.jobId) || 0, entry.weight * credit));
+            });
+
+            add(await request(tokenIndex.getAll(term)), 1);
+            add(await request(tokenIndex.getAll(IDBKeyRange.bound(term, term + '\uffff', true))), 0.7);
+
+            const allowance = KaziSearch.typoAllowance(term);
+            if (matches.size === 0 && allowance > 0) {
+                // Only walk the whole vocabulary when nothing matched directly
+                vocabulary = vocabulary || await this.uniqueTokens(tokenIndex);
+                for (const token of vocabulary) {
+                    if (KaziSearch.editDistance(term, token, allowance) <= allowance) {
+                        add(await request(tokenIndex.getAll(token)), 0.5);
+                    }
+                }
+            }
+
+            const idf = Math.log(1 + jobCount / Math.max(matches.size, 1));
+            matches.forEach((weight, jobId) => {
+                const result = results.get(jobId) || { id: jobId, score: 0, matchedTerms: 0 };
+                result.score += weight * idf;
+                result.matchedTerms += 1;
+                results.set(jobId, result);
+            });
+        }
+
+        return [...results.values()]
+            .sort((a, b) => b.matchedTerms - a.matchedTerms || b.score - a.score)
+            .map(({ id, score }) => ({ id, score }));
+    }
+
+    uniqueTokens(tokenIndex) {
+        return new Promise((resolve) => {
+            const tokens = [];
+            const cursorRequest = tokenIndex.openKeyCursor(null, 'nextunique');
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return resolve(tokens);
+                tokens.push(cursor.key);
+                cursor.continue();
+            };
+        });
+    }
+
+    // --- Queued Items ---
+
+    /**
+     * Read-modify-write of one queued item in a single transaction.
+     * change(item) returns the new item, 'delete', or null when the item can
+     * no longer be changed, which rejects. Resolves with the new item.
+     */
+    async changeQueuedItem(storeName, id, change) {
+        const tx = this.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const request = store.get(id);
+        let outcome = null;
+
+        request.onsuccess = () => {
+            outcome = request.result ? change(request.result) : null;
+            if (outcome === 'delete') store.delete(id);
+            else if (outcome) store.put(outcome);
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => (outcome
+                ? resolve(outcome === 'delete' ? null : outcome)
+                : reject(new Error('It has already been sent and can no longer be changed here.')));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // --- Outbox ---
+
+    // Everything in a queue still to be sent, including items that need attention
+    async getOutbox(queue) {
+        const { store, pending } = OUTBOX_QUEUES[queue];
+        return new Promise((resolve) => {
+            const request = this.db.transaction(store, 'readonly').objectStore(store).getAll();
+            request.onsuccess = () => resolve(request.result.filter(pending));
+        });
+    }
+
+    /**
+     * Marks an outbox item as being sent, if it's due: not waiting out a
+     * retry delay (unless `force`), not refused, and not already being sent
+     * by the page or the service worker. Resolves with the item, or null.
+     */
+    async claimOutboxItem(queue, id, { force = false, now = Date.now() } = {}) {
+        const { pending } = OUTBOX_QUEUES[queue];
+        const claimable = (item) => {
+            const delivery = item.delivery || {};
+            if (!pending(item) || ['signin', 'attention'].includes(delivery.state)) return false;
+            if (delivery.state === 'sending') return now - delivery.since > OUTBOX_SENDING_TIMEOUT;
+            return force || !delivery.nextAttemptAt || delivery.nextAttemptAt <= now;
+        };
+        return this.changeQueuedItem(OUTBOX_QUEUES[queue].store, id, item => (claimable(item)
+            ? { ...item, delivery: { ...item.delivery, attempts: (item.delivery || {}).attempts || 0, state: 'sending', since: now } }
+            : null
+        )).catch(() => null);
+    }
+
+    /**
+     * Records a failed send. A permanent failure waits for the user, one
+     * that `needsSignIn` for them to sign in; anything else is retried on
+     * the OUTBOX_RETRY_DELAYS schedule. Resolves with the item.
+     */
+    async recordOutboxFailure(queue, id, { error, fields = null, permanent = false, needsSignIn = false, now = Date.now() }) {
+        return this.changeQueuedItem(OUTBOX_QUEUES[queue].store, id, item => {
+            const attempts = ((item.delivery || {}).attempts || 0) + 1;
+            if (needsSignIn) {
+                return { ...item, delivery: { state: 'signin', attempts, error } };
+            }
+            if (permanent) {
+                return { ...item, delivery: { state: 'attention', attempts, error, fields } };
+            }
+            const delay = OUTBOX_RETRY_DELAYS[Math.min(attempts, OUTBOX_RETRY_DELAYS.length) - 1];
+            const nextAttemptAt = now + Math.round(delay * (0.8 + Math.random() * 0.4));
+            return { ...item, delivery: { state: 'failed', attempts, nextAttemptAt, error } };
+        });
+    }
+
+    // Queues everything that was waiting for the user to sign in again
+    async releaseSignInWaits() {
+        for (const [queue, { store }] of Object.entries(OUTBOX_QUEUES)) {
+            for (const item of await this.getOutbox(queue)) {
+                if (!item.delivery || item.delivery.state !== 'signin') continue;
+                await this.changeQueuedItem(store, item.id, current => (
+                    current.delivery && current.delivery.state === 'signin' ? { ...current, delivery: null } : null
+                )).catch(() => {});
+            }
+        }
+    }
+
+    // When the next waiting retry is due, or null if nothing is waiting
+    async nextOutboxAttempt() {
+        const retries = [];
+        for (const queue of Object.keys(OUTBOX_QUEUES)) {
+            (await this.getOutbox(queue)).forEach(item => {
+                if (item.delivery && item.delivery.state === 'failed') retries.push(item.delivery.nextAttemptAt);
+            });
+        }
+        return retries.length > 0 ? Math.min(...retries) : null;
+    }
+
     // --- Application Operations ---
 
-    async queueApplication(application) {
-        const tx = this.db.transaction('applications', 'readwrite');
-        const store = tx.objectStore('applications');
-        store.add({
+    /**
+     * Queues an application with its attached files
+     * ({ blob, fileName, mimeType, encoding }), stored together so neither
+     * is sent without the other.
+     */
+    async queueApplication(application, attachments = []) {
+        const tx = this.db.transaction(['applications', 'attachments'], 'readwrite');
+        const request = tx.objectStore('applications').add({
             ...application,
+            attachmentNames: attachments.map(file => file.fileName),
+            submissionKey: application.submissionKey || generateSubmissionKey(),
             timestamp: Date.now(),
             synced: false
         });
-        return new Promise((resolve) => tx.oncomplete = resolve);
+        request.onsuccess = () => {
+            const store = tx.objectStore('attachments');
+            attachments.forEach(file => store.add({
+                ...file,
+                applicationId: request.result,
+                submissionKey: generateSubmissionKey(),
+                uploadId: null,
+                uploaded: 0
+            }));
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
     }
 
     async getPendingApplications() {
+        return this.getOutbox('applications');
+    }
+
+    async getAllApplications() {
         return new Promise((resolve) => {
             const tx = this.db.transaction('applications', 'readonly');
             const store = tx.objectStore('applications');
             const request = store.getAll();
-            request.onsuccess = () => resolve(request.result.filter(app => !app.synced));
+            request.onsuccess = () => resolve(request.result);
         });
     }
 
-    async markAsSynced(id) {
-        const tx = this.db.transaction('applications', 'readwrite');
+    async markAsSynced(id, serverId, status = 'new') {
+        // Keep the row so the seeker can follow the application's status;
+        // the server has the files now
+        const tx = this.db.transaction(['applications', 'attachments'], 'readwrite');
         const store = tx.objectStore('applications');
-        store.delete(id);
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, synced: true, serverId, status, delivery: null });
+        };
+        this.deleteAttachments(tx, id);
         return new Promise((resolve) => tx.oncomplete = resolve);
     }
 
+    /**
+     * Changes a queued application before it is sent. Rejects if it has
+     * already gone (or can't go) to the server.
+     */
+    async editQueuedApplication(id, changes) {
+        // An edit may fix what the server refused, so it goes out again right away
+        return this.changeQueuedItem('applications', id, app => (app.synced || app.closed
+            ? null
+            : { ...app, ...changes, revision: (app.revision || 0) + 1, delivery: null }));
+    }
+
+    async cancelQueuedApplication(id) {
+        const cancelled = await this.changeQueuedItem('applications', id, app => (app.synced || app.closed ? null : 'delete'));
+        const tx = this.db.transaction('attachments', 'readwrite');
+        this.deleteAttachments(tx, id);
+        await new Promise((resolve) => tx.oncomplete = resolve);
+        return cancelled;
+    }
+
+    // The job closed before a queued application reached the server; stop retrying it
+    async markApplicationClosed(id) {
+        const tx = this.db.transaction(['applications', 'attachments'], 'readwrite');
+        const store = tx.objectStore('applications');
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, closed: true, delivery: null });
+        };
+        this.deleteAttachments(tx, id);
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    // --- Attachment Operations ---
+
+    // The files attached to a queued application, in the order they were added
+    async getAttachments(applicationId) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const request = tx.objectStore('attachments').index('applicationId').getAll(IDBKeyRange.only(applicationId));
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    // Records how far a file's upload has got ({ uploadId, uploaded })
+    async updateAttachment(id, changes) {
+        const tx = this.db.transaction('attachments', 'readwrite');
+        const store = tx.objectStore('attachments');
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, ...changes });
+        };
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    // Drops an application's files within a readwrite transaction on 'attachments'
+    deleteAttachments(tx, applicationId) {
+        const store = tx.objectStore('attachments');
+        store.index('applicationId').getAllKeys(IDBKeyRange.only(applicationId)).onsuccess = (e) => {
+            e.target.result.forEach(key => store.delete(key));
+        };
+    }
+
+    /**
+     * Applies one page of the application status feed and advances its cursor.
+     * Applications made on another device (same signed-in user) are added.
+     * Resolves with the local records whose status changed.
+     */
+    async applyApplicationStatusChanges({ cursor, changes }) {
+        const tx = this.db.transaction(['applications', 'settings'], 'readwrite');
+        const store = tx.objectStore('applications');
+        const index = store.index('submissionKey');
+        const updated = [];
+
+        changes.forEach(change => {
+            const request = index.get(change.submissionKey);
+            request.onsuccess = () => {
+                const local = request.result;
+                if (local && local.status === change.status && local.synced) return;
+
+                const record = {
+                    ...(local || { timestamp: Date.parse(change.timestamp) || Date.now() }),
+                    jobId: change.jobId,
+                    jobTitle: change.jobTitle,
+                    applicantName: change.applicantName,
+                    applicantNotes: change.applicantNotes,
+                    submissionKey: change.submissionKey,
+                    serverId: change.id,
+                    status: change.status,
+                    statusUpdatedAt: change.statusUpdatedAt,
+                    synced: true
+                };
+                store.put(record);
+                if (local) updated.push(record);
+            };
+        });
+        tx.objectStore('settings').put({ key: 'applicationsCursor', value: cursor });
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(updated);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async getApplicationsCursor() {
+        return (await this.getSetting('applicationsCursor')) || 0;
+    }
+
     // --- Job Submission Operations (Employer offline posting) ---
 
     async queueJobSubmission(job) {
         const tx = this.db.transaction('jobSubmissions', 'readwrite');
         const store = tx.objectStore('jobSubmissions');
+        // Posts sent straight to the server arrive here already synced
         store.add({
+            synced: false,
             ...job,
-            timestamp: Date.now(),
-            synced: false
+            submissionKey: job.submissionKey || generateSubmissionKey(),
+            timestamp: Date.now()
         });
         return new Promise((resolve) => tx.oncomplete = resolve);
     }
 
     async getPendingJobSubmissions() {
-        return new Promise((resolve) => {
-            const tx = this.db.transaction('jobSubmissions', 'readonly');
-            const store = tx.objectStore('jobSubmissions');
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result.filter(j => !j.synced));
-        });
+        return this.getOutbox('jobSubmissions');
     }
 
     async getAllJobSubmissions() {
@@ -137,10 +700,221 @@ class KaziDB {
         });
     }
 
-    async markJobSubmissionSynced(id) {
+    /**
+     * Records that a post reached the server as job serverId at `version`.
+     * sentRevision is the revision of the copy that was sent: if the post was
+     * edited while it was on its way, the edit is kept as a pendingEdit.
+     */
+    async markJobSubmissionSynced(id, serverId, version = 1, sentRevision = 0) {
+        // Keep the row so it still shows under My Jobs
         const tx = this.db.transaction('jobSubmissions', 'readwrite');
         const store = tx.objectStore('jobSubmissions');
-        store.delete(id);
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const job = request.result;
+            if (!job) return;
+            const editedMeanwhile = (job.revision || 0) !== sentRevision;
+            store.put({
+                ...job,
+                synced: true,
+                serverId,
+                version,
+                status: 'pending',
+                delivery: null,
+                ...(editedMeanwhile ? { pendingEdit: { baseVersion: version } } : {})
+            });
+        };
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    /**
+     * Saves an employer's edit of one of their posts. Unsent posts are simply
+     * rewritten. Posts the server already has also get a pendingEdit holding
+     * the server version the edit started from, until it is sent.
+     */
+    async editJobSubmission(id, changes) {
+        return this.changeQueuedItem('jobSubmissions', id, job => ({
+            ...job,
+            ...changes,
+            revision: (job.revision || 0) + 1,
+            pendingEdit: job.synced ? { baseVersion: job.version || 1 } : null,
+            delivery: null
+        }));
+    }
+
+    // Only posts that haven't reached the server can be cancelled
+    async cancelJobSubmission(id) {
+        return this.changeQueuedItem('jobSubmissions', id, job => (job.synced ? null : 'delete'));
+    }
+
+    // Synced posts with an edit still to send (not ones waiting on a conflict)
+    async getJobEditsToSync() {
+        return this.getOutbox('jobEdits');
+    }
+
+    // An edit reached the server. If the post was edited again meanwhile, that edit is sent next.
+    async markJobEditSynced(id, version, sentRevision) {
+        return this.changeQueuedItem('jobSubmissions', id, job => ({
+            ...job,
+            version,
+            status: 'pending',
+            moderationReason: null,
+            pendingEdit: (job.revision || 0) === sentRevision ? null : { baseVersion: version },
+            delivery: null
+        }));
+    }
+
+    // Merges changes (e.g. a conflict the server reported) into a stored post
+    async updateJobSubmission(id, changes) {
+        return this.changeQueuedItem('jobSubmissions', id, job => ({ ...job, ...changes }));
+    }
+
+    /**
+     * Stores the moderation outcome (status, reason) the server reported for
+     * each submission, matched by submission key.
+     */
+    async updateJobSubmissionStatuses(statuses) {
+        const byKey = new Map(statuses.map(s => [s.submissionKey, s]));
+        const tx = this.db.transaction('jobSubmissions', 'readwrite');
+        const request = tx.objectStore('jobSubmissions').openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const status = byKey.get(cursor.value.submissionKey);
+            if (status) {
+                cursor.update({
+                    ...cursor.value,
+                    synced: true,
+                    serverId: status.id,
+                    status: status.status,
+                    moderationReason: status.moderationReason
+                });
+            }
+            cursor.continue();
+        };
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    /**
+     * Forgets everything on this device that belongs to the signed-in user:
+     * their applications (with files), job posts, employer dashboard and
+     * saved searches, sent or not. For signing out on a shared phone.
+     */
+    async clearAccountData() {
+        const stores = ['applications', 'attachments', 'jobSubmissions', 'ownedJobs', 'applicants', 'savedSearches'];
+        const tx = this.db.transaction(stores, 'readwrite');
+        stores.forEach(store => tx.objectStore(store).clear());
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // --- Employer Dashboard Operations (cached for offline review) ---
+
+    async saveOwnedJobs(jobs) {
+        const tx = this.db.transaction('ownedJobs', 'readwrite');
+        const store = tx.objectStore('ownedJobs');
+        store.clear();
+        jobs.forEach(job => store.put(job));
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    async getOwnedJobs() {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction('ownedJobs', 'readonly');
+            const store = tx.objectStore('ownedJobs');
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    async saveApplicants(jobId, applicants) {
+        const tx = this.db.transaction('applicants', 'readwrite');
+        const store = tx.objectStore('applicants');
+        const request = store.index('jobId').openKeyCursor(IDBKeyRange.only(jobId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            } else {
+                applicants.forEach(applicant => store.put(applicant));
+            }
+        };
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    async getApplicants(jobId) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction('applicants', 'readonly');
+            const request = tx.objectStore('applicants').index('jobId').getAll(IDBKeyRange.only(jobId));
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    async updateApplicant(applicant) {
+        const tx = this.db.transaction('applicants', 'readwrite');
+        tx.objectStore('applicants').put(applicant);
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    // --- Job Reports ---
+
+    async queueJobReport(report) {
+        const tx = this.db.transaction('jobReports', 'readwrite');
+        tx.objectStore('jobReports').add({
+            ...report,
+            submissionKey: generateSubmissionKey(),
+            timestamp: Date.now(),
+            synced: false
+        });
+        return new Promise((resolve) => tx.oncomplete = resolve);
+    }
+
+    // This device's latest report of a job, if it has made one
+    async getJobReport(jobId) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction('jobReports', 'readonly');
+            const request = tx.objectStore('jobReports').index('jobId').getAll(IDBKeyRange.only(jobId));
+            request.onsuccess = () => resolve(request.result.pop() || null);
+        });
+    }
+
+    // Sent, or `closed` when the job was taken down before the report got there
+    async markJobReportSent(id, { closed = false } = {}) {
+        return this.changeQueuedItem('jobReports', id, report => ({ ...report, synced: !closed, closed, delivery: null }));
+    }
+
+    async cancelJobReport(id) {
+        return this.changeQueuedItem('jobReports', id, report => (report.synced ? null : 'delete'));
+    }
+
+    // --- Saved Searches (job alerts) ---
+
+    // Stores a search's criteria under a new client key, which the server
+    // also uses to tell this device's searches apart
+    async saveSearch(search) {
+        const record = { ...search, key: generateSubmissionKey(), createdAt: new Date().toISOString() };
+        const tx = this.db.transaction('savedSearches', 'readwrite');
+        tx.objectStore('savedSearches').put(record);
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(record);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async getSavedSearches() {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction('savedSearches', 'readonly');
+            const request = tx.objectStore('savedSearches').getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        });
+    }
+
+    async deleteSavedSearch(key) {
+        const tx = this.db.transaction('savedSearches', 'readwrite');
+        tx.objectStore('savedSearches').delete(key);
         return new Promise((resolve) => tx.oncomplete = resolve);
     }
 
@@ -0,0 +1,149 @@
+/**
+ * Job packs: approved listings passed from phone to phone without a
+ * connection, as a file or a series of QR codes.
+ * Every job carries the server's ECDSA P-256 signature over canonicalJob(job),
+ * which the receiving device checks before saving it, so a pack can't carry
+ * forged or altered listings. Shared by the page and the server (which signs).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KaziJobPack = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PACK_FORMAT = 'kazipack';
+    const PACK_VERSION = 1;
+
+    // The listing fields a signature covers, in signing order
+    const SIGNED_FIELDS = ['id', 'title', 'company', 'location', 'type', 'salary', 'salaryMin', 'salaryMax',
+        'salaryPeriod', 'category', 'county', 'closingDate', 'expiresAt', 'description'];
+
+    // Text of a QR code holds about this many characters and still scans
+    // reliably with a cheap phone's camera
+    const QR_CHUNK_LENGTH = 600;
+    const QR_PATTERN = /^KZP(\d+):([a-z0-9]+):(\d+)\/(\d+):([\s\S]*)$/;
+
+    const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+    /**
+     * The exact text a job's signature is made over.
+     */
+    function canonicalJob(job) {
+        return JSON.stringify(SIGNED_FIELDS.map(field => job[field] ?? null));
+    }
+
+    /**
+     * A pack of signed jobs as compact JSON: each job is its signed field
+     * values followed by the signature. `key` names the signing key.
+     */
+    function encodePack(jobs, key) {
+        return JSON.stringify({
+            format: PACK_FORMAT,
+            version: PACK_VERSION,
+            key,
+            createdAt: new Date().toISOString(),
+            jobs: jobs.map(job => [...SIGNED_FIELDS.map(field => job[field] ?? null), job.signature])
+        });
+    }
+
+    /**
+     * Reads a pack back into job objects. Throws on anything that isn't a
+     * pack; signatures still have to be checked with verifyJob.
+     */
+    function decodePack(text) {
+        let pack = null;
+        try {
+            pack = JSON.parse(text);
+        } catch (err) {
+            // Reported below
+        }
+        if (!pack || pack.format !== PACK_FORMAT || !Array.isArray(pack.jobs)) {
+            throw new Error('This is not a KaziConnect job pack.');
+        }
+        if (pack.version !== PACK_VERSION) {
+            throw new Error('This job pack was made by a different version of KaziConnect. Update the app and try again.');
+        }
+        return {
+            key: pack.key,
+            createdAt: pack.createdAt,
+            jobs: pack.jobs.filter(Array.isArray).map(values => {
+                const job = { status: 'approved', signature: values[SIGNED_FIELDS.length] };
+                SIGNED_FIELDS.forEach((field, i) => { job[field] = values[i]; });
+                return job;
+            })
+        };
+    }
+
+    /**
+     * Splits a pack into the texts of a series of QR codes,
+     * "KZP<version>:<pack id>:<n>/<total>:<part of the pack>".
+     */
+    function packToQrTexts(packText) {
+        const packId = Math.random().toString(36).slice(2, 8);
+        // By code point, so no character is split between two codes
+        const characters = Array.from(packText);
+        const total = Math.max(1, Math.ceil(characters.length / QR_CHUNK_LENGTH));
+        return Array.from({ length: total }, (_, i) => {
+            const part = characters.slice(i * QR_CHUNK_LENGTH, (i + 1) * QR_CHUNK_LENGTH).join('');
+            return `KZP${PACK_VERSION}:${packId}:${i + 1}/${total}:${part}`;
+        });
+    }
+
+    /**
+     * Collects scanned QR texts, in any order, until a whole pack is in.
+     * `add` returns { received, total } for a code from a pack, or null for
+     * anything else; once `complete()`, `packText()` is the pack.
+     * Scanning a code from a different pack starts over.
+     */
+    function createQrCollector() {
+        let packId = null;
+        let parts = [];
+
+        return {
+            add(text) {
+                const match = QR_PATTERN.exec(text);
+                if (!match || Number(match[1]) !== PACK_VERSION) return null;
+                const [, , id, index, total, part] = match;
+                if (Number(index) < 1 || Number(index) > Number(total)) return null;
+
+                if (id !== packId) {
+                    packId = id;
+                    parts = new Array(Number(total)).fill(null);
+                }
+                parts[Number(index) - 1] = part;
+                return { received: parts.filter(p => p !== null).length, total: parts.length };
+            },
+            complete: () => parts.length > 0 && parts.every(p => p !== null),
+            packText: () => parts.join('')
+        };
+    }
+
+    function base64UrlToBytes(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    // WebCrypto key for the server's signing key (base64url, uncompressed point)
+    function importSigningKey(publicKey) {
+        return crypto.subtle.importKey('raw', base64UrlToBytes(publicKey), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    }
+
+    /**
+     * Whether a job's signature is the server's, over exactly these fields.
+     */
+    async function verifyJob(job, key) {
+        if (typeof job.signature !== 'string') return false;
+        try {
+            return await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, base64UrlToBytes(job.signature),
+                new TextEncoder().encode(canonicalJob(job)));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    return {
+        SIGNED_FIELDS,
+        canonicalJob, encodePack, decodePack, packToQrTexts, createQrCollector, importSigningKey, verifyJob
+    };
+});
@@ -2,16 +2,31 @@
  * Main application logic for KaziConnect.
  */
 
-const API_BASE_URL = '/api';
+// Everything shown from data goes through escaping templates (render.js)
+const { html, multiline, trusted, render } = KaziRender;
 
 const state = {
     currentFilter: 'all',
     titleQuery: '',
     locationQuery: '',
+    minSalary: null,
+    category: '',
+    county: '',
     jobs: [],
+    localMatches: null,
+    searchResults: null,
+    nextCursor: null,
     selectedJob: null,
     pendingCount: 0,
-    currentView: 'jobs'
+    currentView: 'jobs',
+    user: null,
+    signinPhone: null,
+    reviewJobId: null,
+    editingJobId: null,
+    editingApplicationId: null,
+    applicationFiles: [],
+    profile: null,
+    settings: {}
 };
 
 // --- Initialization ---
@@ -19,23 +34,23 @@ const state = {
 async function initApp() {
     try {
         await db.init();
+        populateTaxonomySelects();
 
-        // Check if we have jobs; if not and online, fetch from API
-        const localJobs = await db.getAllJobs();
-        if (localJobs.length === 0 && navigator.onLine) {
-            console.log('Fetching initial jobs from server...');
-            try {
-                const response = await fetch(`${API_BASE_URL}/jobs`);
-                const jobs = await response.json();
-                await db.saveJobs(jobs);
-                state.jobs = jobs;
-            } catch (err) {
-                console.error('Initial job fetch failed:', err);
-                state.jobs = [];
-            }
-        } else {
-            state.jobs = localJobs;
-        }
+        state.user = await db.getSetting('authUser');
+        state.profile = await db.getSetting('profile');
+        updateSigninButton();
+
+        state.settings = await loadSettings();
+        applyDataSaver();
+        schedulePolling();
+        requestPersistentStorage();
+
+        // Show whatever we have cached (minus listings that expired while the
+        // app was closed), then pull changes from the server
+        await db.pruneExpiredJobs();
+        state.jobs = await db.getAllJobs();
+        syncJobChanges();
+        syncApplicationStatuses();
 
         updateConnectionStatus();
         updatePendingSyncBanner();
@@ -46,13 +61,13 @@ async function initApp() {
             navigator.serviceWorker.register('/sw.js')
                 .then(() => console.log('Service Worker Registered'))
                 .catch(err => console.error('SW Registration Failed:', err));
+            navigator.serviceWorker.addEventListener('message', handleSyncMessage);
         }
 
-        // Background Sync Setup (if supported)
-        if ('SyncManager' in window && navigator.onLine) {
-            trySyncApplications();
-            trySyncJobSubmissions();
-        }
+        renderSavedSearches();
+        syncSavedSearches();
+        syncProfile();
+        openJobFromUrl();
 
     } catch (err) {
         console.error('App init failed:', err);
@@ -63,62 +78,264 @@ async function initApp() {
 
 // --- UI Logic ---
 
-function renderJobs() {
-    const jobList = document.getElementById('job-list');
-    const filteredJobs = state.jobs.filter(job => {
+// Category, county and pay period choices come from the shared taxonomy
+function populateTaxonomySelects() {
+    const options = (entries) => String(html`${entries.map(([value, label]) => html`<option value="${value}">${label}</option>`)}`);
+    const categories = KaziTaxonomy.JOB_CATEGORIES.map(category => [category.id, category.label]);
+    const counties = KaziTaxonomy.COUNTIES.map(county => [county, county]);
+
+    document.getElementById('category-filter').insertAdjacentHTML('beforeend', options(categories));
+    document.getElementById('county-filter').insertAdjacentHTML('beforeend', options(counties));
+    document.getElementById('job-category-input').insertAdjacentHTML('beforeend', options(categories));
+    document.getElementById('job-county-input').insertAdjacentHTML('beforeend', options(counties));
+    document.getElementById('job-salary-period-input').insertAdjacentHTML('beforeend', options(Object.entries(KaziTaxonomy.SALARY_PERIODS)));
+    document.getElementById('report-reason-input').insertAdjacentHTML('beforeend', options(Object.entries(KaziTaxonomy.JOB_REPORT_REASONS)));
+    document.getElementById('profile-county-input').insertAdjacentHTML('beforeend', options(counties));
+    document.getElementById('profile-education-input').insertAdjacentHTML('beforeend', options(Object.entries(KaziTaxonomy.EDUCATION_LEVELS)));
+}
+
+function jobTags(job) {
+    return [job.category ? KaziTaxonomy.categoryLabel(job.category) : null, job.location, job.type]
+        .filter(Boolean)
+        .map(tag => html`<span class="tag">${tag}</span>`);
+}
+
+function closingNote(job) {
+    if (!job.closingDate) return '';
+    const date = new Date(`${job.closingDate}T00:00:00`);
+    return html`<span class="closing-date">Closes ${date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</span>`;
+}
+
+// Jobs cached on the device: keyword matches from the local index (already
+// ranked) or every job, narrowed by the other filters
+function filterLocalJobs() {
+    return (state.localMatches || state.jobs).filter(job => {
         const matchesFilter = state.currentFilter === 'all' || job.type === state.currentFilter;
-        const matchesTitle = job.title.toLowerCase().includes(state.titleQuery.toLowerCase()) ||
-            job.company.toLowerCase().includes(state.titleQuery.toLowerCase());
+        const matchesCategory = !state.category || job.category === state.category;
+        const matchesCounty = !state.county || job.county === state.county;
         const matchesLocation = job.location.toLowerCase().includes(state.locationQuery.toLowerCase());
-        return matchesFilter && matchesTitle && matchesLocation;
+        const matchesSalary = state.minSalary === null || (job.salaryMax || 0) >= state.minSalary;
+        return matchesFilter && matchesCategory && matchesCounty && matchesLocation && matchesSalary;
     });
+}
+
+function renderJobs() {
+    const jobList = document.getElementById('job-list');
+    const filteredJobs = state.searchResults || filterLocalJobs();
 
-    document.getElementById('job-count').textContent = `${filteredJobs.length} jobs found`;
+    document.getElementById('job-count').textContent = `${filteredJobs.length}${state.nextCursor ? '+' : ''} jobs found`;
+    document.getElementById('load-more-btn').classList.toggle('hidden', !state.nextCursor);
+    document.getElementById('save-search-btn').classList.toggle('hidden', !hasActiveSearch());
+
+    renderRecommendations();
 
     if (filteredJobs.length === 0) {
-        jobList.innerHTML = '<div class="empty-state"><p>No jobs found. Try adjusting your search.</p></div>';
+        render(jobList, html`<div class="empty-state"><p>No jobs found. Try adjusting your search.</p></div>`);
         return;
     }
 
-    jobList.innerHTML = filteredJobs.map(job => `
-        <div class="job-card" onclick="openJobDetails(${job.id})">
+    render(jobList, filteredJobs.map(job => jobCard(job)));
+}
+
+// `reasons` say why a recommended job was picked
+function jobCard(job, reasons = null) {
+    return html`
+        <div class="job-card" data-action="open-job" data-id="${job.id}">
             <span class="company">${job.company}</span>
             <h3>${job.title}</h3>
-            <div class="job-meta">
-                <span class="tag">${job.location}</span>
-                <span class="tag">${job.type}</span>
-            </div>
+            <div class="job-meta">${jobTags(job)}</div>
+            ${reasons && reasons.length > 0 ? html`<p class="recommend-reasons">${reasons.join(' · ')}</p>` : ''}
             <div class="job-footer">
-                <span class="salary">${job.salary}</span>
+                <span class="salary">${KaziTaxonomy.formatSalary(job)}</span>
+                ${closingNote(job)}
                 <span class="arrow">→</span>
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+// --- Recommendations ---
+// Picked on the phone from the cached jobs, the seeker's profile and what
+// they have applied for, so they work offline. The server ranks SMS job
+// lists with the same KaziRecommend scoring.
+
+const MAX_RECOMMENDATIONS = 4;
+let recommendSequence = 0;
+
+async function renderRecommendations() {
+    const box = document.getElementById('recommended');
+    const sequence = ++recommendSequence;
+
+    // A search or filter shows what the seeker asked for instead
+    if (!db.db || hasActiveSearch() || state.currentFilter !== 'all') {
+        box.classList.add('hidden');
+        return;
+    }
+
+    const applications = await db.getAllApplications();
+    if (sequence !== recommendSequence) return;
+
+    const jobsById = new Map(state.jobs.map(job => [job.id, job]));
+    const profile = state.profile || {};
+    const model = KaziRecommend.seekerModel({
+        skills: profile.skills || [],
+        county: profile.county,
+        // Most recent first
+        applied: applications.slice().reverse().map(app => {
+            const job = jobsById.get(app.jobId) || {};
+            return { id: app.jobId, title: app.jobTitle, category: job.category, county: job.county, location: job.location };
+        })
+    });
+    const recommended = KaziRecommend.hasPreferences(model)
+        ? KaziRecommend.recommendJobs(state.jobs, model, { limit: MAX_RECOMMENDATIONS })
+        : [];
+
+    box.classList.toggle('hidden', recommended.length === 0);
+    render(document.getElementById('recommended-list'), recommended.map(({ job, reasons }) => jobCard(job, reasons)));
+}
+
+// --- Search (server-side when online, local fallback when offline) ---
+
+let searchTimer;
+let searchSequence = 0;
+let localSearchSequence = 0;
+
+// Ranks cached jobs for the keyword query using the on-device index
+async function updateLocalMatches() {
+    const query = state.titleQuery.trim();
+    const sequence = ++localSearchSequence;
+
+    let matches = null;
+    if (query) {
+        const ranked = await db.searchJobs(query);
+        const jobsById = new Map(state.jobs.map(job => [job.id, job]));
+        matches = ranked.map(result => jobsById.get(result.id)).filter(Boolean);
+    }
+
+    if (sequence !== localSearchSequence) return;
+    state.localMatches = matches;
+    renderJobs();
+}
+
+// The current filters as GET /api/jobs criteria; unused ones are null
+function currentSearchCriteria() {
+    return {
+        q: state.titleQuery.trim() || null,
+        type: state.currentFilter !== 'all' ? state.currentFilter : null,
+        category: state.category || null,
+        county: state.county || null,
+        location: state.locationQuery.trim() || null,
+        minSalary: state.minSalary
+    };
+}
+
+function hasActiveSearch() {
+    return Boolean(state.titleQuery.trim() || state.locationQuery.trim() || state.minSalary !== null ||
+        state.category || state.county);
+}
+
+// Search locally straight away, then refine with the server once typing pauses
+function scheduleSearch() {
+    state.searchResults = null;
+    state.nextCursor = null;
+    updateLocalMatches();
+
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => searchJobs(), 300);
+}
+
+async function searchJobs({ loadMore = false } = {}) {
+    if (!navigator.onLine || !hasActiveSearch()) return;
+
+    const params = new URLSearchParams();
+    Object.entries(currentSearchCriteria()).forEach(([name, value]) => {
+        if (value !== null) params.set(name, value);
+    });
+    if (loadMore && state.nextCursor) params.set('cursor', state.nextCursor);
+    if (dataSaverOn()) params.set('fields', 'summary');
+
+    // Ignore responses to searches the user has already moved on from
+    const sequence = ++searchSequence;
+
+    try {
+        const page = await apiRequest(`/jobs?${params}`);
+        if (sequence !== searchSequence) return;
+
+        // The server only matches whole words and prefixes; don't throw away
+        // typo-tolerant local matches for an empty server answer
+        if (!loadMore && page.jobs.length === 0 && filterLocalJobs().length > 0) return;
+
+        state.searchResults = loadMore ? [...(state.searchResults || []), ...page.jobs] : page.jobs;
+        state.nextCursor = page.nextCursor;
+        renderJobs();
+    } catch (err) {
+        console.warn('Server search failed, using offline results:', err);
+    }
 }
 
-window.openJobDetails = async (id) => {
-    const job = state.jobs.find(j => j.id === id);
+async function openJobDetails(id) {
+    const job = state.jobs.find(j => j.id === id) || (state.searchResults || []).find(j => j.id === id);
     if (!job) return;
 
     const modal = document.getElementById('job-modal');
     const body = document.getElementById('modal-body');
 
-    body.innerHTML = `
+    render(body, html`
         <span class="company">${job.company}</span>
         <h2>${job.title}</h2>
         <div class="job-meta">
-            <span class="tag">${job.location}</span>
-            <span class="tag">${job.type}</span>
-            <span class="tag">${job.salary}</span>
+            ${jobTags(job)}
+            <span class="tag">${KaziTaxonomy.formatSalary(job)}</span>
         </div>
-        <div class="description" style="margin-top: 1.5rem">
-            <p>${job.description}</p>
+        ${closingNote(job)}
+        <div class="description">
+            ${job.description === undefined ? html`<p>Loading the full description…</p>` : multiline(job.description)}
         </div>
-    `;
+    `);
+    if (job.description === undefined) loadJobDescription(job);
+
+    // Seekers shouldn't have to retype who they are
+    const profile = state.profile || {};
+    const user = state.user || {};
+    const nameInput = document.getElementById('applicant-name');
+    const phoneInput = document.getElementById('applicant-phone');
+    const notesInput = document.getElementById('applicant-notes');
+    if (!nameInput.value) nameInput.value = profile.name || user.name || '';
+    if (!phoneInput.value) phoneInput.value = profile.phone || user.phone || '';
+    if (!notesInput.value) notesInput.value = profile.coverNote || '';
 
     state.selectedJob = job;
+    state.editingApplicationId = null;
+    document.getElementById('application-form-heading').textContent = 'Submit Application';
+    document.getElementById('apply-btn').textContent = 'Submit Application';
+    document.getElementById('applicant-attachments-group').classList.remove('hidden');
+    document.getElementById('applicant-attachments').disabled = false;
+    clearFieldErrors('job-application-form');
+    clearApplicationFiles();
+    await showQuickApply(job);
+    await showJobReport(job);
     modal.classList.remove('hidden');
-};
+}
+
+// Jobs cached with data saver on have no description until they're opened
+async function loadJobDescription(job) {
+    const description = document.querySelector('#modal-body .description');
+    if (!navigator.onLine) {
+        render(description, html`<p>Data saver is on, so this job's description hasn't been downloaded. Connect to read it.</p>`);
+        return;
+    }
+
+    try {
+        const full = await apiRequest(`/jobs/${job.id}`);
+        Object.assign(job, full);
+        if (state.jobs.includes(job)) await db.saveJobs([full]);
+        if (state.selectedJob === job) render(description, multiline(full.description));
+    } catch (err) {
+        render(description, html`<p>${err.status === 404
+            ? 'This job is no longer available.'
+            : "Couldn't load the description. Try again later."}</p>`);
+    }
+}
 
 document.querySelector('.close-modal').onclick = () => {
     document.getElementById('job-modal').classList.add('hidden');
@@ -136,27 +353,43 @@ document.getElementById('job-application-form').onsubmit = async (e) => {
         applicantName: document.getElementById('applicant-name').value,
         applicantPhone: document.getElementById('applicant-phone').value,
         applicantNotes: document.getElementById('applicant-notes').value,
+        profile: sharedProfile(),
         status: 'pending'
     };
 
     const submitBtn = document.getElementById('apply-btn');
     const originalBtnText = submitBtn.textContent;
 
+    if (state.editingApplicationId) {
+        try {
+            const { applicantName, applicantPhone, applicantNotes } = application;
+            await db.editQueuedApplication(state.editingApplicationId, { applicantName, applicantPhone, applicantNotes });
+            showToast('Application updated. ✅');
+            document.getElementById('job-modal').classList.add('hidden');
+            document.getElementById('job-application-form').reset();
+            clearFieldErrors('job-application-form');
+        } catch (err) {
+            console.error('Failed to update application:', err);
+            showToast(err.message);
+        }
+        state.editingApplicationId = null;
+        if (state.currentView === 'myApplications') drawMyApplications();
+        return;
+    }
+
     try {
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Saving...';
+        submitBtn.textContent = state.applicationFiles.length > 0 ? 'Compressing...' : 'Saving...';
 
-        await db.queueApplication(application);
-
-        showToast(navigator.onLine ? 'Application sent! ✅' : 'Saved offline! Will sync when online. 📶');
-
-        updatePendingSyncBanner();
-        document.getElementById('job-modal').classList.add('hidden');
-        document.getElementById('job-application-form').reset();
-
-        if (navigator.onLine) {
-            trySyncApplications();
+        const attachments = await Promise.all(state.applicationFiles.map(compressAttachment));
+        const tooBig = attachments.find(file => file.blob.size > ATTACHMENT_MAX_BYTES);
+        if (tooBig) {
+            showToast(`${tooBig.fileName} is too big. Attach files under ${formatBytes(ATTACHMENT_MAX_BYTES)}.`);
+            return;
         }
+
+        submitBtn.textContent = 'Saving...';
+        await submitApplication(application, attachments);
     } catch (err) {
         console.error('Failed to save application:', err);
         showToast('Error saving application.');
@@ -166,10 +399,371 @@ document.getElementById('job-application-form').onsubmit = async (e) => {
     }
 };
 
+// Queues an application and sends it straight away if we're online
+async function submitApplication(application, attachments = []) {
+    await db.queueApplication(application, attachments);
+    renderRecommendations();
+
+    showToast(navigator.onLine ? 'Sending your application… 📤' : 'Saved offline! Will sync when online. 📶');
+
+    updatePendingSyncBanner();
+    document.getElementById('job-modal').classList.add('hidden');
+    document.getElementById('job-application-form').reset();
+    clearApplicationFiles();
+
+    syncOutbox();
+}
+
+// --- Attachments (CV and certificates on an application) ---
+
+const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_ATTACHMENTS = 3;
+// The server's limit, after compression
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+// Plenty to read a certificate; a phone camera's full size is several MB
+const PHOTO_MAX_SIDE = 1600;
+const PHOTO_QUALITY = 0.7;
+
+function clearApplicationFiles() {
+    state.applicationFiles = [];
+    document.getElementById('applicant-attachments').value = '';
+    drawApplicationFiles();
+}
+
+function drawApplicationFiles() {
+    render(document.getElementById('applicant-attachments-list'), state.applicationFiles.map((file, index) => html`
+        <li>
+            <span>📎 ${file.name} <small>(${formatBytes(file.size)})</small></span>
+            <button type="button" class="link-btn" data-action="remove-attachment" data-index="${index}">Remove</button>
+        </li>
+    `));
+}
+
+document.getElementById('applicant-attachments').onchange = (e) => {
+    const chosen = Array.from(e.target.files);
+    e.target.value = '';
+
+    const files = chosen.filter(file => ATTACHMENT_TYPES.includes(file.type));
+    if (files.length < chosen.length) showToast('Only PDFs and photos (JPEG, PNG, WebP) can be attached.');
+
+    const room = MAX_ATTACHMENTS - state.applicationFiles.length;
+    if (files.length > room) showToast(`You can attach up to ${MAX_ATTACHMENTS} files.`);
+    state.applicationFiles.push(...files.slice(0, Math.max(0, room)));
+    drawApplicationFiles();
+};
+
+function removeApplicationFile(index) {
+    state.applicationFiles.splice(index, 1);
+    drawApplicationFiles();
+}
+
+/**
+ * Shrinks a file before it is queued, so the upload costs less data:
+ * photos are scaled down and saved as JPEG, PDFs are gzipped.
+ * Resolves with { blob, fileName, mimeType, encoding } for KaziDB.
+ */
+async function compressAttachment(file) {
+    const original = { blob: file, fileName: file.name, mimeType: file.type, encoding: null };
+
+    if (file.type.startsWith('image/')) {
+        const photo = await compressPhoto(file).catch(() => null);
+        return photo && photo.size < file.size
+            ? { blob: photo, fileName: file.name.replace(/\.[^.]*$/, '') + '.jpg', mimeType: 'image/jpeg', encoding: null }
+            : original;
+    }
+
+    // PDFs are mostly compressed already; only worth it if it saves a tenth
+    if (typeof CompressionStream === 'function') {
+        const gzipped = await new Response(file.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+        if (gzipped.size < file.size * 0.9) return { ...original, blob: gzipped, encoding: 'gzip' };
+    }
+    return original;
+}
+
+async function compressPhoto(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, PHOTO_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; see-through parts of a PNG would turn black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', PHOTO_QUALITY));
+}
+
+// Employers download an applicant's file; it isn't kept on the device
+async function openAttachment(applicationId, attachmentId, fileName) {
+    if (!navigator.onLine) {
+        showToast('Reconnect to open attachments. 📶');
+        return;
+    }
+
+    try {
+        const blob = await apiRequest(`/employer/applications/${applicationId}/attachments/${attachmentId}`, { asBlob: true });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        console.error('Failed to open attachment:', err);
+        showToast(err.message || 'Could not open the file.');
+    }
+}
+
+// --- Seeker Profile (one-tap apply) ---
+// The profile lives in KaziDB settings, so it works offline. It fills in the
+// application form, lets a seeker apply with one tap, and (if they allow it)
+// goes with each application so employers see skills and education at a
+// glance. Signed in, it is also kept with the account.
+
+// Mirrors profileFields in server.js
+const MAX_PROFILE_SKILLS = 20;
+const MAX_PROFILE_LANGUAGES = 10;
+
+// Kept with the account; the phone number and sharing choice stay this phone's own
+const ACCOUNT_PROFILE_FIELDS = ['name', 'county', 'education', 'skills', 'languages', 'coverNote'];
+
+// "Driving, M-Pesa agent, driving" -> ['Driving', 'M-Pesa agent']
+function splitList(text, max, maxLength) {
+    const items = new Map();
+    text.split(/[,;\n]/).map(item => item.trim().slice(0, maxLength)).filter(Boolean).forEach(item => {
+        if (!items.has(item.toLowerCase())) items.set(item.toLowerCase(), item);
+    });
+    return [...items.values()].slice(0, max);
+}
+
+function profileReady() {
+    return Boolean(state.profile && state.profile.name && state.profile.phone);
+}
+
+// The part of the profile employers see, if the seeker shares it
+function sharedProfile() {
+    const profile = state.profile;
+    if (!profile || !profile.shareWithEmployers) return undefined;
+
+    const shared = {};
+    ['skills', 'education', 'county', 'languages'].forEach(field => {
+        if (profile[field] && profile[field].length > 0) shared[field] = profile[field];
+    });
+    return Object.keys(shared).length > 0 ? shared : undefined;
+}
+
+function openProfileModal() {
+    const profile = state.profile || { shareWithEmployers: true };
+    const user = state.user || {};
+    document.getElementById('profile-name-input').value = profile.name || user.name || '';
+    document.getElementById('profile-phone-input').value = profile.phone || user.phone || '';
+    document.getElementById('profile-county-input').value = profile.county || '';
+    document.getElementById('profile-education-input').value = profile.education || '';
+    document.getElementById('profile-skills-input').value = (profile.skills || []).join(', ');
+    document.getElementById('profile-languages-input').value = (profile.languages || []).join(', ');
+    document.getElementById('profile-cover-note-input').value = profile.coverNote || '';
+    document.getElementById('profile-share-input').checked = profile.shareWithEmployers !== false;
+    document.getElementById('profile-modal').classList.remove('hidden');
+}
+
+document.getElementById('profile-form').onsubmit = async (e) => {
+    e.preventDefault();
+
+    state.profile = {
+        name: document.getElementById('profile-name-input').value.trim(),
+        phone: document.getElementById('profile-phone-input').value.trim(),
+        county: document.getElementById('profile-county-input').value,
+        education: document.getElementById('profile-education-input').value,
+        skills: splitList(document.getElementById('profile-skills-input').value, MAX_PROFILE_SKILLS, 40),
+        languages: splitList(document.getElementById('profile-languages-input').value, MAX_PROFILE_LANGUAGES, 30),
+        coverNote: document.getElementById('profile-cover-note-input').value.trim(),
+        shareWithEmployers: document.getElementById('profile-share-input').checked,
+        updatedAt: Date.now()
+    };
+    await db.setSetting('profile', state.profile);
+
+    document.getElementById('profile-modal').classList.add('hidden');
+    renderRecommendations();
+    showToast(profileReady() ? 'Profile saved. You can now apply with one tap. ✅' : 'Profile saved. Add your name and phone number to apply with one tap.');
+    // Opened from a job: it can be applied for now
+    if (!document.getElementById('job-modal').classList.contains('hidden') && state.selectedJob) {
+        await showQuickApply(state.selectedJob);
+    }
+    syncProfile();
+};
+
+document.getElementById('close-profile-modal').onclick = () => {
+    document.getElementById('profile-modal').classList.add('hidden');
+};
+
+async function showQuickApply(job) {
+    const box = document.getElementById('quick-apply');
+    const applied = (await db.getAllApplications()).some(app => app.jobId === job.id && !app.closed);
+
+    if (applied) {
+        render(box, html`<p class="quick-apply-note">✓ You have applied for this job. Follow it in My Applications.</p>`);
+    } else if (profileReady()) {
+        render(box, html`
+            <button type="button" class="submit-btn" data-action="quick-apply">⚡ Apply with my profile</button>
+            <p class="quick-apply-note">Sends your name, phone number and cover note from My Profile. To change them for this job, use the form below.</p>
+        `);
+    } else {
+        render(box, html`<button type="button" class="link-btn" data-action="open-profile">Save your details once to apply with one tap</button>`);
+    }
+    box.classList.remove('hidden');
+}
+
+async function quickApply() {
+    const job = state.selectedJob;
+    if (!job || !profileReady()) return;
+
+    try {
+        await submitApplication({
+            jobId: job.id,
+            jobTitle: job.title,
+            applicantName: state.profile.name,
+            applicantPhone: state.profile.phone,
+            applicantNotes: state.profile.coverNote || '',
+            profile: sharedProfile(),
+            status: 'pending'
+        });
+    } catch (err) {
+        console.error('Failed to save application:', err);
+        showToast('Error saving application.');
+    }
+}
+
+/**
+ * Keeps a signed-in seeker's profile the same on all their phones: sends
+ * this phone's copy and keeps whichever was edited last. Runs after every
+ * change and whenever the app starts, comes back online or signs in.
+ */
+async function syncProfile() {
+    if (!navigator.onLine || !state.user) return;
+
+    try {
+        const local = state.profile;
+        let server;
+        if (local) {
+            const body = { updatedAt: local.updatedAt };
+            ACCOUNT_PROFILE_FIELDS.forEach(field => { body[field] = local[field]; });
+            server = await apiRequest('/me/profile', { method: 'PUT', body });
+        } else {
+            server = await apiRequest('/me/profile').catch(err => {
+                if (err.status === 404) return null;
+                throw err;
+            });
+        }
+
+        if (server && (!local || server.updatedAt > local.updatedAt)) {
+            const adopted = { phone: state.user.phone, shareWithEmployers: true, ...local, updatedAt: server.updatedAt };
+            ACCOUNT_PROFILE_FIELDS.forEach(field => { adopted[field] = server[field] ?? (['skills', 'languages'].includes(field) ? [] : ''); });
+            state.profile = adopted;
+            await db.setSetting('profile', state.profile);
+            renderRecommendations();
+        }
+    } catch (err) {
+        console.error('Failed to sync profile:', err);
+    }
+}
+
+// --- Reporting suspicious jobs ---
+
+// The report button, or what became of this device's report of the job
+async function showJobReport(job) {
+    const report = await db.getJobReport(job.id);
+    const status = document.getElementById('report-job-status');
+
+    document.getElementById('report-job-form').classList.add('hidden');
+    document.getElementById('report-job-btn').classList.toggle('hidden', Boolean(report));
+    status.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    if (report.synced || report.closed) {
+        render(status, html`🚩 You reported this job. Thank you.`);
+    } else {
+        render(status, html`🚩 You reported this job. ${deliveryStatus(report).text}
+            <button type="button" class="link-btn" data-action="cancel-report" data-id="${report.id}">Cancel report</button>`);
+    }
+}
+
+document.getElementById('report-job-btn').onclick = () => {
+    document.getElementById('report-job-btn').classList.add('hidden');
+    document.getElementById('report-job-form').classList.remove('hidden');
+};
+
+document.getElementById('cancel-report-form-btn').onclick = () => {
+    document.getElementById('report-job-form').reset();
+    document.getElementById('report-job-form').classList.add('hidden');
+    document.getElementById('report-job-btn').classList.remove('hidden');
+};
+
+// Reports go through the outbox like applications, so they work offline
+document.getElementById('report-job-form').onsubmit = async (e) => {
+    e.preventDefault();
+    const job = state.selectedJob;
+    if (!job) return;
+
+    await db.queueJobReport({
+        jobId: job.id,
+        jobTitle: job.title,
+        reason: document.getElementById('report-reason-input').value,
+        details: document.getElementById('report-details-input').value
+    });
+    document.getElementById('report-job-form').reset();
+    showToast(navigator.onLine ? 'Thank you. Sending your report… 🚩' : 'Report saved. It will be sent when you are online. 📶');
+
+    await showJobReport(job);
+    updatePendingSyncBanner();
+    syncOutbox();
+};
+
+async function cancelJobReport(id) {
+    try {
+        await db.cancelJobReport(id);
+        showToast('Report cancelled.');
+    } catch (err) {
+        showToast(err.message);
+    }
+    updatePendingSyncBanner();
+    if (state.selectedJob) await showJobReport(state.selectedJob);
+}
+
 // --- Post Job Modal ---
 
-document.getElementById('post-job-btn').onclick = () => {
+// The same form edits the employer's own posts (job is then the local record)
+function openPostJobForm(job = null) {
+    // A half-written new post survives closing the form, but not an edit
+    if (job || state.editingJobId) {
+        document.getElementById('post-job-form').reset();
+        clearFieldErrors('post-job-form');
+    }
+    state.editingJobId = job ? job.id : null;
+    if (job) {
+        Object.entries(JOB_FORM_FIELDS).forEach(([field, inputId]) => {
+            if (job[field] !== null && job[field] !== undefined) document.getElementById(inputId).value = job[field];
+        });
+    }
+
+    document.getElementById('post-job-heading').textContent = job ? 'Edit Job' : 'Post a Job';
+    document.getElementById('post-job-submit-btn').textContent = job ? 'Save Changes' : 'Submit Job Listing';
+    // No closing dates in the past
+    document.getElementById('job-closing-date-input').min = new Date().toISOString().slice(0, 10);
     document.getElementById('post-job-modal').classList.remove('hidden');
+}
+
+// Posts come from signed-in employers only
+document.getElementById('post-job-btn').onclick = () => {
+    if (!state.user) {
+        showToast('Sign in with your phone number to post a job.');
+        openSigninModal();
+        return;
+    }
+    openPostJobForm();
 };
 
 document.getElementById('close-post-job-modal').onclick = () => {
@@ -179,13 +773,25 @@ document.getElementById('close-post-job-modal').onclick = () => {
 document.getElementById('post-job-form').onsubmit = async (e) => {
     e.preventDefault();
 
+    const amount = (id) => {
+        const value = document.getElementById(id).value;
+        return value === '' ? null : Number(value);
+    };
+
     const jobData = {
         title: document.getElementById('job-title-input').value.trim(),
         company: document.getElementById('job-company-input').value.trim(),
         location: document.getElementById('job-location-input').value.trim(),
         type: document.getElementById('job-type-input').value,
-        salary: document.getElementById('job-salary-input').value.trim(),
-        description: document.getElementById('job-description-input').value.trim()
+        category: document.getElementById('job-category-input').value,
+        county: document.getElementById('job-county-input').value,
+        salaryMin: amount('job-salary-min-input'),
+        salaryMax: amount('job-salary-max-input'),
+        salaryPeriod: document.getElementById('job-salary-period-input').value,
+        closingDate: document.getElementById('job-closing-date-input').value,
+        description: document.getElementById('job-description-input').value.trim(),
+        // Same key whether it goes out now or from the queue later
+        submissionKey: generateSubmissionKey()
     };
 
     const submitBtn = document.getElementById('post-job-submit-btn');
@@ -195,19 +801,21 @@ document.getElementById('post-job-form').onsubmit = async (e) => {
         submitBtn.disabled = true;
         submitBtn.textContent = 'Submitting...';
 
-        if (navigator.onLine) {
-            const response = await fetch(`${API_BASE_URL}/jobs`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(jobData)
-            });
-
-            if (!response.ok) {
-                const errData = await response.json();
-                throw new Error(errData.error || 'Server error');
+        if (state.editingJobId) {
+            // The post keeps its submission key
+            const { submissionKey, ...changes } = jobData;
+            const job = await db.editJobSubmission(state.editingJobId, changes);
+            if (!job.synced) {
+                showToast('Changes saved. ✅');
+            } else if (navigator.onLine) {
+                await syncOutbox();
+            } else {
+                showToast('Changes saved offline. 📋 Will send automatically when online.');
             }
-
-            await db.queueJobSubmission({ ...jobData, synced: true });
+            state.editingJobId = null;
+        } else if (navigator.onLine) {
+            const result = await apiRequest('/jobs', { method: 'POST', body: jobData });
+            await db.queueJobSubmission({ ...jobData, synced: true, serverId: result.id, version: result.version, status: 'pending' });
             showToast('Job submitted for review! ✅ It will appear once approved.');
         } else {
             await db.queueJobSubmission(jobData);
@@ -217,263 +825,1766 @@ document.getElementById('post-job-form').onsubmit = async (e) => {
         updateJobSyncBanner();
         document.getElementById('post-job-modal').classList.add('hidden');
         document.getElementById('post-job-form').reset();
+        clearFieldErrors('post-job-form');
+        if (state.currentView === 'myJobs') drawMyJobs();
     } catch (err) {
         console.error('Failed to submit job:', err);
-        showToast('Error submitting job. Please try again.');
+        showToast(showFieldErrors('post-job-form', err, JOB_FORM_FIELDS)
+            ? err.message
+            : 'Error submitting job. Please try again.');
     } finally {
         submitBtn.disabled = false;
         submitBtn.textContent = originalBtnText;
     }
 };
 
-// --- Sync & Network Logic ---
+// --- Sign-in (phone number + SMS code) ---
 
-async function updateConnectionStatus() {
-    const status = document.getElementById('connection-status');
-    const isOnline = navigator.onLine;
+function updateSigninButton() {
+    const btn = document.getElementById('signin-btn');
+    btn.textContent = state.user ? (state.user.name || state.user.phone) : 'Sign-in';
+}
 
-    if (isOnline) {
-        status.textContent = 'Online';
-        status.className = 'status-badge online';
+function showSigninStep(step) {
+    document.getElementById('otp-request-form').classList.toggle('hidden', step !== 'request');
+    document.getElementById('otp-verify-form').classList.toggle('hidden', step !== 'verify');
+}
 
-        if ('serviceWorker' in navigator && 'SyncManager' in window) {
-            const registration = await navigator.serviceWorker.ready;
-            try {
-                await registration.sync.register('sync-applications');
-                await registration.sync.register('sync-jobs');
-                console.log('Background Sync registered');
-            } catch (err) {
-                console.warn('Background Sync registration failed, falling back to manual', err);
-                trySyncApplications();
-                trySyncJobSubmissions();
-            }
-        } else {
-            trySyncApplications();
-            trySyncJobSubmissions();
-        }
-    } else {
-        status.textContent = 'Offline';
-        status.className = 'status-badge offline';
+async function signOut() {
+    try {
+        if (navigator.onLine) await apiRequest('/auth/logout', { method: 'POST' });
+    } catch (err) {
+        console.warn('Server sign-out failed; clearing local session anyway', err);
     }
+    await db.setSetting('authToken', null);
+    await db.setSetting('authUser', null);
+    // The next person on this phone shouldn't see this user's activity
+    await db.clearAccountData();
+    // The profile is kept with the account and comes back on the next sign-in
+    await db.setSetting('profile', null);
+    state.profile = null;
+    // Responses cached before private routes were kept out of the cache
+    await clearCachedApiResponses();
+    state.user = null;
+    updateSigninButton();
+    // They were picked with the profile just cleared
+    renderRecommendations();
+    renderSavedSearches();
+    // No saved searches left: the server stops alerting this device
+    syncSavedSearches();
+    updatePendingSyncBanner();
+    updateJobSyncBanner();
+    if (state.currentView === 'myJobs') drawMyJobs();
+    if (state.currentView === 'myApplications') drawMyApplications();
+    showToast('Signed out.');
 }
 
-async function updatePendingSyncBanner() {
-    const banner = document.getElementById('sync-banner');
-    const msg = document.getElementById('sync-message');
-    const pending = await db.getPendingApplications();
-
-    state.pendingCount = pending.length;
+// Drop API responses kept by the service worker (static assets stay)
+async function clearCachedApiResponses() {
+    if (!('caches' in window)) return;
+    for (const name of await caches.keys()) {
+        const cache = await caches.open(name);
+        for (const request of await cache.keys()) {
+            if (new URL(request.url).pathname.startsWith('/api/')) await cache.delete(request);
+        }
+    }
+}
 
-    if (pending.length > 0) {
-        banner.classList.remove('hidden');
-        msg.textContent = `You have ${pending.length} pending application(s). They will sync automatically.`;
-    } else {
-        banner.classList.add('hidden');
+document.getElementById('signin-btn').onclick = async () => {
+    if (state.user) {
+        const unsent = [...await db.getPendingApplications(), ...await db.getPendingJobSubmissions(), ...await db.getJobEditsToSync()];
+        const warning = unsent.length > 0
+            ? `\n${unsent.length} application(s) or job post(s) not sent yet will be deleted from this phone.`
+            : '';
+        if (confirm(`Signed in as ${state.user.phone}. Sign out?${warning}`)) signOut();
+        return;
     }
+    openSigninModal();
+};
+
+function openSigninModal() {
+    showSigninStep(state.signinPhone ? 'verify' : 'request');
+    document.getElementById('signin-modal').classList.remove('hidden');
 }
 
-async function updateJobSyncBanner() {
-    const banner = document.getElementById('job-sync-banner');
-    const msg = document.getElementById('job-sync-message');
-    const pending = await db.getPendingJobSubmissions();
+document.getElementById('close-signin-modal').onclick = () => {
+    document.getElementById('signin-modal').classList.add('hidden');
+};
 
-    if (pending.length > 0) {
-        banner.classList.remove('hidden');
-        msg.textContent = `You have ${pending.length} pending job post(s). They will sync automatically when online.`;
+document.getElementById('otp-change-phone-btn').onclick = () => {
+    state.signinPhone = null;
+    showSigninStep('request');
+};
+
+document.getElementById('otp-request-form').onsubmit = async (e) => {
+    e.preventDefault();
+    if (!navigator.onLine) {
+        showToast('You need a connection to sign in. 📶');
+        return;
+    }
+
+    const submitBtn = document.getElementById('otp-request-btn');
+    const originalBtnText = submitBtn.textContent;
+
+    try {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Sending...';
+
+        const result = await apiRequest('/auth/otp', {
+            method: 'POST',
+            body: { phone: document.getElementById('signin-phone').value }
+        });
+
+        state.signinPhone = result.phone;
+        document.getElementById('signin-phone-display').textContent = result.phone;
+        showSigninStep('verify');
+        showToast('Code sent! Check your SMS. 📩');
+    } catch (err) {
+        console.error('Failed to request code:', err);
+        showFieldErrors('otp-request-form', err, SIGNIN_FORM_FIELDS);
+        showToast(err.message || 'Could not send code.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = originalBtnText;
+    }
+};
+
+document.getElementById('otp-verify-form').onsubmit = async (e) => {
+    e.preventDefault();
+
+    const submitBtn = document.getElementById('otp-verify-btn');
+    const originalBtnText = submitBtn.textContent;
+
+    try {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Verifying...';
+
+        const session = await apiRequest('/auth/verify', {
+            method: 'POST',
+            body: {
+                phone: state.signinPhone,
+                code: document.getElementById('signin-code').value,
+                name: document.getElementById('signin-name').value
+            }
+        });
+
+        await db.setSetting('authToken', session.token);
+        await db.setSetting('authUser', session.user);
+        state.user = session.user;
+        state.signinPhone = null;
+
+        updateSigninButton();
+        document.getElementById('signin-modal').classList.add('hidden');
+        document.getElementById('otp-request-form').reset();
+        document.getElementById('otp-verify-form').reset();
+        showToast(`Signed in as ${session.user.name || session.user.phone} ✅`);
+        syncProfile();
+        // Send what was held back until now
+        await db.releaseSignInWaits();
+        syncOutbox();
+    } catch (err) {
+        console.error('Failed to verify code:', err);
+        showFieldErrors('otp-verify-form', err, SIGNIN_FORM_FIELDS);
+        showToast(err.message || 'Could not verify code.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = originalBtnText;
+    }
+};
+
+// --- Sync & Network Logic ---
+
+let jobSyncInProgress = false;
+
+/**
+ * Pulls job changes since the stored cursor and applies them locally.
+ * Only new, edited or removed listings cross the wire.
+ */
+async function syncJobChanges() {
+    if (!navigator.onLine || jobSyncInProgress) return;
+    jobSyncInProgress = true;
+
+    try {
+        await refreshJobSigningKey();
+        let cursor = await db.getJobsCursor();
+        let hasMore = true;
+
+        while (hasMore) {
+            const fields = dataSaverOn() ? '&fields=summary' : '';
+            const changes = await apiRequest(`/jobs/changes?since=${cursor}${fields}`);
+            await db.applyJobChanges(changes);
+            console.log(`Job sync: ${changes.upserts.length} updated, ${changes.deleted.length} removed`);
+
+            cursor = changes.cursor;
+            hasMore = changes.hasMore;
+        }
+
+        await db.pruneExpiredJobs();
+        await manageStorage();
+        state.jobs = await db.getAllJobs();
+        await updateLocalMatches();
+    } catch (err) {
+        console.error('Job sync failed:', err);
+    } finally {
+        jobSyncInProgress = false;
+    }
+}
+
+async function updateConnectionStatus() {
+    const status = document.getElementById('connection-status');
+    const isOnline = navigator.onLine;
+
+    if (isOnline) {
+        status.textContent = 'Online';
+        status.className = 'status-badge online';
+
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            const registration = await navigator.serviceWorker.ready;
+            try {
+                await registration.sync.register('sync-outbox');
+                console.log('Background Sync registered');
+            } catch (err) {
+                console.warn('Background Sync registration failed, falling back to manual', err);
+            }
+        }
+        // Right away while the page is open; background sync covers it closing
+        syncOutbox();
+    } else {
+        status.textContent = 'Offline';
+        status.className = 'status-badge offline';
+    }
+}
+
+// --- Outbox (applications, job posts and edits waiting to be sent) ---
+
+let outboxSyncInProgress = false;
+let outboxSyncRequested = false;
+let outboxRetryTimer = null;
+
+// Where a queued item is on its way to the server, for the sync banners
+function deliveryStatus(item) {
+    const delivery = item.delivery || {};
+    switch (delivery.state) {
+        case 'sending':
+            return { className: 'sending', text: 'Sending…' };
+        case 'failed': {
+            const at = new Date(delivery.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return { className: 'failed', text: `Not sent (${delivery.error}). Trying again at ${at}.` };
+        }
+        case 'signin':
+            return { className: 'failed', text: 'Waiting for you to sign in' };
+        case 'attention':
+            return { className: 'attention', text: `Needs your attention: ${delivery.error}` };
+        default:
+            return { className: 'queued', text: navigator.onLine ? 'Queued' : "Queued · sends when you're online" };
+    }
+}
+
+function renderOutboxItems(listId, items, label) {
+    render(document.getElementById(listId), items.map(item => {
+        const status = deliveryStatus(item);
+        return html`<li class="outbox-item ${status.className}"><span>${label(item)}</span><span>${status.text}</span></li>`;
+    }));
+}
+
+async function updatePendingSyncBanner() {
+    const banner = document.getElementById('sync-banner');
+    const msg = document.getElementById('sync-message');
+    const applications = await db.getPendingApplications();
+    const reports = await db.getOutbox('jobReports');
+    const pending = [...applications, ...reports];
+
+    state.pendingCount = pending.length;
+
+    if (pending.length > 0) {
+        banner.classList.remove('hidden');
+        msg.textContent = `You have ${[
+            applications.length > 0 ? `${applications.length} application(s)` : null,
+            reports.length > 0 ? `${reports.length} report(s)` : null
+        ].filter(Boolean).join(' and ')} waiting to send.`;
+        renderOutboxItems('sync-items', pending, item => (item.reason ? `Report: ${item.jobTitle}` : item.jobTitle));
     } else {
         banner.classList.add('hidden');
     }
 }
 
-async function trySyncApplications(retryCount = 0) {
-    if (!navigator.onLine) return;
+async function updateJobSyncBanner() {
+    const banner = document.getElementById('job-sync-banner');
+    const msg = document.getElementById('job-sync-message');
+    const pending = [...await db.getPendingJobSubmissions(), ...await db.getJobEditsToSync()];
+
+    if (pending.length > 0) {
+        banner.classList.remove('hidden');
+        msg.textContent = `You have ${pending.length} job post(s) or edit(s) waiting to send.`;
+        renderOutboxItems('job-sync-items', pending, job => (job.synced ? `Changes to ${job.title}` : job.title));
+    } else {
+        banner.classList.add('hidden');
+    }
+}
+
+/**
+ * Sends whatever in the outbox is due (all of it when `force`, for the
+ * Sync Now buttons), then sets a timer for the next retry. Retry times are
+ * stored with the items, so a reload picks the schedule back up.
+ */
+async function syncOutbox({ force = false } = {}) {
+    if (!navigator.onLine) return;
+    // Something was queued mid-pass, maybe after its queue was done: go again
+    if (outboxSyncInProgress) {
+        outboxSyncRequested = true;
+        return;
+    }
+
+    if (!force && await batteryLow()) {
+        console.log('Sync deferred: Low battery');
+        return;
+    }
+
+    outboxSyncInProgress = true;
+    try {
+        await drainOutbox({ force, report: message => handleSyncMessage({ data: message }) });
+    } catch (err) {
+        console.error('Outbox sync failed:', err);
+    } finally {
+        outboxSyncInProgress = false;
+    }
+    if (outboxSyncRequested) {
+        outboxSyncRequested = false;
+        return syncOutbox({ force });
+    }
+
+    clearTimeout(outboxRetryTimer);
+    const next = await db.nextOutboxAttempt();
+    if (next !== null) {
+        outboxRetryTimer = setTimeout(syncOutbox, Math.max(next - Date.now(), 1000));
+    }
+}
+
+// Progress reports from the outbox, sent here or by background sync in the service worker
+function handleSyncMessage(event) {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'OPEN_JOB':
+            openLinkedJob(message.jobId);
+            break;
+        case 'SYNC_ITEM':
+            if (message.state === 'failed') {
+                console.warn(`Could not send "${message.label}": ${message.error}`);
+            } else if (message.state === 'closed' && message.queue === 'jobReports') {
+                showToast(`"${message.label}" has already been taken down.`);
+            } else if (message.state === 'closed') {
+                showToast(`"${message.label}" is no longer taking applications.`);
+            } else if (message.state === 'signin') {
+                showToast(`Sign in to send "${message.label}". It will go as soon as you do.`);
+            } else if (message.state === 'attention') {
+                showToast(`Could not send "${message.label}": ${message.error}`);
+            } else if (message.state === 'conflict') {
+                showToast(`Your changes to "${message.label}" clash with changes made since. Open My Jobs to choose which to keep.`);
+            } else if (message.state === 'sent' && message.queue === 'jobEdits') {
+                showToast(`Changes to "${message.label}" saved. ✅ ${message.message}`);
+            }
+            if (message.queue === 'applications' || message.queue === 'jobReports') updatePendingSyncBanner();
+            else updateJobSyncBanner();
+            if (message.queue === 'jobReports' && state.selectedJob) showJobReport(state.selectedJob);
+            break;
+        case 'SYNC_COMPLETE':
+            if (message.sent.applications > 0) {
+                showToast(`${message.sent.applications} application(s) sent! ✅`);
+            }
+            if (message.sent.jobSubmissions > 0) {
+                showToast(`${message.sent.jobSubmissions} job post(s) submitted for review! ✅`);
+            }
+            updatePendingSyncBanner();
+            updateJobSyncBanner();
+            if (message.sent.applications > 0) syncApplicationStatuses();
+            if (state.currentView === 'myJobs') renderMyJobs();
+            if (state.currentView === 'myApplications') renderMyApplications();
+            break;
+    }
+}
+
+const APPLICATION_STATUS_MESSAGES = {
+    shortlisted: '🎉 You were shortlisted for',
+    interviewed: '📋 Interview recorded for',
+    hired: '🎉 You got the job:',
+    declined: 'Update on your application for'
+};
+
+// Final outcomes don't change again, so they don't need polling
+const FINAL_APPLICATION_STATUSES = ['hired', 'declined'];
+
+/**
+ * Polls the application status feed from the stored cursor so seekers learn
+ * the outcome (shortlisted, declined, ...) without travelling to ask.
+ */
+async function syncApplicationStatuses() {
+    if (!navigator.onLine) return;
+
+    const tracked = (await db.getAllApplications())
+        .filter(app => app.synced && app.submissionKey && !FINAL_APPLICATION_STATUSES.includes(app.status));
+    if (!state.user && tracked.length === 0) return;
+
+    try {
+        let cursor = await db.getApplicationsCursor();
+        let hasMore = true;
+        const updated = [];
+
+        while (hasMore) {
+            const page = await apiRequest('/applications/status-changes', {
+                method: 'POST',
+                body: { since: cursor, submissionKeys: tracked.slice(-100).map(app => app.submissionKey) }
+            });
+            updated.push(...await db.applyApplicationStatusChanges(page));
+            cursor = page.cursor;
+            hasMore = page.hasMore;
+        }
+
+        const latest = updated[updated.length - 1];
+        if (latest && APPLICATION_STATUS_MESSAGES[latest.status]) {
+            showToast(`${APPLICATION_STATUS_MESSAGES[latest.status]} ${latest.jobTitle}`);
+        }
+        if (state.currentView === 'myApplications') renderMyApplications();
+    } catch (err) {
+        console.error('Application status sync failed:', err);
+    }
+}
+
+// --- Field-level validation errors ---
+
+// API field name -> input id, per form
+const JOB_FORM_FIELDS = {
+    title: 'job-title-input',
+    company: 'job-company-input',
+    location: 'job-location-input',
+    type: 'job-type-input',
+    category: 'job-category-input',
+    county: 'job-county-input',
+    salaryMin: 'job-salary-min-input',
+    salaryMax: 'job-salary-max-input',
+    salaryPeriod: 'job-salary-period-input',
+    closingDate: 'job-closing-date-input',
+    description: 'job-description-input'
+};
+const SIGNIN_FORM_FIELDS = { phone: 'signin-phone', code: 'signin-code', name: 'signin-name' };
+// A refused jobId is shown by the submit button
+const APPLICATION_FORM_FIELDS = {
+    jobId: 'apply-btn',
+    applicantName: 'applicant-name',
+    applicantPhone: 'applicant-phone',
+    applicantNotes: 'applicant-notes',
+    attachments: 'applicant-attachments'
+};
+
+function clearFieldError(input) {
+    input.classList.remove('invalid');
+    const note = input.parentElement.querySelector('.field-error');
+    if (note) note.remove();
+}
+
+function clearFieldErrors(formId) {
+    document.querySelectorAll(`#${formId} .invalid`).forEach(clearFieldError);
+}
+
+/**
+ * Shows the messages of a 400 response ({ error, fields }) under the matching
+ * inputs of a form. Returns false if none of the fields belong to the form,
+ * so the caller can fall back to a toast.
+ */
+function showFieldErrors(formId, err, inputIds) {
+    clearFieldErrors(formId);
+    const fields = (err && err.data && err.data.fields) || {};
+    const inputs = Object.entries(fields)
+        .map(([field, message]) => [document.getElementById(inputIds[field]), message])
+        .filter(([input]) => input);
+
+    inputs.forEach(([input, message]) => {
+        const note = document.createElement('p');
+        note.className = 'field-error';
+        note.textContent = message;
+        input.classList.add('invalid');
+        input.parentElement.appendChild(note);
+    });
+    if (inputs.length > 0) inputs[0][0].focus();
+    return inputs.length > 0;
+}
+
+let toastTimeout;
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    clearTimeout(toastTimeout);
+    toast.textContent = message;
+    toast.classList.remove('hidden');
+    toastTimeout = setTimeout(() => toast.classList.add('hidden'), 4000);
+}
+
+// --- Saved Searches & Job Alerts ---
+// Saved searches live in KaziDB and work offline as one-tap filters. With
+// notifications allowed, they are also sent to the server together with this
+// device's push subscription, and the server pushes newly approved jobs
+// that match.
+
+// Mirrors MAX_SAVED_SEARCHES in server.js
+const MAX_SAVED_SEARCHES = 20;
+const SEARCH_CRITERIA = ['q', 'type', 'category', 'county', 'location', 'minSalary'];
+
+function describeSearch(search) {
+    return [
+        search.q && `"${search.q}"`,
+        search.type,
+        search.category && KaziTaxonomy.categoryLabel(search.category),
+        search.county,
+        search.location,
+        search.minSalary != null && `KES ${search.minSalary.toLocaleString('en-KE')}+`
+    ].filter(Boolean).join(' · ');
+}
+
+async function renderSavedSearches() {
+    const searches = await db.getSavedSearches();
+    render(document.getElementById('saved-search-list'), searches.map(search => html`
+        <span class="saved-search">
+            <button class="saved-search-apply" data-action="apply-saved-search" data-key="${search.key}">${search.name}</button>
+            <button class="saved-search-remove" data-action="delete-saved-search" data-key="${search.key}" aria-label="Remove saved search">×</button>
+        </span>
+    `));
+}
+
+function pushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+async function saveCurrentSearch() {
+    const criteria = currentSearchCriteria();
+    const saved = await db.getSavedSearches();
+
+    if (saved.some(search => SEARCH_CRITERIA.every(field => (search[field] ?? null) === criteria[field]))) {
+        showToast('This search is already saved.');
+        return;
+    }
+    if (saved.length >= MAX_SAVED_SEARCHES) {
+        showToast(`You can save up to ${MAX_SAVED_SEARCHES} searches. Remove one first.`);
+        return;
+    }
+
+    // Ask while the tap still counts as the user's; browsers ignore later prompts
+    if (pushSupported() && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+
+    await db.saveSearch({ ...criteria, name: describeSearch(criteria) });
+    renderSavedSearches();
+
+    if (pushSupported() && Notification.permission === 'granted') {
+        showToast(navigator.onLine
+            ? "Search saved. We'll notify you when matching jobs are posted."
+            : "Search saved. Alerts start once you're back online.");
+        syncSavedSearches();
+    } else {
+        showToast('Search saved. Allow notifications to get alerts for new matches.');
+    }
+}
+
+async function applySavedSearch(key) {
+    const search = (await db.getSavedSearches()).find(s => s.key === key);
+    if (!search) return;
+
+    state.titleQuery = search.q || '';
+    state.locationQuery = search.location || '';
+    state.currentFilter = search.type || 'all';
+    state.category = search.category || '';
+    state.county = search.county || '';
+    state.minSalary = search.minSalary ?? null;
+
+    document.getElementById('job-title-search').value = state.titleQuery;
+    document.getElementById('job-location-search').value = state.locationQuery;
+    document.getElementById('category-filter').value = state.category;
+    document.getElementById('county-filter').value = state.county;
+    document.getElementById('salary-filter').value = state.minSalary ?? '';
+    document.querySelectorAll('.filter-chip').forEach(chip => {
+        chip.classList.toggle('active', chip.dataset.filter === state.currentFilter);
+    });
+    scheduleSearch();
+}
+
+async function deleteSavedSearch(key) {
+    await db.deleteSavedSearch(key);
+    renderSavedSearches();
+    syncSavedSearches();
+}
+
+function base64UrlFromBuffer(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Sends this device's saved searches and push subscription to the server,
+ * replacing what it had. Runs after every change and whenever the app starts
+ * or comes back online, so changes made offline catch up.
+ */
+async function syncSavedSearches() {
+    if (!navigator.onLine || !pushSupported() || Notification.permission !== 'granted') return;
+
+    try {
+        const searches = await db.getSavedSearches();
+        const registration = await navigator.serviceWorker.ready;
+        let subscription = await registration.pushManager.getSubscription();
+        if (!subscription && searches.length === 0) return;
+
+        // A subscription made with an old server key can't receive pushes any more
+        const { publicKey } = await apiRequest('/push/public-key');
+        if (subscription && base64UrlFromBuffer(subscription.options.applicationServerKey) !== publicKey) {
+            await subscription.unsubscribe();
+            subscription = null;
+        }
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: publicKey });
+        }
+
+        const { endpoint, keys } = subscription.toJSON();
+        await apiRequest('/alerts', {
+            method: 'PUT',
+            body: {
+                endpoint,
+                p256dh: keys.p256dh,
+                auth: keys.auth,
+                searches: searches.map(search => {
+                    const criteria = { key: search.key, name: search.name };
+                    SEARCH_CRITERIA.forEach(field => { criteria[field] = search[field] ?? null; });
+                    return criteria;
+                })
+            }
+        });
+    } catch (err) {
+        console.error('Failed to sync saved searches:', err);
+    }
+}
+
+// Job alert notifications open the app at /?job=ID
+function openJobFromUrl() {
+    const id = Number(new URLSearchParams(location.search).get('job'));
+    if (!id) return;
+    history.replaceState(null, '', location.pathname);
+    openLinkedJob(id);
+}
+
+// The service worker caches the job an alert is about, so it usually opens
+// offline; otherwise pull the latest changes first
+async function openLinkedJob(id) {
+    state.jobs = await db.getAllJobs();
+    if (!state.jobs.some(job => job.id === id)) {
+        await syncJobChanges();
+    }
+    renderJobs();
+
+    if (state.jobs.some(job => job.id === id)) {
+        showView('jobs');
+        openJobDetails(id);
+    } else {
+        showToast(navigator.onLine ? 'This job is no longer available.' : 'Connect to the internet to see this job.');
+    }
+}
+
+// --- Job Packs (sharing listings offline) ---
+// Jobs cached on this phone can be handed to a phone with no data, as a
+// file (Bluetooth, WhatsApp, SD card...) or as a series of QR codes. Every
+// listing carries the server's signature, and the receiving phone only
+// keeps listings that verify against the key it got from the server.
+
+// More codes than this is too much scanning; a file is the better option
+const MAX_QR_CODES = 8;
+const QR_GENERATOR_URL = 'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js';
+const QR_READER_URL = 'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js';
+
+const sharing = {
+    qrTexts: [],
+    qrIndex: 0,
+    stream: null,
+    scanning: false
+};
+
+// Job ids per signatures request (the server's limit)
+const JOB_SIGNATURES_PAGE_SIZE = 200;
+
+/**
+ * Keeps the server's job signing key. When the key changes (or this phone
+ * cached jobs before they were signed), only new signatures for the cached
+ * listings are downloaded; the listings themselves stay as they are.
+ */
+async function refreshJobSigningKey() {
+    const { publicKey } = await apiRequest('/jobs/signing-key');
+    const known = await db.getSetting('jobSigningKey');
+    if (publicKey === known) return;
+
+    const ids = (await db.getAllJobs()).map(job => job.id);
+    const signatures = [];
+    for (let start = 0; start < ids.length; start += JOB_SIGNATURES_PAGE_SIZE) {
+        const page = await apiRequest('/jobs/signatures', {
+            method: 'POST',
+            body: { ids: ids.slice(start, start + JOB_SIGNATURES_PAGE_SIZE) }
+        });
+        // The key changed again mid-way; the next sync starts over
+        if (page.publicKey !== publicKey) return;
+        signatures.push(...page.signatures);
+    }
+    await db.replaceJobSignatures(publicKey, signatures);
+}
+
+// Loads a script from the CDN the first time a feature needs it
+// (cached by the service worker after that)
+function loadScript(src) {
+    if (document.querySelector(`script[src="${src}"]`)) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Could not load the QR code library. Try sharing a file instead.'));
+        document.head.appendChild(script);
+    });
+}
+
+// The jobs on screen that can be shared (signed by the server)
+async function shareableJobs() {
+    const key = await db.getSetting('jobSigningKey');
+    // Jobs cached with data saver on lack the description their signature covers
+    const signed = filterLocalJobs().filter(job => job.signature && job.description !== undefined);
+    return { key, jobs: key ? signed : [] };
+}
+
+async function openShareModal() {
+    const { jobs } = await shareableJobs();
+    document.getElementById('share-summary').textContent = jobs.length > 0
+        ? `${jobs.length} job(s) matching your current filters will be shared.`
+        : 'No jobs to share yet. Go online once to download listings.';
+    document.getElementById('share-pack-btn').disabled = jobs.length === 0;
+    document.getElementById('show-qr-btn').disabled = jobs.length === 0;
+    document.getElementById('qr-display').classList.add('hidden');
+    document.getElementById('share-modal').classList.remove('hidden');
+}
+
+function closeShareModal() {
+    stopQrScan();
+    document.getElementById('share-modal').classList.add('hidden');
+    document.getElementById('import-pack-input').value = '';
+}
+
+async function buildJobPack() {
+    const { key, jobs } = await shareableJobs();
+    return KaziJobPack.encodePack(jobs, key);
+}
+
+// Web Share where the phone can share files, otherwise a download
+async function shareJobPack() {
+    const date = new Date().toISOString().slice(0, 10);
+    const file = new File([await buildJobPack()], `kaziconnect-jobs-${date}.kazipack`, { type: 'application/json' });
+
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: 'KaziConnect jobs' });
+        } catch (err) {
+            if (err.name !== 'AbortError') showToast('Could not share the file.');
+        }
+        return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    URL.revokeObjectURL(url);
+    showToast('Job pack saved to your downloads.');
+}
+
+async function showJobPackQr() {
+    const qrTexts = KaziJobPack.packToQrTexts(await buildJobPack());
+    if (qrTexts.length > MAX_QR_CODES) {
+        showToast(`That's ${qrTexts.length} QR codes. Narrow your search or share a file instead.`);
+        return;
+    }
+
+    try {
+        await loadScript(QR_GENERATOR_URL);
+    } catch (err) {
+        showToast(err.message);
+        return;
+    }
+    qrcode.stringToBytes = qrcode.stringToBytesFuncs['UTF-8'];
+
+    sharing.qrTexts = qrTexts;
+    sharing.qrIndex = 0;
+    document.getElementById('qr-display').classList.remove('hidden');
+    drawQrCode();
+}
+
+function drawQrCode() {
+    const { qrTexts, qrIndex } = sharing;
+    const code = qrcode(0, 'L');
+    code.addData(qrTexts[qrIndex], 'Byte');
+    code.make();
+
+    render(document.getElementById('qr-code'), trusted(code.createSvgTag({ cellSize: 4, margin: 4 })));
+    document.getElementById('qr-progress').textContent = `Code ${qrIndex + 1} of ${qrTexts.length}`;
+    document.getElementById('qr-prev-btn').disabled = qrIndex === 0;
+    document.getElementById('qr-next-btn').disabled = qrIndex === qrTexts.length - 1;
+}
+
+function stepQrCode(step) {
+    sharing.qrIndex = Math.min(Math.max(sharing.qrIndex + step, 0), sharing.qrTexts.length - 1);
+    drawQrCode();
+}
+
+// BarcodeDetector where the browser has it, otherwise jsQR on camera frames
+async function createQrReader(video) {
+    if ('BarcodeDetector' in window) {
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        return async () => (await detector.detect(video)).map(code => code.rawValue);
+    }
+
+    await loadScript(QR_READER_URL);
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    return async () => {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        if (!canvas.width) return [];
+        context.drawImage(video, 0, 0);
+        const code = jsQR(context.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+        return code ? [code.data] : [];
+    };
+}
+
+async function startQrScan() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        showToast("This phone's browser can't use the camera. Ask for a file instead.");
+        return;
+    }
+
+    const video = document.getElementById('qr-video');
+    const progress = document.getElementById('scan-progress');
+    const collector = KaziJobPack.createQrCollector();
+
+    try {
+        sharing.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = sharing.stream;
+        await video.play();
+        const read = await createQrReader(video);
+
+        sharing.scanning = true;
+        progress.textContent = 'Point the camera at the first code.';
+        document.getElementById('qr-scanner').classList.remove('hidden');
+
+        while (sharing.scanning && !collector.complete()) {
+            for (const text of await read()) {
+                const result = collector.add(text);
+                if (result) progress.textContent = `Got ${result.received} of ${result.total} code(s)`;
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+    } catch (err) {
+        console.error('QR scan failed:', err);
+        showToast(err.name === 'NotAllowedError' ? 'Allow camera access to scan codes.' : 'Could not scan codes.');
+    }
+
+    stopQrScan();
+    if (collector.complete()) {
+        await importJobPack(collector.packText());
+    }
+}
+
+function stopQrScan() {
+    sharing.scanning = false;
+    if (sharing.stream) {
+        sharing.stream.getTracks().forEach(track => track.stop());
+        sharing.stream = null;
+    }
+    document.getElementById('qr-scanner').classList.add('hidden');
+}
+
+/**
+ * Checks every listing in a pack against the server's signing key and adds
+ * the ones that verify. Listings already cached are left as they are
+ * (ours come straight from the feed, so they're at least as new), and
+ * expired ones are dropped, as are ones the feed has told us were taken
+ * down (their signatures are still good until they expire).
+ */
+async function importJobPack(text) {
+    let pack;
+    try {
+        pack = KaziJobPack.decodePack(text);
+    } catch (err) {
+        showToast(err.message);
+        return;
+    }
+
+    const trustedKey = await db.getSetting('jobSigningKey');
+    if (!trustedKey) {
+        showToast('Go online once so KaziConnect can check shared jobs, then try again.');
+        return;
+    }
+    if (pack.key !== trustedKey) {
+        showToast('This pack was signed with a different key. Ask your friend to go online and share again.');
+        return;
+    }
+
+    const key = await KaziJobPack.importSigningKey(trustedKey);
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const cachedIds = new Set((await db.getAllJobs()).map(job => job.id));
+    const removedIds = await db.getRemovedJobIds();
+    const fresh = [];
+    let rejected = 0;
+    let takenDown = 0;
+
+    for (const job of pack.jobs) {
+        if (!(await KaziJobPack.verifyJob(job, key))) {
+            rejected++;
+        } else if (removedIds.has(job.id)) {
+            takenDown++;
+        } else if (!cachedIds.has(job.id) && !(job.expiresAt && job.expiresAt <= now)) {
+            fresh.push(job);
+        }
+    }
+
+    if (fresh.length > 0) {
+        await db.saveJobs(fresh);
+        state.jobs = await db.getAllJobs();
+        await updateLocalMatches();
+    }
+
+    closeShareModal();
+    const added = fresh.length > 0 ? `Added ${fresh.length} new job(s).` : 'No new jobs in this pack.';
+    const notes = [added];
+    if (takenDown > 0) notes.push(`${takenDown} job(s) have been taken down and were left out.`);
+    if (rejected > 0) notes.push(`${rejected} job(s) failed the check and were ignored.`);
+    showToast(notes.join(' '));
+}
+
+document.getElementById('close-share-modal').onclick = closeShareModal;
+document.getElementById('share-pack-btn').onclick = shareJobPack;
+document.getElementById('show-qr-btn').onclick = showJobPackQr;
+document.getElementById('qr-prev-btn').onclick = () => stepQrCode(-1);
+document.getElementById('qr-next-btn').onclick = () => stepQrCode(1);
+document.getElementById('scan-qr-btn').onclick = startQrScan;
+document.getElementById('stop-scan-btn').onclick = stopQrScan;
+document.getElementById('import-pack-input').onchange = async (e) => {
+    const file = e.target.files[0];
+    if (file) await importJobPack(await file.text());
+};
 
-    const pending = await db.getPendingApplications();
-    if (pending.length === 0) return;
+// --- Settings: sync, data saver and storage ---
 
-    const isBatteryLow = 'getBattery' in navigator ? (await navigator.getBattery()).level < 0.15 : false;
-    const isDataSaver = navigator.connection ? navigator.connection.saveData : false;
+// Stored in KaziDB's settings store (seeded with these on install)
+const SETTING_DEFAULTS = { syncFrequency: 'normal', batteryAware: true, dataSaver: false };
 
-    if (isBatteryLow || isDataSaver) {
-        console.log('Sync deferred: Low battery or Data Saver active');
-        showToast('Sync deferred for battery/data saving.');
-        return;
+// How often an open app checks for new jobs; 'low' only syncs when the app
+// opens or comes back online
+const SYNC_INTERVALS = {
+    often: 5 * 60 * 1000,
+    normal: 15 * 60 * 1000,
+    low: null
+};
+
+// Past this share of the storage quota the oldest cached jobs are dropped,
+// before the browser decides to wipe the whole app instead
+const STORAGE_HIGH_WATER = 0.8;
+const STORAGE_EVICT_SHARE = 0.25;
+
+let pollTimer = null;
+
+async function loadSettings() {
+    const settings = {};
+    for (const [key, fallback] of Object.entries(SETTING_DEFAULTS)) {
+        settings[key] = (await db.getSetting(key)) ?? fallback;
     }
+    return settings;
+}
 
-    console.log(`Syncing ${pending.length} application(s) (Attempt ${retryCount + 1})...`);
+// The user's setting, or the browser's Lite mode / data saver
+function dataSaverOn() {
+    return state.settings.dataSaver || Boolean(navigator.connection && navigator.connection.saveData);
+}
 
-    for (const app of pending) {
-        try {
-            const response = await fetch(`${API_BASE_URL}/applications`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    jobId: app.jobId,
-                    jobTitle: app.jobTitle,
-                    applicantName: app.applicantName,
-                    applicantPhone: app.applicantPhone,
-                    applicantNotes: app.applicantNotes
-                })
-            });
+async function batteryLow() {
+    if (!state.settings.batteryAware || !('getBattery' in navigator)) return false;
+    const battery = await navigator.getBattery();
+    return battery.level < 0.15 && !battery.charging;
+}
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Server error');
-            }
+// Pictures are only requested when data saver is off
+function applyDataSaver() {
+    const saving = dataSaverOn();
+    document.body.classList.toggle('data-saver', saving);
+    if (saving) return;
+    document.querySelectorAll('img[data-src]').forEach(img => {
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+    });
+}
 
-            console.log(`Synced application for: ${app.jobTitle}`);
-            await db.markAsSynced(app.id);
-        } catch (err) {
-            console.error('Failed to sync application:', err);
-            if (retryCount < 3) {
-                const delay = Math.pow(2, retryCount) * 1000;
-                console.log(`Retrying in ${delay / 1000}s...`);
-                setTimeout(() => trySyncApplications(retryCount + 1), delay);
-            }
-            break;
-        }
+function schedulePolling() {
+    clearInterval(pollTimer);
+    const interval = SYNC_INTERVALS[state.settings.syncFrequency];
+    if (interval) pollTimer = setInterval(pollForChanges, interval);
+}
+
+async function pollForChanges() {
+    if (!navigator.onLine || document.hidden || await batteryLow()) return;
+    syncJobChanges();
+    syncApplicationStatuses();
+}
+
+// Persistent storage is only cleared by the user, not under storage pressure
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return;
+    if (!(await navigator.storage.persisted())) {
+        await navigator.storage.persist();
     }
+}
 
-    updatePendingSyncBanner();
+async function storageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    return navigator.storage.estimate();
 }
 
-async function trySyncJobSubmissions(retryCount = 0) {
-    if (!navigator.onLine) return;
+/**
+ * Drops the oldest cached jobs once the app is using most of its quota.
+ * Runs after every job sync, which is what makes the cache grow.
+ */
+async function manageStorage() {
+    const estimate = await storageEstimate();
+    if (!estimate || !estimate.quota || estimate.usage <= estimate.quota * STORAGE_HIGH_WATER) return;
 
-    const pending = await db.getPendingJobSubmissions();
-    if (pending.length === 0) return;
+    const evicted = await freeUpSpace(STORAGE_EVICT_SHARE);
+    console.log(`Storage ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}: removed ${evicted} old job(s)`);
+}
 
-    console.log(`Syncing ${pending.length} pending job submission(s) (Attempt ${retryCount + 1})...`);
+/**
+ * Removes `share` of the cached jobs, oldest first, and the API responses
+ * the service worker kept for offline use. Resolves with the number of jobs removed.
+ */
+async function freeUpSpace(share) {
+    const count = Math.ceil((await db.countJobs()) * share);
+    const evicted = await db.evictOldestJobs(count);
+    await clearCachedApiResponses();
+    return evicted.length;
+}
 
-    for (const job of pending) {
-        try {
-            const response = await fetch(`${API_BASE_URL}/jobs`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    title: job.title,
-                    company: job.company,
-                    location: job.location,
-                    type: job.type,
-                    salary: job.salary,
-                    description: job.description
-                })
-            });
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Server error');
-            }
+async function renderStorageUsage() {
+    const estimate = await storageEstimate();
+    const jobs = await db.countJobs();
+    const saved = `${jobs} job(s) saved on this phone`;
+    document.getElementById('storage-usage').textContent = estimate
+        ? `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available. ${saved}.`
+        : `${saved}.`;
+}
 
-            console.log(`Synced job submission: ${job.title}`);
-            await db.markJobSubmissionSynced(job.id);
-        } catch (err) {
-            console.error('Failed to sync job submission:', err);
-            if (retryCount < 3) {
-                const delay = Math.pow(2, retryCount) * 1000;
-                console.log(`Retrying in ${delay / 1000}s...`);
-                setTimeout(() => trySyncJobSubmissions(retryCount + 1), delay);
-            }
-            break;
+function openSettingsModal() {
+    document.getElementById('sync-frequency-input').value = state.settings.syncFrequency;
+    document.getElementById('battery-aware-input').checked = state.settings.batteryAware;
+    document.getElementById('data-saver-input').checked = state.settings.dataSaver;
+    renderStorageUsage();
+    document.getElementById('settings-modal').classList.remove('hidden');
+}
+
+document.getElementById('settings-form').onchange = async (e) => {
+    const { name } = e.target;
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    state.settings[name] = value;
+    await db.setSetting(name, value);
+
+    if (name === 'syncFrequency') schedulePolling();
+    if (name === 'dataSaver') {
+        applyDataSaver();
+        // Fetch the whole feed again so cached jobs get their descriptions back
+        if (!value) {
+            await db.setSetting('jobsCursor', 0);
+            await syncJobChanges();
+            renderStorageUsage();
         }
     }
+};
 
-    updateJobSyncBanner();
-}
+document.getElementById('free-space-btn').onclick = async () => {
+    if (!confirm('Remove the older half of the jobs saved on this phone? They stay online, and your applications are kept.')) return;
 
-let toastTimeout;
-function showToast(message) {
-    const toast = document.getElementById('toast');
-    clearTimeout(toastTimeout);
-    toast.textContent = message;
-    toast.classList.remove('hidden');
-    toastTimeout = setTimeout(() => toast.classList.add('hidden'), 4000);
-}
+    const evicted = await freeUpSpace(0.5);
+    state.jobs = await db.getAllJobs();
+    await updateLocalMatches();
+    renderStorageUsage();
+    showToast(`Removed ${evicted} older job(s).`);
+};
+
+document.getElementById('close-settings-modal').onclick = () => {
+    document.getElementById('settings-modal').classList.add('hidden');
+};
 
 // --- Event Listeners ---
 
+// Buttons in rendered lists name their action in data-action (inline
+// handlers are blocked by the Content-Security-Policy)
+const CLICK_ACTIONS = {
+    'open-job': el => openJobDetails(Number(el.dataset.id)),
+    'apply-saved-search': el => applySavedSearch(el.dataset.key),
+    'delete-saved-search': el => deleteSavedSearch(el.dataset.key),
+    'open-applicants': el => openApplicants(Number(el.dataset.id)),
+    'set-applicant-status': el => setApplicantStatus(Number(el.dataset.id), el.dataset.status),
+    'mark-filled': el => markPositionFilled(Number(el.dataset.id)),
+    'edit-job': el => editMyJob(Number(el.dataset.id)),
+    'cancel-job': el => cancelMyJob(Number(el.dataset.id)),
+    'resolve-conflict': el => resolveJobConflict(Number(el.dataset.id), el.dataset.choice),
+    'edit-application': el => editMyApplication(Number(el.dataset.id)),
+    'cancel-application': el => cancelMyApplication(Number(el.dataset.id)),
+    'cancel-report': el => cancelJobReport(Number(el.dataset.id)),
+    'remove-attachment': el => removeApplicationFile(Number(el.dataset.index)),
+    'open-attachment': el => openAttachment(Number(el.dataset.applicationId), el.dataset.id, el.dataset.name),
+    'quick-apply': () => quickApply(),
+    'open-profile': () => openProfileModal()
+};
+
 function setupEventListeners() {
-    document.getElementById('sync-now-btn').onclick = () => {
-        trySyncApplications();
-    };
+    document.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-action]');
+        if (el && CLICK_ACTIONS[el.dataset.action]) CLICK_ACTIONS[el.dataset.action](el);
+    });
 
-    document.getElementById('job-sync-now-btn').onclick = () => {
-        trySyncJobSubmissions();
-    };
+    document.getElementById('sync-now-btn').onclick = () => syncOutbox({ force: true });
+
+    document.getElementById('job-sync-now-btn').onclick = () => syncOutbox({ force: true });
 
     document.getElementById('job-title-search').oninput = (e) => {
         state.titleQuery = e.target.value;
-        renderJobs();
+        scheduleSearch();
     };
 
     document.getElementById('job-location-search').oninput = (e) => {
         state.locationQuery = e.target.value;
-        renderJobs();
+        scheduleSearch();
+    };
+
+    document.getElementById('salary-filter').onchange = (e) => {
+        state.minSalary = e.target.value ? Number(e.target.value) : null;
+        scheduleSearch();
+    };
+
+    document.getElementById('category-filter').onchange = (e) => {
+        state.category = e.target.value;
+        scheduleSearch();
+    };
+
+    document.getElementById('county-filter').onchange = (e) => {
+        state.county = e.target.value;
+        scheduleSearch();
+    };
+
+    document.getElementById('search-btn').onclick = () => {
+        clearTimeout(searchTimer);
+        searchJobs();
+    };
+
+    document.getElementById('load-more-btn').onclick = () => {
+        searchJobs({ loadMore: true });
     };
 
+    document.getElementById('save-search-btn').onclick = saveCurrentSearch;
+
+    document.getElementById('share-jobs-btn').onclick = openShareModal;
+
+    document.getElementById('settings-btn').onclick = openSettingsModal;
+
+    document.getElementById('profile-btn').onclick = openProfileModal;
+
+    document.getElementById('edit-profile-btn').onclick = openProfileModal;
+
     document.querySelectorAll('.filter-chip').forEach(chip => {
         chip.onclick = () => {
             document.querySelector('.filter-chip.active').classList.remove('active');
             chip.classList.add('active');
             state.currentFilter = chip.dataset.filter;
-            renderJobs();
+            scheduleSearch();
         };
     });
 
     document.getElementById('my-jobs-btn').onclick = () => {
-        state.currentView = 'myJobs';
-        document.getElementById('hero-section').classList.add('hidden');
-        document.getElementById('filter-section').classList.add('hidden');
-        document.getElementById('job-list-section').classList.add('hidden');
-        document.getElementById('my-jobs-section').classList.remove('hidden');
+        showView('myJobs');
         renderMyJobs();
     };
 
-    document.getElementById('back-to-jobs-btn').onclick = () => {
-        state.currentView = 'jobs';
-        document.getElementById('hero-section').classList.remove('hidden');
-        document.getElementById('filter-section').classList.remove('hidden');
-        document.getElementById('job-list-section').classList.remove('hidden');
-        document.getElementById('my-jobs-section').classList.add('hidden');
+    document.getElementById('my-applications-btn').onclick = () => {
+        showView('myApplications');
+        renderMyApplications();
     };
+
+    document.querySelectorAll('.back-to-jobs-btn').forEach(btn => {
+        btn.onclick = () => showView('jobs');
+    });
+
+    // A field's error goes away as soon as it is edited
+    ['post-job-form', 'otp-request-form', 'otp-verify-form', 'job-application-form'].forEach(formId => {
+        document.getElementById(formId).addEventListener('input', (e) => clearFieldError(e.target));
+    });
+}
+
+// Sections making up each top-level view
+const VIEW_SECTIONS = {
+    jobs: ['hero-section', 'filter-section', 'job-list-section'],
+    myJobs: ['my-jobs-section'],
+    myApplications: ['my-applications-section']
+};
+
+function showView(view) {
+    state.currentView = view;
+    Object.entries(VIEW_SECTIONS).forEach(([name, sections]) => {
+        sections.forEach(id => document.getElementById(id).classList.toggle('hidden', name !== view));
+    });
 }
 
 window.addEventListener('online', () => {
     updateConnectionStatus();
-    trySyncApplications();
-    trySyncJobSubmissions();
+    syncJobChanges();
+    syncApplicationStatuses();
+    syncSavedSearches();
+    syncProfile();
 });
 window.addEventListener('offline', updateConnectionStatus);
 
-async function renderMyJobs() {
-    const myJobsList = document.getElementById('my-jobs-list');
-    const postedJobs = await db.getAllJobSubmissions();
+// Pulls the moderation outcome of this device's submitted jobs
+async function refreshJobSubmissionStatuses() {
+    if (!navigator.onLine) return;
 
-    if (postedJobs.length === 0) {
-        myJobsList.innerHTML = '<div class="empty-state"><p>You haven\'t posted any jobs yet. Click "+ Post a Job" to get started!</p></div>';
-        return;
+    const submitted = (await db.getAllJobSubmissions()).filter(job => job.synced && job.submissionKey);
+    if (submitted.length === 0) return;
+
+    try {
+        const statuses = await apiRequest('/jobs/submission-status', {
+            method: 'POST',
+            body: { submissionKeys: submitted.slice(-100).map(job => job.submissionKey) }
+        });
+        await db.updateJobSubmissionStatuses(statuses);
+    } catch (err) {
+        console.error('Failed to refresh job statuses:', err);
+    }
+}
+
+const MODERATION_BADGES = {
+    approved: { className: 'approved', label: '✓ Approved' },
+    rejected: { className: 'rejected', label: '✕ Rejected' },
+    changes_requested: { className: 'changes', label: '✎ Changes requested' },
+    pending: { className: 'synced', label: '✓ Submitted · In review' },
+    filled: { className: 'approved', label: '✓ Position filled' },
+    expired: { className: 'changes', label: '⌛ Listing expired' }
+};
+
+// Mirror FILLABLE_JOB_STATUSES and OWNER_EDITABLE_JOB_STATUSES in server.js
+const FILLABLE_JOB_STATUSES = ['pending', 'approved', 'changes_requested'];
+const EDITABLE_JOB_STATUSES = ['pending', 'changes_requested'];
+
+function jobSubmissionBadge(job) {
+    const refused = job.delivery && job.delivery.state === 'attention';
+    if (job.delivery && job.delivery.state === 'signin') return { className: 'pending', label: '🔒 Sign in to send' };
+    if (!job.synced) {
+        return refused ? { className: 'rejected', label: '⚠ Not submitted' } : { className: 'pending', label: '⏳ Pending Sync' };
+    }
+    if (job.pendingEdit) {
+        if (job.pendingEdit.conflict) return { className: 'rejected', label: '⚠ Edit needs your choice' };
+        if (refused) return { className: 'rejected', label: '⚠ Edit not saved' };
+        return { className: 'pending', label: '⏳ Edit waiting to sync' };
+    }
+    return MODERATION_BADGES[job.status] || MODERATION_BADGES.pending;
+}
+
+// Signed-in employers: claim this device's posts, then cache the dashboard
+async function refreshEmployerDashboard() {
+    if (!navigator.onLine || !state.user) return;
+
+    try {
+        const submissionKeys = (await db.getAllJobSubmissions())
+            .filter(job => job.synced && job.submissionKey)
+            .map(job => job.submissionKey);
+        if (submissionKeys.length > 0) {
+            await apiRequest('/employer/jobs/claim', {
+                method: 'POST',
+                body: { submissionKeys: submissionKeys.slice(-100) }
+            });
+        }
+
+        await db.saveOwnedJobs(await apiRequest('/employer/jobs'));
+    } catch (err) {
+        console.error('Failed to refresh employer dashboard:', err);
+    }
+}
+
+/**
+ * This device's job posts merged with the signed-in employer's jobs on the
+ * server (which may have been posted from another phone). Server copies add
+ * the latest moderation status and applicant counts.
+ */
+async function getMyJobs() {
+    const submissions = await db.getAllJobSubmissions();
+    const owned = state.user ? await db.getOwnedJobs() : [];
+    const ownedById = new Map(owned.map(job => [job.id, job]));
+
+    const myJobs = submissions.map(job => {
+        const serverJob = ownedById.get(job.serverId);
+        if (!serverJob) return job;
+        ownedById.delete(job.serverId);
+        return {
+            ...job,
+            owned: true,
+            status: serverJob.status,
+            moderationReason: serverJob.moderationReason,
+            applicants: serverJob.applicants
+        };
+    });
+
+    // Posted from another device: nothing stored here to edit
+    ownedById.forEach(job => myJobs.push({ ...job, owned: true, fromOtherDevice: true, serverId: job.id, synced: true, timestamp: null }));
+    return myJobs;
+}
+
+const APPLICANT_STAGES = ['new', 'shortlisted', 'interviewed', 'hired', 'declined'];
+
+const APPLICANT_STAGE_LABELS = {
+    new: 'New',
+    shortlisted: 'Shortlisted',
+    interviewed: 'Interviewed',
+    hired: 'Hired',
+    declined: 'Declined'
+};
+
+// Mirrors APPLICATION_TRANSITIONS in server.js
+const APPLICANT_NEXT_STAGES = {
+    new: ['shortlisted', 'declined'],
+    shortlisted: ['interviewed', 'declined'],
+    interviewed: ['hired', 'declined'],
+    hired: [],
+    declined: []
+};
+
+function renderPipeline(job) {
+    if (!job.applicants) {
+        return job.synced && !state.user ? html`<p class="pipeline-hint">Sign in to see who applied.</p>` : '';
+    }
+
+    const stages = APPLICANT_STAGES
+        .filter(stage => job.applicants[stage] > 0)
+        .map(stage => html`<span class="pipeline-stage">${job.applicants[stage]} ${APPLICANT_STAGE_LABELS[stage].toLowerCase()}</span>`);
+
+    return html`
+            <div class="pipeline">
+                <span class="pipeline-total">👥 ${job.applicants.total} applicant(s)</span>
+                ${stages}
+            </div>
+            ${job.applicants.total > 0 ? html`<button class="review-btn" data-action="open-applicants" data-id="${job.serverId}">Review applicants</button>` : ''}
+    `;
+}
+
+const JOB_FIELD_LABELS = {
+    title: 'Title',
+    company: 'Company',
+    location: 'Location',
+    type: 'Type',
+    category: 'Category',
+    county: 'County',
+    salaryMin: 'Pay from',
+    salaryMax: 'Pay up to',
+    salaryPeriod: 'Paid',
+    closingDate: 'Closes',
+    description: 'Description'
+};
+
+function jobFieldText(job, field) {
+    const value = job[field];
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'category') return KaziTaxonomy.categoryLabel(value);
+    if (field === 'salaryPeriod') return KaziTaxonomy.SALARY_PERIODS[value] || value;
+    return value;
+}
+
+// The employer's edit next to the server's copy, for the fields that differ
+function renderJobConflict(job) {
+    const { job: server, canKeepMine } = job.pendingEdit.conflict;
+    const differing = Object.keys(JOB_FORM_FIELDS)
+        .filter(field => String(job[field] ?? '') !== String(server[field] ?? ''));
+    const rows = differing.map(field => html`
+                <tr><th>${JOB_FIELD_LABELS[field]}</th><td>${jobFieldText(job, field)}</td><td>${jobFieldText(server, field)}</td></tr>
+            `);
+
+    return html`
+            <div class="edit-conflict">
+                <p>${canKeepMine
+                    ? 'This listing was changed on the server after you started editing it.'
+                    : `This listing has been ${server.status} and can no longer be edited.`}</p>
+                ${differing.length > 0 ? html`
+                <table class="conflict-table">
+                    <thead><tr><th></th><th>Your version</th><th>On the server</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>` : ''}
+                <div class="conflict-actions">
+                    ${canKeepMine ? html`<button class="stage-btn" data-action="resolve-conflict" data-id="${job.id}" data-choice="mine">Keep mine</button>` : ''}
+                    <button class="stage-btn decline" data-action="resolve-conflict" data-id="${job.id}" data-choice="theirs">${canKeepMine ? 'Use theirs' : 'Discard my edit'}</button>
+                </div>
+            </div>
+    `;
+}
+
+// Edit/cancel for this device's own posts: anything not sent yet, or still in review
+function renderMyJobActions(job) {
+    if (job.fromOtherDevice) return '';
+    if (job.pendingEdit && job.pendingEdit.conflict) return renderJobConflict(job);
+
+    const buttons = [];
+    if (!job.synced || EDITABLE_JOB_STATUSES.includes(job.status)) {
+        buttons.push(html`<button class="link-btn" data-action="edit-job" data-id="${job.id}">Edit</button>`);
     }
+    if (!job.synced) {
+        buttons.push(html`<button class="link-btn" data-action="cancel-job" data-id="${job.id}">Cancel post</button>`);
+    }
+    const error = job.delivery && job.delivery.state === 'attention'
+        ? html`<p class="moderation-reason"><strong>${job.synced ? 'Edit not saved' : 'Not submitted'}:</strong> ${job.delivery.error}</p>`
+        : '';
+    return html`${error}${buttons.length > 0 ? html`<div class="card-actions">${buttons}</div>` : ''}`;
+}
 
-    myJobsList.innerHTML = postedJobs.map(job => `
+function renderMyJobCard(job) {
+    const badge = jobSubmissionBadge(job);
+    const showReason = job.moderationReason && job.status !== 'approved';
+
+    return html`
         <div class="job-card ${job.synced ? '' : 'pending-sync'}">
-            <div class="job-status-badge ${job.synced ? 'synced' : 'pending'}">
-                ${job.synced ? '✓ Submitted' : '⏳ Pending Sync'}
+            <div class="job-status-badge ${badge.className}">
+                ${badge.label}
             </div>
             <span class="company">${job.company}</span>
             <h3>${job.title}</h3>
-            <div class="job-meta">
-                <span class="tag">${job.location}</span>
-                <span class="tag">${job.type}</span>
+            <div class="job-meta">${jobTags(job)}</div>
+            ${showReason ? html`<p class="moderation-reason"><strong>${job.status === 'rejected' ? 'Reason' : 'Please change'}:</strong> ${job.moderationReason}</p>` : ''}
+            ${renderPipeline(job)}
+            ${renderMyJobActions(job)}
+            ${job.owned && FILLABLE_JOB_STATUSES.includes(job.status)
+                ? html`<button class="link-btn fill-btn" data-action="mark-filled" data-id="${job.serverId}">Position filled? Take it down</button>`
+                : ''}
+            <div class="job-footer">
+                <span class="salary">${KaziTaxonomy.formatSalary(job)}</span>
+                ${job.timestamp ? html`<span class="timestamp">Posted ${new Date(job.timestamp).toLocaleDateString()}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+async function drawMyJobs() {
+    const myJobsList = document.getElementById('my-jobs-list');
+    const myJobs = await getMyJobs();
+
+    if (myJobs.length === 0) {
+        render(myJobsList, html`<div class="empty-state"><p>You haven't posted any jobs yet. Click "+ Post a Job" to get started!</p></div>`);
+        return;
+    }
+
+    render(myJobsList, myJobs.map(renderMyJobCard));
+}
+
+async function renderMyJobs() {
+    // Show the cached copy right away, then refresh it if we can
+    await drawMyJobs();
+
+    if (navigator.onLine) {
+        await refreshJobSubmissionStatuses();
+        await refreshEmployerDashboard();
+        if (state.currentView === 'myJobs') await drawMyJobs();
+    }
+}
+
+// --- My Applications (seeker view) ---
+
+const APPLICATION_BADGES = {
+    new: { className: 'synced', label: '✓ Sent · Awaiting review' },
+    shortlisted: { className: 'changes', label: '⭐ Shortlisted' },
+    interviewed: { className: 'changes', label: '📋 Interviewed' },
+    hired: { className: 'approved', label: '🎉 Hired' },
+    declined: { className: 'rejected', label: 'Not selected' }
+};
+
+function applicationBadge(app) {
+    if (app.closed) return { className: 'rejected', label: 'Job closed · not sent' };
+    if (app.delivery && app.delivery.state === 'attention') return { className: 'rejected', label: '⚠ Not sent · needs your attention' };
+    if (app.delivery && app.delivery.state === 'signin') return { className: 'pending', label: '🔒 Sign in to send' };
+    if (!app.synced) return { className: 'pending', label: '⏳ Waiting to send' };
+    return APPLICATION_BADGES[app.status] || APPLICATION_BADGES.new;
+}
+
+function renderApplicationCard(app) {
+    const badge = applicationBadge(app);
+    const job = state.jobs.find(j => j.id === app.jobId);
+
+    return html`
+        <div class="job-card ${app.synced ? '' : 'pending-sync'}">
+            <div class="job-status-badge ${badge.className}">
+                ${badge.label}
             </div>
+            <span class="company">${job ? job.company : ''}</span>
+            <h3>${app.jobTitle}</h3>
+            ${job ? html`<div class="job-meta">${jobTags(job)}</div>` : ''}
+            ${app.attachmentNames && app.attachmentNames.length > 0 ? html`<p class="attachment-hint">📎 ${app.attachmentNames.join(', ')}</p>` : ''}
+            ${!app.synced && !app.closed ? html`
+            <div class="card-actions">
+                ${job ? html`<button class="link-btn" data-action="edit-application" data-id="${app.id}">Edit</button>` : ''}
+                <button class="link-btn" data-action="cancel-application" data-id="${app.id}">Cancel application</button>
+            </div>` : ''}
             <div class="job-footer">
-                <span class="salary">${job.salary || 'Not specified'}</span>
-                <span class="timestamp">Posted ${new Date(job.timestamp).toLocaleDateString()}</span>
+                <span class="salary">${job ? KaziTaxonomy.formatSalary(job) : ''}</span>
+                <span class="timestamp">Applied ${new Date(app.timestamp).toLocaleDateString()}</span>
+            </div>
+        </div>
+    `;
+}
+
+async function drawMyApplications() {
+    const list = document.getElementById('my-applications-list');
+    const applications = (await db.getAllApplications()).sort((a, b) => b.timestamp - a.timestamp);
+
+    if (applications.length === 0) {
+        render(list, html`<div class="empty-state"><p>You haven't applied for any jobs yet. Open a job and tap "Submit Application".</p></div>`);
+        return;
+    }
+
+    render(list, applications.map(renderApplicationCard));
+}
+
+async function renderMyApplications() {
+    await drawMyApplications();
+
+    if (navigator.onLine) {
+        await syncApplicationStatuses();
+        if (state.currentView === 'myApplications') await drawMyApplications();
+    }
+}
+
+// --- Applicant Review ---
+
+// The profile a seeker shared when they applied: where they live, schooling,
+// languages, and their skills as tags
+function applicantProfile(profile) {
+    if (!profile) return '';
+    const facts = [
+        profile.county,
+        profile.education && KaziTaxonomy.EDUCATION_LEVELS[profile.education],
+        profile.languages && profile.languages.length > 0 && `Speaks ${profile.languages.join(', ')}`
+    ].filter(Boolean);
+
+    return html`
+        <div class="applicant-profile">
+            ${facts.length > 0 ? html`<p>${facts.join(' · ')}</p>` : ''}
+            ${profile.skills && profile.skills.length > 0
+                ? html`<div class="job-meta">${profile.skills.map(skill => html`<span class="tag">${skill}</span>`)}</div>`
+                : ''}
+        </div>
+    `;
+}
+
+function renderApplicant(applicant) {
+    const actions = navigator.onLine
+        ? APPLICANT_NEXT_STAGES[applicant.status].map(stage => html`
+                <button class="stage-btn ${stage === 'declined' ? 'decline' : ''}"
+                    data-action="set-applicant-status" data-id="${applicant.id}" data-status="${stage}">${stage === 'declined' ? 'Decline' : `Mark ${APPLICANT_STAGE_LABELS[stage].toLowerCase()}`}</button>
+            `)
+        : '';
+
+    return html`
+        <div class="applicant-card">
+            <div class="applicant-header">
+                <strong>${applicant.applicantName}</strong>
+                <span class="applicant-status ${applicant.status}">${APPLICANT_STAGE_LABELS[applicant.status]}</span>
             </div>
+            <a href="tel:${applicant.applicantPhone}">${applicant.applicantPhone}</a>
+            ${applicantProfile(applicant.profile)}
+            ${applicant.applicantNotes ? multiline(applicant.applicantNotes) : ''}
+            ${applicant.attachments && applicant.attachments.length > 0 ? html`
+            <div class="applicant-attachments">
+                ${applicant.attachments.map(file => html`
+                <button class="attachment-btn" data-action="open-attachment" data-application-id="${applicant.id}"
+                    data-id="${file.id}" data-name="${file.fileName}">📎 ${file.fileName} <small>${formatBytes(file.size)}</small></button>`)}
+            </div>` : ''}
+            <div class="applicant-actions">${actions}</div>
         </div>
-    `).join('');
+    `;
+}
+
+async function drawApplicants(jobId) {
+    const list = document.getElementById('applicants-list');
+    const applicants = await db.getApplicants(jobId);
+
+    document.getElementById('applicants-offline-note').classList.toggle('hidden', navigator.onLine);
+
+    if (applicants.length === 0) {
+        render(list, html`<div class="empty-state"><p>${navigator.onLine ? 'No applicants yet.' : 'No saved applicants. Connect to load them.'}</p></div>`);
+        return;
+    }
+
+    // Group by pipeline stage, newest first within a stage
+    applicants.sort((a, b) =>
+        APPLICANT_STAGES.indexOf(a.status) - APPLICANT_STAGES.indexOf(b.status) ||
+        String(b.timestamp).localeCompare(String(a.timestamp)));
+    render(list, applicants.map(renderApplicant));
+}
+
+async function openApplicants(jobId) {
+    const job = (await db.getOwnedJobs()).find(j => j.id === jobId);
+    document.getElementById('applicants-job-title').textContent = job ? `${job.title} · ${job.company}` : '';
+    document.getElementById('applicants-modal').classList.remove('hidden');
+    state.reviewJobId = jobId;
+
+    await drawApplicants(jobId);
+
+    if (navigator.onLine) {
+        try {
+            await db.saveApplicants(jobId, await apiRequest(`/employer/jobs/${jobId}/applications`));
+            await drawApplicants(jobId);
+        } catch (err) {
+            console.error('Failed to load applicants:', err);
+        }
+    }
+}
+
+async function setApplicantStatus(applicationId, status) {
+    if (!navigator.onLine) {
+        showToast('Reconnect to update applicants. 📶');
+        return;
+    }
+
+    try {
+        const result = await apiRequest(`/employer/applications/${applicationId}/status`, {
+            method: 'PATCH',
+            body: { status }
+        });
+        const applicant = (await db.getApplicants(state.reviewJobId)).find(a => a.id === applicationId);
+        await db.updateApplicant({ ...applicant, status: result.status });
+        showToast(result.message);
+    } catch (err) {
+        console.error('Failed to update applicant:', err);
+        showToast(err.message || 'Could not update applicant.');
+    }
+
+    await drawApplicants(state.reviewJobId);
+    await refreshEmployerDashboard();
+    if (state.currentView === 'myJobs') await drawMyJobs();
+}
+
+async function markPositionFilled(jobId) {
+    if (!navigator.onLine) {
+        showToast('Reconnect to update your listing. 📶');
+        return;
+    }
+    if (!confirm('Mark this position as filled? The listing will be taken down and no new applications accepted.')) return;
+
+    try {
+        const result = await apiRequest(`/employer/jobs/${jobId}/filled`, { method: 'PATCH' });
+        showToast(result.message);
+    } catch (err) {
+        console.error('Failed to mark position filled:', err);
+        showToast(err.message || 'Could not update the listing.');
+    }
+
+    await refreshEmployerDashboard();
+    if (state.currentView === 'myJobs') await drawMyJobs();
+    syncJobChanges();
+}
+
+// --- Editing and cancelling queued posts and applications ---
+
+async function editMyJob(id) {
+    const job = (await db.getAllJobSubmissions()).find(j => j.id === id);
+    if (job) openPostJobForm(job);
+}
+
+async function cancelMyJob(id) {
+    if (!confirm('Cancel this job post? It has not been sent yet and will be deleted.')) return;
+    try {
+        await db.cancelJobSubmission(id);
+        showToast('Job post cancelled.');
+    } catch (err) {
+        showToast(err.message);
+    }
+    updateJobSyncBanner();
+    await drawMyJobs();
+}
+
+// Both versions are kept until the employer picks one
+async function resolveJobConflict(id, choice) {
+    const job = (await db.getAllJobSubmissions()).find(j => j.id === id);
+    if (!job || !job.pendingEdit || !job.pendingEdit.conflict) return;
+    const server = job.pendingEdit.conflict.job;
+
+    if (choice === 'mine') {
+        // Send the edit again, this time over the server's latest version
+        await db.updateJobSubmission(id, { pendingEdit: { baseVersion: server.version } });
+        if (navigator.onLine) await syncOutbox();
+        else showToast('Your version will be sent when you are back online.');
+    } else {
+        const theirs = {};
+        Object.keys(JOB_FORM_FIELDS).forEach(field => { theirs[field] = server[field]; });
+        await db.updateJobSubmission(id, {
+            ...theirs,
+            version: server.version,
+            status: server.status,
+            moderationReason: server.moderationReason,
+            pendingEdit: null
+        });
+        showToast('Kept the version on the server.');
+    }
+    await drawMyJobs();
+}
+
+async function editMyApplication(id) {
+    const app = (await db.getAllApplications()).find(a => a.id === id);
+    if (!app) return;
+
+    await openJobDetails(app.jobId);
+    if (!state.selectedJob || state.selectedJob.id !== app.jobId) {
+        showToast('That job is no longer saved on this device.');
+        return;
+    }
+    document.getElementById('applicant-name').value = app.applicantName;
+    document.getElementById('applicant-phone').value = app.applicantPhone;
+    document.getElementById('applicant-notes').value = app.applicantNotes || '';
+    document.getElementById('application-form-heading').textContent = 'Edit Application';
+    document.getElementById('apply-btn').textContent = 'Save Changes';
+    document.getElementById('quick-apply').classList.add('hidden');
+    state.editingApplicationId = id;
+
+    // Attached files stay as they were; cancel and apply again to change them.
+    // The files' section only shows to say what the server refused about them.
+    const refused = app.delivery && app.delivery.state === 'attention' ? app.delivery.fields : null;
+    document.getElementById('applicant-attachments-group').classList.toggle('hidden', !(refused && refused.attachments));
+    document.getElementById('applicant-attachments').disabled = true;
+    if (refused) showFieldErrors('job-application-form', { data: { fields: refused } }, APPLICATION_FORM_FIELDS);
 }
 
+async function cancelMyApplication(id) {
+    if (!confirm('Cancel this application? It has not been sent yet and will be deleted.')) return;
+    try {
+        await db.cancelQueuedApplication(id);
+        showToast('Application cancelled.');
+    } catch (err) {
+        showToast(err.message);
+    }
+    updatePendingSyncBanner();
+    await drawMyApplications();
+}
+
+document.getElementById('close-applicants-modal').onclick = () => {
+    document.getElementById('applicants-modal').classList.add('hidden');
+};
+
 document.addEventListener('DOMContentLoaded', () => {
+    // The icon library is loaded from a CDN, so it may be missing offline
+    if (typeof lucide !== 'undefined') lucide.createIcons();
     setupEventListeners();
     initApp();
 });
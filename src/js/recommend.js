@@ -0,0 +1,124 @@
+/**
+ * Job recommendations, shared by the page (worked out on the phone from
+ * cached jobs, so they work offline) and the server (SMS job lists and
+ * alerts), so a seeker is offered the same jobs either way.
+ *
+ * A job scores for the seeker's skills found in it, for being in or next to
+ * their county, and for being like jobs they have applied for. A seeker
+ * who hasn't given a county is taken to be looking where they last applied.
+ * Words are compared roughly stemmed, so "driving" matches "driver".
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./search'), require('./taxonomy'));
+    } else {
+        root.KaziRecommend = factory(root.KaziSearch, root.KaziTaxonomy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (KaziSearch, KaziTaxonomy) {
+    const SCORE_WEIGHTS = {
+        skillInTitle: 4,
+        skillInListing: 2,
+        sameCounty: 3,
+        neighbouringCounty: 1.5,
+        appliedCategory: 2,
+        // Per word shared with the title of a job applied for, up to three
+        appliedTitleWord: 1
+    };
+    const MAX_APPLIED_TITLE_WORDS = 3;
+
+    // Being in the seeker's county is enough on its own; a neighbouring
+    // county needs something else going for it
+    const RECOMMEND_MIN_SCORE = 3;
+
+    // "drivers", "driving" -> "driv"; short words are left alone
+    function stem(token) {
+        const stemmed = token.replace(/(ings|ing|ers|er|es|e|s)$/, '');
+        return stemmed.length >= 4 ? stemmed : token;
+    }
+
+    function stems(text) {
+        return new Set(KaziSearch.tokenize(text).map(stem));
+    }
+
+    /**
+     * What is known of a seeker, worked out once and scored against many jobs.
+     * `skills` are the seeker's own phrases ("M-Pesa agent"); `applied` are
+     * the jobs they applied for ({ id, title, category, county, location }),
+     * most recent first.
+     */
+    function seekerModel({ skills = [], county = null, applied = [] } = {}) {
+        const categories = new Set(applied.map(job => job.category).filter(Boolean));
+        const appliedCounty = applied
+            .map(job => job.county || KaziTaxonomy.normalizeCounty(job.location))
+            .find(Boolean);
+        return {
+            skills: skills
+                .map(skill => ({ label: skill, stems: [...stems(skill)] }))
+                .filter(skill => skill.stems.length > 0),
+            county: KaziTaxonomy.normalizeCounty(county) || appliedCounty || null,
+            categories,
+            appliedTitleStems: stems(applied.map(job => job.title).join(' ')),
+            appliedIds: new Set(applied.map(job => job.id).filter(id => id != null))
+        };
+    }
+
+    // Whether there is anything to recommend from
+    function hasPreferences(model) {
+        return model.skills.length > 0 || Boolean(model.county) || model.categories.size > 0 || model.appliedTitleStems.size > 0;
+    }
+
+    /**
+     * How well a job suits the seeker: { score, reasons, skills }, with the
+     * reasons written to show them ("Matches your skills: Driving") and
+     * `skills` the seeker's skills the job asks for.
+     */
+    function scoreJob(job, model) {
+        const title = stems(job.title);
+        const listing = stems([job.title, job.company, job.description].filter(Boolean).join(' '));
+        let score = 0;
+        const reasons = [];
+
+        const matched = model.skills.filter(skill => skill.stems.every(word => listing.has(word)));
+        matched.forEach(skill => {
+            score += skill.stems.every(word => title.has(word)) ? SCORE_WEIGHTS.skillInTitle : SCORE_WEIGHTS.skillInListing;
+        });
+        if (matched.length > 0) {
+            reasons.push(`Matches your skills: ${matched.map(skill => skill.label).join(', ')}`);
+        }
+
+        const county = job.county || KaziTaxonomy.normalizeCounty(job.location);
+        if (model.county && county === model.county) {
+            score += SCORE_WEIGHTS.sameCounty;
+            reasons.push(`In ${county}`);
+        } else if (KaziTaxonomy.areNeighbouringCounties(model.county, county)) {
+            score += SCORE_WEIGHTS.neighbouringCounty;
+            reasons.push(`Near you, in ${county}`);
+        }
+
+        const appliedCategory = Boolean(job.category && model.categories.has(job.category));
+        const sharedWords = [...title].filter(word => model.appliedTitleStems.has(word)).length;
+        if (appliedCategory) score += SCORE_WEIGHTS.appliedCategory;
+        score += Math.min(sharedWords, MAX_APPLIED_TITLE_WORDS) * SCORE_WEIGHTS.appliedTitleWord;
+        if (appliedCategory || sharedWords > 0) reasons.push('Like jobs you applied for');
+
+        return { score, reasons, skills: matched.map(skill => skill.label) };
+    }
+
+    /**
+     * Jobs ranked for the seeker, best first (newest first among equals),
+     * leaving out jobs they have already applied for: [{ job, score, reasons }].
+     */
+    function rankJobs(jobs, model) {
+        return jobs
+            .filter(job => !model.appliedIds.has(job.id))
+            .map(job => ({ job, ...scoreJob(job, model) }))
+            .sort((a, b) => b.score - a.score || b.job.id - a.job.id);
+    }
+
+    // The few jobs that suit the seeker well enough to suggest
+    function recommendJobs(jobs, model, { limit = 5, minScore = RECOMMEND_MIN_SCORE } = {}) {
+        return rankJobs(jobs, model).filter(result => result.score >= minScore).slice(0, limit);
+    }
+
+    return { SCORE_WEIGHTS, RECOMMEND_MIN_SCORE, stem, seekerModel, hasPreferences, scoreJob, rankJobs, recommendJobs };
+});
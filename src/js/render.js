@@ -0,0 +1,72 @@
+/**
+ * HTML templates that escape by default. Listings, names and notes come
+ * from anyone who can reach the public API, so text only ever reaches the
+ * page as text:
+ *
+ *   render(card, html`<h3>${job.title}</h3>${multiline(job.description)}`);
+ *
+ * Every value put into an html`` template is escaped, except other
+ * templates (so they nest) and markup explicitly marked `trusted`.
+ * Arrays are joined, and null, undefined and false render as nothing.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KaziRender = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Markup that is safe to insert as it is
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ESCAPES[c]);
+    }
+
+    function toMarkup(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(toMarkup).join('');
+        return escapeHtml(value);
+    }
+
+    // Tag for template literals: html`<p>${text}</p>`
+    function html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += toMarkup(value) + strings[i + 1];
+        });
+        return new SafeHtml(markup);
+    }
+
+    /**
+     * Plain text as paragraphs, keeping the poster's line breaks: a blank
+     * line starts a new paragraph, a single newline is a <br>.
+     */
+    function multiline(text) {
+        const paragraphs = String(text ?? '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+        return html`${paragraphs.map(paragraph => html`<p>${paragraph.split('\n').map((line, i) => (i > 0 ? html`<br>${line}` : line))}</p>`)}`;
+    }
+
+    // Markup from code we control (e.g. the QR code library's SVG), never from data
+    function trusted(markup) {
+        return new SafeHtml(markup);
+    }
+
+    // Replaces an element's content; a plain string is shown as text
+    function render(element, template) {
+        element.innerHTML = toMarkup(template);
+    }
+
+    return { html, multiline, trusted, escapeHtml, render };
+});
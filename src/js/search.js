@@ -0,0 +1,81 @@
+/**
+ * Text search helpers shared by the page, the service worker and the server:
+ * tokenizing job listings, English/Swahili stop words and typo tolerance.
+ * KaziDB uses them to keep an inverted index of cached jobs for offline search.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KaziSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STOP_WORDS = new Set([
+        // English
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+        'its', 'of', 'on', 'or', 'our', 'the', 'their', 'this', 'to', 'was', 'we', 'will', 'with', 'you', 'your',
+        // Swahili
+        'na', 'ya', 'wa', 'za', 'la', 'cha', 'vya', 'kwa', 'ni', 'katika', 'au', 'kama', 'hii', 'hiyo', 'huo',
+        'hizi', 'pia', 'lakini', 'sana', 'kuwa', 'ili', 'bila', 'yetu', 'wetu', 'zetu', 'mimi', 'wewe', 'yeye'
+    ]);
+
+    // How much a word counts depending on where in the listing it appears
+    const FIELD_WEIGHTS = { title: 5, company: 3, location: 2, description: 1 };
+
+    /**
+     * Lower-cased, accent-free words of length 2+, without stop words.
+     */
+    function tokenize(text) {
+        if (!text) return [];
+        const words = String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || [];
+        return words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+    }
+
+    /**
+     * Token -> weight for one job. Repeated words count, but with diminishing returns.
+     */
+    function jobTokenWeights(job) {
+        const weights = new Map();
+        Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+            const counts = new Map();
+            tokenize(job[field]).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+            counts.forEach((count, token) => {
+                weights.set(token, (weights.get(token) || 0) + fieldWeight * (1 + Math.log(count)));
+            });
+        });
+        return weights;
+    }
+
+    /**
+     * Levenshtein distance, giving up (returning max + 1) once it exceeds max.
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Short words get no typo allowance: "it" -> "at" would match everything
+    function typoAllowance(token) {
+        if (token.length < 3) return 0;
+        return token.length < 8 ? 1 : 2;
+    }
+
+    return { STOP_WORDS, FIELD_WEIGHTS, tokenize, jobTokenWeights, editDistance, typoAllowance };
+});
@@ -0,0 +1,231 @@
+/**
+ * The sync engine, shared by the page and the service worker: sends what
+ * is waiting in the KaziDB outbox (applications with their attached files,
+ * job posts, edits to posts, reports of suspicious jobs) to the API, one
+ * item at a time.
+ *
+ * Every item is sent on its own terms. The server refusing one (a 4xx)
+ * sets it aside for the user without holding up the rest, and one that
+ * needs a signed-in user (401) waits until they sign in; a server error
+ * schedules a retry for that item. Losing the network ends the pass, since
+ * nothing else would get through either.
+ */
+
+// Listing fields the employer edits (JOB_FORM_FIELDS in main.js). Posts from
+// older versions of the app may also carry free-text `salary`, which an edit
+// leaves out so the server writes it again from the edited range.
+const OUTBOX_JOB_FIELDS = ['title', 'company', 'location', 'type', 'category', 'county',
+    'salaryMin', 'salaryMax', 'salaryPeriod', 'closingDate', 'description'];
+
+function jobBody(job) {
+    const body = { submissionKey: job.submissionKey };
+    OUTBOX_JOB_FIELDS.forEach(field => { body[field] = job[field] ?? null; });
+    return body;
+}
+
+// Small enough that a chunk lost on a weak 2G/3G signal is cheap to resend
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Uploads one of a queued application's files, a chunk at a time, carrying
+ * on from wherever an earlier attempt stopped. Progress is saved after
+ * every chunk. Resolves with the server's id for the finished file.
+ */
+async function uploadAttachment(attachment) {
+    let { uploadId, uploaded } = attachment;
+    const { blob } = attachment;
+
+    if (!uploadId) {
+        const started = await apiRequest('/attachments', {
+            method: 'POST',
+            body: {
+                fileName: attachment.fileName,
+                mimeType: attachment.mimeType,
+                encoding: attachment.encoding || undefined,
+                size: blob.size,
+                submissionKey: attachment.submissionKey
+            }
+        });
+        uploadId = started.id;
+        uploaded = started.received;
+        await db.updateAttachment(attachment.id, { uploadId, uploaded });
+    }
+
+    while (uploaded < blob.size) {
+        try {
+            const result = await apiRequest(`/attachments/${uploadId}?offset=${uploaded}`, {
+                method: 'PUT',
+                bytes: blob.slice(uploaded, uploaded + UPLOAD_CHUNK_SIZE)
+            });
+            uploaded = result.received;
+        } catch (err) {
+            // The server has more (or less) than we thought: go on from there
+            if (err.status === 409 && err.data && Number.isInteger(err.data.received)) {
+                if (err.data.complete) break;
+                uploaded = err.data.received;
+            } else if (err.status === 404) {
+                // Unfinished uploads are deleted after a few days; start again
+                const restart = { uploadId: null, uploaded: 0, submissionKey: generateSubmissionKey() };
+                await db.updateAttachment(attachment.id, restart);
+                return uploadAttachment({ ...attachment, ...restart });
+            } else {
+                throw err;
+            }
+        }
+        await db.updateAttachment(attachment.id, { uploaded });
+    }
+    return uploadId;
+}
+
+// Uploads an application's files, then sends the application naming them
+async function sendApplication(app) {
+    const attachments = [];
+    for (const attachment of await db.getAttachments(app.id)) {
+        attachments.push(await uploadAttachment(attachment));
+    }
+    return apiRequest('/applications', {
+        method: 'POST',
+        body: {
+            jobId: app.jobId,
+            jobTitle: app.jobTitle,
+            applicantName: app.applicantName,
+            applicantPhone: app.applicantPhone,
+            applicantNotes: app.applicantNotes,
+            attachments: attachments.length > 0 ? attachments : undefined,
+            profile: app.profile,
+            submissionKey: app.submissionKey
+        }
+    });
+}
+
+/**
+ * How each outbox queue is sent. `refused(item, err)` may handle a refusal
+ * its own way and return the outcome to report ('closed', 'conflict');
+ * otherwise the item waits for the user's attention.
+ */
+const OUTBOX_SENDERS = {
+    applications: {
+        label: app => app.jobTitle,
+        send: sendApplication,
+        delivered: (app, result) => db.markAsSynced(app.id, result.id, result.status),
+        async refused(app, err) {
+            // The job closed before this got through; there's nothing to fix
+            if (err.status !== 410) return null;
+            await db.markApplicationClosed(app.id);
+            return 'closed';
+        }
+    },
+
+    jobSubmissions: {
+        label: job => job.title,
+        send: job => apiRequest('/jobs', { method: 'POST', body: { ...jobBody(job), salary: job.salary } }),
+        delivered: (job, result) => db.markJobSubmissionSynced(job.id, result.id, result.version, job.revision || 0),
+        refused: async () => null
+    },
+
+    // Sent after submissions, so a post edited before it went out is sent first
+    jobEdits: {
+        label: job => job.title,
+        send: job => apiRequest(`/jobs/${job.serverId}`, {
+            method: 'PATCH',
+            body: { ...jobBody(job), baseVersion: job.pendingEdit.baseVersion }
+        }),
+        delivered: (job, result) => db.markJobEditSynced(job.id, result.version, job.revision || 0),
+        async refused(job, err) {
+            // Edited on the server meanwhile: both versions are kept for the employer to choose
+            if (err.status !== 409 || !err.data || !err.data.job) return null;
+            const conflict = { job: err.data.job, canKeepMine: Boolean(err.data.conflict) };
+            await db.updateJobSubmission(job.id, { pendingEdit: { ...job.pendingEdit, conflict }, delivery: null });
+            return 'conflict';
+        }
+    },
+
+    jobReports: {
+        label: report => report.jobTitle,
+        send: report => apiRequest(`/jobs/${report.jobId}/reports`, {
+            method: 'POST',
+            body: { reason: report.reason, details: report.details, submissionKey: report.submissionKey }
+        }),
+        delivered: report => db.markJobReportSent(report.id),
+        async refused(report, err) {
+            // The job is gone already; there's nothing left to report
+            if (err.status !== 404) return null;
+            await db.markJobReportSent(report.id, { closed: true });
+            return 'closed';
+        }
+    }
+};
+
+// Worth trying again later: no answer at all, a server error, or "slow down"
+function isTransientError(err) {
+    return !err.status || err.status >= 500 || [408, 425, 429].includes(err.status);
+}
+
+// The reason to show for a failed send
+function deliveryError(err) {
+    if (!err.status) return 'No connection';
+    if (err.status === 401) return 'Sign in to send this';
+    const fields = err.data && err.data.fields;
+    return fields ? Object.values(fields)[0] : err.message;
+}
+
+/**
+ * Sends every outbox item that is due. `force` also retries items still
+ * waiting out a retry delay (the user tapped "Sync now").
+ * `report(event)` is told about each item as it goes:
+ *   { type: 'SYNC_ITEM', queue, id, label, state, error?, nextAttemptAt?, message? }
+ * with state 'sending', 'sent', 'failed', 'signin', 'attention', 'closed' or 'conflict',
+ * and finally { type: 'SYNC_COMPLETE', sent, failed } with counts per queue.
+ * Resolves with that final event.
+ */
+async function drainOutbox({ force = false, report = () => {} } = {}) {
+    if (!db.db) await db.init();
+
+    const summary = { type: 'SYNC_COMPLETE', sent: {}, failed: 0 };
+    let connected = navigator.onLine;
+
+    for (const [queue, sender] of Object.entries(OUTBOX_SENDERS)) {
+        summary.sent[queue] = 0;
+
+        for (const pending of await db.getOutbox(queue)) {
+            if (!connected) break;
+            const item = await db.claimOutboxItem(queue, pending.id, { force });
+            if (!item) continue;
+
+            const event = { type: 'SYNC_ITEM', queue, id: item.id, label: sender.label(item) };
+            await report({ ...event, state: 'sending' });
+
+            try {
+                const result = await sender.send(item);
+                await sender.delivered(item, result);
+                summary.sent[queue]++;
+                await report({ ...event, state: 'sent', message: result.message });
+            } catch (err) {
+                const error = deliveryError(err);
+                if (isTransientError(err)) {
+                    const failed = await db.recordOutboxFailure(queue, item.id, { error });
+                    summary.failed++;
+                    connected = Boolean(err.status);
+                    await report({ ...event, state: 'failed', error, nextAttemptAt: failed.delivery.nextAttemptAt });
+                    continue;
+                }
+                if (err.status === 401) {
+                    await db.recordOutboxFailure(queue, item.id, { error, needsSignIn: true });
+                    await report({ ...event, state: 'signin', error });
+                    continue;
+                }
+
+                const outcome = await sender.refused(item, err);
+                if (!outcome) {
+                    // The fields the server refused stay with the item, to show when it's edited
+                    const fields = (err.data && err.data.fields) || null;
+                    await db.recordOutboxFailure(queue, item.id, { error, fields, permanent: true });
+                }
+                await report({ ...event, state: outcome || 'attention', error });
+            }
+        }
+    }
+
+    await report(summary);
+    return summary;
+}
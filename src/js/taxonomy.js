@@ -0,0 +1,215 @@
+/**
+ * Structured job vocabulary shared by the page, the service worker and the
+ * server: job categories, pay periods, Kenya's 47 counties, the reasons a
+ * seeker can give for reporting a job and the education levels on a seeker's
+ * profile, plus which counties border each other and helpers
+ * that map free text (old listings, typed locations) onto them.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KaziTaxonomy = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SALARY_PERIODS = {
+        monthly: 'per month',
+        daily: 'per day',
+        'per-task': 'per task'
+    };
+
+    // Keywords are only used to guess a category for listings that don't have one
+    const JOB_CATEGORIES = [
+        { id: 'agriculture', label: 'Agriculture & Farming', keywords: ['farm', 'farmer', 'farmers', 'agri', 'agriculture', 'crop', 'crops', 'livestock', 'dairy', 'shamba', 'shambani', 'yields', 'coop'] },
+        { id: 'transport', label: 'Transport & Delivery', keywords: ['driver', 'rider', 'delivery', 'matatu', 'fleet', 'boda', 'logistics', 'courier', 'motorcycle', 'transport', 'routes'] },
+        { id: 'health', label: 'Health & Care', keywords: ['pharmacy', 'pharmacist', 'nurse', 'clinic', 'hospital', 'medicine', 'health', 'caregiver', 'dispensing'] },
+        { id: 'education', label: 'Education & Training', keywords: ['teacher', 'tutor', 'educator', 'school', 'training', 'workshops', 'trainer'] },
+        { id: 'sales', label: 'Sales & Retail', keywords: ['sales', 'shop', 'retail', 'cashier', 'attendant', 'marketing', 'salesperson', 'duka'] },
+        { id: 'hospitality', label: 'Hotels & Food', keywords: ['hotel', 'cook', 'chef', 'waiter', 'waitress', 'restaurant', 'cafe', 'kitchen', 'catering'] },
+        { id: 'construction', label: 'Construction & Trades', keywords: ['construction', 'mason', 'fundi', 'plumber', 'electrician', 'carpenter', 'welder', 'painter', 'builder'] },
+        { id: 'tech', label: 'IT & Data', keywords: ['data', 'developer', 'software', 'computer', 'ict', 'online', 'database', 'digital'] },
+        { id: 'office', label: 'Office & Admin', keywords: ['admin', 'administrator', 'secretary', 'receptionist', 'clerk', 'accountant', 'accounts', 'office', 'manager'] },
+        { id: 'community', label: 'Community & NGO', keywords: ['ngo', 'community', 'volunteer', 'outreach', 'youth', 'welfare'] },
+        { id: 'domestic', label: 'Domestic Work', keywords: ['househelp', 'nanny', 'cleaner', 'cleaning', 'gardener', 'housekeeper', 'laundry'] },
+        { id: 'security', label: 'Security', keywords: ['security', 'guard', 'watchman', 'askari'] },
+        { id: 'other', label: 'Other', keywords: [] }
+    ];
+
+    // Why a seeker reports a job
+    const JOB_REPORT_REASONS = {
+        fee: 'Asks for money to apply',
+        scam: 'Looks like a scam or fake job',
+        misleading: 'Wrong pay, place or details',
+        offensive: 'Offensive or discriminatory',
+        other: 'Something else'
+    };
+
+    // Highest level of education on a seeker's profile, following Kenya's system
+    const EDUCATION_LEVELS = {
+        primary: 'Primary (KCPE)',
+        secondary: 'Secondary (KCSE)',
+        certificate: 'Certificate',
+        diploma: 'Diploma',
+        degree: "Bachelor's degree",
+        postgraduate: 'Postgraduate'
+    };
+
+    const COUNTIES = [
+        'Baringo', 'Bomet', 'Bungoma', 'Busia', 'Elgeyo-Marakwet', 'Embu', 'Garissa', 'Homa Bay', 'Isiolo',
+        'Kajiado', 'Kakamega', 'Kericho', 'Kiambu', 'Kilifi', 'Kirinyaga', 'Kisii', 'Kisumu', 'Kitui', 'Kwale',
+        'Laikipia', 'Lamu', 'Machakos', 'Makueni', 'Mandera', 'Marsabit', 'Meru', 'Migori', 'Mombasa',
+        "Murang'a", 'Nairobi', 'Nakuru', 'Nandi', 'Narok', 'Nyamira', 'Nyandarua', 'Nyeri', 'Samburu', 'Siaya',
+        'Taita-Taveta', 'Tana River', 'Tharaka-Nithi', 'Trans Nzoia', 'Turkana', 'Uasin Gishu', 'Vihiga',
+        'Wajir', 'West Pokot'
+    ];
+
+    // Counties sharing a border, each pair listed once (the lookup goes both ways).
+    // Close enough to commute or move for work, so recommendations favour them.
+    const COUNTY_BORDERS = {
+        'Baringo': ['Elgeyo-Marakwet', 'Kericho', 'Laikipia', 'Nakuru', 'Samburu', 'Turkana', 'Uasin Gishu', 'West Pokot'],
+        'Bomet': ['Kericho', 'Nakuru', 'Narok', 'Nyamira'],
+        'Bungoma': ['Busia', 'Kakamega', 'Trans Nzoia'],
+        'Busia': ['Kakamega', 'Siaya'],
+        'Elgeyo-Marakwet': ['Trans Nzoia', 'Uasin Gishu', 'West Pokot'],
+        'Embu': ['Kirinyaga', 'Kitui', 'Machakos', "Murang'a", 'Tharaka-Nithi'],
+        'Garissa': ['Isiolo', 'Lamu', 'Tana River', 'Wajir'],
+        'Homa Bay': ['Kericho', 'Kisii', 'Kisumu', 'Migori', 'Nyamira'],
+        'Isiolo': ['Laikipia', 'Marsabit', 'Meru', 'Samburu', 'Tana River', 'Wajir'],
+        'Kajiado': ['Kiambu', 'Machakos', 'Makueni', 'Nairobi', 'Narok', 'Taita-Taveta'],
+        'Kakamega': ['Nandi', 'Siaya', 'Trans Nzoia', 'Uasin Gishu', 'Vihiga'],
+        'Kericho': ['Kisumu', 'Nakuru', 'Nandi', 'Nyamira', 'Uasin Gishu'],
+        'Kiambu': ['Machakos', "Murang'a", 'Nairobi', 'Nakuru', 'Nyandarua'],
+        'Kilifi': ['Kwale', 'Mombasa', 'Taita-Taveta', 'Tana River'],
+        'Kirinyaga': ["Murang'a", 'Nyeri'],
+        'Kisii': ['Migori', 'Narok', 'Nyamira'],
+        'Kisumu': ['Nandi', 'Siaya', 'Vihiga'],
+        'Kitui': ['Machakos', 'Makueni', 'Taita-Taveta', 'Tana River', 'Tharaka-Nithi'],
+        'Kwale': ['Mombasa', 'Taita-Taveta'],
+        'Laikipia': ['Meru', 'Nakuru', 'Nyandarua', 'Nyeri', 'Samburu'],
+        'Lamu': ['Tana River'],
+        'Machakos': ['Makueni', "Murang'a", 'Nairobi'],
+        'Makueni': ['Taita-Taveta'],
+        'Mandera': ['Wajir'],
+        'Marsabit': ['Samburu', 'Turkana', 'Wajir'],
+        'Meru': ['Nyeri', 'Tharaka-Nithi'],
+        'Migori': ['Narok'],
+        "Murang'a": ['Nyandarua', 'Nyeri'],
+        'Nakuru': ['Narok', 'Nyandarua'],
+        'Nandi': ['Uasin Gishu', 'Vihiga'],
+        'Narok': ['Nyamira'],
+        'Nyandarua': ['Nyeri'],
+        'Samburu': ['Turkana'],
+        'Siaya': ['Vihiga'],
+        'Trans Nzoia': ['Uasin Gishu', 'West Pokot'],
+        'Turkana': ['West Pokot']
+    };
+
+    const COUNTY_NEIGHBOURS = new Map(COUNTIES.map(county => [county, new Set()]));
+    Object.entries(COUNTY_BORDERS).forEach(([county, neighbours]) => neighbours.forEach(neighbour => {
+        COUNTY_NEIGHBOURS.get(county).add(neighbour);
+        COUNTY_NEIGHBOURS.get(neighbour).add(county);
+    }));
+
+    // Towns and neighbourhoods people type instead of their county
+    const COUNTY_ALIASES = {
+        'kayole': 'Nairobi', 'westlands': 'Nairobi', 'kibera': 'Nairobi', 'embakasi': 'Nairobi',
+        'kasarani': 'Nairobi', 'eastleigh': 'Nairobi', 'karen': 'Nairobi', 'nbi': 'Nairobi', 'nairobi cbd': 'Nairobi',
+        'thika': 'Kiambu', 'ruiru': 'Kiambu', 'juja': 'Kiambu', 'limuru': 'Kiambu',
+        'kitengela': 'Kajiado', 'rongai': 'Kajiado', 'ngong': 'Kajiado', 'athi river': 'Machakos',
+        'bondo': 'Siaya', 'ugunja': 'Siaya', 'eldoret': 'Uasin Gishu', 'kitale': 'Trans Nzoia',
+        'naivasha': 'Nakuru', 'molo': 'Nakuru', 'malindi': 'Kilifi', 'watamu': 'Kilifi', 'mtwapa': 'Kilifi',
+        'ukunda': 'Kwale', 'diani': 'Kwale', 'voi': 'Taita-Taveta', 'wundanyi': 'Taita-Taveta',
+        'lodwar': 'Turkana', 'nanyuki': 'Laikipia', 'nyahururu': 'Laikipia', 'ol kalou': 'Nyandarua',
+        'kerugoya': 'Kirinyaga', 'chuka': 'Tharaka-Nithi', 'wote': 'Makueni', 'hola': 'Tana River',
+        'moyale': 'Marsabit', 'maralal': 'Samburu', 'kabarnet': 'Baringo', 'iten': 'Elgeyo-Marakwet',
+        'kapsabet': 'Nandi', 'webuye': 'Bungoma', 'kapenguria': 'West Pokot', 'mbale': 'Vihiga',
+        'ahero': 'Kisumu', 'maseno': 'Kisumu', 'mbita': 'Homa Bay', 'awendo': 'Migori'
+    };
+
+    function countyKey(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/\b(county|town|city)\b/g, '')
+            .replace(/['’]/g, '')
+            .replace(/[-_]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    const COUNTY_LOOKUP = new Map(COUNTIES.map(county => [countyKey(county), county]));
+    Object.entries(COUNTY_ALIASES).forEach(([alias, county]) => COUNTY_LOOKUP.set(countyKey(alias), county));
+
+    /**
+     * The county a free-text location refers to ("Kayole, Nairobi", "Bondo",
+     * "Uasin Gishu County"), or null when none is recognised (e.g. "Remote").
+     */
+    function normalizeCounty(text) {
+        if (!text) return null;
+        const whole = COUNTY_LOOKUP.get(countyKey(text));
+        if (whole) return whole;
+        // Most specific part last: "Kayole, Nairobi"
+        const parts = String(text).split(/[,/]/).reverse();
+        for (const part of parts) {
+            const county = COUNTY_LOOKUP.get(countyKey(part));
+            if (county) return county;
+        }
+        return null;
+    }
+
+    function areNeighbouringCounties(a, b) {
+        return Boolean(a && b && COUNTY_NEIGHBOURS.has(a) && COUNTY_NEIGHBOURS.get(a).has(b));
+    }
+
+    function isCategory(id) {
+        return JOB_CATEGORIES.some(category => category.id === id);
+    }
+
+    function categoryLabel(id) {
+        const category = JOB_CATEGORIES.find(c => c.id === id);
+        return category ? category.label : 'Other';
+    }
+
+    /**
+     * Best-guess category for a listing from its title and description.
+     * Title words count double. Falls back to 'other'.
+     */
+    function inferCategory(job) {
+        const words = text => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const titleWords = words(job.title);
+        const descriptionWords = words(job.description);
+
+        let best = 'other';
+        let bestScore = 0;
+        JOB_CATEGORIES.forEach(category => {
+            const keywords = new Set(category.keywords);
+            const score = titleWords.filter(word => keywords.has(word)).length * 2 +
+                descriptionWords.filter(word => keywords.has(word)).length;
+            if (score > bestScore) {
+                best = category.id;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Display text for a job's pay: "KES 20,000 - 30,000 per month". Falls
+     * back to the free-text salary for listings without a parsed range.
+     */
+    function formatSalary(job) {
+        if (job.salaryMin === null || job.salaryMin === undefined) {
+            return job.salary || 'Not specified';
+        }
+        const amount = value => Number(value).toLocaleString('en-KE');
+        const range = job.salaryMax && job.salaryMax !== job.salaryMin
+            ? `KES ${amount(job.salaryMin)} - ${amount(job.salaryMax)}`
+            : `KES ${amount(job.salaryMin)}`;
+        const period = SALARY_PERIODS[job.salaryPeriod];
+        return period ? `${range} ${period}` : range;
+    }
+
+    return {
+        SALARY_PERIODS, JOB_CATEGORIES, COUNTIES, JOB_REPORT_REASONS, EDUCATION_LEVELS,
+        normalizeCounty, areNeighbouringCounties, isCategory, categoryLabel, inferCategory, formatSalary
+    };
+});
@@ -1,17 +1,45 @@
-const CACHE_NAME = 'kaziconnect-v2';
+importScripts('/src/js/search.js', '/src/js/db.js', '/src/js/api.js', '/src/js/sync.js');
+
+const CACHE_NAME = 'kaziconnect-v20';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/src/css/style.css',
+    '/src/js/search.js',
+    '/src/js/taxonomy.js',
+    '/src/js/recommend.js',
+    '/src/js/jobpack.js',
+    '/src/js/render.js',
     '/src/js/db.js',
+    '/src/js/api.js',
+    '/src/js/sync.js',
     '/src/js/main.js',
     'https://unpkg.com/lucide@latest',
+    // QR codes for sharing jobs offline, so they work with no connection too
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js',
+    'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js',
     'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Outfit:wght@500;700&display=swap'
 ];
 
+// Responses for one signed-in person are never kept in the cache, where the
+// next person on a shared phone would find them
+const PRIVATE_API_PREFIXES = [
+    '/api/applications',
+    '/api/attachments',
+    '/api/auth/',
+    '/api/me/',
+    '/api/employer/',
+    '/api/admin/'
+];
+
+function isPrivateRequest(request, url) {
+    return request.headers.has('Authorization') ||
+        PRIVATE_API_PREFIXES.some((prefix) => url.pathname.startsWith(prefix));
+}
+
 /**
  * Service Worker for KaziConnect.
- * Handles offline caching and background sync.
+ * Handles offline caching, background sync and job alert notifications.
  */
 
 self.addEventListener('install', (event) => {
@@ -41,13 +69,20 @@ self.addEventListener('fetch', (event) => {
 
     const url = new URL(event.request.url);
 
+    // The change feed is cursor-specific; KaziDB keeps its results, not the cache
+    if (url.pathname === '/api/jobs/changes') return;
+
+    if (url.pathname.startsWith('/api/') && isPrivateRequest(event.request, url)) return;
+
     // Network-First for API requests
     if (url.pathname.startsWith('/api/')) {
         event.respondWith(
             fetch(event.request)
                 .then((networkResponse) => {
-                    const clone = networkResponse.clone();
-                    caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
+                    if (networkResponse.ok) {
+                        const clone = networkResponse.clone();
+                        caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
+                    }
                     return networkResponse;
                 })
                 .catch(() => caches.match(event.request))
@@ -55,9 +90,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Stale-While-Revalidate for Static Assets
+    // Stale-While-Revalidate for Static Assets.
+    // Pages opened with a query (e.g. /?job=12 from an alert) are the cached app shell.
+    const matchOptions = event.request.mode === 'navigate' ? { ignoreSearch: true } : undefined;
     event.respondWith(
-        caches.match(event.request).then((cachedResponse) => {
+        caches.match(event.request, matchOptions).then((cachedResponse) => {
             const fetchPromise = fetch(event.request).then((networkResponse) => {
                 if (networkResponse && networkResponse.status === 200) {
                     const clone = networkResponse.clone();
@@ -71,35 +108,76 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
-// Background Sync
+// Background Sync. Pages from before the unified outbox registered a tag
+// per queue; the outbox sends everything either way.
+const OUTBOX_SYNC_TAGS = ['sync-outbox', 'sync-applications', 'sync-jobs'];
+
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-applications') {
-        console.log('[SW] Background sync triggered for applications');
-        event.waitUntil(syncApplications());
+    if (OUTBOX_SYNC_TAGS.includes(event.tag)) {
+        console.log('[SW] Background sync triggered for the outbox');
+        event.waitUntil(syncOutbox());
     }
 });
 
 // Message listener for manual sync or other commands
 self.addEventListener('message', (event) => {
     if (event.data.action === 'sync') {
-        event.waitUntil(syncApplications());
+        event.waitUntil(syncOutbox());
     }
 });
 
-async function syncApplications() {
-    // We need db.js to be available in the SW scope. 
-    // Since we're using Vanilla JS, we'll import it or reimplement the minimal sync logic.
-    // However, IndexedDB is available in SW global scope.
+// Job alerts: the server pushes a newly approved job matching a saved search.
+// The listing comes along when it fits, so it is cached for opening offline.
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+    const alert = event.data.json();
 
-    // Minimal implementation for SW (reusing logic from main.js conceptually)
-    console.log('[SW] Syncing pending applications in background...');
+    event.waitUntil((async () => {
+        if (alert.job) {
+            try {
+                if (!db.db) await db.init();
+                await db.saveJobs([alert.job]);
+            } catch (err) {
+                console.error('[SW] Could not cache alerted job:', err);
+            }
+        }
+        await self.registration.showNotification(alert.title, {
+            body: alert.body,
+            tag: alert.tag,
+            data: { jobId: alert.jobId, url: alert.url }
+        });
+    })());
+});
 
-    // In a real app, we'd importScripts('src/js/db.js') but paths might be tricky.
-    // For the hackathon, we'll demonstrate the structure.
+// Opening an alert shows the job, in an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { jobId, url } = event.notification.data || {};
 
-    // Sending a message back to clients to update UI if they are open
-    const allClients = await clients.matchAll();
-    allClients.forEach(client => {
-        client.postMessage({ type: 'SYNC_STARTED' });
-    });
+    event.waitUntil(
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const client = windows[0];
+            if (client) {
+                client.postMessage({ type: 'OPEN_JOB', jobId });
+                return client.focus();
+            }
+            return clients.openWindow(url || '/');
+        })
+    );
+});
+
+async function notifyClients(message) {
+    const allClients = await clients.matchAll({ includeUncontrolled: true });
+    allClients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Sends the outbox, reporting each item to open pages. Rejects while
+ * anything is left to retry, so the browser schedules another background sync.
+ */
+async function syncOutbox() {
+    await drainOutbox({ report: notifyClients });
+    if (await db.nextOutboxAttempt() !== null) {
+        throw new Error('Outbox items are waiting to be retried');
+    }
 }